@@ -0,0 +1,150 @@
+// benchmarks/ruleCompilation.bench.js
+// Interpreted vs compiled condition evaluation throughput
+//
+// Usage: node benchmarks/ruleCompilation.bench.js [--rules=1000] [--txns=100000] [--json]
+//
+// Every transaction is evaluated against every rule (the worst case: worst_case strategy,
+// dry-run of a whole ruleset). Rules draw their conditions from a shared pool, the way
+// real rulesets reuse thresholds and lists, so cross-rule sharing has something to share.
+
+import {
+  interpretConditions,
+  compileConditions,
+  compileRuleSet,
+  getEvaluationContext
+} from '../src/lib/conditionEvaluator.js';
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+  const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+  return [key, value];
+}));
+
+const RULES = Number(args.rules || 1000);
+const TXNS = Number(args.txns || 100000);
+
+// Deterministic PRNG (mulberry32) so runs are comparable
+function rng(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const random = rng(42);
+const pick = list => list[Math.floor(random() * list.length)];
+const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+const DEVICES = ['web', 'mobile', 'tablet'];
+const AGENTS = ['openai', 'anthropic', 'gemini', 'ramp', 'stripe', 'payman', 'nekuda'];
+const PARTNERS = ['amazon', 'shopify', 'stripe', 'paypal', 'square', 'adyen', 'checkout'];
+const SELLERS = Array.from({ length: 500 }, (_, i) => `seller_${i}`);
+
+function randomLeaf() {
+  switch (int(0, 7)) {
+    case 0: return { field: 'amount', op: pick(['>', '>=']), value: pick([500, 1000, 2500, 5000, 10000]) };
+    case 1: return { field: 'hour', op: pick(['<', '>']), value: pick([5, 6, 22, 23]) };
+    case 2: return { field: 'device', op: '==', value: pick(DEVICES) };
+    case 3: return { field: 'agent_id', op: pick(['in', 'not_in']), value: AGENTS.filter(() => random() < 0.4) };
+    case 4: return { field: 'partner', op: 'in', value: PARTNERS.filter(() => random() < 0.5) };
+    case 5: return { field: 'seller_name', op: 'in', value: Array.from({ length: int(5, 50) }, () => pick(SELLERS)) };
+    case 6: return { field: 'account_age_days', op: '<', value: pick([7, 30, 90]) };
+    default: return { field: 'user_txn_count_1h', op: '>', value: pick([3, 5, 10]) };
+  }
+}
+
+// A pool of conditions the rules share, plus a few unique ones per rule
+const POOL = Array.from({ length: 150 }, randomLeaf);
+
+function randomRule(i) {
+  const conditions = Array.from({ length: int(2, 4) }, () => (random() < 0.8 ? pick(POOL) : randomLeaf()));
+  if (random() < 0.3) conditions.push({ any: [pick(POOL), pick(POOL)] });
+  return { id: `rule-${i}`, decision: pick(['review', 'block']), conditions };
+}
+
+function randomTxn(i) {
+  return {
+    txn_id: `tx_${i}`,
+    amount: Math.round(random() * 20000),
+    hour: int(0, 23),
+    device: pick(DEVICES),
+    agent_id: pick(AGENTS),
+    partner: pick(PARTNERS),
+    seller_name: pick(SELLERS),
+    account_age_days: int(0, 2000),
+    user_txn_count_1h: int(0, 15)
+  };
+}
+
+function run(label, evaluate, rules, txns) {
+  const start = process.hrtime.bigint();
+  let matches = 0;
+  for (const txn of txns) matches += evaluate(txn, rules);
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  const evaluations = rules.length * txns.length;
+  return {
+    label,
+    ms: Math.round(ms),
+    matches,
+    txns_per_sec: Math.round(txns.length / (ms / 1000)),
+    ns_per_rule_eval: Number(((ms * 1e6) / evaluations).toFixed(1))
+  };
+}
+
+const rules = Array.from({ length: RULES }, (_, i) => randomRule(i));
+const txns = Array.from({ length: TXNS }, (_, i) => randomTxn(i));
+const context = getEvaluationContext();
+
+const compileStart = process.hrtime.bigint();
+const ruleSet = compileRuleSet(rules, context);
+const compileMs = Number(process.hrtime.bigint() - compileStart) / 1e6;
+const perRule = rules.map(rule => compileConditions(rule.conditions, context));
+
+const results = [
+  run('interpreted', (txn, list) => {
+    let n = 0;
+    for (const rule of list) if (interpretConditions(rule.conditions, txn, context)) n++;
+    return n;
+  }, rules, txns),
+  run('compiled (per rule)', (txn) => {
+    let n = 0;
+    for (const predicate of perRule) if (predicate(txn)) n++;
+    return n;
+  }, rules, txns),
+  run('compiled (rule set, shared conditions)', (txn, list) => {
+    const memo = ruleSet.newMemo();
+    let n = 0;
+    for (const rule of list) if (ruleSet.match(rule, txn, memo)) n++;
+    return n;
+  }, rules, txns)
+];
+
+const [baseline] = results;
+for (const result of results) {
+  result.speedup = Number((baseline.ms / Math.max(result.ms, 1)).toFixed(2));
+  if (result.matches !== baseline.matches) {
+    console.error(`❌ ${result.label} matched ${result.matches} times, interpreted matched ${baseline.matches}`);
+    process.exitCode = 1;
+  }
+}
+
+const report = {
+  rules: RULES,
+  transactions: TXNS,
+  node_version: process.version,
+  compile_ms: Number(compileMs.toFixed(1)),
+  ruleset: ruleSet.stats,
+  results
+};
+
+if (args.json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  console.log(`\n📊 Rule evaluation: ${RULES.toLocaleString()} rules × ${TXNS.toLocaleString()} transactions (${process.version})`);
+  console.log(`  Compiled rule set in ${report.compile_ms}ms (${ruleSet.stats.shared} shared conditions)\n`);
+  console.table(results.map(({ label, ms, txns_per_sec, ns_per_rule_eval, speedup }) => ({
+    mode: label, ms, 'txns/sec': txns_per_sec, 'ns/rule': ns_per_rule_eval, speedup: `${speedup}x`
+  })));
+}
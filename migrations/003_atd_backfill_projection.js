@@ -85,9 +85,14 @@ async function backfillProjection() {
           txn_id: txnId,
           timestamp: txn.timestamp,
           amount: txn.amount,
+          currency: txn.currency || null,
+          amount_usd: txn.amount_usd ?? null,
           hour: hour,
           device: txn.device || null,
           agent_id: txn.agent_id || null,
+          user_id: txn.user_id || null,
+          seller_name: txn.seller_name || null,
+          seller_url: txn.seller_url || null,
           partner: txn.partner || null,
           intent: txn.intent || null,
           decision: decision,
@@ -97,6 +102,7 @@ async function backfillProjection() {
           account_age_days: txn.account_age_days || null,
           is_first_transaction: txn.is_first_transaction || false,
           triggered_rule_ids: triggeredRuleIds,
+          computed_features: fraudOutput.computed_features || null,
           created_at: txn.timestamp
         };
       });
@@ -0,0 +1,27 @@
+-- migrations/010_velocity_features.sql
+-- Support velocity/aggregate features computed at evaluation time
+-- Created: 2026-10-19
+
+-- Indexes for per-entity history lookups (featureEnrichment.fetchRecentHistory)
+CREATE INDEX IF NOT EXISTS idx_atd_transactions_user_ts ON atd_transactions(user_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_atd_transactions_agent_ts ON atd_transactions(agent_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_atd_transactions_seller_ts ON atd_transactions(seller_name, timestamp DESC)
+  WHERE seller_name IS NOT NULL;
+
+-- Projection needs grouping keys and recorded features so dry-runs can evaluate velocity rules
+ALTER TABLE atd_transactions_proj ADD COLUMN IF NOT EXISTS user_id TEXT;
+ALTER TABLE atd_transactions_proj ADD COLUMN IF NOT EXISTS seller_name TEXT;
+ALTER TABLE atd_transactions_proj ADD COLUMN IF NOT EXISTS computed_features JSONB;
+
+COMMENT ON COLUMN atd_transactions_proj.computed_features IS
+  'Velocity features recorded in fraud_engine_output at evaluation time (NULL for older rows)';
+
+-- Backfill from atd_transactions
+UPDATE atd_transactions_proj p
+SET
+  user_id = t.user_id,
+  seller_name = t.seller_name,
+  computed_features = t.fraud_engine_output->'computed_features'
+FROM atd_transactions t
+WHERE p.txn_id = t.txn_id::text
+  AND p.user_id IS NULL;
@@ -0,0 +1,26 @@
+-- migrations/011_rulesets.sql
+-- Per-ruleset decision strategy (first_match, worst_case, allowlist_overrides)
+-- Created: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS atd_rulesets (
+  name TEXT PRIMARY KEY,
+  decision_strategy TEXT NOT NULL DEFAULT 'worst_case',
+  description TEXT,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT decision_strategy_check CHECK (
+    decision_strategy IN ('first_match', 'worst_case', 'allowlist_overrides')
+  )
+);
+
+COMMENT ON TABLE atd_rulesets IS 'Ruleset settings; decision_strategy controls how matched rules combine';
+
+-- Every rule belongs to a ruleset; existing rules join the default one
+ALTER TABLE atd_fraud_rules ADD COLUMN IF NOT EXISTS ruleset TEXT NOT NULL DEFAULT 'default';
+CREATE INDEX IF NOT EXISTS idx_atd_fraud_rules_ruleset ON atd_fraud_rules(ruleset, priority);
+
+-- worst_case preserves the pre-existing block > review > allow behavior
+INSERT INTO atd_rulesets (name, decision_strategy, description)
+VALUES ('default', 'worst_case', 'Default production ruleset')
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,17 @@
+-- migrations/012_rule_lifecycle.sql
+-- Shadow lifecycle: rules evaluated on live traffic whose decisions are recorded, not enforced
+-- Created: 2026-10-19
+
+ALTER TABLE atd_fraud_rules ADD COLUMN IF NOT EXISTS lifecycle TEXT NOT NULL DEFAULT 'active';
+
+ALTER TABLE atd_fraud_rules DROP CONSTRAINT IF EXISTS lifecycle_check;
+ALTER TABLE atd_fraud_rules ADD CONSTRAINT lifecycle_check CHECK (lifecycle IN ('active', 'shadow'));
+
+COMMENT ON COLUMN atd_fraud_rules.lifecycle IS
+  'active rules decide; shadow rules only record what they would have decided in fraud_engine_output.shadow';
+
+CREATE INDEX IF NOT EXISTS idx_atd_fraud_rules_shadow ON atd_fraud_rules(id) WHERE lifecycle = 'shadow';
+
+-- Shadow comparison report scans a time window of evaluations that carried shadow results
+CREATE INDEX IF NOT EXISTS idx_atd_transactions_shadow_ts ON atd_transactions(timestamp DESC)
+  WHERE fraud_engine_output ? 'shadow';
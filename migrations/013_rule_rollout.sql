@@ -0,0 +1,29 @@
+-- migrations/013_rule_rollout.sql
+-- Percentage rollout (canary): a rule decides for a deterministic slice of traffic
+-- Created: 2026-10-19
+
+ALTER TABLE atd_fraud_rules ADD COLUMN IF NOT EXISTS rollout_percentage NUMERIC(5, 2) NOT NULL DEFAULT 100;
+ALTER TABLE atd_fraud_rules ADD COLUMN IF NOT EXISTS rollout_key TEXT NOT NULL DEFAULT 'user_id';
+
+ALTER TABLE atd_fraud_rules DROP CONSTRAINT IF EXISTS rollout_percentage_check;
+ALTER TABLE atd_fraud_rules ADD CONSTRAINT rollout_percentage_check
+  CHECK (rollout_percentage >= 0 AND rollout_percentage <= 100);
+
+ALTER TABLE atd_fraud_rules DROP CONSTRAINT IF EXISTS rollout_key_check;
+ALTER TABLE atd_fraud_rules ADD CONSTRAINT rollout_key_check CHECK (rollout_key IN ('user_id', 'agent_id'));
+
+COMMENT ON COLUMN atd_fraud_rules.rollout_percentage IS
+  'Share of traffic (by hashed rollout_key) the rule decides for; the rest records it like a shadow rule';
+COMMENT ON COLUMN atd_fraud_rules.rollout_key IS 'Transaction field hashed for rollout bucketing (user_id or agent_id)';
+
+-- fr.* is expanded when the view is created; recreate it so lifecycle and rollout columns show up
+DROP VIEW IF EXISTS fraud_rules_view;
+CREATE VIEW fraud_rules_view AS
+SELECT
+    fr.*,
+    creator.name as created_by_name,
+    approver.name as approved_by_name
+FROM atd_fraud_rules fr
+LEFT JOIN atd_profiles creator ON fr.created_by = creator.user_id
+LEFT JOIN atd_profiles approver ON fr.approved_by = approver.user_id
+ORDER BY fr.priority;
@@ -0,0 +1,39 @@
+-- migrations/014_rule_rollbacks.sql
+-- Rule version history and two-person rollback requests
+-- Created: 2026-10-19
+
+-- Columns the apply/rollback routes record on every version (missing from the atd_ setup scripts)
+ALTER TABLE atd_rule_versions ADD COLUMN IF NOT EXISTS change_type TEXT;
+ALTER TABLE atd_rule_versions ADD COLUMN IF NOT EXISTS rule_fingerprint VARCHAR(64);
+ALTER TABLE atd_rule_versions ADD COLUMN IF NOT EXISTS approval_notes TEXT;
+ALTER TABLE atd_rule_versions ADD COLUMN IF NOT EXISTS suggestion_id TEXT;
+ALTER TABLE atd_rule_versions ALTER COLUMN expected_impact TYPE TEXT USING expected_impact::text;
+
+ALTER TABLE atd_rule_versions DROP CONSTRAINT IF EXISTS change_type_check;
+ALTER TABLE atd_rule_versions ADD CONSTRAINT change_type_check
+  CHECK (change_type IN ('created', 'updated', 'disabled', 'enabled', 'deleted', 'rolled_back'));
+
+-- Rollback requests: requested by one analyst, approved or rejected by another
+CREATE TABLE IF NOT EXISTS atd_rule_rollbacks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rule_id TEXT NOT NULL,
+  from_version INTEGER NOT NULL,    -- latest version when requested; approval fails if it moved
+  target_version INTEGER NOT NULL,
+  requested_by TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  diff JSONB,                       -- current rule -> restored rule, as reviewed
+  status TEXT NOT NULL DEFAULT 'pending',
+  approved_by TEXT,                 -- approver, or reviewer who rejected
+  approval_notes TEXT,
+  applied_version INTEGER,          -- version recorded by the rollback
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  decided_at TIMESTAMPTZ,
+
+  CONSTRAINT rollback_status_check CHECK (status IN ('pending', 'approved', 'rejected')),
+  CONSTRAINT rollback_two_person CHECK (approved_by IS NULL OR status = 'rejected' OR approved_by <> requested_by)
+);
+
+CREATE INDEX IF NOT EXISTS idx_atd_rule_rollbacks_rule ON atd_rule_rollbacks(rule_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_atd_rule_rollbacks_pending ON atd_rule_rollbacks(created_at DESC) WHERE status = 'pending';
+
+COMMENT ON TABLE atd_rule_rollbacks IS 'Rule rollback requests awaiting two-person approval';
@@ -0,0 +1,23 @@
+-- migrations/015_rule_on_missing.sql
+-- Missing-data policy: what a rule does when its conditions depend on a missing or null field
+-- Created: 2026-10-19
+
+ALTER TABLE atd_fraud_rules ADD COLUMN IF NOT EXISTS on_missing TEXT NOT NULL DEFAULT 'fail';
+
+ALTER TABLE atd_fraud_rules DROP CONSTRAINT IF EXISTS on_missing_check;
+ALTER TABLE atd_fraud_rules ADD CONSTRAINT on_missing_check CHECK (on_missing IN ('fail', 'pass', 'review'));
+
+COMMENT ON COLUMN atd_fraud_rules.on_missing IS
+  'fail: no match, pass: match, review: match decided as review - when a condition field is missing or null';
+
+-- fr.* is expanded when the view is created; recreate it so on_missing shows up
+DROP VIEW IF EXISTS fraud_rules_view;
+CREATE VIEW fraud_rules_view AS
+SELECT
+    fr.*,
+    creator.name as created_by_name,
+    approver.name as approved_by_name
+FROM atd_fraud_rules fr
+LEFT JOIN atd_profiles creator ON fr.created_by = creator.user_id
+LEFT JOIN atd_profiles approver ON fr.approved_by = approver.user_id
+ORDER BY fr.priority;
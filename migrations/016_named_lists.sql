@@ -0,0 +1,52 @@
+-- migrations/016_named_lists.sql
+-- Named reference lists (allowlists/blocklists) used by in_list / not_in_list conditions
+-- Created: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS atd_named_lists (
+  name TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,
+  description TEXT,
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  version INTEGER NOT NULL DEFAULT 1,   -- bumped on every change; updates compare-and-set on it
+  created_by TEXT,
+  updated_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT named_list_name_check CHECK (name ~ '^[a-z][a-z0-9_]{2,63}$'),
+  CONSTRAINT named_list_kind_check CHECK (
+    kind IN ('seller', 'agent_id', 'agent_source', 'agent_scope', 'partner', 'url', 'hour')
+  ),
+  CONSTRAINT named_list_items_check CHECK (jsonb_typeof(items) = 'array')
+);
+
+COMMENT ON TABLE atd_named_lists IS 'Named lists rules reference by name ({"op": "in_list", "value": "risky_sellers"})';
+
+-- Append-only history: one row per create/update/delete (kept after the list is deleted)
+CREATE TABLE IF NOT EXISTS atd_named_list_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  list_name TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  change_type TEXT NOT NULL,
+  kind TEXT,
+  description TEXT,
+  items JSONB NOT NULL,               -- items after the change (empty once deleted)
+  diff JSONB,                         -- { added, removed }
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT named_list_change_type_check CHECK (change_type IN ('created', 'updated', 'deleted')),
+  UNIQUE (list_name, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_atd_named_list_versions_list ON atd_named_list_versions(list_name, version DESC);
+
+-- Lists previously hard-coded in the evaluation context and the risk scorer
+INSERT INTO atd_named_lists (name, kind, description, items, created_by, updated_by) VALUES
+  ('registered_agents', 'agent_id', 'Agents registered for delegated purchases', '["user_456_claude", "user_123_chatgpt"]', 'system', 'system'),
+  ('trusted_agent_sources', 'agent_source', 'Agent providers trusted by default', '["OpenAI", "Anthropic"]', 'system', 'system'),
+  ('approved_agent_scopes', 'agent_scope', 'Scopes agents may be granted', '["read", "write", "transact"]', 'system', 'system'),
+  ('allowed_hours_for_agent', 'hour', 'Hours of day agents may transact', '[0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23]', 'system', 'system'),
+  ('risky_sellers', 'seller', 'Sellers with a history of fraud', '["ShadyElectronics", "QuickLoanz"]', 'system', 'system'),
+  ('safe_partners', 'partner', 'Payment partners with a clean record', '["Stripe", "Amazon", "Shopify"]', 'system', 'system')
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,13 @@
+-- migrations/017_seller_url_projection.sql
+-- Project seller_url so dry-runs can evaluate matches_regex / URL operator rules
+-- Created: 2026-10-19
+
+ALTER TABLE atd_transactions_proj ADD COLUMN IF NOT EXISTS seller_url TEXT;
+
+-- Backfill from atd_transactions
+UPDATE atd_transactions_proj p
+SET seller_url = t.seller_url
+FROM atd_transactions t
+WHERE p.txn_id = t.txn_id::text
+  AND p.seller_url IS NULL
+  AND t.seller_url IS NOT NULL;
@@ -0,0 +1,30 @@
+-- migrations/018_amount_usd.sql
+-- Multi-currency: amount is in the transaction's currency, amount_usd is its USD value
+-- computed from the local FX rate table (src/lib/fxRates.json) at evaluation time
+-- Created: 2026-10-19
+
+ALTER TABLE atd_transactions ADD COLUMN IF NOT EXISTS amount_usd NUMERIC(14,2);
+
+COMMENT ON COLUMN atd_transactions.amount_usd IS
+  'amount converted to USD at evaluation time (NULL for older rows and currencies without a rate)';
+
+-- Projection needs the currency so dry-runs can report and convert per currency
+ALTER TABLE atd_transactions_proj ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE atd_transactions_proj ADD COLUMN IF NOT EXISTS amount_usd NUMERIC(14,2);
+
+CREATE INDEX IF NOT EXISTS idx_atd_proj_currency ON atd_transactions_proj(currency) WHERE currency IS NOT NULL;
+
+-- Backfill: USD rows are already in USD; other currencies are converted by the dry-run
+-- engine at current rates (currency.normalizeSampleAmounts)
+UPDATE atd_transactions
+SET amount_usd = amount
+WHERE amount_usd IS NULL
+  AND currency = 'USD';
+
+UPDATE atd_transactions_proj p
+SET
+  currency = t.currency,
+  amount_usd = t.amount_usd
+FROM atd_transactions t
+WHERE p.txn_id = t.txn_id::text
+  AND p.currency IS NULL;
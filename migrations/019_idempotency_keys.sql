@@ -0,0 +1,17 @@
+-- migrations/019_idempotency_keys.sql
+-- Idempotent /api/eval: a retry with the same Idempotency-Key (or client txn_id) returns
+-- the stored decision instead of evaluating and counting the transaction again
+-- Created: 2026-10-19
+
+ALTER TABLE atd_transactions ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+ALTER TABLE atd_transactions ADD COLUMN IF NOT EXISTS request_hash TEXT;
+
+COMMENT ON COLUMN atd_transactions.idempotency_key IS
+  'Idempotency-Key header (or client txn_id) of the request that created the row; NULL for non-idempotent requests';
+COMMENT ON COLUMN atd_transactions.request_hash IS
+  'SHA-256 of the canonical request body; a reused key with a different hash is rejected (409 IDEMPOTENCY_CONFLICT)';
+
+-- One row per key: retries are looked up by key
+CREATE UNIQUE INDEX IF NOT EXISTS idx_atd_transactions_idempotency_key
+  ON atd_transactions(idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
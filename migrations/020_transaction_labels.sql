@@ -0,0 +1,30 @@
+-- migrations/020_transaction_labels.sql
+-- Outcome labels: what happened to a transaction after the decision (chargeback,
+-- confirmed fraud, analyst cleared it, ...). Append-only; the latest label per
+-- transaction (by labeled_at) is its outcome. Dry-runs, overlap analysis and
+-- GET /rules/stats measure precision/recall against them.
+-- Created: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS atd_transaction_labels (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  txn_id TEXT NOT NULL,
+  outcome TEXT NOT NULL,
+  is_fraud BOOLEAN NOT NULL,
+  source TEXT NOT NULL,
+  labeled_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),   -- when the outcome became known
+  labeled_by TEXT,
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT transaction_label_outcome_check CHECK (
+    outcome IN ('chargeback', 'confirmed_fraud', 'account_takeover', 'analyst_cleared', 'customer_confirmed', 'dispute_won')
+  ),
+  CONSTRAINT transaction_label_source_check CHECK (
+    source IN ('analyst', 'chargeback_feed', 'processor', 'customer', 'system')
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_atd_transaction_labels_txn ON atd_transaction_labels(txn_id, labeled_at DESC);
+CREATE INDEX IF NOT EXISTS idx_atd_transaction_labels_labeled_at ON atd_transaction_labels(labeled_at DESC);
+
+COMMENT ON TABLE atd_transaction_labels IS 'Outcome labels per transaction (append-only history; latest by labeled_at wins)';
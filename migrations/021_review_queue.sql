@@ -0,0 +1,51 @@
+-- migrations/021_review_queue.sql
+-- Manual review queue: transactions with risk_decision 'review' are claimed and resolved
+-- (approve/decline) by analysts through /api/reviews. Review state lives on the
+-- transaction; every claim, reassignment and resolution is appended to atd_review_events.
+-- Created: 2026-10-19
+
+ALTER TABLE atd_transactions ADD COLUMN IF NOT EXISTS review_status TEXT;
+ALTER TABLE atd_transactions ADD COLUMN IF NOT EXISTS review_assigned_to TEXT;
+ALTER TABLE atd_transactions ADD COLUMN IF NOT EXISTS review_claimed_at TIMESTAMPTZ;
+ALTER TABLE atd_transactions ADD COLUMN IF NOT EXISTS review_resolution TEXT;
+ALTER TABLE atd_transactions ADD COLUMN IF NOT EXISTS review_notes TEXT;
+ALTER TABLE atd_transactions ADD COLUMN IF NOT EXISTS reviewed_by TEXT;
+ALTER TABLE atd_transactions ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+
+ALTER TABLE atd_transactions ADD CONSTRAINT transaction_review_status_check CHECK (
+  review_status IS NULL OR review_status IN ('pending', 'claimed', 'resolved')
+);
+ALTER TABLE atd_transactions ADD CONSTRAINT transaction_review_resolution_check CHECK (
+  review_resolution IS NULL OR review_resolution IN ('approve', 'decline')
+);
+
+COMMENT ON COLUMN atd_transactions.review_status IS
+  'Manual review state: pending -> claimed -> resolved (NULL when the engine did not ask for review)';
+
+-- Open queue, oldest first
+CREATE INDEX IF NOT EXISTS idx_atd_transactions_review_queue
+  ON atd_transactions(review_status, timestamp)
+  WHERE review_status IN ('pending', 'claimed');
+
+-- Backfill: transactions already waiting for review enter the queue as pending
+UPDATE atd_transactions
+SET review_status = 'pending'
+WHERE manual_review_required = TRUE
+  AND review_status IS NULL;
+
+CREATE TABLE IF NOT EXISTS atd_review_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  txn_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  actor TEXT,
+  assigned_to TEXT,
+  resolution TEXT,
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT review_event_action_check CHECK (action IN ('claimed', 'reassigned', 'resolved'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_atd_review_events_txn ON atd_review_events(txn_id, created_at);
+
+COMMENT ON TABLE atd_review_events IS 'Claim, reassignment and resolution history of manual reviews (append-only)';
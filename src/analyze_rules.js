@@ -0,0 +1,57 @@
+// src/analyze_rules.js
+// Stale and dead rule analysis over recent transactions
+// Usage: npm run analyze:rules -- [--days=30] [--json]
+
+import './loadEnv.js';
+import { analyzeRuleHealth, DEFAULT_HEALTH_WINDOW_DAYS, MAX_HEALTH_WINDOW_DAYS } from './lib/ruleHealth.js';
+
+function parseArgs(argv) {
+  const options = { days: DEFAULT_HEALTH_WINDOW_DAYS, json: false };
+  for (const arg of argv) {
+    if (arg === '--json') options.json = true;
+    else if (arg.startsWith('--days=')) options.days = Number(arg.slice('--days='.length));
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!Number.isInteger(options.days) || options.days < 1 || options.days > MAX_HEALTH_WINDOW_DAYS) {
+    throw new Error(`--days must be an integer between 1 and ${MAX_HEALTH_WINDOW_DAYS}`);
+  }
+  return options;
+}
+
+function printFindings(title, findings, describe) {
+  console.log(`\n${title} (${findings.length})`);
+  for (const finding of findings) {
+    console.log(`  [${finding.suggested_action}] ${finding.rule || finding.rule_id}: ${describe(finding)}`);
+  }
+}
+
+async function main() {
+  const { days, json } = parseArgs(process.argv.slice(2));
+  const until = new Date();
+  const since = new Date(until.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const report = await analyzeRuleHealth({ since, until });
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(`🔍 Analyzed ${report.rules_analyzed} enabled rules over ${report.transactions} transactions (last ${days}d)`);
+  if (report.truncated) console.log('⚠️  Transaction limit reached; older transactions in the window were not analyzed');
+  if (report.incomplete_transactions > 0) {
+    console.log(`⚠️  ${report.incomplete_transactions} transactions only record the deciding rule; demotions and merges are held back to monitor`);
+  }
+
+  printFindings('💤 Never matched', report.dead, finding => finding.reason);
+  printFindings('🪞 Covered by another rule', report.covered, finding => finding.reason);
+  printFindings('🔀 Overlapping', report.overlapping, finding => `overlaps ${finding.overlaps_with.rule || finding.overlaps_with.rule_id}; ${finding.reason}`);
+  printFindings('🚫 Unsatisfiable', report.unsatisfiable, finding => finding.reason);
+
+  console.log(`\n✅ ${report.summary.suggested_demotions} rule(s) suggested for demotion`);
+}
+
+main().catch(err => {
+  console.error('❌ Rule analysis failed:', err.message);
+  process.exit(1);
+});
@@ -1,15 +1,19 @@
 
+import { getEvaluationContext } from '../lib/conditionEvaluator.js';
+
 /**
  * Compute a robust risk score (0 = low risk, 100 = highest risk)
  * Applies industry-style logic across multiple fraud signals.
+ * Seller and partner lists are the named lists risky_sellers and safe_partners
+ * (editable via /api/lists); `lists` defaults to those of the current rule snapshot.
  */
-export function computeRiskScore(txn, userHistory = []) {
+export function computeRiskScore(txn, userHistory = [], lists = getEvaluationContext()) {
     let score = 0;
     const now = new Date(txn.timestamp);
   
-    // ---------- 1. Known high-risk countries/sellers (static config) ----------
+    // ---------- 1. Known high-risk countries (static config) / sellers (named list) ----------
     const riskyCountries = ['NG', 'RU', 'PK'];
-    const riskySellers = ['ShadyElectronics', 'QuickLoanz'];
+    const riskySellers = lists.risky_sellers || [];
   
     if (txn.country && riskyCountries.includes(txn.country)) score += 20;
     if (riskySellers.includes(txn.seller_name)) score += 20;
@@ -39,8 +43,8 @@ export function computeRiskScore(txn, userHistory = []) {
       score += 8;
     }
   
-    // ---------- 6. Known good partners → small deduction ----------
-    const safePartners = ['Stripe', 'Amazon', 'Shopify'];
+    // ---------- 6. Known good partners (named list) → small deduction ----------
+    const safePartners = lists.safe_partners || [];
     if (safePartners.includes(txn.partner)) score -= 5;
   
     // ---------- 7. History consistency (many safe txns before) ----------
@@ -3,7 +3,6 @@ import './loadEnv.js'; // <-- MUST be first
 import express from 'express';
 import cors from 'cors';
 import path from 'path';
-import { supabase } from './dbClient.js';
 // import { generateTransaction } from './synthetic_generator.js';
 import { v4 as uuidv4 } from 'uuid';
 import rulesRouter from './routes/rules.js';
@@ -11,67 +10,188 @@ import userRouter from './routes/user.js';
 import ruleSuggestRouter from './routes/ruleSuggest.js';
 import ruleApplyRouter from './routes/ruleApply.js';
 import ruleDryRunRouter from './routes/ruleDryRun.js';
-import { runFraudCheckAndPersist } from './lib/fraudEngineWrapper.js';
+import rulePerformanceRouter from './routes/rulePerformance.js';
+import listsRouter from './routes/lists.js';
+import evalBatchRouter, { BATCH_BODY_LIMIT } from './routes/evalBatch.js';
+import labelsRouter from './routes/labels.js';
+import reviewsRouter from './routes/reviews.js';
+import { runFraudCheck, runFraudCheckAndPersist } from './lib/fraudEngineWrapper.js';
 import { generateTransaction } from './generateTransaction.js';
+import { getStore, setStore } from './lib/store.js';
+import { setLLMClient } from './lib/llmClient.js';
+import { notifyRulesChanged } from './lib/ruleEvents.js';
+import { recordRuleVersion, snapshotRule } from './lib/ruleVersions.js';
+import { ON_MISSING_POLICIES } from './lib/conditionEvaluator.js';
+import { validateTransactionInput, prepareTransaction } from './lib/transactionInput.js';
+import { IDEMPOTENCY_HEADER, resolveIdempotency, findIdempotentResult } from './lib/idempotency.js';
+
+/**
+ * Build the Express app around a store
+ *
+ * @param {Object} options - { store, llm }
+ *   store: storage backend from createStore() (defaults to the environment's)
+ *   llm:   OpenAI-compatible client for rule suggestions (defaults to OpenAI)
+ * @returns {Object} Express app
+ */
+export function createApp({ store = getStore(), llm = null } = {}) {
+  setStore(store);
+  if (llm) setLLMClient(llm);
+
+  const app = express();
+  app.use(cors());
+  app.use(express.static('public'));
+  app.use('/api/eval/batch', express.json({ limit: BATCH_BODY_LIMIT }));
+  app.use(express.json());
+  app.use('/rules', rulesRouter);
+  app.use('/user', userRouter);
+  app.use('/api/rules', ruleSuggestRouter);
+  app.use('/api/rules', ruleApplyRouter);
+  app.use('/api/rules', ruleDryRunRouter);
+  app.use('/api/rules', rulePerformanceRouter);
+  app.use('/api/lists', listsRouter);
+  app.use('/api/eval', evalBatchRouter);
+  app.use('/api/labels', labelsRouter);
+  app.use('/api/reviews', reviewsRouter);
+
+  let userPool = [], userMap = {};
+
+  (async () => {
+    try {
+      const { data: users, error } = await store
+        .from('atd_profiles')
+        .select('user_id, name');
+
+      if (error) {
+        console.warn('⚠️  User load error (table may not exist):', error.message);
+        return;
+      }
+
+      if (users && Array.isArray(users)) {
+        users.forEach(u => {
+          userPool.push(u.user_id);
+          userMap[u.user_id] = u.name;
+        });
+        console.log('✅ Users loaded');
+      }
+    } catch (err) {
+      console.warn('⚠️  User load exception:', err.message);
+    }
+  })();
+
+  // Real-time streaming via SSE
+  app.get('/stream', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
 
+    const interval = setInterval(async () => {
+      try {
+        const txn = generateTransaction(userPool);
+        txn.txn_id = uuidv4(); // ensure no collisions
+        txn.timestamp = new Date().toISOString();
 
-const app = express();
-app.use(cors());
-app.use(express.static('public'));
-app.use(express.json());
-app.use('/rules', rulesRouter);
-app.use('/user', userRouter);
-app.use('/api/rules', ruleSuggestRouter);
-app.use('/api/rules', ruleApplyRouter);
-app.use('/api/rules', ruleDryRunRouter);
+        await runFraudCheckAndPersist(txn);
 
-let userPool = [], userMap = {};
+        const { data, error } = await store
+          .from('atd_transactions')
+          .select('*')
+          .eq('txn_id', txn.txn_id)
+          .single();
 
-(async () => {
-  try {
-    if (!supabase) {
-      console.warn('⚠️  Skipping user load (no Supabase client - expected in tests)');
-      return;
-    }
+        if (error) throw error;
 
-    const { data: users, error } = await supabase
-      .from('atd_profiles')
-      .select('user_id, name');
+        const enrichedTxn = {
+          ...data,
+          user_name: userMap[data.user_id] ?? 'N/A'
+        };
 
-    if (error) {
-      console.warn('⚠️  User load error (table may not exist):', error.message);
-      return;
-    }
+        res.write(`data: ${JSON.stringify(enrichedTxn)}\n\n`);
+      } catch (err) {
+        console.error('⚠️ Stream processing error:', err.message);
+      }
+    }, 1000);
 
-    if (users && Array.isArray(users)) {
-      users.forEach(u => {
-        userPool.push(u.user_id);
-        userMap[u.user_id] = u.name;
-      });
-      console.log('✅ Users loaded');
-    }
-  } catch (err) {
-    console.warn('⚠️  User load exception:', err.message);
-  }
-})();
-
-// Real-time streaming via SSE
-app.get('/stream', (req, res) => {
-  res.set({
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    Connection: 'keep-alive'
+    req.on('close', () => {
+      clearInterval(interval);
+      res.end();
+    });
   });
 
-  const interval = setInterval(async () => {
+  app.post('/api/eval', async (req, res) => {
     try {
-      const txn = generateTransaction(userPool);
-      txn.txn_id = uuidv4(); // ensure no collisions
-      txn.timestamp = new Date().toISOString();
+      const explain = req.query.explain === 'true';
+
+      if (req.query.persist !== undefined && !['true', 'false'].includes(req.query.persist)) {
+        return res.status(400).json({ error: 'persist must be "true" or "false"', code: 'INVALID_INPUT', field: 'persist' });
+      }
+      // ?persist=false evaluates only: nothing is written, and a client timestamp is honored
+      // so saved samples can be replayed as of their time
+      const persist = req.query.persist !== 'false';
+
+      const check = validateTransactionInput(req.body, { allowTimestamp: !persist });
+      if (!check.valid) {
+        const { valid, ...body } = check;
+        return res.status(400).json(body);
+      }
+
+      const idempotency = resolveIdempotency(req.body, req.get(IDEMPOTENCY_HEADER));
+      if (!idempotency.valid) {
+        const { valid, ...body } = idempotency;
+        return res.status(400).json(body);
+      }
+
+      // A retry gets the stored row back, even if rules changed since the first attempt
+      const sendPrevious = previous => {
+        if (previous.status === 'conflict') {
+          return res.status(409).json({
+            error: 'Idempotency key was already used for a different transaction',
+            code: 'IDEMPOTENCY_CONFLICT',
+            field: req.get(IDEMPOTENCY_HEADER) !== undefined ? IDEMPOTENCY_HEADER : 'txn_id',
+            txn_id: idempotency.txn_id
+          });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.json({
+          ...previous.row,
+          user_name: userMap[previous.row.user_id] ?? 'N/A',
+          persisted: true,
+          idempotent_replay: true
+        });
+      };
+
+      if (persist && idempotency.key) {
+        const previous = await findIdempotentResult(idempotency);
+        if (previous.status !== 'new') return sendPrevious(previous);
+      }
+
+      const txn = prepareTransaction(req.body, { txnId: idempotency.txn_id ?? uuidv4(), allowTimestamp: !persist });
+
+      if (!persist) {
+        const { transaction } = await runFraudCheck(txn, undefined, { explain });
+        return res.json({
+          ...transaction,
+          user_name: userMap[transaction.user_id] ?? 'N/A',
+          persisted: false,
+          idempotent_replay: false
+        });
+      }
+
+      // ?explain=true stores a per-condition trace in fraud_engine_output.trace
+      const persisted = await runFraudCheckAndPersist(txn, undefined, {
+        explain,
+        idempotency: idempotency.key ? { key: idempotency.key, request_hash: idempotency.request_hash } : null
+      });
 
-      await runFraudCheckAndPersist(txn);
+      // A concurrent request with the same key inserted the row first
+      if (persisted.duplicate) {
+        const previous = await findIdempotentResult(idempotency);
+        if (previous.status === 'new') throw new Error('Idempotent transaction was claimed but cannot be found');
+        return sendPrevious(previous);
+      }
 
-      const { data, error } = await supabase
+      const { data, error } = await store
         .from('atd_transactions')
         .select('*')
         .eq('txn_id', txn.txn_id)
@@ -79,132 +199,107 @@ app.get('/stream', (req, res) => {
 
       if (error) throw error;
 
-      const enrichedTxn = {
+      res.json({
         ...data,
-        user_name: userMap[data.user_id] ?? 'N/A'
-      };
+        user_name: userMap[data.user_id] ?? 'N/A',
+        persisted: true,
+        idempotent_replay: false
+      });
 
-      res.write(`data: ${JSON.stringify(enrichedTxn)}\n\n`);
     } catch (err) {
-      console.error('⚠️ Stream processing error:', err.message);
+      console.error('❌ Eval error:', err.message);
+      res.status(500).json({ error: err.message });
     }
-  }, 1000);
-
-  req.on('close', () => {
-    clearInterval(interval);
-    res.end();
   });
-});
-
-app.post('/api/eval', async (req, res) => {
-  try {
-    const txn = req.body;
 
-    const requiredFields = ['user_id', 'agent_id', 'amount', 'currency'];
-    const missingFields = requiredFields.filter(field => !txn[field]);
+  // Optional: leave this or remove if not used
+  app.get('/rules/test', (req, res) => {
+    res.sendFile(path.join(process.cwd(), 'public/debug.html'));
+  });
 
-    if (missingFields.length > 0) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        missingFields
-      });
+  app.post('/api/rules', async (req, res) => {
+    const rule = req.body;
+    if (!rule || !rule.id || !Array.isArray(rule.conditions)) {
+      return res.status(400).json({ error: 'Invalid rule payload' });
     }
-
-    if (typeof txn.user_id !== 'string' ||
-        typeof txn.agent_id !== 'string' ||
-        typeof txn.amount !== 'number' ||
-        typeof txn.currency !== 'string') {
-      return res.status(400).json({
-        error: 'Invalid field types',
-        expected: {
-          user_id: 'string',
-          agent_id: 'string',
-          amount: 'number',
-          currency: 'string'
-        }
-      });
+    if (rule.on_missing !== undefined && !ON_MISSING_POLICIES.includes(rule.on_missing)) {
+      return res.status(400).json({ error: `on_missing must be one of: ${ON_MISSING_POLICIES.join(', ')}`, field: 'on_missing' });
     }
 
-    if (txn.amount <= 0) {
-      return res.status(400).json({ error: 'Amount must be positive' });
-    }
+    // on_missing is optional: left unchanged when the payload omits it
+    const changes = {
+      rule: rule.rule,
+      decision: rule.decision,
+      conditions: rule.conditions,
+      category: rule.category,
+      ...(rule.on_missing !== undefined && { on_missing: rule.on_missing })
+    };
 
-    txn.txn_id = uuidv4();
-    txn.timestamp = new Date().toISOString();
+    const { data: before } = await store
+      .from('atd_fraud_rules')
+      .select('*')
+      .eq('id', rule.id)
+      .maybeSingle();
+
+    const { data, error } = await store
+      .from('atd_fraud_rules')
+      .update(changes)
+      .eq('id', rule.id);
+
+    if (error) return res.status(500).json({ error: error.message });
+
+    if (before) {
+      const after = snapshotRule({ ...before, ...changes });
+      try {
+        await recordRuleVersion({
+          rule_id: rule.id,
+          change_type: 'updated',
+          before,
+          after,
+          created_by: rule.updated_by || 'unknown'
+        });
+      } catch (err) {
+        // The edit is already saved; history just misses this step
+        console.error('❌ Version tracking error:', err.message);
+      }
+    }
 
-    await runFraudCheckAndPersist(txn);
+    await notifyRulesChanged({ reason: 'update', rule_id: rule.id });
+    res.json({ success: true, updated: data });
+  });
 
-    const { data, error } = await supabase
-      .from('atd_transactions')
+  app.get('/api/samples', async (req, res) => {
+    const { data, error } = await store
+      .from('atd_sample_transactions')
       .select('*')
-      .eq('txn_id', txn.txn_id)
-      .single();
+      .order('created_at', { ascending: false });
+    if (error) return res.status(500).json({ error: error.message });
+    res.json(data);
+  });
 
-    if (error) throw error;
+  app.post('/api/samples', async (req, res) => {
+    const { name, description, txn } = req.body;
+    if (!name || !txn) {
+      return res.status(400).json({ error: 'Missing name or txn' });
+    }
 
-    res.json({
-      ...data,
-      user_name: userMap[data.user_id] ?? 'N/A'
-    });
+    const { error } = await store
+      .from('atd_sample_transactions')
+      .insert([{ name, description, txn }]);
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ success: true });
+  });
 
-  } catch (err) {
-    console.error('❌ Eval error:', err.message);
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// Optional: leave this or remove if not used
-app.get('/rules/test', (req, res) => {
-  res.sendFile(path.join(process.cwd(), 'public/debug.html'));
-});
-
-app.post('/api/rules', async (req, res) => {
-  const rule = req.body;
-  if (!rule || !rule.id || !Array.isArray(rule.conditions)) {
-    return res.status(400).json({ error: 'Invalid rule payload' });
-  }
-
-  const { data, error } = await supabase
-    .from('atd_fraud_rules')
-    .update({
-      rule: rule.rule,
-      decision: rule.decision,
-      conditions: rule.conditions,
-      category: rule.category
-    })
-    .eq('id', rule.id);
-
-  if (error) return res.status(500).json({ error: error.message });
-  res.json({ success: true, updated: data });
-});
-
-app.get('/api/samples', async (req, res) => {
-  const { data, error } = await supabase
-    .from('atd_sample_transactions')
-    .select('*')
-    .order('created_at', { ascending: false });
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
-});
-
-app.post('/api/samples', async (req, res) => {
-  const { name, description, txn } = req.body;
-  if (!name || !txn) {
-    return res.status(400).json({ error: 'Missing name or txn' });
-  }
-
-  const { error } = await supabase
-    .from('atd_sample_transactions')
-    .insert([{ name, description, txn }]);
-  if (error) return res.status(500).json({ error: error.message });
-  res.json({ success: true });
-});
-
-app.get('/api/rule-stats', async (req, res) => {
-  const { data, error } = await supabase.from('atd_rule_trigger_counts').select('*');
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
-});
+  app.get('/api/rule-stats', async (req, res) => {
+    const { data, error } = await store.from('atd_rule_trigger_counts').select('*');
+    if (error) return res.status(500).json({ error: error.message });
+    res.json(data);
+  });
+
+  return app;
+}
+
+const app = createApp();
 
 // Only start server if running as main module (not imported for tests)
 if (import.meta.url === `file://${process.argv[1]}`) {
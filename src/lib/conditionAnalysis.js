@@ -0,0 +1,502 @@
+// src/lib/conditionAnalysis.js
+// Static analysis of condition trees: the values a condition allows, as regions per field
+//
+// A leaf with a literal value is turned into the region of its field's values it matches:
+// an interval (> >= < <=), a set of allowed values (== in), excluded values (!= not_in),
+// or null only (is_null), on top of the field's domain in the feature catalog (numeric
+// range, integers, enum and boolean values). Regions intersect for conjunctions, and one
+// region can be tested for containing another. Leaves comparing against a field or
+// expression, named lists, and string operators (contains, regex, URL) have no region and
+// are left out, so a tree without contradictions may still never match.
+
+import { getGroupOperator } from './conditionTree.js';
+import { isValueExpression } from './valueExpressions.js';
+import { getFeature } from './ruleValidator.js';
+
+const LOWER_OPS = { '>': false, '>=': true };
+const UPPER_OPS = { '<': false, '<=': true };
+
+// Integer intervals up to this many values are enumerated when testing emptiness and containment
+const MAX_ENUMERATED_INTEGERS = 1000;
+
+const EMPTY_REGION = Object.freeze({ empty: true });
+
+// == null and in [null] follow the evaluator's strict typing rather than meaning is_null
+function isLiteral(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  return typeof value === 'string' ? `'${value}'` : JSON.stringify(value);
+}
+
+/**
+ * Human-readable form of a leaf condition
+ *
+ * @param {Object} leaf - { field, op, value }
+ * @returns {string} e.g. "amount > 1000"
+ */
+export function describeLeaf(leaf) {
+  if (leaf.op === 'is_null' || leaf.op === 'is_not_null') return `${leaf.field} ${leaf.op}`;
+  return `${leaf.field} ${leaf.op} ${formatValue(leaf.value)}`;
+}
+
+/**
+ * Region of every value a catalog field can take
+ *
+ * Amounts in the transaction's currency (currency_field) keep only the lower bound: the
+ * catalog range is in USD.
+ *
+ * @param {string} field - Catalog field name
+ * @returns {Object} Region
+ */
+export function domainRegion(field) {
+  const feature = getFeature(field);
+  const region = { lower: null, upper: null, integer: false, allowed: null, excluded: new Set() };
+  if (!feature) return region;
+
+  if (feature.type === 'integer' || feature.type === 'number') {
+    region.integer = feature.type === 'integer';
+    if (Array.isArray(feature.range)) {
+      region.lower = { value: feature.range[0], inclusive: true };
+      if (!feature.currency_field) region.upper = { value: feature.range[1], inclusive: true };
+    }
+  } else if (feature.type === 'enum') {
+    region.allowed = new Set(feature.values);
+  } else if (feature.type === 'boolean') {
+    region.allowed = new Set([true, false]);
+  }
+  return normalizeBounds(region);
+}
+
+/**
+ * Describe a catalog field's domain for findings
+ *
+ * @param {string} field - Catalog field name
+ * @returns {string|null} e.g. "hour is an integer in [0, 23]"
+ */
+export function describeDomain(field) {
+  const feature = getFeature(field);
+  if (!feature) return null;
+  if ((feature.type === 'integer' || feature.type === 'number') && Array.isArray(feature.range)) {
+    const [min, max] = feature.range;
+    return feature.currency_field
+      ? `${field} is at least ${min}`
+      : `${field} is ${feature.type === 'integer' ? 'an integer' : 'a number'} in [${min}, ${max}]`;
+  }
+  if (feature.type === 'enum') return `${field} is one of ${feature.values.join(', ')}`;
+  if (feature.type === 'boolean') return `${field} is true or false`;
+  return null;
+}
+
+// Integer bounds become inclusive integers, so 3 < hour means 4 <= hour
+function normalizeBounds(region) {
+  if (!region.integer) return region;
+  const { lower, upper } = region;
+  if (lower) region.lower = { value: lower.inclusive ? Math.ceil(lower.value) : Math.floor(lower.value) + 1, inclusive: true };
+  if (upper) region.upper = { value: upper.inclusive ? Math.floor(upper.value) : Math.ceil(upper.value) - 1, inclusive: true };
+  return region;
+}
+
+function tighterLower(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return b.value > a.value || (b.value === a.value && !b.inclusive) ? b : a;
+}
+
+function tighterUpper(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return b.value < a.value || (b.value === a.value && !b.inclusive) ? b : a;
+}
+
+function boundsEmpty({ lower, upper }) {
+  if (!lower || !upper) return false;
+  return lower.value > upper.value || (lower.value === upper.value && !(lower.inclusive && upper.inclusive));
+}
+
+function withinBounds(region, value) {
+  if (!region.lower && !region.upper) return true;
+  if (typeof value !== 'number') return false; // numeric comparisons fail on non-numbers
+  if (region.integer && !Number.isInteger(value)) return false;
+  const { lower, upper } = region;
+  if (lower && (value < lower.value || (value === lower.value && !lower.inclusive))) return false;
+  if (upper && (value > upper.value || (value === upper.value && !upper.inclusive))) return false;
+  return true;
+}
+
+function satisfies(region, value) {
+  if (region.empty) return false;
+  if (region.isNull) return value === null;
+  if (value === null) return false;
+  if (region.allowed && !region.allowed.has(value)) return false;
+  if (region.excluded.has(value)) return false;
+  return withinBounds(region, value);
+}
+
+// Every value of a region when there are finitely many, otherwise null
+function finiteValues(region) {
+  if (region.isNull) return [null];
+  if (region.allowed) return [...region.allowed].filter(value => satisfies(region, value));
+  if (region.integer && region.lower && region.upper && region.upper.value - region.lower.value < MAX_ENUMERATED_INTEGERS) {
+    const values = [];
+    for (let value = region.lower.value; value <= region.upper.value; value++) {
+      if (!region.excluded.has(value)) values.push(value);
+    }
+    return values;
+  }
+  return null;
+}
+
+/**
+ * Region a leaf condition matches within its field's domain
+ *
+ * @param {Object} leaf - { field, op, value }
+ * @returns {Object|null} Region, or null when the leaf cannot be analyzed
+ */
+export function leafRegion(leaf) {
+  if (!leaf || typeof leaf !== 'object' || typeof leaf.field !== 'string') return null;
+  const { op, value } = leaf;
+  if (isValueExpression(value)) return null;
+
+  const region = domainRegion(leaf.field);
+
+  if (op === 'is_null') return { isNull: true };
+  if (op === 'is_not_null') return region;
+
+  if (op in LOWER_OPS || op in UPPER_OPS) {
+    if (typeof value !== 'number') return null;
+    const bound = { value, inclusive: op in LOWER_OPS ? LOWER_OPS[op] : UPPER_OPS[op] };
+    if (op in LOWER_OPS) region.lower = tighterLower(region.lower, bound);
+    else region.upper = tighterUpper(region.upper, bound);
+    return normalizeBounds(region);
+  }
+
+  if (op === '==' || op === 'in') {
+    // A string `in` value names a list in the evaluation context
+    const values = op === '==' ? [value] : value;
+    if (!Array.isArray(values) || !values.every(isLiteral)) return null;
+    region.allowed = new Set(values.filter(v => !region.allowed || region.allowed.has(v)));
+    return region;
+  }
+
+  if (op === '!=' || op === 'not_in') {
+    const values = op === '!=' ? [value] : value;
+    if (!Array.isArray(values) || !values.every(isLiteral)) return null;
+    region.excluded = new Set(values);
+    return region;
+  }
+
+  return null;
+}
+
+/**
+ * Values both regions allow
+ *
+ * @param {Object} a - Region
+ * @param {Object} b - Region
+ * @returns {Object} Region
+ */
+export function intersectRegions(a, b) {
+  if (a.empty || b.empty) return EMPTY_REGION;
+  if (a.isNull || b.isNull) return a.isNull && b.isNull ? a : EMPTY_REGION;
+
+  let allowed = a.allowed || b.allowed;
+  if (a.allowed && b.allowed) allowed = new Set([...a.allowed].filter(value => b.allowed.has(value)));
+
+  return {
+    lower: tighterLower(a.lower, b.lower),
+    upper: tighterUpper(a.upper, b.upper),
+    integer: a.integer || b.integer,
+    allowed,
+    excluded: new Set([...a.excluded, ...b.excluded])
+  };
+}
+
+/**
+ * Whether a region allows no value at all
+ *
+ * @param {Object} region - Region
+ * @returns {boolean}
+ */
+export function isEmptyRegion(region) {
+  if (region.empty) return true;
+  if (region.isNull) return false;
+  if (boundsEmpty(region)) return true;
+  const values = finiteValues(region);
+  return values !== null && values.length === 0;
+}
+
+/**
+ * Whether every value of `inner` is also a value of `outer`
+ *
+ * @param {Object} outer - Region
+ * @param {Object} inner - Region
+ * @returns {boolean}
+ */
+export function regionContains(outer, inner) {
+  if (isEmptyRegion(inner)) return true;
+  if (outer.empty) return false;
+  if (outer.isNull || inner.isNull) return Boolean(outer.isNull && inner.isNull);
+
+  const values = finiteValues(inner);
+  if (values !== null) return values.every(value => satisfies(outer, value));
+
+  // Infinitely many values: outer must not restrict to a set, its bounds must be at
+  // least as wide, and each value it excludes must be outside inner too
+  if (outer.allowed) return false;
+  const { lower, upper } = outer;
+  if (lower && (!inner.lower || inner.lower.value < lower.value ||
+    (inner.lower.value === lower.value && inner.lower.inclusive && !lower.inclusive))) return false;
+  if (upper && (!inner.upper || inner.upper.value > upper.value ||
+    (inner.upper.value === upper.value && inner.upper.inclusive && !upper.inclusive))) return false;
+  return [...outer.excluded].every(value => !satisfies(inner, value));
+}
+
+/**
+ * Human-readable form of a region
+ *
+ * @param {string} field - Field name
+ * @param {Object} region - Region
+ * @returns {string} e.g. "amount in (500, 1000]", "device in ['web', 'mobile']"
+ */
+export function describeRegion(field, region) {
+  if (isEmptyRegion(region)) return `no value of ${field}`;
+  if (region.isNull) return `${field} is null`;
+
+  const parts = [];
+  const values = region.allowed ? finiteValues(region) : null;
+  if (values) {
+    parts.push(values.length === 1 ? `${field} == ${formatValue(values[0])}` : `${field} in [${values.map(formatValue).join(', ')}]`);
+  } else {
+    const { lower, upper } = region;
+    if (lower && upper) {
+      parts.push(`${field} in ${lower.inclusive ? '[' : '('}${lower.value}, ${upper.value}${upper.inclusive ? ']' : ')'}`);
+    } else if (lower) {
+      parts.push(`${field} ${lower.inclusive ? '>=' : '>'} ${lower.value}`);
+    } else if (upper) {
+      parts.push(`${field} ${upper.inclusive ? '<=' : '<'} ${upper.value}`);
+    }
+    const excluded = [...region.excluded].filter(value => withinBounds(region, value));
+    if (excluded.length > 0) parts.push(`${field} not in [${excluded.map(formatValue).join(', ')}]`);
+  }
+  return parts.length > 0 ? parts.join(' and ') : `${field} is present`;
+}
+
+function joinLeaves(leaves) {
+  const described = leaves.map(describeLeaf);
+  return described.length === 1 ? described[0] : `${described.slice(0, -1).join(', ')} and ${described.at(-1)}`;
+}
+
+// Smallest explanation of why adding a leaf emptied its field's region
+function explainConflict(field, earlier, leaf, region) {
+  if (isEmptyRegion(region)) {
+    const domain = describeDomain(field);
+    return {
+      reason: `${describeLeaf(leaf)} can never hold${domain ? ` (${domain})` : ''}`,
+      conditions: [leaf]
+    };
+  }
+  const single = earlier.find(other => isEmptyRegion(intersectRegions(other.region, region)));
+  if (single) {
+    return { reason: `${describeLeaf(single.leaf)} and ${describeLeaf(leaf)} cannot both hold`, conditions: [single.leaf, leaf] };
+  }
+  const conditions = [...earlier.map(entry => entry.leaf), leaf];
+  return { reason: `${joinLeaves(conditions)} cannot all hold`, conditions };
+}
+
+/**
+ * Split a conjunction (a conditions array or an `all` group) into its analyzable leaves,
+ * any groups, and whether anything was left out (not groups, unanalyzable leaves)
+ *
+ * @param {Array} nodes - Condition nodes combined with AND
+ * @returns {Object} { leaves: [{ leaf, region }], alternatives: [nodes], exact }
+ */
+export function collectConjunction(nodes) {
+  const result = { leaves: [], alternatives: [], exact: true };
+
+  const visit = (list) => {
+    for (const node of list) {
+      switch (getGroupOperator(node)) {
+        case 'all':
+          if (Array.isArray(node.all)) visit(node.all);
+          else result.exact = false;
+          break;
+        case 'any':
+          if (Array.isArray(node.any)) result.alternatives.push(node.any);
+          else result.exact = false;
+          break;
+        case 'not':
+          result.exact = false;
+          break;
+        default: {
+          const region = leafRegion(node);
+          if (region) result.leaves.push({ leaf: node, region });
+          else result.exact = false;
+        }
+      }
+    }
+  };
+
+  visit(nodes);
+  return result;
+}
+
+/**
+ * Region per field of a conjunction of leaves
+ *
+ * @param {Array} leaves - [{ leaf, region }] from collectConjunction
+ * @returns {Object} { regions: Map field -> region, conflicts: [{ field, reason, conditions }] }
+ */
+export function foldRegions(leaves) {
+  const applied = new Map();
+  const regions = new Map();
+  const conflicts = [];
+
+  for (const entry of leaves) {
+    const { field } = entry.leaf;
+    if (conflicts.some(conflict => conflict.field === field)) continue;
+
+    const earlier = applied.get(field) || [];
+    const region = regions.has(field) ? intersectRegions(regions.get(field), entry.region) : entry.region;
+    if (isEmptyRegion(region)) {
+      conflicts.push({ field, ...explainConflict(field, earlier, entry.leaf, entry.region) });
+    }
+    regions.set(field, region);
+    applied.set(field, [...earlier, entry]);
+  }
+
+  return { regions, conflicts };
+}
+
+function checkConjunction(nodes, inherited) {
+  const { leaves, alternatives } = collectConjunction(nodes);
+  const { conflicts } = foldRegions([...inherited, ...leaves]);
+  if (conflicts.length > 0) return conflicts;
+
+  const contradictions = [];
+  for (const branches of alternatives) {
+    if (branches.length === 0) {
+      contradictions.push({ field: null, reason: 'an empty any group never matches', conditions: [] });
+      continue;
+    }
+
+    const results = branches.map(branch => checkConjunction(Array.isArray(branch) ? branch : [branch], [...inherited, ...leaves]));
+    if (results.every(result => result.length > 0)) {
+      contradictions.push({
+        field: null,
+        reason: `none of the ${branches.length} alternatives of an any group can match`,
+        conditions: [],
+        alternatives: results
+      });
+    }
+  }
+
+  return contradictions;
+}
+
+/**
+ * Find conditions of a rule that can never all hold
+ *
+ * Leaves of a conjunction (the top-level array and nested `all` groups) are intersected per
+ * field; an `any` group contradicts when every alternative does (each checked together
+ * with the enclosing conjunction). `not` groups are not analyzed.
+ *
+ * @param {Array} conditions - Rule conditions (implicit all)
+ * @returns {Array} [{ field, reason, conditions, alternatives? }] - empty when no
+ *   contradiction was found (the rule may still never match; see the module comment)
+ */
+export function findContradictions(conditions) {
+  if (!Array.isArray(conditions)) return [];
+  return checkConjunction(conditions, []);
+}
+
+/**
+ * Whether a rule's on_missing policy (pass, review) matches when conditions are unknown
+ *
+ * Such a rule can match even when its conditions contradict: on a transaction missing
+ * the conflicting field.
+ *
+ * @param {Object} rule - Rule with optional on_missing
+ * @returns {boolean}
+ */
+export function matchesOnMissing(rule) {
+  return Boolean(rule?.on_missing) && rule.on_missing !== 'fail';
+}
+
+/**
+ * Region a rule matches: the intersection of its conjunction's leaves per field
+ *
+ * The regions over-approximate the rule's matches when something was left out (any and
+ * not groups, unanalyzable leaves); `exact` says nothing was. A rule whose on_missing
+ * policy matches on unknown conditions is not analyzable.
+ *
+ * @param {Object} rule - Rule with conditions and optional on_missing
+ * @returns {Object} { analyzable, exact, empty, regions: Map field -> region }
+ */
+export function ruleRegion(rule) {
+  const conditions = rule?.conditions || rule?.condition;
+  if (!Array.isArray(conditions) || matchesOnMissing(rule)) {
+    return { analyzable: false, exact: false, empty: false, regions: new Map() };
+  }
+
+  const { leaves, alternatives, exact } = collectConjunction(conditions);
+  const { regions, conflicts } = foldRegions(leaves);
+  return {
+    analyzable: true,
+    exact: exact && alternatives.length === 0,
+    empty: conflicts.length > 0,
+    regions
+  };
+}
+
+// Region of a field a rule does not constrain; null when the field may be missing,
+// which no constrained rule matches
+function unconstrainedRegion(field) {
+  return getFeature(field)?.nullability === 'not_null' ? domainRegion(field) : null;
+}
+
+/**
+ * Whether every transaction the inner rule matches is matched by the outer rule
+ *
+ * @param {Object} outer - ruleRegion result; must be exact
+ * @param {Object} inner - ruleRegion result
+ * @returns {boolean}
+ */
+export function ruleRegionContains(outer, inner) {
+  if (!outer.exact || outer.empty) return false;
+  for (const [field, region] of outer.regions) {
+    const innerRegion = inner.regions.get(field) ?? unconstrainedRegion(field);
+    if (!innerRegion || !regionContains(region, innerRegion)) return false;
+  }
+  return true;
+}
+
+/**
+ * Values per field both rules allow
+ *
+ * @param {Object} a - ruleRegion result
+ * @param {Object} b - ruleRegion result
+ * @returns {Object} { empty, regions: Map field -> region }
+ */
+export function intersectRuleRegions(a, b) {
+  const regions = new Map();
+  for (const field of new Set([...a.regions.keys(), ...b.regions.keys()])) {
+    const region = intersectRegions(a.regions.get(field) ?? domainRegion(field), b.regions.get(field) ?? domainRegion(field));
+    if (isEmptyRegion(region)) return { empty: true, regions: new Map([[field, region]]) };
+    regions.set(field, region);
+  }
+  return { empty: a.empty || b.empty, regions };
+}
+
+/**
+ * Human-readable form of per-field regions
+ *
+ * @param {Map} regions - field -> region
+ * @returns {string} e.g. "amount in (850, 1000] and device == 'web'"
+ */
+export function describeRegions(regions) {
+  const parts = [...regions].map(([field, region]) => describeRegion(field, region));
+  return parts.length > 0 ? parts.join(' and ') : 'every transaction';
+}
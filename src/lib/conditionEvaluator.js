@@ -0,0 +1,432 @@
+// src/lib/conditionEvaluator.js
+// Condition evaluator shared by production evaluation, dry-run, overlap and impact analysis
+//
+// Conditions are compiled once into predicate closures and cached, so every caller
+// evaluates a rule exactly the way production does. Compilation resolves operators
+// (from the operator registry), field names, named lists and value expressions
+// (field references and arithmetic, see valueExpressions.js) up front and turns `in`
+// lists into Sets. compileRuleSet() additionally shares identical conditions across
+// the rules of a snapshot: each is evaluated at most once per transaction.
+//
+// A conditions array is treated as immutable once evaluated (rule snapshots are frozen).
+// interpretConditions() is the uncompiled reference, kept for tests and benchmarks.
+//
+// Missing data: a leaf whose field is missing or null is unknown (null) rather than
+// false, except for is_null/is_not_null. Unknown propagates through groups (see
+// conditionTree.js), and a rule whose conditions end up unknown is settled by its
+// `on_missing` policy: 'fail' (default, no match), 'pass' (match) or 'review' (match,
+// decided as review whatever the rule's own decision).
+
+import { evaluateTree, getGroupOperator, traceTree } from './conditionTree.js';
+import { getOperator } from './operators.js';
+import { isValueExpression, compileValueExpression, evaluateValueExpression, describeValueExpression } from './valueExpressions.js';
+import { ruleDecision } from './decisionStrategy.js';
+
+export const ON_MISSING_POLICIES = ['fail', 'pass', 'review'];
+export const DEFAULT_ON_MISSING = 'fail';
+
+const NO_CONTEXT = Object.freeze({});
+const compiled = new WeakMap(); // conditions -> WeakMap(context -> predicate)
+let evaluationContext = NO_CONTEXT;
+
+// Memo states for shared conditions (0 = not evaluated yet for this transaction)
+const MEMO_FALSE = 1;
+const MEMO_TRUE = 2;
+const MEMO_UNKNOWN = 3;
+const MEMO_RESULTS = [undefined, false, true, null];
+
+/**
+ * Named values a condition may reference instead of a literal: the items of every named
+ * list (namedLists.js), by list name. `in_list` takes the name ("value": "risky_sellers");
+ * `in` / `not_in` still accept a list name in place of an array.
+ * Frozen so compiled predicates can be cached against it.
+ *
+ * @param {Array} lists - Named list rows ({ name, items })
+ * @returns {Object} Evaluation context
+ */
+export function buildEvaluationContext(lists = []) {
+  const context = {};
+  for (const list of lists) {
+    if (Array.isArray(list?.items)) context[list.name] = Object.freeze([...list.items]);
+  }
+  return Object.freeze(context);
+}
+
+/**
+ * The production evaluation context (the named lists of the current rule snapshot)
+ *
+ * @returns {Object} Evaluation context
+ */
+export function getEvaluationContext() {
+  return evaluationContext;
+}
+
+/**
+ * Replace the production evaluation context (the rule engine does on every snapshot load)
+ *
+ * @param {Object} context - Context from buildEvaluationContext()
+ */
+export function setEvaluationContext(context) {
+  evaluationContext = context;
+}
+
+/**
+ * Value a leaf compares against: a named context value, else the literal
+ */
+export function resolveConditionValue(cond, context = NO_CONTEXT) {
+  const named = typeof cond.value === 'string' && Object.hasOwn(context, cond.value);
+  return (named && context[cond.value]) || cond.value;
+}
+
+/**
+ * A rule's on_missing policy (unknown values fall back to the default)
+ *
+ * @param {Object} rule - Rule row
+ * @returns {string} 'fail', 'pass' or 'review'
+ */
+export function onMissingPolicy(rule) {
+  return ON_MISSING_POLICIES.includes(rule?.on_missing) ? rule.on_missing : DEFAULT_ON_MISSING;
+}
+
+/**
+ * Settle a rule's condition result into a match and decision
+ *
+ * @param {Object} rule - Rule row
+ * @param {boolean|null} result - Condition result; null when it depends on missing data
+ * @returns {Object} { matched, decision, missing_data } - decision is 'allow' when not matched
+ */
+export function resolveMatch(rule, result) {
+  if (result !== null) {
+    return { matched: result, decision: result ? ruleDecision(rule) : 'allow', missing_data: false };
+  }
+
+  switch (onMissingPolicy(rule)) {
+    case 'pass':
+      return { matched: true, decision: ruleDecision(rule), missing_data: true };
+    case 'review':
+      return { matched: true, decision: 'review', missing_data: true };
+    default:
+      return { matched: false, decision: 'allow', missing_data: true };
+  }
+}
+
+/**
+ * Compile a conditions array into a predicate
+ * Group semantics match evaluateTree: malformed groups and unknown operators never match.
+ *
+ * @param {Array} conditions - Array of condition nodes (implicit AND)
+ * @param {Object} context - Evaluation context, resolved at compile time
+ * @returns {Function} (txn) => true, false or null (depends on a missing field)
+ */
+export function compileConditions(conditions, context = NO_CONTEXT) {
+  if (!Array.isArray(conditions)) return never;
+
+  let byContext = compiled.get(conditions);
+  if (!byContext) {
+    byContext = new WeakMap();
+    compiled.set(conditions, byContext);
+  }
+
+  let predicate = byContext.get(context);
+  if (!predicate) {
+    const root = createCompiler(context).compile(conditions);
+    predicate = txn => root(txn, null);
+    byContext.set(context, predicate);
+  }
+  return predicate;
+}
+
+/**
+ * Compile the rules of a snapshot together
+ * Conditions (leaves or whole groups) that appear more than once across the rules are
+ * compiled once and memoized per transaction, so e.g. a shared `amount > 1000` check
+ * runs once no matter how many rules use it.
+ *
+ * @param {Array} rules - Rule rows
+ * @param {Object} context - Evaluation context (defaults to the production context)
+ * @returns {Object} { match(rule, txn, memo), newMemo(), stats }; match() returns true,
+ *   false or null like compileConditions; pass one newMemo() per transaction to every
+ *   match() call for that transaction
+ */
+export function compileRuleSet(rules, context = getEvaluationContext()) {
+  const conditionsOf = rule => rule.conditions || rule.condition;
+  const compiler = createCompiler(context, rules.map(conditionsOf));
+  const predicates = new Map(rules.map(rule => [rule, compiler.compile(conditionsOf(rule))]));
+  const slots = compiler.slots();
+
+  return {
+    match(rule, txn, memo = new Uint8Array(slots)) {
+      const predicate = predicates.get(rule);
+      if (predicate) return predicate(txn, memo);
+      return compileConditions(conditionsOf(rule), context)(txn);
+    },
+    newMemo: () => new Uint8Array(slots),
+    stats: { rules: rules.length, nodes: compiler.nodeCount(), shared: slots }
+  };
+}
+
+/**
+ * Build a compiler for one context
+ * With `shareAcross` (the conditions of every rule compiled together), nodes seen more
+ * than once get a memo slot and a single compiled closure.
+ */
+function createCompiler(context, shareAcross = null) {
+  const counts = new Map();
+  const shared = new Map(); // key -> memoized closure
+  let slotCount = 0;
+  let nodes = 0;
+
+  if (shareAcross) {
+    const count = node => {
+      const key = nodeKey(node);
+      counts.set(key, (counts.get(key) || 0) + 1);
+      for (const child of childNodes(node)) count(child);
+    };
+    for (const conditions of shareAcross) {
+      if (Array.isArray(conditions)) conditions.forEach(count);
+    }
+  }
+
+  const compileNode = (node) => {
+    nodes++;
+    if (!shareAcross) return compileShape(node);
+
+    const key = nodeKey(node);
+    if ((counts.get(key) || 0) < 2) return compileShape(node);
+    if (shared.has(key)) return shared.get(key);
+
+    const slot = slotCount++;
+    const inner = compileShape(node);
+    const memoized = (txn, memo) => {
+      const state = memo[slot];
+      if (state !== 0) return MEMO_RESULTS[state];
+      const result = inner(txn, memo);
+      memo[slot] = result === null ? MEMO_UNKNOWN : result ? MEMO_TRUE : MEMO_FALSE;
+      return result;
+    };
+    shared.set(key, memoized);
+    return memoized;
+  };
+
+  const compileShape = (node) => {
+    if (!node || typeof node !== 'object') return never;
+
+    switch (getGroupOperator(node)) {
+      case 'all':
+        return Array.isArray(node.all) ? allOf(node.all.map(compileNode)) : never;
+      case 'any':
+        return Array.isArray(node.any) ? anyOf(node.any.map(compileNode)) : never;
+      case 'not': {
+        // A malformed `not` must not turn into a match
+        if (!node.not || typeof node.not !== 'object' || Array.isArray(node.not)) return never;
+        const child = compileNode(node.not);
+        return (txn, memo) => {
+          const result = child(txn, memo);
+          return result === null ? null : !result;
+        };
+      }
+      default:
+        return compileLeaf(node, context);
+    }
+  };
+
+  return {
+    compile: conditions => (Array.isArray(conditions) ? allOf(conditions.map(compileNode)) : never),
+    slots: () => slotCount,
+    nodeCount: () => nodes
+  };
+}
+
+function compileLeaf(cond, context) {
+  const operator = getOperator(cond.op);
+  if (!operator) return never;
+
+  const { field } = cond;
+
+  // Right-hand side computed per transaction; unknown if it cannot be computed
+  if (operator.value !== 'none' && isValueExpression(cond.value)) {
+    const rhs = compileValueExpression(cond.value);
+    const { evaluate } = operator;
+    return txn => {
+      const actual = txn[field];
+      if (isMissing(actual)) return null;
+      const expected = rhs(txn);
+      return expected === null ? null : evaluate(actual, expected);
+    };
+  }
+
+  const expected = resolveConditionValue(cond, context);
+  if (unknownList(operator, expected)) return unknown;
+
+  const test = operator.compile(expected);
+  if (operator.value === 'none') return txn => test(txn[field]);
+
+  return txn => {
+    const actual = txn[field];
+    return isMissing(actual) ? null : test(actual);
+  };
+}
+
+// Three-valued, short-circuiting: see conditionTree.js
+function allOf(children) {
+  if (children.length === 1) return children[0];
+  return (txn, memo) => {
+    let result = true;
+    for (let i = 0; i < children.length; i++) {
+      const child = children[i](txn, memo);
+      if (child === false) return false;
+      if (child === null) result = null;
+    }
+    return result;
+  };
+}
+
+function anyOf(children) {
+  return (txn, memo) => {
+    let result = false;
+    for (let i = 0; i < children.length; i++) {
+      const child = children[i](txn, memo);
+      if (child === true) return true;
+      if (child === null) result = null;
+    }
+    return result;
+  };
+}
+
+function never() {
+  return false;
+}
+
+function unknown() {
+  return null;
+}
+
+function childNodes(node) {
+  switch (getGroupOperator(node)) {
+    case 'all': return Array.isArray(node.all) ? node.all : [];
+    case 'any': return Array.isArray(node.any) ? node.any : [];
+    case 'not': return node.not && typeof node.not === 'object' && !Array.isArray(node.not) ? [node.not] : [];
+    default: return [];
+  }
+}
+
+// Structural key: identical conditions get the same key regardless of property order
+function nodeKey(node) {
+  return JSON.stringify(canonical(node));
+}
+
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * Evaluate conditions array against a transaction
+ *
+ * Entries may be leaf conditions or nested all/any/not groups (see conditionTree.js)
+ *
+ * @param {Array} conditions - Array of condition nodes (implicit AND)
+ * @param {Object} txn - Transaction object
+ * @param {Object} context - Optional context object
+ * @returns {boolean} true if the condition tree matches, false otherwise (including when
+ *   the result depends on a missing field; use evaluateRule for on_missing policies)
+ */
+export function evaluateConditions(conditions, txn, context = NO_CONTEXT) {
+  return compileConditions(conditions, context)(txn) === true;
+}
+
+/**
+ * Evaluate conditions without compiling (reference implementation)
+ * Looks every operator up per leaf and transaction; use evaluateConditions instead.
+ *
+ * @param {Array} conditions - Array of condition nodes (implicit AND)
+ * @param {Object} txn - Transaction object
+ * @param {Object} context - Optional context object
+ * @returns {boolean|null} Same result as compileConditions
+ */
+export function interpretConditions(conditions, txn, context = NO_CONTEXT) {
+  return evaluateTree(conditions, cond => {
+    const operator = getOperator(cond.op);
+    if (!operator) return false;
+    if (operator.value === 'none') return operator.evaluate(txn[cond.field]);
+
+    const expected = comparedValue(cond, txn, context);
+    if (unknownList(operator, expected)) return null;
+    if (isMissing(txn[cond.field]) || (expected === null && isValueExpression(cond.value))) return null;
+    return operator.evaluate(txn[cond.field], expected);
+  });
+}
+
+// Right-hand side of a leaf for one transaction: an expression's result (null if it
+// cannot be computed), else the named context value or literal
+function comparedValue(cond, txn, context) {
+  return isValueExpression(cond.value)
+    ? evaluateValueExpression(cond.value, txn)
+    : resolveConditionValue(cond, context);
+}
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+// A list operator whose list is not in the context (deleted since the rule was validated)
+// cannot be decided: the condition is unknown and the rule's on_missing policy applies
+function unknownList(operator, expected) {
+  return operator.value === 'list' && !Array.isArray(expected);
+}
+
+/**
+ * Evaluate a single rule on a single transaction
+ *
+ * @param {Object} rule - Rule with conditions array
+ * @param {Object} txn - Transaction object
+ * @param {Object} context - Evaluation context (defaults to the production context)
+ * @returns {string} The rule's decision if it matches, else 'allow' (on_missing applied)
+ */
+export function evaluateRule(rule, txn, context = getEvaluationContext()) {
+  if (!rule) return 'allow';
+
+  const result = compileConditions(rule.conditions || rule.condition, context)(txn);
+  return resolveMatch(rule, result).decision;
+}
+
+/**
+ * Trace a conditions array (explain mode): every leaf with its actual value and result
+ *
+ * @param {Array} conditions - Array of condition nodes
+ * @param {Object} txn - Transaction object
+ * @param {Object} context - Evaluation context
+ * @returns {Object} { passed, nodes } (see traceTree); passed is null where a missing
+ *   field left the result unknown
+ */
+export function traceConditions(conditions, txn, context = NO_CONTEXT) {
+  return traceTree(conditions, cond => traceLeaf(cond, txn, context));
+}
+
+function traceLeaf(cond, txn, context) {
+  const comparedTo = comparedValue(cond, txn, context);
+  const operator = getOperator(cond.op);
+  const actual = txn[cond.field];
+  const expression = isValueExpression(cond.value);
+  const missing = operator && operator.value !== 'none' && (isMissing(actual) || (expression && comparedTo === null));
+  const missingList = operator && unknownList(operator, comparedTo);
+  const entry = {
+    field: cond.field,
+    op: cond.op,
+    value: cond.value,
+    actual: actual ?? null,
+    passed: missing || missingList ? null : operator ? operator.evaluate(actual, comparedTo) : false
+  };
+
+  if (missing) entry.missing = true;
+  if (missingList) entry.unknown_list = true;
+  if (expression) entry.expression = describeValueExpression(cond.value);
+
+  // Context lists (e.g. trusted_agent_sources) are compared by name, expressions by result;
+  // in_list conditions only name their list, which may hold thousands of items
+  if (comparedTo !== cond.value && operator?.value !== 'list') entry.compared_to = comparedTo;
+  return entry;
+}
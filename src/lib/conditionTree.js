@@ -0,0 +1,220 @@
+// src/lib/conditionTree.js
+// Boolean condition trees: leaf conditions combined with all/any/not groups
+//
+// A rule's `conditions` array is an implicit `all`. Each entry is either a
+// leaf ({ field, op, value }) or a group:
+//   { "all": [node, ...] }  - every child must match
+//   { "any": [node, ...] }  - at least one child must match
+//   { "not": node }         - the child must not match
+//
+// Evaluation is three-valued: a leaf may be `null` (unknown, e.g. its field is missing).
+// `all` is false if any child is false, `any` is true if any child is true, otherwise an
+// unknown child makes the group unknown; `not` keeps unknown unknown.
+
+export const GROUP_OPERATORS = ['all', 'any', 'not'];
+
+/**
+ * Get the group operator of a condition node
+ *
+ * @param {Object} node - Condition node
+ * @returns {string|null} 'all', 'any', 'not', or null for leaf conditions
+ */
+export function getGroupOperator(node) {
+  if (!node || typeof node !== 'object' || Array.isArray(node) || 'field' in node) {
+    return null;
+  }
+
+  return GROUP_OPERATORS.find(op => op in node) || null;
+}
+
+/**
+ * Check if a condition node is an all/any/not group
+ *
+ * @param {Object} node - Condition node
+ * @returns {boolean}
+ */
+export function isGroup(node) {
+  return getGroupOperator(node) !== null;
+}
+
+/**
+ * Evaluate a conditions array (implicit AND) using a leaf evaluator
+ *
+ * @param {Array} conditions - Array of condition nodes
+ * @param {Function} evaluateLeaf - (leaf) => true, false or null (unknown)
+ * @returns {boolean|null} true if the tree matches, null if that depends on an unknown leaf
+ */
+export function evaluateTree(conditions, evaluateLeaf) {
+  if (!Array.isArray(conditions)) {
+    return false;
+  }
+
+  return evaluateGroup(conditions, evaluateLeaf, false);
+}
+
+function evaluateNode(node, evaluateLeaf) {
+  if (!node || typeof node !== 'object') {
+    return false;
+  }
+
+  switch (getGroupOperator(node)) {
+    case 'all':
+      return Array.isArray(node.all) && evaluateGroup(node.all, evaluateLeaf, false);
+    case 'any':
+      return Array.isArray(node.any) && evaluateGroup(node.any, evaluateLeaf, true);
+    case 'not':
+      // A malformed `not` must not turn into a match
+      if (!node.not || typeof node.not !== 'object' || Array.isArray(node.not)) return false;
+      return negate(evaluateNode(node.not, evaluateLeaf));
+    default:
+      return evaluateLeaf(node);
+  }
+}
+
+// all (decisive = false) / any (decisive = true): stops at the first decisive child
+function evaluateGroup(children, evaluateLeaf, decisive) {
+  let result = !decisive;
+  for (const child of children) {
+    const childResult = evaluateNode(child, evaluateLeaf);
+    if (childResult === decisive) return decisive;
+    if (childResult === null) result = null;
+  }
+  return result;
+}
+
+/**
+ * Three-valued AND of child results
+ *
+ * @param {Array} results - true, false or null per child
+ * @returns {boolean|null}
+ */
+export function allOf(results) {
+  if (results.includes(false)) return false;
+  return results.includes(null) ? null : true;
+}
+
+/**
+ * Three-valued OR of child results
+ *
+ * @param {Array} results - true, false or null per child
+ * @returns {boolean|null}
+ */
+export function anyOf(results) {
+  if (results.includes(true)) return true;
+  return results.includes(null) ? null : false;
+}
+
+/**
+ * Three-valued NOT
+ *
+ * @param {boolean|null} result
+ * @returns {boolean|null}
+ */
+export function negate(result) {
+  return result === null ? null : !result;
+}
+
+/**
+ * Evaluate a conditions array and record the result of every node (explain mode)
+ * Unlike evaluateTree nothing short-circuits, so near-misses show every failing leaf.
+ *
+ * @param {Array} conditions - Array of condition nodes
+ * @param {Function} traceLeaf - (leaf) => { passed, ...details }; passed may be null (unknown)
+ * @returns {Object} { passed, nodes } - leaves carry traceLeaf output plus `path`;
+ *   groups carry { path, group, passed, children }
+ */
+export function traceTree(conditions, traceLeaf) {
+  if (!Array.isArray(conditions)) {
+    return { passed: false, nodes: [] };
+  }
+
+  const nodes = conditions.map((node, idx) => traceNode(node, `conditions[${idx}]`, traceLeaf));
+  return { passed: allOf(nodes.map(n => n.passed)), nodes };
+}
+
+function traceNode(node, path, traceLeaf) {
+  if (!node || typeof node !== 'object') {
+    return { path, passed: false, error: 'malformed condition' };
+  }
+
+  const group = getGroupOperator(node);
+  switch (group) {
+    case 'all':
+    case 'any': {
+      if (!Array.isArray(node[group])) return { path, group, passed: false, children: [] };
+      const children = node[group].map((child, idx) => traceNode(child, `${path}.${group}[${idx}]`, traceLeaf));
+      const passed = (group === 'all' ? allOf : anyOf)(children.map(c => c.passed));
+      return { path, group, passed, children };
+    }
+    case 'not': {
+      if (!node.not || typeof node.not !== 'object' || Array.isArray(node.not)) {
+        return { path, group, passed: false, children: [] };
+      }
+      const child = traceNode(node.not, `${path}.not`, traceLeaf);
+      return { path, group, passed: negate(child.passed), children: [child] };
+    }
+    default:
+      return { path, ...traceLeaf(node) };
+  }
+}
+
+/**
+ * Flatten a conditions array into its leaf conditions
+ *
+ * @param {Array} conditions - Array of condition nodes
+ * @returns {Array} [{ condition, path, negated }] - negated is true under an odd number of `not` groups
+ */
+export function collectLeaves(conditions) {
+  const leaves = [];
+  if (!Array.isArray(conditions)) return leaves;
+
+  const visit = (node, path, negated) => {
+    switch (getGroupOperator(node)) {
+      case 'all':
+      case 'any': {
+        const op = getGroupOperator(node);
+        if (!Array.isArray(node[op])) return;
+        node[op].forEach((child, idx) => visit(child, `${path}.${op}[${idx}]`, negated));
+        return;
+      }
+      case 'not':
+        visit(node.not, `${path}.not`, !negated);
+        return;
+      default:
+        if (node && typeof node === 'object' && !Array.isArray(node)) {
+          leaves.push({ condition: node, path, negated });
+        }
+    }
+  };
+
+  conditions.forEach((node, idx) => visit(node, `conditions[${idx}]`, false));
+  return leaves;
+}
+
+/**
+ * Compute nesting depth of a conditions array
+ * A flat array of leaves has depth 1; each all/any/not group adds one level.
+ *
+ * @param {Array} conditions - Array of condition nodes
+ * @returns {number} Maximum depth
+ */
+export function conditionDepth(conditions) {
+  if (!Array.isArray(conditions) || conditions.length === 0) return 0;
+
+  const depthOf = (node) => {
+    switch (getGroupOperator(node)) {
+      case 'all':
+      case 'any': {
+        const children = node[getGroupOperator(node)];
+        if (!Array.isArray(children) || children.length === 0) return 1;
+        return 1 + Math.max(...children.map(depthOf));
+      }
+      case 'not':
+        return 1 + depthOf(node.not);
+      default:
+        return 1;
+    }
+  };
+
+  return Math.max(...conditions.map(depthOf));
+}
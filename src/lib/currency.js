@@ -0,0 +1,178 @@
+// src/lib/currency.js
+// Currency normalization: transaction amounts converted to USD before evaluation
+//
+// `amount` is in the transaction's `currency`. evaluateTransaction adds `amount_usd` from a
+// locally configured FX rate table (fxRates.json, or the file named by FX_RATES_FILE), so
+// one threshold can hold across currencies. A currency without a rate gets a null
+// amount_usd: rules on it are unknown and their on_missing policy applies.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_RATES_FILE = path.join(__dirname, 'fxRates.json');
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+let fxTable = null;
+
+/**
+ * Read and check an FX rate table
+ *
+ * @param {string} file - JSON file: { base: 'USD', as_of, rates: { EUR: 1.08, ... } }
+ *   where each rate is the USD value of one unit
+ * @returns {Object} Frozen { base, as_of, rates }
+ */
+export function loadFxRates(file = process.env.FX_RATES_FILE || DEFAULT_RATES_FILE) {
+  let table;
+  try {
+    table = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error('Failed to load FX rates: ' + error.message);
+  }
+  return checkFxTable(table);
+}
+
+/**
+ * The FX rate table in use (loaded on first use)
+ *
+ * @returns {Object} { base, as_of, rates }
+ */
+export function getFxRates() {
+  if (!fxTable) fxTable = loadFxRates();
+  return fxTable;
+}
+
+/**
+ * Replace the FX rate table (null reloads it from the file on next use)
+ *
+ * @param {Object|null} table - { base, as_of, rates }
+ */
+export function setFxRates(table) {
+  fxTable = table ? checkFxTable(table) : null;
+}
+
+function checkFxTable(table) {
+  const rates = table?.rates;
+  if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+    throw new Error('Failed to load FX rates: "rates" must be an object of currency code -> USD rate');
+  }
+  if ((table.base ?? 'USD') !== 'USD' || rates.USD !== 1) {
+    throw new Error('Failed to load FX rates: rates must be quoted in USD (base "USD", USD rate 1)');
+  }
+
+  for (const [code, rate] of Object.entries(rates)) {
+    if (!CURRENCY_CODE.test(code) || typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      throw new Error(`Failed to load FX rates: invalid rate for "${code}"`);
+    }
+  }
+
+  return Object.freeze({ base: 'USD', as_of: table.as_of ?? null, rates: Object.freeze({ ...rates }) });
+}
+
+/**
+ * Currency codes with a rate
+ *
+ * @returns {Array<string>}
+ */
+export function supportedCurrencies() {
+  return Object.keys(getFxRates().rates);
+}
+
+/**
+ * Canonical form of a currency code (" eur" -> "EUR")
+ *
+ * @param {*} code - Currency code from a request
+ * @returns {string|null}
+ */
+export function normalizeCurrencyCode(code) {
+  return typeof code === 'string' && code.trim() !== '' ? code.trim().toUpperCase() : null;
+}
+
+/**
+ * USD value of one unit of a currency
+ *
+ * @param {string} currency - Currency code
+ * @returns {number|null} Rate, or null if the table has none
+ */
+export function fxRate(currency) {
+  const code = normalizeCurrencyCode(currency);
+  return code && Object.hasOwn(getFxRates().rates, code) ? getFxRates().rates[code] : null;
+}
+
+/**
+ * Convert an amount to USD (rounded to cents)
+ *
+ * @param {number} amount - Amount in `currency`
+ * @param {string} currency - Currency code
+ * @returns {number|null} USD amount, or null if amount or rate is missing
+ */
+export function toUsd(amount, currency) {
+  const rate = fxRate(currency);
+  if (rate === null || typeof amount !== 'number' || !Number.isFinite(amount)) return null;
+  return Math.round(amount * rate * 100) / 100;
+}
+
+/**
+ * Add amount_usd to a transaction in place (and canonicalize its currency code)
+ *
+ * @param {Object} txn - Transaction being evaluated
+ * @returns {Object} { currency, fx_rate, amount_usd, fx_as_of }
+ */
+export function normalizeAmount(txn) {
+  const currency = normalizeCurrencyCode(txn.currency);
+  if (currency) txn.currency = currency;
+
+  txn.amount_usd = toUsd(txn.amount, currency);
+  return {
+    currency,
+    fx_rate: fxRate(currency),
+    amount_usd: txn.amount_usd,
+    fx_as_of: getFxRates().as_of
+  };
+}
+
+/**
+ * Add amount_usd to historical transactions (dry-run samples)
+ * Rows that recorded amount_usd at evaluation time keep it; older rows are converted at
+ * today's rates.
+ *
+ * @param {Array} transactions - Transactions to normalize in place
+ * @returns {Array} The same array
+ */
+export function normalizeSampleAmounts(transactions) {
+  for (const txn of transactions || []) {
+    if (txn.amount_usd === undefined || txn.amount_usd === null) {
+      // Projection rows may carry NUMERIC columns as strings
+      txn.amount_usd = txn.amount === undefined || txn.amount === null ? null : toUsd(Number(txn.amount), txn.currency);
+    }
+  }
+  return transactions;
+}
+
+/**
+ * Dry-run impact per currency
+ *
+ * @param {Array} rows - [{ currency, matched, changed }], one per sampled transaction
+ * @returns {Object} { currency_breakdown: { EUR: { transactions, matches, changes } },
+ *   affected_currencies: currencies with at least one match or decision change }
+ */
+export function summarizeCurrencies(rows) {
+  const breakdown = {};
+  for (const { currency, matched, changed } of rows) {
+    const code = normalizeCurrencyCode(currency) || 'unknown';
+    breakdown[code] ||= { transactions: 0, matches: 0, changes: 0 };
+    breakdown[code].transactions++;
+    if (matched) breakdown[code].matches++;
+    if (changed) breakdown[code].changes++;
+  }
+
+  return {
+    currency_breakdown: breakdown,
+    affected_currencies: Object.keys(breakdown)
+      .filter(code => breakdown[code].matches > 0 || breakdown[code].changes > 0)
+      .sort()
+  };
+}
@@ -0,0 +1,123 @@
+// src/lib/decisionStrategy.js
+// Decision strategies: how matched rules combine into a final decision
+//
+// - first_match:          rules run in priority order; the first match decides (short-circuit)
+// - worst_case:           every rule runs; block > review > allow
+// - allowlist_overrides:  matching allow rules win outright; otherwise worst_case
+
+export const DECISION_STRATEGIES = ['first_match', 'worst_case', 'allowlist_overrides'];
+export const DEFAULT_DECISION_STRATEGY = 'worst_case';
+
+export const DECISION_SEVERITY = { allow: 0, review: 1, block: 2 };
+
+/**
+ * Normalize a rule's action/decision to allow/review/block
+ *
+ * @param {string} decision - Raw decision (legacy 'flag_review' is review)
+ * @returns {string|null} Normalized decision, or null if unknown
+ */
+export function normalizeDecision(decision) {
+  if (decision === 'flag_review') return 'review';
+  return decision in DECISION_SEVERITY ? decision : null;
+}
+
+/**
+ * Resolve a strategy name, falling back to the default for unknown values
+ *
+ * @param {string} strategy - Requested strategy
+ * @returns {string} A valid strategy name
+ */
+export function resolveStrategy(strategy) {
+  if (!strategy) return DEFAULT_DECISION_STRATEGY;
+  if (!DECISION_STRATEGIES.includes(strategy)) {
+    console.warn(`Unknown decision strategy "${strategy}", using ${DEFAULT_DECISION_STRATEGY}`);
+    return DEFAULT_DECISION_STRATEGY;
+  }
+  return strategy;
+}
+
+/**
+ * Sort rules by priority (lower number first, missing priority last)
+ * Ties keep their original order.
+ *
+ * @param {Array} rules - Rule rows
+ * @returns {Array} New sorted array
+ */
+export function sortByPriority(rules) {
+  const rank = rule => (Number.isFinite(Number(rule.priority)) && rule.priority !== null
+    ? Number(rule.priority)
+    : Infinity);
+
+  return rules
+    .map((rule, idx) => ({ rule, idx }))
+    .sort((a, b) => (rank(a.rule) - rank(b.rule)) || (a.idx - b.idx))
+    .map(({ rule }) => rule);
+}
+
+/**
+ * Decision a rule produces when it matches (unknown decisions count as review)
+ *
+ * @param {Object} rule - Rule row
+ * @returns {string} allow, review or block
+ */
+export function ruleDecision(rule) {
+  return normalizeDecision(rule.action || rule.decision) || 'review';
+}
+
+function worstCase(rules, matchRule, decisionOf) {
+  const triggered = rules.filter(rule => matchRule(rule));
+  let deciding = null;
+
+  for (const rule of triggered) {
+    if (!deciding || DECISION_SEVERITY[decisionOf(rule)] > DECISION_SEVERITY[decisionOf(deciding)]) {
+      deciding = rule;
+    }
+  }
+
+  return {
+    decision: deciding ? decisionOf(deciding) : 'allow',
+    triggered,
+    deciding_rule: deciding
+  };
+}
+
+/**
+ * Apply a decision strategy to a ruleset
+ *
+ * @param {Array} rules - Rules to evaluate
+ * @param {Function} matchRule - (rule) => boolean; only called for rules the strategy needs
+ * @param {string} strategy - One of DECISION_STRATEGIES
+ * @param {Function} decisionOf - (rule) => decision of a matched rule; defaults to
+ *   ruleDecision (the engine overrides it for rules routed to review on missing data)
+ * @returns {Object} { decision, triggered, deciding_rule, strategy }
+ */
+export function applyDecisionStrategy(rules, matchRule, strategy = DEFAULT_DECISION_STRATEGY, decisionOf = ruleDecision) {
+  const resolved = resolveStrategy(strategy);
+  const ordered = sortByPriority(rules);
+
+  switch (resolved) {
+    case 'first_match': {
+      for (const rule of ordered) {
+        if (matchRule(rule)) {
+          return { decision: decisionOf(rule), triggered: [rule], deciding_rule: rule, strategy: resolved };
+        }
+      }
+      return { decision: 'allow', triggered: [], deciding_rule: null, strategy: resolved };
+    }
+
+    case 'allowlist_overrides': {
+      const allowRules = ordered.filter(rule => ruleDecision(rule) === 'allow');
+      for (const rule of allowRules) {
+        if (matchRule(rule) && decisionOf(rule) === 'allow') {
+          return { decision: 'allow', triggered: [rule], deciding_rule: rule, strategy: resolved };
+        }
+      }
+      // Allow rules that matched but were routed to review compete like any other rule
+      const rest = ordered.filter(rule => ruleDecision(rule) !== 'allow' || (matchRule(rule) && decisionOf(rule) !== 'allow'));
+      return { ...worstCase(rest, matchRule, decisionOf), strategy: resolved };
+    }
+
+    default:
+      return { ...worstCase(ordered, matchRule, decisionOf), strategy: resolved };
+  }
+}
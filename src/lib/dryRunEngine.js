@@ -2,16 +2,12 @@
 // Dry-run engine for impact analysis (Sprint 2 Phase 2B)
 // Computes baseline vs proposed deltas using stratified sampling
 
-import { createClient } from '@supabase/supabase-js';
-import { evaluateConditions } from './ruleEngine.js';
-
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-let supabase = null;
-if (supabaseUrl && supabaseKey) {
-  supabase = createClient(supabaseUrl, supabaseKey);
-}
+import { evaluateRule } from './conditionEvaluator.js';
+import { getRuleSnapshot } from './ruleEngine.js';
+import { enrichSample } from './featureEnrichment.js';
+import { normalizeSampleAmounts, summarizeCurrencies } from './currency.js';
+import { fetchLatestLabels, computeLabelMetrics, MIN_LABELED_FOR_FP } from './outcomeLabels.js';
+import { getStore } from './store.js';
 
 /**
  * Stratified sampling from transactions_proj
@@ -21,11 +17,7 @@ if (supabaseUrl && supabaseKey) {
  * @returns {Promise<Array>} Array of transaction objects
  */
 export async function sampleTransactions(sampleSize = 50000) {
-  if (!supabase) {
-    console.warn('[sampleTransactions] No Supabase client (missing env vars)');
-    return [];
-  }
-
+  const store = getStore();
   const strataSizes = {
     recent: Math.floor(sampleSize * 0.3),      // 30% - most recent transactions
     weekend: Math.floor(sampleSize * 0.15),    // 15% - weekend transactions
@@ -38,7 +30,7 @@ export async function sampleTransactions(sampleSize = 50000) {
     const samples = [];
 
     // Strata 1: Recent (last 30 days)
-    const { data: recentData, error: recentError } = await supabase
+    const { data: recentData, error: recentError } = await store
       .from('atd_transactions_proj')
       .select('*')
       .gte('timestamp', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString())
@@ -49,7 +41,7 @@ export async function sampleTransactions(sampleSize = 50000) {
     if (recentData) samples.push(...recentData);
 
     // Strata 2: Weekend (hour 0-9 or 18-23, or Sat/Sun)
-    const { data: weekendData, error: weekendError } = await supabase
+    const { data: weekendData, error: weekendError } = await store
       .from('atd_transactions_proj')
       .select('*')
       .or('hour.lt.9,hour.gte.18')
@@ -60,7 +52,7 @@ export async function sampleTransactions(sampleSize = 50000) {
     if (weekendData) samples.push(...weekendData);
 
     // Strata 3: Flagged
-    const { data: flaggedData, error: flaggedError } = await supabase
+    const { data: flaggedData, error: flaggedError } = await store
       .from('atd_transactions_proj')
       .select('*')
       .eq('flagged', true)
@@ -71,7 +63,7 @@ export async function sampleTransactions(sampleSize = 50000) {
     if (flaggedData) samples.push(...flaggedData);
 
     // Strata 4: High-value (>$5k)
-    const { data: highValueData, error: highValueError } = await supabase
+    const { data: highValueData, error: highValueError } = await store
       .from('atd_transactions_proj')
       .select('*')
       .gte('amount', 5000)
@@ -83,7 +75,7 @@ export async function sampleTransactions(sampleSize = 50000) {
 
     // Strata 5: Random
     // Note: Supabase doesn't have RANDOM() out of box, use offset trick
-    const { count: totalCount } = await supabase
+    const { count: totalCount } = await store
       .from('atd_transactions_proj')
       .select('*', { count: 'exact', head: true });
 
@@ -94,7 +86,7 @@ export async function sampleTransactions(sampleSize = 50000) {
       ).sort((a, b) => a - b);
 
       for (const offset of randomOffsets) {
-        const { data: randomRow } = await supabase
+        const { data: randomRow } = await store
           .from('atd_transactions_proj')
           .select('*')
           .range(offset, offset)
@@ -110,6 +102,10 @@ export async function sampleTransactions(sampleSize = 50000) {
       new Map(samples.map(s => [s.txn_id, s])).values()
     );
 
+    // amount_usd and velocity features so rules referencing them can be dry-run
+    normalizeSampleAmounts(uniqueSamples);
+    enrichSample(uniqueSamples);
+
     console.log(`[sampleTransactions] Sampled ${uniqueSamples.length} unique transactions (target: ${sampleSize})`);
     console.log(`  Recent: ${recentData?.length || 0}, Weekend: ${weekendData?.length || 0}, Flagged: ${flaggedData?.length || 0}, High-value: ${highValueData?.length || 0}, Random: ${strataSizes.random}`);
 
@@ -121,24 +117,6 @@ export async function sampleTransactions(sampleSize = 50000) {
   }
 }
 
-/**
- * Evaluate a single rule on a single transaction
- *
- * @param {Object} rule - Rule object with conditions array
- * @param {Object} transaction - Transaction object
- * @returns {string} Decision: 'block', 'review', or 'allow'
- */
-export function evaluateRule(rule, transaction) {
-  // Use existing rule engine from ruleEngine.js
-  const matches = evaluateConditions(rule.conditions || [], transaction);
-
-  if (matches) {
-    return rule.decision || 'review'; // If rule matches, return rule's decision
-  }
-
-  return 'allow'; // If rule doesn't match, allow by default
-}
-
 /**
  * Compute decision rates from results array
  *
@@ -191,6 +169,8 @@ function getTopExamples(results, limit = 10) {
   return changed.slice(0, limit).map(r => ({
     txn_id: r.txn.txn_id,
     amount: r.txn.amount,
+    currency: r.txn.currency ?? null,
+    amount_usd: r.txn.amount_usd ?? null,
     device: r.txn.device,
     agent_id: r.txn.agent_id ? '[REDACTED]' : null, // PII stripping
     baseline: r.baseline_decision,
@@ -200,12 +180,15 @@ function getTopExamples(results, limit = 10) {
 }
 
 /**
- * Estimate false positive risk based on flagged transaction patterns
+ * Estimate false positive risk of the transactions a rule newly blocks or reviews
+ * With enough outcome labels among them, the rate is the share labeled legitimate;
+ * otherwise it falls back to the share not flagged.
  *
  * @param {Array} results - Evaluation results
+ * @param {Map} labels - Latest outcome label per txn_id
  * @returns {Object} FP risk estimate
  */
-function estimateFPRisk(results) {
+function estimateFPRisk(results, labels = new Map()) {
   const changedToBlockOrReview = results.filter(r =>
     r.baseline_decision === 'allow' &&
     (r.proposed_decision === 'block' || r.proposed_decision === 'review')
@@ -214,7 +197,13 @@ function estimateFPRisk(results) {
   const unflaggedCount = changedToBlockOrReview.filter(r => !r.txn.flagged).length;
   const totalChanged = changedToBlockOrReview.length;
 
-  const fpRate = totalChanged > 0 ? (unflaggedCount / totalChanged * 100).toFixed(2) : 0;
+  const labeled = changedToBlockOrReview.filter(r => labels.has(String(r.txn.txn_id)));
+  const legitCount = labeled.filter(r => !labels.get(String(r.txn.txn_id)).is_fraud).length;
+  const useLabels = labeled.length >= MIN_LABELED_FOR_FP;
+
+  let fpRate;
+  if (useLabels) fpRate = (legitCount / labeled.length * 100).toFixed(2);
+  else fpRate = totalChanged > 0 ? (unflaggedCount / totalChanged * 100).toFixed(2) : 0;
 
   let riskLevel = 'low';
   if (fpRate > 70) riskLevel = 'high';
@@ -223,18 +212,45 @@ function estimateFPRisk(results) {
   return {
     unflagged_caught: unflaggedCount,
     total_caught: totalChanged,
+    labeled_caught: labeled.length,
+    legit_caught: legitCount,
+    method: useLabels ? 'labels' : 'flagged_heuristic',
     fp_rate_estimate: fpRate,
     risk_level: riskLevel,
     warning: fpRate > 70 ? 'High false positive risk - rule may be too aggressive' : null
   };
 }
 
+/**
+ * Precision/recall of the current decisions, the rule alone, and both together
+ * against outcome labels
+ *
+ * @param {Array} results - Evaluation results
+ * @param {Map} labels - Latest outcome label per txn_id
+ * @returns {Object} { labeled, baseline, proposed, combined }
+ */
+function computeOutcomeMetrics(results, labels) {
+  const metricsFor = predicted => computeLabelMetrics(
+    results.map(r => ({ txn_id: r.txn.txn_id, predicted: predicted(r) })),
+    labels
+  );
+
+  const baseline = metricsFor(r => r.baseline_decision !== 'allow');
+  return {
+    labeled: baseline.labeled,
+    baseline,
+    proposed: metricsFor(r => r.proposed_decision !== 'allow'),
+    combined: metricsFor(r => r.baseline_decision !== 'allow' || r.proposed_decision !== 'allow')
+  };
+}
+
 /**
  * Run dry-run analysis for a proposed rule
  *
  * @param {Object} rule - Rule object with conditions and decision
  * @param {number} sampleSize - Sample size for analysis (default 50000)
- * @returns {Promise<Object>} Dry-run results with metrics and examples
+ * @returns {Promise<Object>} Dry-run results with metrics and examples; an empty sample
+ *   returns the same shape, zeroed, with a warning
  */
 export async function dryRunRule(rule, sampleSize = 50000) {
   console.log(`[dryRunRule] Starting dry-run for rule: ${rule.ruleset_name || 'unnamed'}`);
@@ -244,18 +260,12 @@ export async function dryRunRule(rule, sampleSize = 50000) {
     // 1. Get stratified sample
     const sample = await sampleTransactions(sampleSize);
 
-    if (sample.length === 0) {
-      return {
-        error: 'No transactions available for dry-run',
-        sample_size: 0
-      };
-    }
-
-    // 2. Evaluate rule on each transaction
+    // 2. Evaluate rule on each transaction (named lists as production sees them)
+    const { context } = await getRuleSnapshot();
     const results = sample.map(txn => ({
       txn: txn,
       baseline_decision: txn.decision || 'allow',
-      proposed_decision: evaluateRule(rule, txn)
+      proposed_decision: evaluateRule(rule, txn, context)
     }));
 
     // 3. Compute metrics
@@ -270,20 +280,33 @@ export async function dryRunRule(rule, sampleSize = 50000) {
     // 5. Get examples
     const examples = getTopExamples(results, 10);
 
-    // 6. Estimate FP risk
-    const fpRisk = estimateFPRisk(results);
+    // 6. Estimate FP risk and measure against outcome labels
+    const labels = await fetchLatestLabels(results.map(r => r.txn.txn_id));
+    const fpRisk = estimateFPRisk(results, labels);
+    const outcomeMetrics = computeOutcomeMetrics(results, labels);
+
+    // 7. Which currencies the rule touches
+    const currencies = summarizeCurrencies(results.map(r => ({
+      currency: r.txn.currency,
+      matched: r.proposed_decision !== 'allow',
+      changed: r.baseline_decision !== r.proposed_decision
+    })));
 
+    const rateOf = count => (results.length > 0 ? count / results.length * 100 : 0).toFixed(2);
     const result = {
       sample_size: results.length,
       matches: matches,
-      match_rate: (matches / results.length * 100).toFixed(2),
+      match_rate: rateOf(matches),
       changes: changes,
-      change_rate: (changes / results.length * 100).toFixed(2),
+      change_rate: rateOf(changes),
       baseline_rates: baseline,
       proposed_rates: proposed,
       deltas: deltas,
       sample_examples: examples,
       false_positive_risk: fpRisk,
+      label_metrics: outcomeMetrics,
+      ...currencies,
+      ...(results.length === 0 && { warning: 'No transactions available for dry-run' }),
       timestamp: new Date().toISOString()
     };
 
@@ -0,0 +1,307 @@
+// src/lib/featureEnrichment.js
+// Feature enrichment: velocity/aggregate features computed at evaluation time
+//
+// Aggregate features are declared in featureCatalog.json with an `aggregation` spec:
+//   { fn: 'count' | 'sum' | 'distinct' | 'median', group_by, field?, window_minutes, include_current? }
+// Windows are trailing and include the transaction being evaluated unless
+// include_current is false (baselines such as the median of earlier amounts).
+
+import { FEATURE_CATALOG } from './ruleValidator.js';
+import { getStore } from './store.js';
+import { normalizeSampleAmounts } from './currency.js';
+
+export const AGGREGATE_FEATURES = FEATURE_CATALOG.features.filter(f => f.aggregation);
+
+const MAX_WINDOW_MS = Math.max(0, ...AGGREGATE_FEATURES.map(f => f.aggregation.window_minutes)) * 60 * 1000;
+const ENTITY_FIELDS = [...new Set(AGGREGATE_FEATURES.map(f => f.aggregation.group_by))];
+// amount and currency convert rows persisted before amount_usd was recorded
+const HISTORY_COLUMNS = [...new Set([
+  'txn_id',
+  'timestamp',
+  'amount',
+  'currency',
+  ...ENTITY_FIELDS,
+  ...AGGREGATE_FEATURES.map(f => f.aggregation.field).filter(Boolean)
+])];
+const HISTORY_LIMIT = 5000;
+// Entities per batch history lookup (`in` filters end up in the request URL)
+const HISTORY_LOOKUP_CHUNK = 100;
+
+function toMillis(timestamp) {
+  if (timestamp === undefined || timestamp === null) return null;
+  const t = new Date(timestamp).getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Apply an aggregation function to rows already inside the window
+ */
+function aggregate(fn, rows, field) {
+  switch (fn) {
+    case 'count':
+      return rows.length;
+    case 'sum':
+      return roundAmount(rows.reduce((acc, row) => acc + (Number(row[field]) || 0), 0));
+    case 'distinct':
+      return new Set(rows.map(row => row[field]).filter(v => v !== undefined && v !== null)).size;
+    case 'median': {
+      // null without values, so rules comparing against it see missing data
+      const values = rows.map(row => Number(row[field])).filter(Number.isFinite).sort((a, b) => a - b);
+      if (values.length === 0) return null;
+      const mid = Math.floor(values.length / 2);
+      return roundAmount(values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compute aggregate features for a transaction from its recent history
+ *
+ * @param {Object} txn - Transaction being evaluated
+ * @param {Array} history - Prior transactions (any entity; filtered per feature)
+ * @returns {Object} Map of feature name → value
+ */
+export function computeAggregateFeatures(txn, history = []) {
+  const now = toMillis(txn.timestamp) ?? Date.now();
+  const features = {};
+
+  for (const feature of AGGREGATE_FEATURES) {
+    const { fn, group_by, field, window_minutes, include_current = true } = feature.aggregation;
+    const key = txn[group_by];
+    const since = now - window_minutes * 60 * 1000;
+
+    const rows = key === undefined || key === null
+      ? []
+      : history.filter(row => {
+        if (row.txn_id && row.txn_id === txn.txn_id) return false; // never double-count a retried txn
+        if (row[group_by] !== key) return false;
+        const t = toMillis(row.timestamp);
+        return t !== null && t > since && t <= now;
+      });
+
+    features[feature.name] = aggregate(fn, include_current ? [...rows, txn] : rows, field);
+  }
+
+  return features;
+}
+
+async function queryHistory(field, values, since, until) {
+  let query = getStore()
+    .from('atd_transactions')
+    .select(HISTORY_COLUMNS.join(', '));
+  query = values.length === 1 ? query.eq(field, values[0]) : query.in(field, values);
+
+  const { data, error } = await query
+    .gt('timestamp', new Date(since - MAX_WINDOW_MS).toISOString())
+    .lte('timestamp', new Date(until).toISOString())
+    .order('timestamp', { ascending: false })
+    .limit(HISTORY_LIMIT);
+
+  if (error) throw new Error('Failed to fetch transaction history: ' + error.message);
+  return normalizeSampleAmounts(data || []);
+}
+
+/**
+ * Fetch recent transactions sharing a user, agent or seller with the transaction
+ *
+ * One lookup per entity field, so a busy seller cannot fill the row limit and crowd out
+ * the user's and agent's history.
+ *
+ * @param {Object} txn - Transaction being evaluated
+ * @returns {Promise<Array>} History rows within the largest aggregation window
+ */
+export async function fetchRecentHistory(txn) {
+  if (AGGREGATE_FEATURES.length === 0) {
+    return [];
+  }
+
+  const now = toMillis(txn.timestamp) ?? Date.now();
+  const rowsById = new Map();
+  const rows = [];
+
+  for (const field of ENTITY_FIELDS) {
+    if (txn[field] === undefined || txn[field] === null) continue;
+    for (const row of await queryHistory(field, [txn[field]], now, now)) {
+      if (row.txn_id && rowsById.has(row.txn_id)) continue;
+      if (row.txn_id) rowsById.set(row.txn_id, row);
+      rows.push(row);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Fetch recent history for a batch of transactions with one lookup per group of distinct
+ * users, agents and sellers instead of one per transaction
+ *
+ * A group whose lookup reaches the row limit is fetched again entity by entity, so each
+ * entity keeps the history fetchRecentHistory would have returned.
+ *
+ * @param {Array} txns - Transactions about to be evaluated
+ * @returns {Promise<Map>} Transaction → history rows (enrichTransaction's options.history)
+ */
+export async function fetchBatchHistory(txns) {
+  const histories = new Map(txns.map(txn => [txn, []]));
+  if (AGGREGATE_FEATURES.length === 0) return histories;
+
+  const rowsById = new Map();
+  const entityRows = new Map();
+  const entityKey = (field, value) => `${field}:${typeof value}:${value}`;
+
+  for (const field of ENTITY_FIELDS) {
+    // Window per entity: from its earliest transaction's window start to its latest transaction
+    const bounds = new Map();
+    for (const txn of txns) {
+      const value = txn[field];
+      if (value === undefined || value === null) continue;
+      const t = toMillis(txn.timestamp) ?? Date.now();
+      const bound = bounds.get(value);
+      bounds.set(value, bound ? { since: Math.min(bound.since, t), until: Math.max(bound.until, t) } : { since: t, until: t });
+    }
+
+    const values = [...bounds.keys()];
+    for (let start = 0; start < values.length; start += HISTORY_LOOKUP_CHUNK) {
+      const chunk = values.slice(start, start + HISTORY_LOOKUP_CHUNK);
+      const since = Math.min(...chunk.map(value => bounds.get(value).since));
+      const until = Math.max(...chunk.map(value => bounds.get(value).until));
+
+      let rows = await queryHistory(field, chunk, since, until);
+      if (rows.length >= HISTORY_LIMIT && chunk.length > 1) {
+        rows = [];
+        for (const value of chunk) {
+          rows.push(...await queryHistory(field, [value], bounds.get(value).since, bounds.get(value).until));
+        }
+      }
+
+      for (const row of rows) {
+        const known = rowsById.get(row.txn_id) ?? row;
+        if (row.txn_id) rowsById.set(row.txn_id, known);
+        const key = entityKey(field, row[field]);
+        if (!entityRows.has(key)) entityRows.set(key, new Set());
+        entityRows.get(key).add(known);
+      }
+    }
+  }
+
+  for (const txn of txns) {
+    const rows = new Set();
+    for (const field of ENTITY_FIELDS) {
+      if (txn[field] === undefined || txn[field] === null) continue;
+      for (const row of entityRows.get(entityKey(field, txn[field])) ?? []) rows.add(row);
+    }
+    histories.set(txn, [...rows]);
+  }
+
+  return histories;
+}
+
+/**
+ * Add aggregate features to a transaction in place
+ *
+ * @param {Object} txn - Transaction being evaluated
+ * @param {Object} options - { history, pending }: history skips the database lookup;
+ *   pending are transactions evaluated but not persisted yet (earlier items of a batch),
+ *   counted as history too
+ * @returns {Promise<Object>} The computed features
+ */
+export async function enrichTransaction(txn, options = {}) {
+  const history = options.history ?? await fetchRecentHistory(txn);
+  const pending = (options.pending ?? []).filter(row =>
+    ENTITY_FIELDS.some(field => txn[field] !== undefined && txn[field] !== null && row[field] === txn[field]));
+  const features = computeAggregateFeatures(txn, pending.length > 0 ? [...history, ...pending] : history);
+  Object.assign(txn, features);
+  return features;
+}
+
+/**
+ * Add aggregate features to a batch of historical transactions (dry-run samples)
+ *
+ * Rows that recorded their features at evaluation time (computed_features) keep them.
+ * Otherwise features are computed over the batch itself with a sliding window, which
+ * undercounts when the batch is a sample rather than the full history.
+ *
+ * @param {Array} transactions - Transactions to enrich in place
+ * @returns {Array} The same array
+ */
+export function enrichSample(transactions) {
+  if (!Array.isArray(transactions) || transactions.length === 0) return transactions;
+
+  for (const txn of transactions) {
+    if (txn.computed_features && typeof txn.computed_features === 'object') {
+      for (const feature of AGGREGATE_FEATURES) {
+        if (txn[feature.name] === undefined && txn.computed_features[feature.name] !== undefined) {
+          txn[feature.name] = txn.computed_features[feature.name];
+        }
+      }
+    }
+  }
+
+  const ordered = transactions
+    .map(txn => ({ txn, t: toMillis(txn.timestamp) }))
+    .sort((a, b) => (a.t ?? 0) - (b.t ?? 0));
+
+  for (const feature of AGGREGATE_FEATURES) {
+    const { fn, group_by, field, window_minutes, include_current = true } = feature.aggregation;
+    const windowMs = window_minutes * 60 * 1000;
+    const groups = new Map();
+
+    // Rows with recorded features still count toward their neighbours' windows
+    for (const entry of ordered) {
+      const key = entry.txn[group_by];
+      if (key === undefined || key === null || entry.t === null) {
+        if (entry.txn[feature.name] === undefined) {
+          entry.txn[feature.name] = aggregate(fn, include_current ? [entry.txn] : [], field);
+        }
+        continue;
+      }
+
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+
+    for (const entries of groups.values()) {
+      let start = 0;
+      let sum = 0;
+      const valueCounts = new Map();
+
+      for (let end = 0; end < entries.length; end++) {
+        const added = entries[end].txn[field];
+        sum += Number(added) || 0;
+        if (added !== undefined && added !== null) valueCounts.set(added, (valueCounts.get(added) || 0) + 1);
+
+        while (entries[start].t <= entries[end].t - windowMs) {
+          const removed = entries[start].txn[field];
+          sum -= Number(removed) || 0;
+          if (removed !== undefined && removed !== null) {
+            const remaining = valueCounts.get(removed) - 1;
+            if (remaining === 0) valueCounts.delete(removed);
+            else valueCounts.set(removed, remaining);
+          }
+          start++;
+        }
+
+        if (entries[end].txn[feature.name] !== undefined) continue;
+
+        if (fn === 'median' || !include_current) {
+          // No running total for these: aggregate the window directly
+          const rows = entries.slice(start, include_current ? end + 1 : end).map(entry => entry.txn);
+          entries[end].txn[feature.name] = aggregate(fn, rows, field);
+        } else {
+          entries[end].txn[feature.name] =
+            fn === 'count' ? end - start + 1 :
+            fn === 'sum' ? roundAmount(sum) :
+            valueCounts.size;
+        }
+      }
+    }
+  }
+
+  return transactions;
+}
@@ -1,11 +1,23 @@
 // src/lib/fraudEngineWrapper.js
-import { evaluateTransaction } from './ruleEngine.js';
-import { supabase } from '../dbClient.js';
+import { evaluateTransaction, getRuleSnapshot } from './ruleEngine.js';
+import { getStore } from './store.js';
+import { fetchBatchHistory } from './featureEnrichment.js';
+import { isDuplicateKeyError } from './idempotency.js';
 import { v4 as uuidv4 } from 'uuid';
 
-export async function runFraudCheckAndPersist(txn, engineVersion = 'v1.2.3') {
-  const result = await evaluateTransaction(txn);
+// Rows per upsert when persisting a batch
+const PERSIST_CHUNK_SIZE = 500;
 
+/**
+ * Build the atd_transactions row for an evaluated transaction
+ *
+ * @param {Object} txn - Transaction
+ * @param {Object} result - evaluateTransaction result
+ * @param {string} engineVersion - Engine version recorded on the row
+ * @param {Object|null} idempotency - { key, request_hash } recorded for idempotent requests
+ * @returns {Object} { payload, fraudOutput }
+ */
+function buildTransactionRow(txn, result, engineVersion, idempotency = null) {
    // Ensure txn_id is always unique for each transaction
    const txn_id = txn.txn_id || uuidv4();
 
@@ -15,11 +27,21 @@ export async function runFraudCheckAndPersist(txn, engineVersion = 'v1.2.3') {
     risk_decision: result.risk_decision ?? 'unknown',
     manual_review_required: result.risk_decision === 'review',
     triggered_rule_ids: result.triggered_rule_ids ?? [],
+    matched_rule_ids: result.matched_rule_ids ?? [],
     rule_actions_taken: result.actions_taken ?? [],
     matched_rule_descriptions: result.rule_descriptions ?? [],
     engine_version: engineVersion,
     risk_tags: result.risk_tags ?? [],
-    explanation_summary: result.explanation ?? 'Risk assessment completed.'
+    computed_features: result.computed_features ?? {},
+    fx: result.fx ?? null,
+    ruleset: result.ruleset ?? null,
+    decision_strategy: result.decision_strategy ?? null,
+    deciding_rule_id: result.deciding_rule_id ?? null,
+    ruleset_version: result.ruleset_version ?? null,
+    rules_fingerprint: result.rules_fingerprint ?? null,
+    explanation_summary: result.explanation ?? 'Risk assessment completed.',
+    ...(result.shadow && { shadow: result.shadow }),
+    ...(result.trace && { trace: result.trace })
   };
 
   const payload = {
@@ -28,6 +50,7 @@ export async function runFraudCheckAndPersist(txn, engineVersion = 'v1.2.3') {
     agent_id: txn.agent_id,
     amount: txn.amount ?? null,
     currency: txn.currency ?? null,
+    amount_usd: txn.amount_usd ?? null,
     intent: txn.intent ?? null,
     partner: txn.partner ?? null,
     timestamp: txn.timestamp ?? new Date().toISOString(),
@@ -52,13 +75,61 @@ export async function runFraudCheckAndPersist(txn, engineVersion = 'v1.2.3') {
     risk_score: result.risk_score ?? null,
     risk_tags: result.risk_tags ?? [],
     manual_review_required: result.risk_decision === 'review',
+    review_status: result.risk_decision === 'review' ? 'pending' : null,
     triggered_rule_ids: result.triggered_rule_ids ?? [],
-    rule_actions_taken: result.actions_taken ?? []
+    rule_actions_taken: result.actions_taken ?? [],
+    idempotency_key: idempotency?.key ?? null,
+    request_hash: idempotency?.request_hash ?? null
   };
 
-  const { data, error } = await supabase
-    .from('atd_transactions')
-    .upsert([payload], { onConflict: 'txn_id' });
+  return { payload, fraudOutput };
+}
+
+/**
+ * Evaluate a transaction without persisting it (pre-authorization checks, tests, what-ifs)
+ *
+ * @param {Object} txn - Transaction
+ * @param {string} engineVersion - Engine version recorded on the row
+ * @param {Object} options - { explain } - include the per-condition trace in fraud_engine_output.trace
+ * @returns {Promise<Object>} { success, txn_id, transaction, fraud_engine_output } where
+ *   transaction is the row runFraudCheckAndPersist would have written
+ */
+export async function runFraudCheck(txn, engineVersion = 'v1.2.3', options = {}) {
+  const result = await evaluateTransaction(txn, { explain: options.explain === true });
+  const { payload, fraudOutput } = buildTransactionRow(txn, result, engineVersion);
+
+  return {
+    success: true,
+    txn_id: payload.txn_id,
+    transaction: payload,
+    fraud_engine_output: fraudOutput
+  };
+}
+
+/**
+ * Evaluate a transaction and persist it with the fraud engine output
+ *
+ * @param {Object} txn - Transaction
+ * @param {string} engineVersion - Engine version recorded on the row
+ * @param {Object} options - { explain, idempotency }
+ *   explain: store the per-condition trace in fraud_engine_output.trace;
+ *   idempotency: { key, request_hash } of an idempotent request (see idempotency.js); the
+ *   row is inserted rather than upserted, so a row already there is never overwritten
+ * @returns {Promise<Object>} { success, txn_id, fraud_engine_output }, or
+ *   { success: false, duplicate: true, txn_id } when an idempotent row already exists
+ */
+export async function runFraudCheckAndPersist(txn, engineVersion = 'v1.2.3', options = {}) {
+  const result = await evaluateTransaction(txn, { explain: options.explain === true });
+  const { payload, fraudOutput } = buildTransactionRow(txn, result, engineVersion, options.idempotency);
+
+  const transactions = getStore().from('atd_transactions');
+  const { data, error } = options.idempotency
+    ? await transactions.insert([payload])
+    : await transactions.upsert([payload], { onConflict: 'txn_id' });
+
+  if (options.idempotency && isDuplicateKeyError(error)) {
+    return { success: false, duplicate: true, txn_id: payload.txn_id };
+  }
 
   if (error) {
     console.error('❌ Error saving transaction:', {
@@ -77,3 +148,76 @@ export async function runFraudCheckAndPersist(txn, engineVersion = 'v1.2.3') {
     fraud_engine_output: fraudOutput
   };
 }
+
+/**
+ * Evaluate many transactions against one rule snapshot and persist them in bulk
+ *
+ * Items are evaluated in order; earlier items count toward later items' velocity features
+ * even though they are not persisted yet. Velocity history is looked up once for the whole
+ * batch (a failed lookup fails every item). A failing item does not stop the batch: it is
+ * reported with code EVALUATION_ERROR, and items of a chunk the store rejects are reported
+ * with code PERSIST_ERROR.
+ *
+ * @param {Array} txns - Validated transactions, each with a txn_id
+ * @param {string} engineVersion - Engine version recorded on the rows
+ * @param {Object} options - { explain }
+ * @returns {Promise<Object>} { ruleset_version, rules_fingerprint, results: [{ success, txn_id,
+ *   fraud_engine_output } | { success: false, txn_id, error, code }] } in input order
+ */
+export async function runFraudCheckAndPersistBatch(txns, engineVersion = 'v1.2.3', options = {}) {
+  const ruleSnapshot = await getRuleSnapshot();
+  const results = new Array(txns.length);
+  const rows = [];
+  const pending = [];
+
+  // Velocity history once per distinct user, agent and seller rather than once per item
+  let histories;
+  try {
+    histories = await fetchBatchHistory(txns);
+  } catch (err) {
+    console.error('❌ Batch history lookup error:', { rows: txns.length, error: err.message });
+    return {
+      ruleset_version: ruleSnapshot.version,
+      rules_fingerprint: ruleSnapshot.fingerprint,
+      results: txns.map(txn => ({ success: false, txn_id: txn.txn_id ?? null, error: err.message, code: 'EVALUATION_ERROR' }))
+    };
+  }
+
+  for (const [idx, txn] of txns.entries()) {
+    try {
+      const result = await evaluateTransaction(txn, {
+        explain: options.explain === true,
+        snapshot: ruleSnapshot,
+        history: histories.get(txn),
+        pending
+      });
+      const { payload, fraudOutput } = buildTransactionRow(txn, result, engineVersion);
+      rows.push({ idx, payload });
+      pending.push(txn);
+      results[idx] = { success: true, txn_id: payload.txn_id, fraud_engine_output: fraudOutput };
+    } catch (err) {
+      console.error('❌ Batch evaluation error:', { txn_id: txn.txn_id, error: err.message });
+      results[idx] = { success: false, txn_id: txn.txn_id ?? null, error: err.message, code: 'EVALUATION_ERROR' };
+    }
+  }
+
+  for (let start = 0; start < rows.length; start += PERSIST_CHUNK_SIZE) {
+    const chunk = rows.slice(start, start + PERSIST_CHUNK_SIZE);
+    const { error } = await getStore()
+      .from('atd_transactions')
+      .upsert(chunk.map(row => row.payload), { onConflict: 'txn_id' });
+
+    if (error) {
+      console.error('❌ Error saving transaction batch:', { rows: chunk.length, error });
+      for (const { idx, payload } of chunk) {
+        results[idx] = { success: false, txn_id: payload.txn_id, error: 'Failed to persist transaction with fraud analysis.', code: 'PERSIST_ERROR' };
+      }
+    }
+  }
+
+  return {
+    ruleset_version: ruleSnapshot.version,
+    rules_fingerprint: ruleSnapshot.fingerprint,
+    results
+  };
+}
@@ -0,0 +1,121 @@
+// src/lib/idempotency.js
+// Idempotent /api/eval: retries return the originally stored decision
+//
+// A request is idempotent when it carries an Idempotency-Key header or its own txn_id.
+// The key maps to a fixed txn_id (UUID v5), and the first request to insert that row
+// claims the key: a concurrent request with the same key fails the insert instead of
+// overwriting the row, then looks the row up like a later retry. The row records the
+// key and a hash of the request body; a request with the same key and body replays
+// the row, a different body is a conflict.
+
+import crypto from 'crypto';
+import { v5 as uuidv5, validate as isUuid } from 'uuid';
+import { getStore } from './store.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const MAX_KEY_LENGTH = 255;
+const KEY_PATTERN = /^[\x21-\x7e]+$/; // printable ASCII, no spaces
+
+// Namespace for txn_ids derived from idempotency keys
+const KEY_NAMESPACE = 'a8c2f4e6-3b1d-5f7a-9c0e-2d4b6f8a1c3e';
+
+/**
+ * Canonical JSON: object keys sorted at every level
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * Hash of a request body, independent of key order (txn_id is the key, not the payload)
+ *
+ * @param {Object} body - /api/eval request body
+ * @returns {string} Hex SHA-256 digest
+ */
+export function requestHash(body) {
+  const { txn_id, ...payload } = body;
+  return crypto.createHash('sha256').update(JSON.stringify(canonicalize(payload))).digest('hex');
+}
+
+/**
+ * Work out the idempotency key and txn_id of a request
+ *
+ * @param {Object} body - /api/eval request body
+ * @param {string|undefined} headerKey - Idempotency-Key header
+ * @returns {Object} { valid: true, key, txn_id, request_hash } (all null for a plain request)
+ *   or { valid: false, error, code, field }
+ */
+export function resolveIdempotency(body, headerKey) {
+  if (headerKey !== undefined && (headerKey.length > MAX_KEY_LENGTH || !KEY_PATTERN.test(headerKey))) {
+    return {
+      valid: false,
+      error: `${IDEMPOTENCY_HEADER} must be 1-${MAX_KEY_LENGTH} printable characters without spaces`,
+      code: 'INVALID_IDEMPOTENCY_KEY',
+      field: IDEMPOTENCY_HEADER
+    };
+  }
+  if (body.txn_id !== undefined && (typeof body.txn_id !== 'string' || !isUuid(body.txn_id))) {
+    return { valid: false, error: 'txn_id must be a UUID', code: 'INVALID_TYPE', field: 'txn_id' };
+  }
+
+  if (headerKey === undefined && body.txn_id === undefined) {
+    return { valid: true, key: null, txn_id: null, request_hash: null };
+  }
+
+  // A client txn_id is the key; with both, the header is the key and txn_id names the row
+  const key = headerKey ?? body.txn_id.toLowerCase();
+  return {
+    valid: true,
+    key,
+    txn_id: body.txn_id?.toLowerCase() ?? uuidv5(key, KEY_NAMESPACE),
+    request_hash: requestHash(body)
+  };
+}
+
+/**
+ * Whether a store error is a unique violation (the key or txn_id was claimed first)
+ *
+ * @param {Object|null} error - Store error
+ * @returns {boolean}
+ */
+export function isDuplicateKeyError(error) {
+  return error?.code === '23505';
+}
+
+/**
+ * Quote a value for a PostgREST `or` filter
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Look up the stored result of an idempotent request
+ *
+ * @param {Object} idempotency - resolveIdempotency result with a key
+ * @returns {Promise<Object>} { status: 'new' } | { status: 'replay', row } |
+ *   { status: 'conflict', row } when the key or txn_id was used for a different payload
+ */
+export async function findIdempotentResult(idempotency) {
+  const { data, error } = await getStore()
+    .from('atd_transactions')
+    .select('*')
+    .or(`txn_id.eq.${quoteFilterValue(idempotency.txn_id)},idempotency_key.eq.${quoteFilterValue(idempotency.key)}`)
+    .limit(2);
+
+  if (error) throw new Error('Failed to look up idempotency key: ' + error.message);
+  if (!data || data.length === 0) return { status: 'new' };
+
+  // Rows written without this key, under another txn_id or for another body cannot be replayed
+  const row = data.find(r => r.txn_id === idempotency.txn_id) ?? data[0];
+  const same = data.length === 1 &&
+    row.txn_id === idempotency.txn_id &&
+    row.idempotency_key === idempotency.key &&
+    row.request_hash === idempotency.request_hash;
+  return { status: same ? 'replay' : 'conflict', row };
+}
@@ -3,62 +3,12 @@
 // Computes baseline vs proposed deltas, overlap analysis, change examples
 
 import '../loadEnv.js'; // Must be first to load environment variables
-import { createClient } from '@supabase/supabase-js';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
-
-/**
- * Simple rule evaluation for dry-run
- * Evaluates if a transaction matches rule conditions
- * @param {Object} rule - Rule with conditions array
- * @param {Object} txn - Transaction object
- * @returns {string} decision ('allow', 'review', 'block')
- */
-function evaluateRule(rule, txn) {
-  if (!rule || !rule.conditions || !Array.isArray(rule.conditions)) {
-    return 'allow';
-  }
-
-  // Check if all conditions pass
-  const allConditionsPass = rule.conditions.every(cond => {
-    const val = txn[cond.field];
-    const targetValue = cond.value;
-
-    switch (cond.op) {
-      case '==':
-        return val == targetValue;
-      case '!=':
-        return val != targetValue;
-      case '>':
-        return val > targetValue;
-      case '<':
-        return val < targetValue;
-      case '>=':
-        return val >= targetValue;
-      case '<=':
-        return val <= targetValue;
-      case 'in':
-        return Array.isArray(targetValue) && targetValue.includes(val);
-      case 'not_in':
-        return Array.isArray(targetValue) && !targetValue.includes(val);
-      case 'contains':
-        return typeof val === 'string' && val.includes(targetValue);
-      case 'not_contains':
-        return typeof val === 'string' && !val.includes(targetValue);
-      case 'starts_with':
-        return typeof val === 'string' && val.startsWith(targetValue);
-      case 'ends_with':
-        return typeof val === 'string' && val.endsWith(targetValue);
-      default:
-        return false;
-    }
-  });
-
-  return allConditionsPass ? rule.decision : 'allow';
-}
+import { evaluateRule } from './conditionEvaluator.js';
+import { getRuleSnapshot } from './ruleEngine.js';
+import { enrichSample } from './featureEnrichment.js';
+import { normalizeSampleAmounts, summarizeCurrencies } from './currency.js';
+import { getStore } from './store.js';
+import { fetchLatestLabels, computeLabelMetrics, MIN_LABELED_FOR_FP } from './outcomeLabels.js';
 
 /**
  * Stratified sampling strategy for dry-run
@@ -107,7 +57,7 @@ export async function stratifiedSample(filters = {}, sampleSize = 10000) {
     `timestamp >= NOW() - INTERVAL '7 days'`
   ]);
 
-  const { data: recent, error: recentError } = await supabase
+  const { data: recent, error: recentError } = await getStore()
     .rpc('atd_sample_transactions', {
       where_clause: recentWhere,
       sample_limit: recentSize
@@ -124,7 +74,7 @@ export async function stratifiedSample(filters = {}, sampleSize = 10000) {
     `timestamp >= NOW() - INTERVAL '30 days'`
   ]);
 
-  const { data: weekend, error: weekendError } = await supabase
+  const { data: weekend, error: weekendError } = await getStore()
     .rpc('atd_sample_transactions', {
       where_clause: weekendWhere,
       sample_limit: weekendSize
@@ -141,7 +91,7 @@ export async function stratifiedSample(filters = {}, sampleSize = 10000) {
     `timestamp >= NOW() - INTERVAL '60 days'`
   ]);
 
-  const { data: flagged, error: flaggedError } = await supabase
+  const { data: flagged, error: flaggedError } = await getStore()
     .rpc('atd_sample_transactions', {
       where_clause: flaggedWhere,
       sample_limit: flaggedSize
@@ -158,7 +108,7 @@ export async function stratifiedSample(filters = {}, sampleSize = 10000) {
     `timestamp >= NOW() - INTERVAL '60 days'`
   ]);
 
-  const { data: highValue, error: highValueError } = await supabase
+  const { data: highValue, error: highValueError } = await getStore()
     .rpc('atd_sample_transactions', {
       where_clause: highValueWhere,
       sample_limit: highValueSize
@@ -174,7 +124,7 @@ export async function stratifiedSample(filters = {}, sampleSize = 10000) {
     `timestamp >= NOW() - INTERVAL '90 days'`
   ]);
 
-  const { data: random, error: randomError } = await supabase
+  const { data: random, error: randomError } = await getStore()
     .rpc('atd_sample_transactions', {
       where_clause: randomWhere,
       sample_limit: randomSize
@@ -200,7 +150,7 @@ export async function stratifiedSample(filters = {}, sampleSize = 10000) {
  * Uses projection table for performance
  */
 async function simpleSample(filters = {}, sampleSize = 10000) {
-  let query = supabase
+  let query = getStore()
     .from('atd_transactions_proj')
     .select('*')
     .order('timestamp', { ascending: false })
@@ -238,21 +188,37 @@ export async function dryRunWithBaseline(proposedRule, options = {}) {
   const startTime = Date.now();
 
   // 1. Get sample of transactions
-  const sample = useStratified
+  let sample = useStratified
     ? await stratifiedSample(filters, sampleSize)
     : await simpleSample(filters, sampleSize);
 
+  // Stratified sampling needs the atd_sample_transactions RPC (Postgres only)
+  if (sample.length === 0 && useStratified) {
+    sample = await simpleSample(filters, sampleSize);
+  }
+
   if (sample.length === 0) {
     throw new Error('No transactions found matching criteria');
   }
 
-  // 2. Run proposed rule against sample
+  // amount_usd and velocity features so rules referencing them can be dry-run
+  normalizeSampleAmounts(sample);
+  enrichSample(sample);
+
+  // 2. Run proposed rule against sample (named lists as production sees them)
+  const { context } = await getRuleSnapshot();
   const proposedMatches = [];
   const changeExamples = [];
+  const currencyRows = [];
 
   for (const txn of sample) {
     const baselineDecision = txn.decision || 'allow'; // Current decision from fraud_engine_output
-    const proposedDecision = evaluateRule(proposedRule, txn);
+    const proposedDecision = evaluateRule(proposedRule, txn, context);
+    currencyRows.push({
+      currency: txn.currency,
+      matched: proposedDecision !== 'allow',
+      changed: baselineDecision !== proposedDecision
+    });
 
     if (proposedDecision !== 'allow') {
       proposedMatches.push(txn.txn_id);
@@ -263,6 +229,8 @@ export async function dryRunWithBaseline(proposedRule, options = {}) {
       changeExamples.push({
         txn_id: txn.txn_id,
         amount: txn.amount,
+        currency: txn.currency ?? null,
+        amount_usd: txn.amount_usd ?? null,
         device: txn.device,
         agent_id: txn.agent_id,
         baseline: baselineDecision,
@@ -287,12 +255,12 @@ export async function dryRunWithBaseline(proposedRule, options = {}) {
   // 4. Calculate proposed rates (if this rule were added)
   // Note: This is additive - proposed rule runs AFTER existing rules
   const proposedBlocked = sample.filter(txn => {
-    const proposed = evaluateRule(proposedRule, txn);
+    const proposed = evaluateRule(proposedRule, txn, context);
     return proposed === 'block' || txn.decision === 'block';
   }).length;
 
   const proposedReviewed = sample.filter(txn => {
-    const proposed = evaluateRule(proposedRule, txn);
+    const proposed = evaluateRule(proposedRule, txn, context);
     return (proposed === 'review' && txn.decision !== 'block') ||
            (txn.decision === 'review' && proposed === 'allow');
   }).length;
@@ -312,8 +280,14 @@ export async function dryRunWithBaseline(proposedRule, options = {}) {
     allow_delta: proposedRates.allow_rate - baselineRates.allow_rate
   };
 
-  // 6. Sort change examples by amount (show high-value changes first)
-  changeExamples.sort((a, b) => b.amount - a.amount);
+  // 6. Sort change examples by USD amount (show high-value changes first)
+  const usdValue = example => example.amount_usd ?? (Number(example.amount) || 0);
+  changeExamples.sort((a, b) => usdValue(b) - usdValue(a));
+
+  // 7. Outcome labels of the transactions the rule would newly block
+  const labels = await fetchLatestLabels(changeExamples
+    .filter(ex => ex.baseline === 'allow' && ex.proposed === 'block')
+    .map(ex => ex.txn_id));
 
   const latency = Date.now() - startTime;
 
@@ -342,7 +316,9 @@ export async function dryRunWithBaseline(proposedRule, options = {}) {
 
     change_examples: changeExamples.slice(0, 10), // Top 10 changes
 
-    false_positive_risk: estimateFalsePositiveRisk(changeExamples),
+    false_positive_risk: estimateFalsePositiveRisk(changeExamples, labels),
+
+    ...summarizeCurrencies(currencyRows),
 
     performance: {
       latency_ms: latency,
@@ -364,7 +340,7 @@ export async function dryRunWithBaseline(proposedRule, options = {}) {
  */
 export async function overlapAgainstExisting(proposedMatches, existingRuleId) {
   // Get transactions matched by existing rule (from triggered_rule_ids in fraud_engine_output)
-  const { data: existingMatches, error } = await supabase
+  const { data: existingMatches, error } = await getStore()
     .from('atd_transactions')
     .select('txn_id')
     .contains('fraud_engine_output->triggered_rule_ids', [existingRuleId])
@@ -402,7 +378,7 @@ export async function overlapAgainstExisting(proposedMatches, existingRuleId) {
  */
 export async function overlapWithAllRules(proposedMatches) {
   // Get all enabled rules
-  const { data: enabledRules, error } = await supabase
+  const { data: enabledRules, error } = await getStore()
     .from('atd_fraud_rules')
     .select('id, ruleset_name, category')
     .eq('enabled', true);
@@ -434,20 +410,23 @@ export async function overlapWithAllRules(proposedMatches) {
 
 /**
  * Estimate false positive risk based on change examples
- * Heuristic: if many changed transactions are NOT flagged/disputed, FP risk is higher
+ * With enough outcome labels among the newly blocked transactions, the rate is the share
+ * labeled legitimate. Otherwise heuristic: if many changed transactions are NOT
+ * flagged/disputed, FP risk is higher
  */
-function estimateFalsePositiveRisk(changeExamples) {
+function estimateFalsePositiveRisk(changeExamples, labels = new Map()) {
   if (changeExamples.length === 0) return 'low';
 
   const becameBlocked = changeExamples.filter(ex =>
     ex.baseline === 'allow' && ex.proposed === 'block'
   );
 
+  const labeled = computeLabelMetrics(becameBlocked.map(ex => ({ txn_id: ex.txn_id, predicted: true })), labels);
   const notFlagged = becameBlocked.filter(ex => !ex.flagged && !ex.disputed);
 
-  const fpRate = becameBlocked.length > 0
-    ? (notFlagged.length / becameBlocked.length)
-    : 0;
+  let fpRate;
+  if (labeled.labeled >= MIN_LABELED_FOR_FP) fpRate = labeled.false_positives / labeled.labeled;
+  else fpRate = becameBlocked.length > 0 ? (notFlagged.length / becameBlocked.length) : 0;
 
   if (fpRate > 0.7) return 'high';
   if (fpRate > 0.4) return 'medium';
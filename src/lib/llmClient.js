@@ -5,17 +5,13 @@
 import '../loadEnv.js'; // Must be first to load environment variables
 import OpenAI from 'openai';
 import crypto from 'crypto';
-import { createClient } from '@supabase/supabase-js';
 import { RULE_FUNCTION_SCHEMA } from './ruleSchema.js';
+import { FEATURE_CATALOG } from './ruleValidator.js';
+import { describeOperators } from './operators.js';
+import { getStore } from './store.js';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+// Created on first use so the service starts without an API key
+let openai = null;
 
 // In-memory cache (30 minute TTL)
 // Production: use Redis or similar
@@ -49,11 +45,28 @@ const rateLimiter = {
   }
 };
 
+/**
+ * Use a specific OpenAI-compatible client (local model server, test double)
+ *
+ * @param {Object} client - Object exposing chat.completions.create()
+ */
+export function setLLMClient(client) {
+  openai = client;
+}
+
+function getLLMClient() {
+  if (!openai) {
+    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openai;
+}
+
 /**
  * Generate fraud rule from natural language instruction
  *
  * @param {string} instruction - Natural language prompt from analyst
- * @param {Object} options - { model, temperature, actor, suggestionId }
+ * @param {Object} options - { model, temperature, actor, suggestionId, lists }
+ *   lists: named lists the rule may reference with in_list (rows from listNamedLists())
  * @returns {Object} { rule, metadata }
  */
 export async function generateRule(instruction, options = {}) {
@@ -61,7 +74,8 @@ export async function generateRule(instruction, options = {}) {
     model = 'gpt-4-turbo-2024-04-09',
     temperature = 0.1, // Low temperature for deterministic output
     actor = 'unknown',
-    suggestionId = null
+    suggestionId = null,
+    lists = []
   } = options;
 
   // Validate instruction
@@ -111,13 +125,13 @@ export async function generateRule(instruction, options = {}) {
   let response, usage, finishReason;
 
   try {
-    const completion = await openai.chat.completions.create({
+    const completion = await getLLMClient().chat.completions.create({
       model,
       temperature,
       messages: [
         {
           role: 'system',
-          content: buildSystemPrompt()
+          content: buildSystemPrompt(lists)
         },
         {
           role: 'user',
@@ -212,7 +226,7 @@ export async function generateRule(instruction, options = {}) {
  * Build system prompt for LLM
  * Includes feature catalog, policy rules, examples
  */
-function buildSystemPrompt() {
+function buildSystemPrompt(lists = []) {
   return `You are a fraud detection rule assistant. Your job is to convert natural language instructions into precise fraud detection rules.
 
 CRITICAL POLICY REQUIREMENTS:
@@ -222,7 +236,9 @@ CRITICAL POLICY REQUIREMENTS:
 4. Rules must be objective, data-driven, and non-discriminatory
 
 AVAILABLE TRANSACTION FIELDS:
-- amount: number (0-1000000 USD)
+- amount: number (in the transaction's currency)
+- amount_usd: number (amount converted to USD, 0-1000000)
+- currency: enum [USD, EUR, GBP, CAD, AUD, JPY]
 - hour: integer (0-23, hour of day)
 - device: enum [web, mobile, tablet]
 - agent_id: string (openai, anthropic, google, meta, perplexity, xai, other)
@@ -234,6 +250,12 @@ AVAILABLE TRANSACTION FIELDS:
 - disputed: boolean (customer disputed)
 - declined: boolean (previously declined)
 - seller_name: string (merchant name)
+- seller_url: string (merchant website URL; supports the URL operators)
+- checkout_time_seconds: integer (time from cart to checkout)
+- delegation_duration_hours: number (hours since the agent was delegated)
+
+VELOCITY FEATURES (computed at evaluation time over trailing windows):
+${describeAggregateFeatures()}
 
 DECISION TYPES:
 - "allow": Let transaction through
@@ -241,18 +263,53 @@ DECISION TYPES:
 - "block": Automatically block transaction
 
 OPERATORS:
-- Comparison: ==, !=, >, <, >=, <=
-- Array: in, not_in
-- String: contains, starts_with, ends_with
+${describeOperators()}
+
+CONDITION GROUPS:
+- The top-level "conditions" array is an implicit AND
+- { "any": [ ... ] } matches when at least one nested condition matches (OR)
+- { "all": [ ... ] } matches when every nested condition matches (AND)
+- { "not": { ... } } matches when the nested condition does NOT match
+- Groups may be nested at most 3 levels deep, with at most 10 leaf conditions per rule
+- Only use groups when a single flat AND cannot express the instruction
+
+CURRENCIES:
+- "amount" is in the transaction's currency; use "amount_usd" for amount thresholds unless the rule is restricted
+  to one currency ({ "field": "currency", "op": "==", "value": "EUR" }, then an "amount" threshold is in EUR)
+
+MISSING DATA:
+- A condition on a missing or null field is unknown, not false; is_null / is_not_null (no "value") test presence explicitly
+- "on_missing" decides what an unknown rule does: "fail" (default, no match), "pass" (match) or "review" (send to review)
+- Comparisons are strictly typed: compare numbers with numbers and strings with strings
+
+FIELD REFERENCES AND EXPRESSIONS:
+- "value" may reference another field instead of a literal: { "field": "delegation_duration_hours" }
+- or be arithmetic over numbers and numeric fields: { "mul": [3, { "field": "user_amount_median_24h" }] }
+  (add and mul take 2+ operands, sub and div exactly 2; nest at most 3 levels)
+- Both sides must have compatible types; use them only with single-value operators (==, !=, >, <, >=, <=, string operators)
+
+URL AND REGEX OPERATORS:
+- url_host_equals, domain_in and tld_in apply to seller_url only and compare its host, case-insensitively:
+  { "field": "seller_url", "op": "domain_in", "value": ["amazon.com"] } also matches www.amazon.com and smile.amazon.com
+  { "field": "seller_url", "op": "tld_in", "value": ["zip", "xyz"] }
+- matches_regex takes a JavaScript pattern, optionally as "/pattern/i" for case-insensitive matching
+- Regex patterns must not nest quantifiers ("(a+)+"), repeat alternations ("(a|b)*") or use backreferences/lookbehind;
+  prefer contains / domain_in where they suffice
+
+NAMED LISTS:
+- in_list / not_in_list compare a field with a managed list; "value" is the list name: { "field": "seller_name", "op": "in_list", "value": "risky_sellers" }
+- Prefer a list over spelling out its members; only reference lists from this set:
+${describeNamedLists(lists)}
 
 RULE STRUCTURE:
 {
   "ruleset_name": "descriptive-kebab-case-name",
   "description": "Clear explanation of why this rule exists (10-500 chars)",
   "decision": "allow" | "review" | "block",
+  "on_missing": "fail" | "pass" | "review",  // optional, default "fail"
   "conditions": [
     {
-      "field": "amount",
+      "field": "amount_usd",
       "op": ">",
       "value": 5000
     }
@@ -268,7 +325,7 @@ Response:
   "description": "Large mobile transactions outside 9am-5pm pose higher risk due to lack of customer service availability for verification",
   "decision": "review",
   "conditions": [
-    { "field": "amount", "op": ">", "value": 10000 },
+    { "field": "amount_usd", "op": ">", "value": 10000 },
     { "field": "device", "op": "==", "value": "mobile" },
     { "field": "hour", "op": "<", "value": 9 }
   ]
@@ -281,11 +338,37 @@ Response:
   "description": "First transactions with very high amounts are statistically more likely to be fraudulent account takeovers",
   "decision": "block",
   "conditions": [
-    { "field": "amount", "op": ">", "value": 50000 },
+    { "field": "amount_usd", "op": ">", "value": 50000 },
     { "field": "is_first_transaction", "op": "==", "value": true }
   ]
 }
 
+Instruction: "Review transactions over $5k made from mobile or before 6am"
+Response:
+{
+  "ruleset_name": "high-value-mobile-or-early-morning",
+  "description": "Large transactions from mobile devices or during early-morning hours have elevated account takeover risk and warrant manual review",
+  "decision": "review",
+  "conditions": [
+    { "field": "amount_usd", "op": ">", "value": 5000 },
+    { "any": [
+      { "field": "device", "op": "==", "value": "mobile" },
+      { "field": "hour", "op": "<", "value": 6 }
+    ] }
+  ]
+}
+
+Instruction: "Review purchases over 3x the user's median amount"
+Response:
+{
+  "ruleset_name": "amount-outlier-vs-user-median",
+  "description": "Amounts far above the user's own recent median are typical of account takeover and card testing cash-outs",
+  "decision": "review",
+  "conditions": [
+    { "field": "amount_usd", "op": ">", "value": { "mul": [3, { "field": "user_amount_median_24h" }] } }
+  ]
+}
+
 QUALITY GUIDELINES:
 1. Use multiple conditions to be precise (avoid overly broad rules)
 2. Prefer positive conditions (use "in" instead of "!=")
@@ -296,6 +379,26 @@ QUALITY GUIDELINES:
 Now, convert the following instruction into a fraud rule:`;
 }
 
+/**
+ * List catalog velocity/aggregate features for the system prompt
+ */
+function describeAggregateFeatures() {
+  return FEATURE_CATALOG.features
+    .filter(f => f.aggregation)
+    .map(f => `- ${f.name}: ${f.type} (${f.range[0]}-${f.range[1]}) - ${f.description}`)
+    .join('\n');
+}
+
+/**
+ * List named lists (name, kind, size) for the system prompt
+ */
+function describeNamedLists(lists) {
+  if (lists.length === 0) return '- (no lists defined)';
+  return lists
+    .map(list => `- ${list.name}: ${list.kind}, ${list.items?.length ?? 0} items${list.description ? ` - ${list.description}` : ''}`)
+    .join('\n');
+}
+
 /**
  * Hash prompt for cache key
  */
@@ -351,7 +454,7 @@ async function logLLMCall({
   suggestionId = null
 }) {
   try {
-    const { error } = await supabase
+    const { error } = await getStore()
       .from('llm_calls')
       .insert({
         model,
@@ -392,6 +495,6 @@ export function cleanupCache() {
   }
 }
 
-// Run cleanup every 5 minutes
-setInterval(cleanupCache, 5 * 60 * 1000);
+// Run cleanup every 5 minutes (without keeping the process alive)
+setInterval(cleanupCache, 5 * 60 * 1000).unref();
 
@@ -0,0 +1,628 @@
+// src/lib/localStore.js
+// Local storage backend: in-memory tables, optionally persisted to a JSON file
+//
+// Implements the part of the Supabase query builder the service uses
+// (select/insert/upsert/update/delete, eq/neq/gt/gte/lt/lte/in/is/contains/or,
+// order/limit/range, single/maybeSingle, exact counts) so callers work unchanged.
+// Postgres views and RPCs the service reads are computed from the base tables.
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// Tables whose primary key is not `id`
+const PRIMARY_KEYS = {
+  atd_transactions: 'txn_id',
+  atd_rulesets: 'name',
+  atd_named_lists: 'name'
+};
+
+// Column defaults normally applied by Postgres
+const COLUMN_DEFAULTS = {
+  atd_fraud_rules: { enabled: true, ruleset: 'default', lifecycle: 'active', rollout_percentage: 100, rollout_key: 'user_id', on_missing: 'fail' },
+  atd_transactions: { flagged: false, declined: false, disputed: false, to_review: false, delegated: false },
+  atd_rule_suggestions: { status: 'pending' },
+  atd_rule_rollbacks: { status: 'pending' },
+  atd_named_lists: { version: 1 },
+  audits: { success: true },
+  llm_calls: { cached: false, success: true }
+};
+
+const NO_ROWS_ERROR = {
+  code: 'PGRST116',
+  message: 'JSON object requested, multiple (or no) rows returned'
+};
+
+/**
+ * Projection row for dry-run sampling (mirrors the atd_transactions_proj sync trigger)
+ */
+function projectTransaction(txn) {
+  const fraudOutput = txn.fraud_engine_output || {};
+
+  let decision = 'allow';
+  if (fraudOutput.risk_decision) {
+    decision = fraudOutput.risk_decision;
+  } else if (txn.declined) {
+    decision = 'block';
+  } else if (txn.flagged || txn.to_review) {
+    decision = 'review';
+  }
+
+  return {
+    txn_id: String(txn.txn_id),
+    timestamp: txn.timestamp,
+    amount: txn.amount,
+    currency: txn.currency || null,
+    amount_usd: txn.amount_usd ?? null,
+    hour: txn.hour ?? new Date(txn.timestamp).getUTCHours(),
+    device: txn.device || null,
+    agent_id: txn.agent_id || null,
+    user_id: txn.user_id || null,
+    seller_name: txn.seller_name || null,
+    seller_url: txn.seller_url || null,
+    partner: txn.partner || null,
+    intent: txn.intent || null,
+    decision,
+    flagged: txn.flagged || false,
+    disputed: txn.disputed || false,
+    declined: txn.declined || false,
+    account_age_days: txn.account_age_days || null,
+    is_first_transaction: txn.is_first_transaction || false,
+    triggered_rule_ids: txn.triggered_rule_ids || fraudOutput.triggered_rule_ids || [],
+    computed_features: fraudOutput.computed_features || null,
+    created_at: txn.timestamp
+  };
+}
+
+function triggeredRuleIds(txn) {
+  return txn.triggered_rule_ids || txn.fraud_engine_output?.triggered_rule_ids || [];
+}
+
+const VIEWS = {
+  atd_transactions_proj: tables => tables.atd_transactions.map(projectTransaction),
+
+  fraud_rules_view: tables => {
+    const names = new Map(tables.atd_profiles.map(p => [p.user_id, p.name]));
+    return tables.atd_fraud_rules.map(rule => ({
+      ...rule,
+      created_by_name: names.get(rule.created_by) ?? null,
+      approved_by_name: names.get(rule.approved_by) ?? null
+    }));
+  },
+
+  atd_rule_trigger_counts: tables => {
+    const counts = new Map();
+    for (const txn of tables.atd_transactions) {
+      for (const ruleId of triggeredRuleIds(txn)) {
+        const entry = counts.get(ruleId) || { rule_id: ruleId, match_count: 0, last_triggered: null };
+        entry.match_count++;
+        if (!entry.last_triggered || txn.timestamp > entry.last_triggered) {
+          entry.last_triggered = txn.timestamp;
+        }
+        counts.set(ruleId, entry);
+      }
+    }
+
+    const rules = new Map(tables.atd_fraud_rules.map(r => [String(r.id), r]));
+    return [...counts.values()].map(entry => {
+      const rule = rules.get(String(entry.rule_id));
+      return { ...entry, rule_name: rule?.rule_name || rule?.ruleset_name || null };
+    });
+  }
+};
+
+const RPCS = {
+  // Per-agent decision counts for a user (see user.html agent table)
+  agent_summary: (tables, { p_user_id, p_since }) => {
+    const agents = new Map();
+
+    for (const txn of tables.atd_transactions) {
+      if (!sameValue(txn.user_id, p_user_id)) continue;
+      if (p_since && !(txn.timestamp >= p_since)) continue;
+
+      const entry = agents.get(txn.agent_id) || {
+        agent_id: txn.agent_id,
+        partner: txn.partner || null,
+        txn_count: 0,
+        total_amount: 0,
+        flagged_count: 0,
+        to_review_count: 0,
+        declined_count: 0,
+        disputed_count: 0
+      };
+
+      entry.txn_count++;
+      entry.total_amount += Number(txn.amount) || 0;
+      if (txn.flagged) entry.flagged_count++;
+      if (txn.to_review) entry.to_review_count++;
+      if (txn.declined) entry.declined_count++;
+      if (txn.disputed) entry.disputed_count++;
+      agents.set(txn.agent_id, entry);
+    }
+
+    return [...agents.values()].map(entry => {
+      const badCount = entry.flagged_count + entry.to_review_count + entry.declined_count + entry.disputed_count;
+      return { ...entry, agent_score: Math.max(0, 100 - badCount * 2) };
+    });
+  }
+};
+
+// ========================================
+// Filter Helpers
+// ========================================
+
+/**
+ * Resolve a column, including JSON paths (`fraud_engine_output->triggered_rule_ids`)
+ */
+function getPath(row, field) {
+  return field.split(/->>?/).reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key.trim()]),
+    row
+  );
+}
+
+/**
+ * Postgres-style equality: string filter values match numbers/booleans
+ */
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return String(a) === String(b);
+}
+
+function compareValues(a, b) {
+  const numeric = typeof a !== 'boolean' && a !== '' && b !== '' &&
+    !Number.isNaN(Number(a)) && !Number.isNaN(Number(b));
+  if (numeric) return Number(a) - Number(b);
+  const sa = String(a);
+  const sb = String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+function containsValue(haystack, needle) {
+  if (Array.isArray(needle)) {
+    return Array.isArray(haystack) && needle.every(n => haystack.some(h => sameValue(h, n)));
+  }
+  if (needle && typeof needle === 'object') {
+    return !!haystack && typeof haystack === 'object' &&
+      Object.entries(needle).every(([k, v]) => containsValue(haystack[k], v));
+  }
+  return sameValue(haystack, needle);
+}
+
+function likeToRegex(pattern, flags) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, flags);
+}
+
+function matchesFilter(row, { field, op, value }) {
+  const actual = getPath(row, field);
+  const present = actual !== null && actual !== undefined;
+
+  switch (op) {
+    case 'eq': return sameValue(actual, value);
+    case 'neq': return present && !sameValue(actual, value);
+    case 'gt': return present && compareValues(actual, value) > 0;
+    case 'gte': return present && compareValues(actual, value) >= 0;
+    case 'lt': return present && compareValues(actual, value) < 0;
+    case 'lte': return present && compareValues(actual, value) <= 0;
+    case 'in': return present && value.some(v => sameValue(actual, v));
+    case 'is': return value === null ? !present : actual === value;
+    case 'contains': return present && containsValue(actual, value);
+    case 'like': return present && likeToRegex(value).test(String(actual));
+    case 'ilike': return present && likeToRegex(value, 'i').test(String(actual));
+    default: throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+/**
+ * Split on commas outside quotes and parentheses
+ */
+function splitTopLevel(expr) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (let i = 0; i < expr.length; i++) {
+    const ch = expr[i];
+    if (ch === '\\' && quoted) {
+      current += ch + (expr[++i] ?? '');
+      continue;
+    }
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === '(') depth++;
+    if (!quoted && ch === ')') depth--;
+    if (!quoted && depth === 0 && ch === ',') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+function parseFilterValue(raw) {
+  if (raw.startsWith('"') && raw.endsWith('"')) {
+    return raw.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  if (raw === 'null') return null;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  return raw;
+}
+
+/**
+ * Parse a PostgREST `or` expression, e.g. `hour.lt.9,user_id.eq."u 1"`
+ */
+function parseOrExpression(expr) {
+  return splitTopLevel(expr).map(part => {
+    const [field, op, ...rest] = part.split('.');
+    const raw = rest.join('.');
+
+    if (op === 'in') {
+      const list = splitTopLevel(raw.replace(/^\(|\)$/g, '')).map(parseFilterValue);
+      return { field, op, value: list };
+    }
+    return { field, op, value: parseFilterValue(raw) };
+  });
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function projectColumns(row, columns) {
+  if (!columns || columns.trim() === '*') return row;
+  const projected = {};
+  for (const column of columns.split(',').map(c => c.trim()).filter(Boolean)) {
+    if (column === '*') Object.assign(projected, row);
+    else projected[column] = row[column];
+  }
+  return projected;
+}
+
+// ========================================
+// Query Builder
+// ========================================
+
+class LocalQuery {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.payload = null;
+    this.options = {};
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offset = 0;
+    this.singleMode = null;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.options = { count, head };
+    } else {
+      this.columns = columns;
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = rows;
+    return this;
+  }
+
+  upsert(rows, { onConflict, ignoreDuplicates = false } = {}) {
+    this.action = 'upsert';
+    this.payload = rows;
+    this.options = { onConflict, ignoreDuplicates };
+    return this;
+  }
+
+  update(patch) {
+    this.action = 'update';
+    this.payload = patch;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(field, op, value) {
+    this.filters.push({ field, op, value });
+    return this;
+  }
+
+  eq(field, value) { return this.filter(field, 'eq', value); }
+  neq(field, value) { return this.filter(field, 'neq', value); }
+  gt(field, value) { return this.filter(field, 'gt', value); }
+  gte(field, value) { return this.filter(field, 'gte', value); }
+  lt(field, value) { return this.filter(field, 'lt', value); }
+  lte(field, value) { return this.filter(field, 'lte', value); }
+  in(field, values) { return this.filter(field, 'in', values); }
+  is(field, value) { return this.filter(field, 'is', value); }
+  contains(field, value) { return this.filter(field, 'contains', value); }
+  like(field, pattern) { return this.filter(field, 'like', pattern); }
+  ilike(field, pattern) { return this.filter(field, 'ilike', pattern); }
+
+  or(expr) {
+    this.filters.push({ any: parseOrExpression(expr) });
+    return this;
+  }
+
+  order(field, { ascending = true } = {}) {
+    this.orders.push({ field, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(onFulfilled, onRejected);
+  }
+
+  matches(row) {
+    return this.filters.every(filter => (filter.any
+      ? filter.any.some(f => matchesFilter(row, f))
+      : matchesFilter(row, filter)));
+  }
+
+  execute() {
+    try {
+      if (this.action !== 'select' && this.store.isView(this.table)) {
+        return { data: null, error: { message: `cannot modify view "${this.table}"` } };
+      }
+
+      switch (this.action) {
+        case 'insert': return this.finish(this.store.insertRows(this.table, this.payload));
+        case 'upsert': return this.finish(this.store.upsertRows(this.table, this.payload, this.options));
+        case 'update': return this.finish(this.store.updateRows(this.table, row => this.matches(row), this.payload));
+        case 'delete': return this.finish(this.store.deleteRows(this.table, row => this.matches(row)));
+        default: return this.runSelect();
+      }
+    } catch (err) {
+      return { data: null, error: { message: err.message, code: err.code } };
+    }
+  }
+
+  runSelect() {
+    let rows = this.store.rows(this.table).filter(row => this.matches(row));
+    const count = this.options.count ? rows.length : null;
+
+    if (this.options.head) {
+      return { data: null, error: null, count };
+    }
+
+    if (this.orders.length > 0) {
+      rows = [...rows].sort((a, b) => {
+        for (const { field, ascending } of this.orders) {
+          const av = getPath(a, field);
+          const bv = getPath(b, field);
+          const aNull = av === null || av === undefined;
+          const bNull = bv === null || bv === undefined;
+          // Postgres default: NULLS LAST ascending, NULLS FIRST descending
+          const cmp = aNull || bNull ? (aNull === bNull ? 0 : aNull ? 1 : -1) : compareValues(av, bv);
+          if (cmp !== 0) return ascending ? cmp : -cmp;
+        }
+        return 0;
+      });
+    }
+
+    const end = this.limitCount === null ? undefined : this.offset + this.limitCount;
+    rows = rows.slice(this.offset, end);
+
+    return this.finish(rows, count);
+  }
+
+  finish(rows, count = null) {
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, error: null, count };
+    }
+
+    const data = rows.map(row => clone(projectColumns(row, this.columns)));
+
+    if (this.singleMode === 'single') {
+      return data.length === 1
+        ? { data: data[0], error: null, count }
+        : { data: null, error: { ...NO_ROWS_ERROR }, count };
+    }
+    if (this.singleMode === 'maybe') {
+      if (data.length > 1) return { data: null, error: { ...NO_ROWS_ERROR }, count };
+      return { data: data[0] ?? null, error: null, count };
+    }
+    return { data, error: null, count };
+  }
+}
+
+// ========================================
+// Store
+// ========================================
+
+/**
+ * Create a local store
+ *
+ * @param {Object} options - { file, seed }
+ *   file: JSON file to load from and persist to (omit for a purely in-memory store)
+ *   seed: { table: rows } used when the file does not exist yet
+ * @returns {Object} Store with `from(table)` and `rpc(fn, params)`
+ */
+export function createLocalStore({ file = null, seed = {} } = {}) {
+  let tables = {};
+  let viewCache = new Map();
+
+  if (file && fs.existsSync(file)) {
+    try {
+      tables = JSON.parse(fs.readFileSync(file, 'utf-8')).tables || {};
+    } catch (error) {
+      throw new Error('Failed to load local store: ' + error.message);
+    }
+  } else {
+    tables = clone(seed) || {};
+  }
+
+  function table(name) {
+    if (!tables[name]) tables[name] = [];
+    return tables[name];
+  }
+
+  function persist() {
+    viewCache = new Map();
+    if (!file) return;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, tables }));
+    fs.renameSync(tmp, file);
+  }
+
+  function primaryKey(name) {
+    return PRIMARY_KEYS[name] || 'id';
+  }
+
+  function withDefaults(name, row) {
+    const key = primaryKey(name);
+    const defaults = { ...COLUMN_DEFAULTS[name] };
+
+    if (key === 'id' || key === 'txn_id') defaults[key] = randomUUID();
+    if (name === 'atd_transactions') defaults.timestamp = new Date().toISOString();
+    else defaults.created_at = new Date().toISOString();
+
+    const filled = { ...defaults, ...clone(row) };
+    for (const [column, value] of Object.entries(filled)) {
+      if (value === undefined) filled[column] = defaults[column] ?? null;
+    }
+    return filled;
+  }
+
+  function duplicateKeyError(name) {
+    const error = new Error(`duplicate key value violates unique constraint "${name}_pkey"`);
+    error.code = '23505';
+    return error;
+  }
+
+  function insertRows(name, rows) {
+    const list = (Array.isArray(rows) ? rows : [rows]).map(row => withDefaults(name, row));
+    const key = primaryKey(name);
+    const existing = new Set(table(name).map(row => String(row[key])));
+
+    for (const row of list) {
+      if (existing.has(String(row[key]))) throw duplicateKeyError(name);
+      existing.add(String(row[key]));
+    }
+
+    table(name).push(...list);
+    persist();
+    return list;
+  }
+
+  function upsertRows(name, rows, { onConflict, ignoreDuplicates = false } = {}) {
+    const columns = (onConflict || primaryKey(name)).split(',').map(c => c.trim());
+    const written = [];
+
+    for (const row of Array.isArray(rows) ? rows : [rows]) {
+      const hasKey = columns.every(c => row[c] !== undefined && row[c] !== null);
+      const match = hasKey && table(name).find(r => columns.every(c => sameValue(r[c], row[c])));
+
+      if (match) {
+        if (!ignoreDuplicates) Object.assign(match, clone(row));
+        written.push(match);
+      } else {
+        const filled = withDefaults(name, row);
+        table(name).push(filled);
+        written.push(filled);
+      }
+    }
+
+    persist();
+    return written;
+  }
+
+  function updateRows(name, predicate, patch) {
+    const updated = table(name).filter(predicate);
+    for (const row of updated) Object.assign(row, clone(patch));
+    if (updated.length > 0) persist();
+    return updated;
+  }
+
+  function deleteRows(name, predicate) {
+    const removed = table(name).filter(predicate);
+    if (removed.length > 0) {
+      tables[name] = table(name).filter(row => !removed.includes(row));
+      persist();
+    }
+    return removed;
+  }
+
+  const baseTables = new Proxy({}, { get: (_, name) => table(name) });
+
+  const internals = {
+    isView: name => name in VIEWS,
+    rows: name => {
+      if (!(name in VIEWS)) return table(name);
+      if (!viewCache.has(name)) viewCache.set(name, VIEWS[name](baseTables));
+      return viewCache.get(name);
+    },
+    insertRows,
+    upsertRows,
+    updateRows,
+    deleteRows
+  };
+
+  if (file && !fs.existsSync(file)) persist();
+
+  return {
+    backend: 'local',
+    file,
+
+    from(name) {
+      return new LocalQuery(internals, name);
+    },
+
+    async rpc(fn, params = {}) {
+      if (!RPCS[fn]) {
+        return { data: null, error: { code: 'PGRST202', message: `Function ${fn} is not available in the local store` } };
+      }
+      return { data: clone(RPCS[fn](baseTables, params)), error: null };
+    },
+
+    /**
+     * Copy of all base tables (debugging and tests)
+     */
+    snapshot() {
+      return clone(tables);
+    }
+  };
+}
@@ -0,0 +1,306 @@
+// src/lib/namedLists.js
+// Named reference lists (atd_named_lists): allowlists and blocklists rules refer to by name
+//
+// A list holds sellers, agent ids, URLs, partners, ... under a snake_case name; rules use
+// it as { "field": "seller_name", "op": "in_list", "value": "risky_sellers" }. Lists are
+// loaded with the rule snapshot (ruleEngine.js) and become the evaluation context, so an
+// edit takes effect like a rule edit. Every change bumps the list's version and appends
+// a row to atd_named_list_versions; a list cannot be deleted while a rule references it.
+
+import { getStore } from './store.js';
+import { collectLeaves } from './conditionTree.js';
+import { getOperator } from './operators.js';
+
+// What a list holds -> type of its items
+export const LIST_KINDS = {
+  seller: 'string',
+  agent_id: 'string',
+  agent_source: 'string',
+  agent_scope: 'string',
+  partner: 'string',
+  url: 'string',
+  hour: 'number'
+};
+
+export const MAX_LIST_ITEMS = 10000;
+
+const LIST_NAME_PATTERN = /^[a-z][a-z0-9_]{2,63}$/;
+
+/**
+ * Validate a list from a request body
+ *
+ * @param {Object} input - { name, kind, description, items }
+ * @param {Object} options - { partial, kind }: updates are partial (only the fields present
+ *   are checked, name and kind cannot change) and pass the list's existing kind
+ * @returns {Object} { valid, error?, field? }
+ */
+export function validateNamedList(input = {}, { partial = false, kind } = {}) {
+  const { name, description, items } = input;
+  const listKind = kind ?? input.kind;
+
+  if (!partial) {
+    if (typeof name !== 'string' || !LIST_NAME_PATTERN.test(name)) {
+      return {
+        valid: false,
+        error: 'name must be 3-64 characters of lowercase letters, digits and underscores, starting with a letter',
+        field: 'name'
+      };
+    }
+    if (!Object.hasOwn(LIST_KINDS, listKind)) {
+      return { valid: false, error: `kind must be one of: ${Object.keys(LIST_KINDS).join(', ')}`, field: 'kind' };
+    }
+  } else if (input.name !== undefined || input.kind !== undefined) {
+    return { valid: false, error: 'name and kind cannot be changed', field: input.name !== undefined ? 'name' : 'kind' };
+  } else if (items === undefined && description === undefined) {
+    return { valid: false, error: 'items or description required', field: 'items' };
+  }
+
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return { valid: false, error: 'description must be a string', field: 'description' };
+  }
+
+  if (items !== undefined || !partial) {
+    const check = validateItems(items, LIST_KINDS[listKind], 'items');
+    if (!check.valid) return check;
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate items to add to or remove from a list
+ *
+ * @param {*} items - Request value
+ * @param {string} type - Item type of the list ('string' or 'number')
+ * @param {string} field - Request field name, for the error
+ * @returns {Object} { valid, error?, field? }
+ */
+export function validateItems(items, type, field) {
+  if (!Array.isArray(items)) {
+    return { valid: false, error: `${field} must be an array`, field };
+  }
+  if (items.length > MAX_LIST_ITEMS) {
+    return { valid: false, error: `${field} cannot hold more than ${MAX_LIST_ITEMS} items`, field };
+  }
+
+  const invalid = items.findIndex(item => (type === 'number'
+    ? typeof item !== 'number' || !Number.isFinite(item)
+    : typeof item !== 'string' || item.trim() === ''));
+
+  if (invalid >= 0) {
+    return { valid: false, error: `${field}[${invalid}] must be a ${type === 'number' ? 'number' : 'non-empty string'}`, field };
+  }
+  return { valid: true };
+}
+
+/**
+ * Trim string items and drop duplicates, keeping the first occurrence
+ *
+ * @param {Array} items - Validated items
+ * @returns {Array} Normalized items
+ */
+export function normalizeItems(items) {
+  return [...new Set(items.map(item => (typeof item === 'string' ? item.trim() : item)))];
+}
+
+/**
+ * Items added and removed between two versions of a list
+ *
+ * @param {Array} before - Old items
+ * @param {Array} after - New items
+ * @returns {Object} { added, removed }
+ */
+export function diffListItems(before = [], after = []) {
+  const old = new Set(before);
+  const current = new Set(after);
+  return {
+    added: after.filter(item => !old.has(item)),
+    removed: before.filter(item => !current.has(item))
+  };
+}
+
+/**
+ * Names of the lists a conditions tree references
+ * in_list / not_in_list name their list; in / not_in may name one instead of an array.
+ *
+ * @param {Array} conditions - Conditions array
+ * @returns {Set<string>} List names
+ */
+export function listReferences(conditions) {
+  const names = new Set();
+  for (const { condition } of collectLeaves(conditions)) {
+    const shape = getOperator(condition.op)?.value;
+    if ((shape === 'list' || shape === 'array') && typeof condition.value === 'string') {
+      names.add(condition.value);
+    }
+  }
+  return names;
+}
+
+/**
+ * List all named lists, by name
+ *
+ * @returns {Promise<Array>} List rows
+ */
+export async function listNamedLists() {
+  const { data, error } = await getStore()
+    .from('atd_named_lists')
+    .select('*')
+    .order('name');
+
+  if (error) throw new Error('Failed to load named lists: ' + error.message);
+  return data || [];
+}
+
+/**
+ * Get one named list
+ *
+ * @param {string} name - List name
+ * @returns {Promise<Object|null>} List row, or null if it does not exist
+ */
+export async function getNamedList(name) {
+  const { data, error } = await getStore()
+    .from('atd_named_lists')
+    .select('*')
+    .eq('name', name)
+    .maybeSingle();
+
+  if (error) throw new Error('Failed to load named list: ' + error.message);
+  return data;
+}
+
+/**
+ * List the versions of a named list, newest first
+ *
+ * @param {string} name - List name
+ * @returns {Promise<Array>} Version rows
+ */
+export async function listNamedListVersions(name) {
+  const { data, error } = await getStore()
+    .from('atd_named_list_versions')
+    .select('*')
+    .eq('list_name', name)
+    .order('version', { ascending: false });
+
+  if (error) throw new Error('Failed to load named list versions: ' + error.message);
+  return data || [];
+}
+
+/**
+ * Create a named list (version 1)
+ *
+ * @param {Object} input - Validated { name, kind, description, items }
+ * @param {string} actor - Who made the change
+ * @returns {Promise<Object>} The new list row
+ */
+export async function createNamedList({ name, kind, description = null, items }, actor) {
+  const now = new Date().toISOString();
+  const row = {
+    name,
+    kind,
+    description,
+    items: normalizeItems(items),
+    version: 1,
+    created_by: actor,
+    updated_by: actor,
+    created_at: now,
+    updated_at: now
+  };
+
+  const { data, error } = await getStore()
+    .from('atd_named_lists')
+    .insert(row)
+    .select()
+    .single();
+
+  if (error) throw new Error('Failed to create named list: ' + error.message);
+
+  await recordListVersion(data, 'created', diffListItems([], data.items), actor);
+  return data;
+}
+
+/**
+ * Update a named list's items and/or description
+ * The write only lands if the list is still at `current.version`, so concurrent edits
+ * cannot silently overwrite each other.
+ *
+ * @param {Object} current - List row the change was computed from
+ * @param {Object} changes - Validated { items, description }
+ * @param {string} actor - Who made the change
+ * @returns {Promise<Object|null>} The updated row, or null if the list changed meanwhile
+ */
+export async function updateNamedList(current, changes, actor) {
+  const update = {
+    version: current.version + 1,
+    updated_by: actor,
+    updated_at: new Date().toISOString()
+  };
+  if (changes.items !== undefined) update.items = normalizeItems(changes.items);
+  if (changes.description !== undefined) update.description = changes.description;
+
+  const { data, error } = await getStore()
+    .from('atd_named_lists')
+    .update(update)
+    .eq('name', current.name)
+    .eq('version', current.version)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error('Failed to update named list: ' + error.message);
+  if (!data) return null;
+
+  await recordListVersion(data, 'updated', diffListItems(current.items, data.items), actor);
+  return data;
+}
+
+/**
+ * Delete a named list (its version history is kept)
+ *
+ * @param {Object} list - List row
+ * @param {string} actor - Who made the change
+ */
+export async function deleteNamedList(list, actor) {
+  const { error } = await getStore()
+    .from('atd_named_lists')
+    .delete()
+    .eq('name', list.name);
+
+  if (error) throw new Error('Failed to delete named list: ' + error.message);
+
+  await recordListVersion({ ...list, version: list.version + 1 }, 'deleted', diffListItems(list.items, []), actor);
+}
+
+/**
+ * Rules (enabled or not) whose conditions reference a list
+ *
+ * @param {string} name - List name
+ * @returns {Promise<Array>} [{ id, rule_name }]
+ */
+export async function findRulesUsingList(name) {
+  const { data, error } = await getStore()
+    .from('atd_fraud_rules')
+    .select('*');
+
+  if (error) throw new Error('Failed to load rules: ' + error.message);
+
+  return (data || [])
+    .filter(rule => listReferences(rule.conditions || rule.condition).has(name))
+    .map(rule => ({ id: rule.id, rule_name: rule.rule_name || rule.ruleset_name || null }));
+}
+
+async function recordListVersion(list, change_type, diff, actor) {
+  const { error } = await getStore()
+    .from('atd_named_list_versions')
+    .insert({
+      list_name: list.name,
+      version: list.version,
+      change_type,
+      kind: list.kind,
+      description: list.description ?? null,
+      items: change_type === 'deleted' ? [] : list.items,
+      diff,
+      created_by: actor
+    });
+
+  if (error) throw new Error('Failed to record named list version: ' + error.message);
+}
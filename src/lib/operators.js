@@ -0,0 +1,373 @@
+// src/lib/operators.js
+// Operator registry: the single definition of every condition operator
+//
+// The condition evaluator runs `evaluate` from here, and the validator, the LLM function
+// schema, the LLM prompt and the policy gate derive their operator lists from it, so an
+// operator is either supported everywhere or nowhere.
+//
+// Operators are strictly typed: `==` never coerces between strings and numbers, and the
+// ordering comparisons only match numbers. A missing (undefined or null) field never
+// reaches `evaluate` - the evaluator treats the leaf as unknown (see the rule's
+// on_missing policy) - except for the presence operators (value 'none'), which test it.
+// List operators (value 'list') name a stored list; the evaluator resolves the name to
+// the list's items before `evaluate` runs (see namedLists.js).
+// Some operators only apply to fields of a given catalog format (the URL operators to
+// `format: url`), and some check their value beyond its type (`validate`, e.g. regex
+// patterns must pass safeRegex.js).
+
+import { checkPattern, compileSafeRegex } from './safeRegex.js';
+
+const FIELD_TYPES = ['number', 'integer', 'string', 'boolean', 'enum'];
+const NUMERIC = ['number', 'integer'];
+
+const OPERATORS = new Map();
+
+// Ordering comparisons never coerce ("10" > 9 is not a match)
+const numbers = (actual, expected) => typeof actual === 'number' && typeof expected === 'number';
+
+/**
+ * Lowercased host of a URL ("https://Shop.Example.com/x" -> "shop.example.com")
+ * Bare hosts are accepted ("example.com"); anything unparseable has no host.
+ *
+ * @param {string} value - URL or host
+ * @returns {string|null} Host, or null if there is none
+ */
+export function urlHost(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const text = value.trim();
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `http://${text}`);
+    return url.hostname.replace(/\.$/, '') || null;
+  } catch {
+    return null;
+  }
+}
+
+// Top-level domain as written in tld_in ("COM" or ".com" -> "com")
+const normalizeTld = tld => (typeof tld === 'string' ? tld.trim().replace(/^\./, '').toLowerCase() : null);
+
+// The host and each parent domain ("a.shop.example.com", "shop.example.com", ...)
+function hostSuffixes(host) {
+  const labels = host.split('.');
+  return labels.map((_, idx) => labels.slice(idx).join('.'));
+}
+
+// domain_in: the host is a listed domain or a subdomain of one
+function matchDomains(expected) {
+  const domains = new Set((Array.isArray(expected) ? expected : []).map(urlHost).filter(Boolean));
+  return actual => {
+    const host = urlHost(actual);
+    return host !== null && hostSuffixes(host).some(domain => domains.has(domain));
+  };
+}
+
+// tld_in: the host's last label is a listed top-level domain
+function matchTlds(expected) {
+  const tlds = new Set((Array.isArray(expected) ? expected : []).map(normalizeTld));
+  return actual => {
+    const host = urlHost(actual);
+    return host !== null && tlds.has(host.split('.').pop());
+  };
+}
+
+function invalidHost(values) {
+  const bad = values.find(value => urlHost(value) === null);
+  return bad === undefined ? null : `"${bad}" is not a valid domain`;
+}
+
+/**
+ * Register a condition operator
+ *
+ * @param {string} name - Operator as written in conditions (e.g. ">=")
+ * @param {Object} spec - { category, types, formats, value, negative, description, evaluate, compile, validate }
+ *   category: prompt grouping ('comparison', 'array', 'list', 'string', 'url');
+ *   types: catalog field types the operator applies to;
+ *   formats: optional catalog formats the field must have (e.g. ['url']);
+ *   value: 'scalar', 'array', 'list' or 'none' (shape of the condition value; 'list'
+ *   operators take the name of a named list and are evaluated against its items; 'none'
+ *   operators take no value and are the only ones evaluated on missing fields);
+ *   negative: true if it matches by exclusion (policy gate checks these);
+ *   evaluate: (actual, expected) => boolean, or null if the operator cannot decide (a regex
+ *   match that timed out);
+ *   compile: optional (expected) => (actual) => boolean, specialised once per condition
+ *   (must agree with evaluate);
+ *   validate: optional (value) => error message or null, checked by the validators after
+ *   the value's type
+ */
+export function registerOperator(name, spec) {
+  OPERATORS.set(name, Object.freeze({
+    name,
+    category: spec.category,
+    types: spec.types,
+    formats: spec.formats || null,
+    value: spec.value || 'scalar',
+    negative: spec.negative === true,
+    description: spec.description,
+    evaluate: spec.evaluate,
+    compile: spec.compile || (expected => actual => spec.evaluate(actual, expected)),
+    validate: spec.validate || null
+  }));
+}
+
+/**
+ * Get an operator definition
+ *
+ * @param {string} name - Operator name
+ * @returns {Object|null} Operator spec, or null if unknown
+ */
+export function getOperator(name) {
+  return OPERATORS.get(name) || null;
+}
+
+/**
+ * All registered operator names, in registration order
+ *
+ * @returns {Array<string>}
+ */
+export function listOperators() {
+  return [...OPERATORS.keys()];
+}
+
+/**
+ * Operators that apply to a catalog field type (and format)
+ *
+ * @param {string} type - Feature type (number, integer, string, boolean, enum)
+ * @param {string} format - Feature format (e.g. 'url'), if any
+ * @returns {Array<string>}
+ */
+export function operatorsForType(type, format) {
+  return [...OPERATORS.values()]
+    .filter(op => op.types.includes(type) && (!op.formats || op.formats.includes(format)))
+    .map(op => op.name);
+}
+
+/**
+ * Operators that match by exclusion (!=, not_in, ...)
+ *
+ * @returns {Array<string>}
+ */
+export function negativeOperators() {
+  return [...OPERATORS.values()].filter(op => op.negative).map(op => op.name);
+}
+
+/**
+ * Operator list for the LLM prompt, one line per category
+ *
+ * @returns {string} e.g. "- Comparison: ==, !=, >, <, >=, <="
+ */
+export function describeOperators() {
+  const byCategory = new Map();
+  for (const op of OPERATORS.values()) {
+    if (!byCategory.has(op.category)) byCategory.set(op.category, []);
+    byCategory.get(op.category).push(op.name);
+  }
+
+  return [...byCategory.entries()]
+    .map(([category, names]) => `- ${category[0].toUpperCase()}${category.slice(1)}: ${names.join(', ')}`)
+    .join('\n');
+}
+
+// ========================================
+// Built-in operators
+// ========================================
+
+registerOperator('==', {
+  category: 'comparison',
+  types: FIELD_TYPES,
+  description: 'Equal to',
+  evaluate: (actual, expected) => actual === expected
+});
+
+registerOperator('!=', {
+  category: 'comparison',
+  types: FIELD_TYPES,
+  negative: true,
+  description: 'Not equal to',
+  evaluate: (actual, expected) => actual !== expected
+});
+
+registerOperator('>', {
+  category: 'comparison',
+  types: NUMERIC,
+  description: 'Greater than',
+  evaluate: (actual, expected) => numbers(actual, expected) && actual > expected
+});
+
+registerOperator('<', {
+  category: 'comparison',
+  types: NUMERIC,
+  description: 'Less than',
+  evaluate: (actual, expected) => numbers(actual, expected) && actual < expected
+});
+
+registerOperator('>=', {
+  category: 'comparison',
+  types: NUMERIC,
+  description: 'Greater than or equal to',
+  evaluate: (actual, expected) => numbers(actual, expected) && actual >= expected
+});
+
+registerOperator('<=', {
+  category: 'comparison',
+  types: NUMERIC,
+  description: 'Less than or equal to',
+  evaluate: (actual, expected) => numbers(actual, expected) && actual <= expected
+});
+
+registerOperator('is_null', {
+  category: 'presence',
+  types: FIELD_TYPES,
+  value: 'none',
+  description: 'Field is missing or null (no value)',
+  evaluate: actual => actual === undefined || actual === null
+});
+
+registerOperator('is_not_null', {
+  category: 'presence',
+  types: FIELD_TYPES,
+  value: 'none',
+  description: 'Field is present and not null (no value)',
+  evaluate: actual => actual !== undefined && actual !== null
+});
+
+registerOperator('in', {
+  category: 'array',
+  types: [...NUMERIC, 'string', 'enum'],
+  value: 'array',
+  description: 'One of the listed values',
+  evaluate: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  compile: expected => {
+    if (!Array.isArray(expected)) return () => false;
+    const values = new Set(expected);
+    return actual => values.has(actual);
+  }
+});
+
+registerOperator('not_in', {
+  category: 'array',
+  types: [...NUMERIC, 'string', 'enum'],
+  value: 'array',
+  negative: true,
+  description: 'None of the listed values',
+  evaluate: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  compile: expected => {
+    if (!Array.isArray(expected)) return () => false;
+    const values = new Set(expected);
+    return actual => !values.has(actual);
+  }
+});
+
+registerOperator('in_list', {
+  category: 'list',
+  types: [...NUMERIC, 'string', 'enum'],
+  value: 'list',
+  description: 'In the named list (value is the list name)',
+  evaluate: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  compile: expected => {
+    if (!Array.isArray(expected)) return () => false;
+    const values = new Set(expected);
+    return actual => values.has(actual);
+  }
+});
+
+registerOperator('not_in_list', {
+  category: 'list',
+  types: [...NUMERIC, 'string', 'enum'],
+  value: 'list',
+  negative: true,
+  description: 'Not in the named list (value is the list name)',
+  evaluate: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  compile: expected => {
+    if (!Array.isArray(expected)) return () => false;
+    const values = new Set(expected);
+    return actual => !values.has(actual);
+  }
+});
+
+registerOperator('contains', {
+  category: 'string',
+  types: ['string'],
+  description: 'Contains the substring',
+  evaluate: (actual, expected) => typeof actual === 'string' && actual.includes(expected)
+});
+
+registerOperator('not_contains', {
+  category: 'string',
+  types: ['string'],
+  negative: true,
+  description: 'Does not contain the substring',
+  evaluate: (actual, expected) => typeof actual === 'string' && !actual.includes(expected)
+});
+
+registerOperator('starts_with', {
+  category: 'string',
+  types: ['string'],
+  description: 'Starts with the prefix',
+  evaluate: (actual, expected) => typeof actual === 'string' && actual.startsWith(expected)
+});
+
+registerOperator('ends_with', {
+  category: 'string',
+  types: ['string'],
+  description: 'Ends with the suffix',
+  evaluate: (actual, expected) => typeof actual === 'string' && actual.endsWith(expected)
+});
+
+registerOperator('matches_regex', {
+  category: 'string',
+  types: ['string'],
+  description: 'Matches the regular expression ("pattern" or "/pattern/i"; no nested quantifiers or backreferences)',
+  evaluate: (actual, expected) => {
+    if (typeof actual !== 'string') return false;
+    const matcher = compileSafeRegex(expected);
+    return matcher ? matcher(actual) : null;
+  },
+  compile: expected => {
+    const matcher = compileSafeRegex(expected);
+    if (!matcher) return actual => (typeof actual === 'string' ? null : false);
+    return actual => (typeof actual === 'string' ? matcher(actual) : false);
+  },
+  validate: value => {
+    const check = checkPattern(value);
+    return check.valid ? null : check.error;
+  }
+});
+
+// URL operators compare the URL's host; an unparseable URL matches none of them
+
+registerOperator('url_host_equals', {
+  category: 'url',
+  types: ['string'],
+  formats: ['url'],
+  description: 'Host of the URL is exactly this host (e.g. "www.amazon.com")',
+  evaluate: (actual, expected) => {
+    const host = urlHost(actual);
+    return host !== null && host === urlHost(expected);
+  },
+  validate: value => invalidHost([value])
+});
+
+registerOperator('domain_in', {
+  category: 'url',
+  types: ['string'],
+  formats: ['url'],
+  value: 'array',
+  description: 'Host of the URL is one of the listed domains or a subdomain of one',
+  evaluate: (actual, expected) => matchDomains(expected)(actual),
+  compile: expected => matchDomains(expected),
+  validate: value => invalidHost(value)
+});
+
+registerOperator('tld_in', {
+  category: 'url',
+  types: ['string'],
+  formats: ['url'],
+  value: 'array',
+  description: 'Top-level domain of the URL is one of the listed ones (e.g. ["zip", "xyz"])',
+  evaluate: (actual, expected) => matchTlds(expected)(actual),
+  compile: expected => matchTlds(expected),
+  validate: value => {
+    const bad = value.find(tld => !/^[a-z0-9-]+$/.test(normalizeTld(tld) ?? ''));
+    return bad === undefined ? null : `"${bad}" is not a valid top-level domain`;
+  }
+});
@@ -0,0 +1,265 @@
+// src/lib/outcomeLabels.js
+// Outcome labels: what actually happened to a transaction after the decision
+//
+// Labels are append-only (atd_transaction_labels); the latest label of a transaction
+// (by labeled_at) is its outcome. Each outcome is fraud or legitimate, which lets
+// dry-runs, overlap analysis and rule stats measure precision and recall instead of
+// guessing false positives from the `flagged` column.
+
+import { getStore } from './store.js';
+
+// Outcome -> is the transaction fraud?
+export const LABEL_OUTCOMES = {
+  chargeback: true,
+  confirmed_fraud: true,
+  account_takeover: true,
+  analyst_cleared: false,
+  customer_confirmed: false,
+  dispute_won: false
+};
+
+export const LABEL_SOURCES = ['analyst', 'chargeback_feed', 'processor', 'customer', 'system'];
+
+// Fetch labels in chunks: `in` filters end up in the request URL
+const LABEL_LOOKUP_CHUNK = 500;
+
+// Labeled transactions among those a rule newly catches before labels replace the
+// flagged heuristic in false positive estimates
+export const MIN_LABELED_FOR_FP = 5;
+
+export const DEFAULT_STATS_WINDOW_HOURS = 24 * 30;
+const MAX_STATS_ROWS = 50000;
+
+/**
+ * Check a label submitted through the API
+ *
+ * @param {Object} input - { txn_id, outcome, source, labeled_at?, labeled_by?, notes? }
+ * @returns {Object} { valid, error?, field? }
+ */
+export function validateLabel(input = {}) {
+  const { txn_id, outcome, source, labeled_at, labeled_by, notes } = input;
+
+  if (typeof txn_id !== 'string' || txn_id.trim() === '') {
+    return { valid: false, error: 'txn_id is required', field: 'txn_id' };
+  }
+  if (!Object.hasOwn(LABEL_OUTCOMES, outcome)) {
+    return { valid: false, error: `outcome must be one of: ${Object.keys(LABEL_OUTCOMES).join(', ')}`, field: 'outcome' };
+  }
+  if (!LABEL_SOURCES.includes(source)) {
+    return { valid: false, error: `source must be one of: ${LABEL_SOURCES.join(', ')}`, field: 'source' };
+  }
+  if (labeled_at !== undefined) {
+    const time = typeof labeled_at === 'string' ? Date.parse(labeled_at) : NaN;
+    if (Number.isNaN(time) || time > Date.now()) {
+      return { valid: false, error: 'labeled_at must be an ISO 8601 time that is not in the future', field: 'labeled_at' };
+    }
+  }
+  if (labeled_by !== undefined && typeof labeled_by !== 'string') {
+    return { valid: false, error: 'labeled_by must be a string', field: 'labeled_by' };
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return { valid: false, error: 'notes must be a string', field: 'notes' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Record outcome labels
+ *
+ * @param {Array} inputs - Validated [{ txn_id, outcome, source, labeled_at?, labeled_by?, notes? }]
+ * @returns {Promise<Array>} The label rows
+ */
+export async function recordLabels(inputs) {
+  const now = new Date().toISOString();
+  const rows = inputs.map(({ txn_id, outcome, source, labeled_at, labeled_by = 'unknown', notes = null }) => ({
+    txn_id: String(txn_id),
+    outcome,
+    is_fraud: LABEL_OUTCOMES[outcome],
+    source,
+    labeled_at: labeled_at ? new Date(labeled_at).toISOString() : now,
+    labeled_by,
+    notes,
+    created_at: now
+  }));
+
+  const { data, error } = await getStore()
+    .from('atd_transaction_labels')
+    .insert(rows)
+    .select();
+
+  if (error) throw new Error('Failed to record labels: ' + error.message);
+  return data || [];
+}
+
+/**
+ * Label history of a transaction, newest first
+ *
+ * @param {string} txnId - Transaction id
+ * @returns {Promise<Array>} Label rows
+ */
+export async function listLabels(txnId) {
+  const { data, error } = await getStore()
+    .from('atd_transaction_labels')
+    .select('*')
+    .eq('txn_id', String(txnId))
+    .order('labeled_at', { ascending: false });
+
+  if (error) throw new Error('Failed to load labels: ' + error.message);
+  return data || [];
+}
+
+/**
+ * Rows whose `txn_id` is one of the given ids, looked up in chunks
+ */
+async function selectByTxnIds(table, columns, txnIds, failure) {
+  const ids = [...new Set((txnIds || []).filter(id => id !== undefined && id !== null).map(String))];
+  const rows = [];
+
+  for (let start = 0; start < ids.length; start += LABEL_LOOKUP_CHUNK) {
+    const { data, error } = await getStore()
+      .from(table)
+      .select(columns)
+      .in('txn_id', ids.slice(start, start + LABEL_LOOKUP_CHUNK));
+
+    if (error) throw new Error(`${failure}: ${error.message}`);
+    rows.push(...(data || []));
+  }
+
+  return rows;
+}
+
+/**
+ * Transaction ids without a transaction row (labels can only be recorded for known ones)
+ *
+ * @param {Array<string>} txnIds - Transaction ids
+ * @returns {Promise<Array<string>>} Unknown ids, in input order
+ */
+export async function findUnknownTransactions(txnIds) {
+  const known = await selectByTxnIds('atd_transactions', 'txn_id', txnIds, 'Failed to look up transactions');
+  const knownIds = new Set(known.map(row => String(row.txn_id)));
+  return [...new Set(txnIds.map(String))].filter(id => !knownIds.has(id));
+}
+
+/**
+ * Current outcome of each transaction that has a label
+ *
+ * @param {Array<string>} txnIds - Transaction ids
+ * @returns {Promise<Map>} txn_id -> latest label row
+ */
+export async function fetchLatestLabels(txnIds) {
+  const rows = await selectByTxnIds('atd_transaction_labels', 'txn_id, outcome, is_fraud, source, labeled_at', txnIds, 'Failed to load labels');
+  const latest = new Map();
+
+  for (const label of rows) {
+    const current = latest.get(label.txn_id);
+    if (!current || label.labeled_at > current.labeled_at) latest.set(label.txn_id, label);
+  }
+
+  return latest;
+}
+
+function percent(count, total) {
+  return total > 0 ? Number(((count / total) * 100).toFixed(2)) : null;
+}
+
+/**
+ * Confusion matrix and rates of a prediction against outcome labels
+ * Unlabeled transactions are left out; rates are percentages, null without data.
+ *
+ * @param {Array} rows - [{ txn_id, predicted }] where predicted means blocked/reviewed/matched
+ * @param {Map} labels - fetchLatestLabels result
+ * @returns {Object} { labeled, true_positives, false_positives, false_negatives,
+ *   true_negatives, precision, recall, false_positive_rate }
+ */
+export function computeLabelMetrics(rows, labels) {
+  const metrics = { labeled: 0, true_positives: 0, false_positives: 0, false_negatives: 0, true_negatives: 0 };
+
+  for (const { txn_id, predicted } of rows) {
+    const label = labels.get(String(txn_id));
+    if (!label) continue;
+
+    metrics.labeled++;
+    if (predicted) {
+      if (label.is_fraud) metrics.true_positives++;
+      else metrics.false_positives++;
+    } else if (label.is_fraud) {
+      metrics.false_negatives++;
+    } else {
+      metrics.true_negatives++;
+    }
+  }
+
+  const { true_positives: tp, false_positives: fp, false_negatives: fn, true_negatives: tn } = metrics;
+  return {
+    ...metrics,
+    precision: percent(tp, tp + fp),
+    recall: percent(tp, tp + fn),
+    false_positive_rate: percent(fp, fp + tn)
+  };
+}
+
+/**
+ * Per-rule precision, recall and false positive rate over labeled transactions
+ * A rule predicts fraud when it triggered on the transaction; the engine as a whole
+ * predicts fraud when it blocked or sent the transaction to review.
+ *
+ * @param {Object} options - { since, until } ISO timestamps (transaction time)
+ * @returns {Promise<Object>} { window, transactions, labeled, outcomes, engine, rules, truncated }
+ */
+export async function buildRuleOutcomeStats({ since, until }) {
+  const { data: txns, error } = await getStore()
+    .from('atd_transactions')
+    .select('txn_id, timestamp, risk_decision, triggered_rule_ids')
+    .gte('timestamp', since)
+    .lte('timestamp', until)
+    .order('timestamp', { ascending: false })
+    .limit(MAX_STATS_ROWS);
+
+  if (error) throw new Error('Failed to load transactions: ' + error.message);
+
+  const { data: rules, error: rulesError } = await getStore()
+    .from('atd_fraud_rules')
+    .select('id, rule_name, ruleset_name, decision, action, enabled, lifecycle');
+
+  if (rulesError) throw new Error('Failed to load rules: ' + rulesError.message);
+
+  const rows = txns || [];
+  const labels = await fetchLatestLabels(rows.map(txn => txn.txn_id));
+
+  const outcomes = {};
+  for (const label of labels.values()) {
+    outcomes[label.outcome] = (outcomes[label.outcome] || 0) + 1;
+  }
+
+  const ruleStats = (rules || []).map(rule => {
+    const id = String(rule.id);
+    const predictions = rows.map(txn => ({
+      txn_id: txn.txn_id,
+      predicted: (txn.triggered_rule_ids || []).map(String).includes(id)
+    }));
+
+    return {
+      rule_id: rule.id,
+      rule: rule.rule_name || rule.ruleset_name || null,
+      decision: rule.action || rule.decision,
+      enabled: rule.enabled !== false,
+      lifecycle: rule.lifecycle || 'active',
+      triggered: predictions.filter(p => p.predicted).length,
+      ...computeLabelMetrics(predictions, labels)
+    };
+  });
+
+  return {
+    window: { since, until },
+    transactions: rows.length,
+    labeled: labels.size,
+    outcomes,
+    engine: computeLabelMetrics(
+      rows.map(txn => ({ txn_id: txn.txn_id, predicted: ['block', 'review'].includes(txn.risk_decision) })),
+      labels
+    ),
+    rules: ruleStats.sort((a, b) => b.triggered - a.triggered),
+    truncated: rows.length === MAX_STATS_ROWS
+  };
+}
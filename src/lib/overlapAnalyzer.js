@@ -1,9 +1,19 @@
 // src/lib/overlapAnalyzer.js
 // Overlap analysis using Jaccard similarity (Sprint 2 Phase 2C)
-// Compares proposed rule with existing rules on actual transactions
+// Compares proposed rule with existing rules on actual transactions, and logically over
+// their conditions (src/lib/conditionAnalysis.js), which also covers rules that rarely fire
 
-import { sampleTransactions, evaluateRule } from './dryRunEngine.js';
-import { getSupabase } from '../dbclient.js';
+import { sampleTransactions } from './dryRunEngine.js';
+import { evaluateRule } from './conditionEvaluator.js';
+import { getRuleSnapshot } from './ruleEngine.js';
+import { fetchLatestLabels, computeLabelMetrics } from './outcomeLabels.js';
+import { ruleDecision } from './decisionStrategy.js';
+import {
+  ruleRegion,
+  ruleRegionContains,
+  intersectRuleRegions,
+  describeRegions
+} from './conditionAnalysis.js';
 
 /**
  * Compute Jaccard similarity between two sets of transaction IDs
@@ -15,7 +25,7 @@ import { getSupabase } from '../dbclient.js';
  * @param {Set} setB - Transaction IDs matched by rule2
  * @returns {number} Jaccard score (0-1)
  */
-function jaccardSimilarity(setA, setB) {
+export function jaccardSimilarity(setA, setB) {
   if (setA.size === 0 && setB.size === 0) return 0;
 
   const intersection = new Set([...setA].filter(x => setB.has(x)));
@@ -25,34 +35,115 @@ function jaccardSimilarity(setA, setB) {
 }
 
 /**
- * Get all active rules from database
+ * Compare two rules' matches against outcome labels
  *
- * @returns {Promise<Array>} Array of active rule objects
+ * @param {Array} sample - Sampled transactions
+ * @param {Set} proposedMatches - txn_ids the proposed rule matched
+ * @param {Set} existingMatches - txn_ids the existing rule matched
+ * @param {Map} labels - Latest outcome label per txn_id
+ * @returns {Object} { proposed, existing, shared_fraud, proposed_only_fraud, proposed_only_legit }
  */
-async function fetchActiveRules() {
-  const supabase = getSupabase();
-  if (!supabase) {
-    console.warn('[fetchActiveRules] No Supabase client');
-    return [];
-  }
+function compareAgainstLabels(sample, proposedMatches, existingMatches, labels) {
+  const metricsFor = matches => computeLabelMetrics(
+    sample.map(txn => ({ txn_id: txn.txn_id, predicted: matches.has(txn.txn_id) })),
+    labels
+  );
 
-  try {
-    const { data, error } = await supabase
-      .from('rulesets')
-      .select('*')
-      .eq('is_active', true)
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      console.error('[fetchActiveRules] Error:', error);
-      return [];
+  const counts = { shared_fraud: 0, proposed_only_fraud: 0, proposed_only_legit: 0 };
+  for (const txnId of proposedMatches) {
+    const label = labels.get(String(txnId));
+    if (!label) continue;
+    if (existingMatches.has(txnId)) {
+      if (label.is_fraud) counts.shared_fraud++;
+    } else if (label.is_fraud) {
+      counts.proposed_only_fraud++;
+    } else {
+      counts.proposed_only_legit++;
     }
+  }
 
-    return data || [];
-  } catch (err) {
-    console.error('[fetchActiveRules] Exception:', err);
-    return [];
+  return { proposed: metricsFor(proposedMatches), existing: metricsFor(existingMatches), ...counts };
+}
+
+// Logical relations worth reporting even when the sample shows no overlap
+const NOTABLE_RELATIONS = new Set(['equivalent', 'contained', 'contains']);
+
+/**
+ * Compare two rules' match regions over their conditions
+ *
+ * relation: equivalent | contained (the proposed rule only matches what the existing rule
+ * matches) | contains | intersecting | disjoint | unknown. Containment is only claimed when
+ * the containing rule was fully analyzed; disjoint holds either way. `exact` is false when
+ * the intersection left conditions out, so transactions in `region` may still match only one.
+ *
+ * @param {Object} proposedRule - The proposed rule
+ * @param {Object} existingRule - The existing rule
+ * @returns {Object} { relation, exact, region, conflicting_decisions, message }
+ */
+export function logicalOverlap(proposedRule, existingRule) {
+  const proposed = ruleRegion(proposedRule);
+  const existing = ruleRegion(existingRule);
+  const name = existingRule.ruleset_name || existingRule.rule_name || existingRule.id;
+
+  if (!proposed.analyzable || !existing.analyzable) {
+    return {
+      relation: 'unknown',
+      exact: false,
+      region: null,
+      conflicting_decisions: false,
+      message: 'A rule that matches on missing data (on_missing pass/review) is not analyzed'
+    };
+  }
+
+  const intersection = intersectRuleRegions(proposed, existing);
+  if (intersection.empty) {
+    return {
+      relation: 'disjoint',
+      exact: true,
+      region: null,
+      conflicting_decisions: false,
+      message: proposed.empty || existing.empty
+        ? 'One of the rules can never match'
+        : `No transaction can match both rules: no value of ${[...intersection.regions.keys()][0]} satisfies both`
+    };
   }
+
+  const inExisting = ruleRegionContains(existing, proposed);
+  const inProposed = ruleRegionContains(proposed, existing);
+  const relation = inExisting && inProposed ? 'equivalent'
+    : inExisting ? 'contained'
+      : inProposed ? 'contains'
+        : 'intersecting';
+
+  const region = describeRegions(intersection.regions);
+  const decisions = [ruleDecision(proposedRule), ruleDecision(existingRule)];
+  const conflicting = decisions[0] !== decisions[1];
+  const messages = {
+    equivalent: `Matches exactly the transactions ${name} matches`,
+    contained: `Every transaction it matches is also matched by ${name}`,
+    contains: `Matches every transaction ${name} matches`,
+    intersecting: `Both rules match transactions where ${region}`
+  };
+
+  return {
+    relation,
+    exact: proposed.exact && existing.exact,
+    region,
+    conflicting_decisions: conflicting,
+    message: conflicting
+      ? `${messages[relation]}, with conflicting decisions (${decisions[0]} vs ${decisions[1]})`
+      : messages[relation]
+  };
+}
+
+/**
+ * Enabled live rules from the rule snapshot (atd_fraud_rules); shadow rules decide nothing
+ *
+ * @returns {Promise<Array>} Array of active rule objects
+ */
+async function fetchActiveRules() {
+  const { rules } = await getRuleSnapshot();
+  return rules.filter(rule => rule.lifecycle !== 'shadow');
 }
 
 /**
@@ -70,22 +161,22 @@ export async function analyzeOverlap(proposedRule, sampleSize = 10000) {
     // 1. Get sample transactions
     const sample = await sampleTransactions(sampleSize);
     if (sample.length === 0) {
-      console.warn('[analyzeOverlap] No sample transactions available');
-      return [];
+      console.warn('[analyzeOverlap] No sample transactions available, comparing conditions only');
     }
 
     console.log(`[analyzeOverlap] Sampled ${sample.length} transactions`);
 
-    // 2. Evaluate proposed rule on sample
+    // 2. Evaluate proposed rule on sample (named lists as production sees them)
+    const { context } = await getRuleSnapshot();
     const proposedMatches = new Set();
     for (const txn of sample) {
-      const decision = evaluateRule(proposedRule, txn);
+      const decision = evaluateRule(proposedRule, txn, context);
       if (decision !== 'allow') {
         proposedMatches.add(txn.txn_id);
       }
     }
 
-    console.log(`[analyzeOverlap] Proposed rule matches: ${proposedMatches.size} (${(proposedMatches.size / sample.length * 100).toFixed(1)}%)`);
+    console.log(`[analyzeOverlap] Proposed rule matches: ${proposedMatches.size} (${(sample.length > 0 ? proposedMatches.size / sample.length * 100 : 0).toFixed(1)}%)`);
 
     // 3. Fetch existing active rules
     const existingRules = await fetchActiveRules();
@@ -95,14 +186,15 @@ export async function analyzeOverlap(proposedRule, sampleSize = 10000) {
       return [];
     }
 
-    // 4. Compute Jaccard similarity for each existing rule
+    // 4. Compute Jaccard similarity for each existing rule (and what each catches per the labels)
+    const labels = await fetchLatestLabels(sample.map(txn => txn.txn_id));
     const overlaps = [];
 
     for (const existingRule of existingRules) {
       // Evaluate existing rule on same sample
       const existingMatches = new Set();
       for (const txn of sample) {
-        const decision = evaluateRule(existingRule, txn);
+        const decision = evaluateRule(existingRule, txn, context);
         if (decision !== 'allow') {
           existingMatches.add(txn.txn_id);
         }
@@ -116,20 +208,25 @@ export async function analyzeOverlap(proposedRule, sampleSize = 10000) {
 
       overlaps.push({
         rule_id: existingRule.id,
-        rule_name: existingRule.ruleset_name,
+        rule_name: existingRule.rule_name || existingRule.ruleset_name,
         jaccard_score: parseFloat(jaccardScore.toFixed(4)),
         overlap_pct: `${(jaccardScore * 100).toFixed(1)}%`,
         intersection_count: intersection.size,
         proposed_matches: proposedMatches.size,
         existing_matches: existingMatches.size,
-        warning: jaccardScore > 0.7 ? 'High overlap - consider merging or adjusting' : null
+        label_metrics: compareAgainstLabels(sample, proposedMatches, existingMatches, labels),
+        warning: jaccardScore > 0.7 ? 'High overlap - consider merging or adjusting' : null,
+        logical: logicalOverlap(proposedRule, existingRule)
       });
     }
 
-    // 5. Sort by Jaccard score (descending) and return top 5
-    const topOverlaps = overlaps
-      .sort((a, b) => b.jaccard_score - a.jaccard_score)
-      .slice(0, 5);
+    // 5. Sort by Jaccard score (descending) and return top 5, plus rules the conditions show
+    // are contained, containing or conflicting however rarely they fired in the sample
+    const notable = overlap => NOTABLE_RELATIONS.has(overlap.logical.relation) ||
+      (overlap.logical.relation !== 'disjoint' && overlap.logical.relation !== 'unknown' && overlap.logical.conflicting_decisions);
+    const sorted = overlaps.sort((a, b) => b.jaccard_score - a.jaccard_score);
+    const top = sample.length > 0 ? sorted.slice(0, 5) : [];
+    const topOverlaps = [...top, ...sorted.filter(overlap => !top.includes(overlap) && notable(overlap))];
 
     console.log(`[analyzeOverlap] Top overlap: ${topOverlaps[0]?.overlap_pct || 'N/A'} with ${topOverlaps[0]?.rule_name || 'N/A'}`);
 
@@ -153,11 +250,13 @@ export async function getOverlapExamples(proposedRule, existingRule, limit = 10)
   const sample = await sampleTransactions(10000);
   if (sample.length === 0) return [];
 
+  const { context } = await getRuleSnapshot();
+
   const examples = [];
 
   for (const txn of sample) {
-    const proposedDecision = evaluateRule(proposedRule, txn);
-    const existingDecision = evaluateRule(existingRule, txn);
+    const proposedDecision = evaluateRule(proposedRule, txn, context);
+    const existingDecision = evaluateRule(existingRule, txn, context);
 
     // Only include if both rules match
     if (proposedDecision !== 'allow' && existingDecision !== 'allow') {
@@ -4,6 +4,9 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { collectLeaves, getGroupOperator } from './conditionTree.js';
+import { negativeOperators } from './operators.js';
+import { expressionFields } from './valueExpressions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,6 +18,9 @@ const FEATURE_CATALOG = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
 const DISALLOWED_FIELDS = new Set(FEATURE_CATALOG.policy?.disallowed_fields || []);
 const PII_FIELDS = new Set(FEATURE_CATALOG.policy?.pii_fields || []);
 
+// Operators that match by exclusion; under an odd number of `not` groups they flip
+const NEGATIVE_OPERATORS = new Set(negativeOperators());
+
 // Proxy patterns from catalog + additional ones
 const PROXY_PATTERNS = [
   /geograph/i,
@@ -62,27 +68,32 @@ export function policyGate({ instruction = "", ruleset }) {
   for (const rule of ruleset.rules) {
     if (!rule.conditions) continue;
 
-    for (const condition of rule.conditions) {
-      // Check for disallowed fields
-      if (condition.field && DISALLOWED_FIELDS.has(condition.field)) {
-        violations.push({
-          type: 'disallowed_field',
-          severity: 'error',
-          field: condition.field,
-          message: `Field "${condition.field}" is disallowed by policy (compliance/fairness reasons)`,
-          suggestion: 'Use approved fields from feature catalog only'
-        });
-      }
-
-      // Check for PII fields (warning, not blocker)
-      if (condition.field && PII_FIELDS.has(condition.field)) {
-        violations.push({
-          type: 'pii_field',
-          severity: 'warning',
-          field: condition.field,
-          message: `Field "${condition.field}" contains PII - ensure proper handling`,
-          suggestion: 'PII will be masked in UI displays'
-        });
+    for (const { condition } of collectLeaves(rule.conditions)) {
+      // The compared field and any field its value references
+      const fields = [condition.field, ...expressionFields(condition.value)].filter(Boolean);
+
+      for (const field of fields) {
+        // Check for disallowed fields
+        if (DISALLOWED_FIELDS.has(field)) {
+          violations.push({
+            type: 'disallowed_field',
+            severity: 'error',
+            field,
+            message: `Field "${field}" is disallowed by policy (compliance/fairness reasons)`,
+            suggestion: 'Use approved fields from feature catalog only'
+          });
+        }
+
+        // Check for PII fields (warning, not blocker)
+        if (PII_FIELDS.has(field)) {
+          violations.push({
+            type: 'pii_field',
+            severity: 'warning',
+            field,
+            message: `Field "${field}" contains PII - ensure proper handling`,
+            suggestion: 'PII will be masked in UI displays'
+          });
+        }
       }
     }
   }
@@ -91,9 +102,14 @@ export function policyGate({ instruction = "", ruleset }) {
   for (const rule of ruleset.rules) {
     if (!rule.conditions) continue;
 
-    for (const condition of rule.conditions) {
-      // Single negation without other conditions (e.g., agent_id != 'openai' alone)
-      if (condition.op === '!=' && rule.conditions.length === 1) {
+    const leaves = collectLeaves(rule.conditions);
+
+    for (const { condition, negated } of leaves) {
+      const isNegative = NEGATIVE_OPERATORS.has(condition.op) !== negated;
+
+      // Single negation without other conditions (e.g., agent_id != 'openai' alone,
+      // or { not: { agent_id == 'openai' } })
+      if (isNegative && leaves.length === 1 && (condition.op === '!=' || condition.op === '==')) {
         violations.push({
           type: 'broad_negation',
           severity: 'warning',
@@ -103,8 +119,9 @@ export function policyGate({ instruction = "", ruleset }) {
         });
       }
 
-      // not_in with single element
-      if (condition.op === 'not_in' && Array.isArray(condition.value) && condition.value.length === 1) {
+      // not_in with single element (or a negated `in` with single element)
+      const singleValue = Array.isArray(condition.value) && condition.value.length === 1;
+      if (singleValue && isNegative && (condition.op === 'not_in' || condition.op === 'in')) {
         violations.push({
           type: 'broad_negation',
           severity: 'warning',
@@ -114,6 +131,18 @@ export function policyGate({ instruction = "", ruleset }) {
         });
       }
     }
+
+    // Rule made only of negated groups (e.g., [{ not: { any: [...] } }]) matches almost everything
+    const topLevel = Array.isArray(rule.conditions) ? rule.conditions : [];
+    if (topLevel.length > 0 && topLevel.every(node => getGroupOperator(node) === 'not') &&
+        leaves.length > 1) {
+      violations.push({
+        type: 'broad_negation',
+        severity: 'warning',
+        message: 'Rule matches only through negated groups, which is usually too broad',
+        suggestion: 'Add at least one positive condition to narrow the match'
+      });
+    }
   }
 
   return violations;
@@ -0,0 +1,31 @@
+// src/lib/reportWindow.js
+// Time windows of report endpoints (shadow report, rule stats, rule performance)
+
+export const MAX_REPORT_WINDOW_HOURS = 24 * 90;
+
+/**
+ * Report window from ?hours=N or ?since=&until= ISO timestamps
+ *
+ * @param {Object} query - Request query
+ * @param {number} defaultHours - Window length when neither hours nor since is given
+ * @returns {Object} { since, until } Dates, or { error } for a 400 response
+ */
+export function parseReportWindow(query, defaultHours) {
+  const until = query.until ? new Date(query.until) : new Date();
+  let since;
+
+  if (query.since) {
+    since = new Date(query.since);
+  } else {
+    const hours = Number(query.hours ?? defaultHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_REPORT_WINDOW_HOURS) {
+      return { error: `hours must be between 0 and ${MAX_REPORT_WINDOW_HOURS}` };
+    }
+    since = new Date(until.getTime() - hours * 60 * 60 * 1000);
+  }
+
+  if (Number.isNaN(since.getTime()) || Number.isNaN(until.getTime()) || since > until) {
+    return { error: 'since and until must be ISO timestamps with since <= until' };
+  }
+  return { since, until };
+}
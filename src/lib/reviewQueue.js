@@ -0,0 +1,370 @@
+// src/lib/reviewQueue.js
+// Manual review queue: transactions the engine sent to review (risk_decision 'review')
+//
+// Review state lives on the transaction row (review_status pending -> claimed -> resolved,
+// review_assigned_to, ...); every claim, reassignment and resolution is also appended to
+// atd_review_events. State changes are compare-and-set on the status and assignee they
+// were computed from, so two analysts cannot claim or resolve the same item. Resolving
+// writes the decision back to the transaction and records an outcome label.
+
+import { getStore } from './store.js';
+import { recordLabels } from './outcomeLabels.js';
+
+export const REVIEW_STATUSES = ['pending', 'claimed', 'resolved'];
+export const OPEN_REVIEW_STATUSES = ['pending', 'claimed'];
+
+// Resolution -> what is written back to the transaction and the outcome label recorded
+export const REVIEW_RESOLUTIONS = {
+  approve: { status: 'allow', declined: false, outcome: 'analyst_cleared' },
+  decline: { status: 'block', declined: true, outcome: 'confirmed_fraud' }
+};
+
+// Hours from the transaction time until a review is overdue; items past
+// DUE_SOON_FRACTION of that are due soon
+export const REVIEW_SLA_HOURS = 24;
+const DUE_SOON_FRACTION = 0.75;
+
+const MAX_QUEUE_ROWS = 5000;
+
+const QUEUE_COLUMNS = [
+  'txn_id', 'user_id', 'agent_id', 'partner', 'seller_name', 'amount', 'currency', 'amount_usd',
+  'timestamp', 'risk_score', 'risk_tags', 'triggered_rule_ids', 'review_status', 'review_assigned_to',
+  'review_claimed_at', 'review_resolution', 'review_notes', 'reviewed_by', 'reviewed_at'
+].join(', ');
+
+/**
+ * Review status of a transaction row (rows written before the queue existed have none)
+ *
+ * @param {Object} row - atd_transactions row
+ * @returns {string|null} pending | claimed | resolved, or null when it was never sent to review
+ */
+export function reviewStatusOf(row) {
+  return row.review_status ?? (row.manual_review_required ? 'pending' : null);
+}
+
+/**
+ * SLA aging of a queue item
+ * Open items age until now; resolved items until they were resolved.
+ *
+ * @param {Object} row - Queue row with timestamp, review_status and reviewed_at
+ * @param {number} now - Epoch milliseconds
+ * @returns {Object} { age_hours, sla_due_at, sla_status } where sla_status is
+ *   on_track | due_soon | breached for open items and met | breached for resolved ones
+ */
+export function slaAging(row, now = Date.now()) {
+  const start = Date.parse(row.timestamp);
+  const slaMs = REVIEW_SLA_HOURS * 60 * 60 * 1000;
+  const resolved = reviewStatusOf(row) === 'resolved' && row.reviewed_at;
+  const end = resolved ? Date.parse(row.reviewed_at) : now;
+  const age = Math.max(0, end - start);
+
+  let sla_status;
+  if (age > slaMs) sla_status = 'breached';
+  else if (resolved) sla_status = 'met';
+  else sla_status = age >= slaMs * DUE_SOON_FRACTION ? 'due_soon' : 'on_track';
+
+  return {
+    age_hours: Number((age / (60 * 60 * 1000)).toFixed(2)),
+    sla_due_at: new Date(start + slaMs).toISOString(),
+    sla_status
+  };
+}
+
+function toQueueItem(row, now) {
+  return {
+    txn_id: row.txn_id,
+    user_id: row.user_id,
+    agent_id: row.agent_id,
+    partner: row.partner ?? null,
+    seller_name: row.seller_name ?? null,
+    amount: row.amount,
+    currency: row.currency ?? null,
+    amount_usd: row.amount_usd ?? null,
+    timestamp: row.timestamp,
+    risk_score: row.risk_score ?? null,
+    risk_tags: row.risk_tags ?? [],
+    triggered_rule_ids: row.triggered_rule_ids ?? [],
+    review_status: reviewStatusOf(row),
+    assigned_to: row.review_assigned_to ?? null,
+    claimed_at: row.review_claimed_at ?? null,
+    resolution: row.review_resolution ?? null,
+    notes: row.review_notes ?? null,
+    reviewed_by: row.reviewed_by ?? null,
+    reviewed_at: row.reviewed_at ?? null,
+    ...slaAging(row, now)
+  };
+}
+
+// Open items age until now, so their SLA status follows from the transaction time alone
+function filterOpenBySla(query, slaStatus, now) {
+  const slaMs = REVIEW_SLA_HOURS * 60 * 60 * 1000;
+  const breachedBefore = new Date(now - slaMs).toISOString();
+  const dueSoonFrom = new Date(now - slaMs * DUE_SOON_FRACTION).toISOString();
+
+  switch (slaStatus) {
+    case 'breached':
+      return query.lt('timestamp', breachedBefore);
+    case 'due_soon':
+      return query.gte('timestamp', breachedBefore).lte('timestamp', dueSoonFrom);
+    default:
+      return query.gt('timestamp', dueSoonFrom);
+  }
+}
+
+function openReviews(columns, options) {
+  return getStore()
+    .from('atd_transactions')
+    .select(columns, options)
+    .eq('manual_review_required', true)
+    .in('review_status', OPEN_REVIEW_STATUSES);
+}
+
+async function countOpenReviews(filter = query => query) {
+  const { count, error } = await filter(openReviews('txn_id', { count: 'exact', head: true }));
+  if (error) throw new Error('Failed to count review queue: ' + error.message);
+  return count || 0;
+}
+
+/**
+ * Review queue, oldest first (resolved items: most recently resolved first)
+ *
+ * Open items are filtered by SLA status in the store. Resolved items' SLA status depends on
+ * when they were resolved, so they are filtered here over at most MAX_QUEUE_ROWS rows
+ * (`truncated` when the cut was reached).
+ *
+ * @param {Object} options - { status, assignedTo, slaStatus, limit }
+ *   status: pending | claimed | resolved | open (pending and claimed, the default)
+ * @returns {Promise<Object>} { items, total, truncated, summary } where total counts the
+ *   matching items before the limit and summary covers all open items:
+ *   { open, pending, claimed, due_soon, breached, oldest_age_hours, by_assignee, sla_hours, truncated }
+ */
+export async function listReviewQueue({ status = 'open', assignedTo, slaStatus, limit = 100 } = {}) {
+  const now = Date.now();
+  const statuses = status === 'open' ? OPEN_REVIEW_STATUSES : [status];
+  const filterHere = Boolean(slaStatus) && status === 'resolved';
+
+  // Open items never meet their SLA before they are resolved
+  if (slaStatus === 'met' && !filterHere) {
+    return { items: [], total: 0, truncated: false, summary: await summarizeOpenReviews(now) };
+  }
+
+  let query = getStore()
+    .from('atd_transactions')
+    .select(QUEUE_COLUMNS, { count: 'exact' })
+    .eq('manual_review_required', true)
+    .in('review_status', statuses);
+
+  if (assignedTo) query = query.eq('review_assigned_to', assignedTo);
+  if (slaStatus && !filterHere) query = filterOpenBySla(query, slaStatus, now);
+  query = status === 'resolved'
+    ? query.order('reviewed_at', { ascending: false })
+    : query.order('timestamp', { ascending: true });
+
+  const { data, count, error } = await query.limit(filterHere ? MAX_QUEUE_ROWS : limit);
+  if (error) throw new Error('Failed to load review queue: ' + error.message);
+
+  const rows = data || [];
+  const items = rows
+    .map(row => toQueueItem(row, now))
+    .filter(item => !filterHere || item.sla_status === slaStatus);
+
+  return {
+    items: items.slice(0, limit),
+    total: filterHere ? items.length : (count ?? items.length),
+    truncated: filterHere && rows.length === MAX_QUEUE_ROWS,
+    summary: await summarizeOpenReviews(now)
+  };
+}
+
+async function summarizeOpenReviews(now) {
+  const pending = await countOpenReviews(query => query.eq('review_status', 'pending'));
+  const claimed = await countOpenReviews(query => query.eq('review_status', 'claimed'));
+  const due_soon = await countOpenReviews(query => filterOpenBySla(query, 'due_soon', now));
+  const breached = await countOpenReviews(query => filterOpenBySla(query, 'breached', now));
+
+  const { data: oldest, error: oldestError } = await openReviews('timestamp')
+    .order('timestamp', { ascending: true })
+    .limit(1);
+  if (oldestError) throw new Error('Failed to load review queue: ' + oldestError.message);
+
+  // Per-assignee counts read the claimed rows, up to MAX_QUEUE_ROWS of them
+  const { data: assigned, error } = await openReviews('review_assigned_to')
+    .eq('review_status', 'claimed')
+    .limit(MAX_QUEUE_ROWS);
+  if (error) throw new Error('Failed to load review queue: ' + error.message);
+
+  const by_assignee = {};
+  for (const row of assigned || []) {
+    if (row.review_assigned_to) by_assignee[row.review_assigned_to] = (by_assignee[row.review_assigned_to] || 0) + 1;
+  }
+
+  return {
+    open: pending + claimed,
+    pending,
+    claimed,
+    due_soon,
+    breached,
+    oldest_age_hours: oldest?.length ? slaAging(oldest[0], now).age_hours : null,
+    by_assignee,
+    sla_hours: REVIEW_SLA_HOURS,
+    truncated: (assigned || []).length === MAX_QUEUE_ROWS
+  };
+}
+
+/**
+ * A transaction that was sent to review
+ *
+ * @param {string} txnId - Transaction id
+ * @returns {Promise<Object|null>} The full transaction row, or null if it is unknown or was not reviewed
+ */
+export async function getReviewTransaction(txnId) {
+  const { data, error } = await getStore()
+    .from('atd_transactions')
+    .select('*')
+    .eq('txn_id', String(txnId))
+    .maybeSingle();
+
+  if (error) throw new Error('Failed to load transaction: ' + error.message);
+  return data && reviewStatusOf(data) ? data : null;
+}
+
+/**
+ * Queue item view of a transaction row
+ *
+ * @param {Object} row - atd_transactions row
+ * @returns {Object} Queue item with SLA aging
+ */
+export function reviewItemOf(row) {
+  return toQueueItem(row, Date.now());
+}
+
+/**
+ * Claims, reassignments and resolutions of a review, oldest first
+ *
+ * @param {string} txnId - Transaction id
+ * @returns {Promise<Array>} atd_review_events rows
+ */
+export async function listReviewEvents(txnId) {
+  const { data, error } = await getStore()
+    .from('atd_review_events')
+    .select('*')
+    .eq('txn_id', String(txnId))
+    .order('created_at', { ascending: true });
+
+  if (error) throw new Error('Failed to load review history: ' + error.message);
+  return data || [];
+}
+
+async function recordReviewEvent(txnId, action, actor, details = {}) {
+  const { error } = await getStore()
+    .from('atd_review_events')
+    .insert([{
+      txn_id: String(txnId),
+      action,
+      actor,
+      assigned_to: details.assigned_to ?? null,
+      resolution: details.resolution ?? null,
+      notes: details.notes ?? null,
+      created_at: new Date().toISOString()
+    }]);
+
+  if (error) throw new Error('Failed to record review event: ' + error.message);
+}
+
+/**
+ * Update review state only if it is still what the change was computed from
+ *
+ * @returns {Promise<Object|null>} The updated row, or null if the review changed meanwhile
+ */
+async function updateReviewState(current, patch) {
+  let query = getStore()
+    .from('atd_transactions')
+    .update(patch)
+    .eq('txn_id', current.txn_id);
+
+  query = current.review_status
+    ? query.eq('review_status', current.review_status)
+    : query.is('review_status', null);
+  query = current.review_assigned_to
+    ? query.eq('review_assigned_to', current.review_assigned_to)
+    : query.is('review_assigned_to', null);
+
+  const { data, error } = await query.select().maybeSingle();
+  if (error) throw new Error('Failed to update review: ' + error.message);
+  return data;
+}
+
+/**
+ * Claim a pending review
+ *
+ * @param {Object} current - Transaction row in status pending
+ * @param {string} analyst - Who claims it
+ * @returns {Promise<Object|null>} The updated row, or null if the review changed meanwhile
+ */
+export async function claimReview(current, analyst) {
+  const updated = await updateReviewState(current, {
+    review_status: 'claimed',
+    review_assigned_to: analyst,
+    review_claimed_at: new Date().toISOString()
+  });
+
+  if (updated) await recordReviewEvent(current.txn_id, 'claimed', analyst, { assigned_to: analyst });
+  return updated;
+}
+
+/**
+ * Hand an open review to another analyst
+ *
+ * @param {Object} current - Transaction row in status pending or claimed
+ * @param {string} analyst - New assignee
+ * @param {string} actor - Who reassigned it
+ * @returns {Promise<Object|null>} The updated row, or null if the review changed meanwhile
+ */
+export async function reassignReview(current, analyst, actor) {
+  const updated = await updateReviewState(current, {
+    review_status: 'claimed',
+    review_assigned_to: analyst,
+    review_claimed_at: new Date().toISOString()
+  });
+
+  if (updated) await recordReviewEvent(current.txn_id, 'reassigned', actor, { assigned_to: analyst });
+  return updated;
+}
+
+/**
+ * Resolve an open review: write the decision back to the transaction and label its outcome
+ * (approve -> analyst_cleared, decline -> confirmed_fraud). The engine's risk_decision is
+ * kept so rule stats still measure what the engine decided.
+ *
+ * @param {Object} current - Transaction row in status pending or claimed
+ * @param {Object} resolution - { analyst, resolution: approve | decline, notes? }
+ * @returns {Promise<Object|null>} { row, label }, or null if the review changed meanwhile
+ */
+export async function resolveReview(current, { analyst, resolution, notes = null }) {
+  const outcome = REVIEW_RESOLUTIONS[resolution];
+  const row = await updateReviewState(current, {
+    review_status: 'resolved',
+    review_assigned_to: analyst,
+    review_resolution: resolution,
+    review_notes: notes,
+    reviewed_by: analyst,
+    reviewed_at: new Date().toISOString(),
+    status: outcome.status,
+    declined: outcome.declined,
+    to_review: false
+  });
+
+  if (!row) return null;
+
+  await recordReviewEvent(current.txn_id, 'resolved', analyst, { assigned_to: analyst, resolution, notes });
+  const [label] = await recordLabels([{
+    txn_id: current.txn_id,
+    outcome: outcome.outcome,
+    source: 'analyst',
+    labeled_at: row.reviewed_at,
+    labeled_by: analyst,
+    notes
+  }]);
+
+  return { row, label };
+}
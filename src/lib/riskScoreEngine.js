@@ -1,3 +1,10 @@
+const BASELINE_SCORE = 50; // Start with a baseline score
+const SCORE_INCREMENTS = {
+  block: 40, // Significant increase for block
+  review: 20, // Moderate increase for review
+  flag_review: 20
+};
+
 /**
  * Computes the risk score for a given transaction based on triggered rules.
  * @param {object} txn - The transaction object.
@@ -5,21 +12,31 @@
  * @returns {number} The calculated risk score (0-100).
  */
 export async function computeRiskScore(txn, triggered) {
-  let risk_score = 50; // Start with a baseline score
-  const score_increment_block = 40; // Significant increase for block
-  const score_increment_review = 20; // Moderate increase for review
+  return explainRiskScore(txn, triggered).risk_score;
+}
 
-  for (const rule of triggered) {
-    if (rule.decision === 'block') {
-      risk_score += score_increment_block;
-    } else if (['review', 'flag_review'].includes(rule.decision)) {
-      risk_score += score_increment_review;
-    }
+/**
+ * Computes the risk score along with each rule's contribution (explain mode).
+ * @param {object} txn - The transaction object.
+ * @param {Array<object>} triggered - An array of triggered rule objects ({ id, rule, decision }).
+ * @returns {object} { risk_score, baseline, uncapped_score, contributions: [{ rule_id, rule, decision, points }] }
+ */
+export function explainRiskScore(txn, triggered) {
+  const contributions = triggered.map(rule => ({
+    rule_id: rule.id ?? null,
+    rule: rule.rule ?? null,
+    decision: rule.decision,
+    points: SCORE_INCREMENTS[rule.decision] || 0
     // Optionally, you could decrease score for 'allow' rules if they exist and are triggered
-  }
+  }));
 
-  // Cap the score between 0 and 100
-  risk_score = Math.max(0, Math.min(100, risk_score));
+  const uncapped = contributions.reduce((score, c) => score + c.points, BASELINE_SCORE);
 
-  return risk_score;
-} 
\ No newline at end of file
+  return {
+    // Cap the score between 0 and 100
+    risk_score: Math.max(0, Math.min(100, uncapped)),
+    baseline: BASELINE_SCORE,
+    uncapped_score: uncapped,
+    contributions
+  };
+}
@@ -0,0 +1,83 @@
+// src/lib/rollout.js
+// Percentage rollout (canary) for rules
+//
+// A rule with rollout_percentage < 100 only decides for a deterministic slice of traffic:
+// the rollout key (user_id or agent_id) is hashed together with the rule id into a
+// bucket in [0, 100). Salting with the rule id gives each rule an independent cohort;
+// ramping the percentage up only ever adds entities, nobody already enrolled drops out.
+
+import crypto from 'crypto';
+
+export const ROLLOUT_KEYS = ['user_id', 'agent_id'];
+export const DEFAULT_ROLLOUT_KEY = 'user_id';
+export const FULL_ROLLOUT = 100;
+
+/**
+ * Deterministic bucket for a rule and rollout key value
+ *
+ * @param {string} ruleId - Rule id (salt)
+ * @param {string} value - Rollout key value (e.g. the txn's user_id)
+ * @returns {number} Bucket in [0, 100) with 0.01 resolution
+ */
+export function rolloutBucket(ruleId, value) {
+  const hash = crypto.createHash('sha256').update(`${ruleId}:${value}`).digest();
+  return (hash.readUInt32BE(0) % 10000) / 100;
+}
+
+/**
+ * Rollout settings of a rule, with defaults for rules that predate rollouts
+ *
+ * @param {Object} rule - Rule row
+ * @returns {Object} { percentage, key }
+ */
+export function getRollout(rule) {
+  const percentage = rule.rollout_percentage ?? FULL_ROLLOUT;
+  return {
+    percentage: Number(percentage),
+    key: ROLLOUT_KEYS.includes(rule.rollout_key) ? rule.rollout_key : DEFAULT_ROLLOUT_KEY
+  };
+}
+
+/**
+ * Check whether a transaction falls inside a rule's rollout
+ * Transactions missing the rollout key are only covered at 100%.
+ *
+ * @param {Object} rule - Rule row
+ * @param {Object} txn - Transaction
+ * @returns {Object} { in_rollout, percentage, key, bucket } - bucket is null at 0% / 100%
+ */
+export function checkRollout(rule, txn) {
+  const { percentage, key } = getRollout(rule);
+
+  if (percentage >= FULL_ROLLOUT) return { in_rollout: true, percentage, key, bucket: null };
+  if (percentage <= 0) return { in_rollout: false, percentage, key, bucket: null };
+
+  const value = txn[key];
+  if (value === undefined || value === null || value === '') {
+    return { in_rollout: false, percentage, key, bucket: null };
+  }
+
+  const bucket = rolloutBucket(rule.id, value);
+  return { in_rollout: bucket < percentage, percentage, key, bucket };
+}
+
+/**
+ * Validate rollout settings from a request body
+ *
+ * @param {Object} input - { rollout_percentage, rollout_key }
+ * @returns {Object} { valid, error?, field? }
+ */
+export function validateRollout({ rollout_percentage, rollout_key } = {}) {
+  if (rollout_percentage !== undefined) {
+    if (typeof rollout_percentage !== 'number' || !Number.isFinite(rollout_percentage) ||
+        rollout_percentage < 0 || rollout_percentage > FULL_ROLLOUT) {
+      return { valid: false, error: 'rollout_percentage must be a number between 0 and 100', field: 'rollout_percentage' };
+    }
+  }
+
+  if (rollout_key !== undefined && !ROLLOUT_KEYS.includes(rollout_key)) {
+    return { valid: false, error: `rollout_key must be one of: ${ROLLOUT_KEYS.join(', ')}`, field: 'rollout_key' };
+  }
+
+  return { valid: true };
+}
@@ -1,88 +1,312 @@
 // src/lib/ruleEngine.js
-import { supabase } from '../dbClient.js';
-import { computeRiskScore } from './riskScoreEngine.js'; // ← you'll need to create this file
+import { getStore } from './store.js';
+import { computeRiskScore, explainRiskScore } from './riskScoreEngine.js'; // ← you'll need to create this file
+import {
+  compileRuleSet,
+  traceConditions,
+  buildEvaluationContext,
+  setEvaluationContext,
+  resolveMatch,
+  onMissingPolicy
+} from './conditionEvaluator.js';
+import { enrichTransaction } from './featureEnrichment.js';
+import { normalizeAmount } from './currency.js';
+import { applyDecisionStrategy, resolveStrategy, sortByPriority } from './decisionStrategy.js';
+import { onRulesChanged } from './ruleEvents.js';
+import { checkRollout } from './rollout.js';
+import crypto from 'crypto';
 
-let cachedRules = null;
-let lastFetched = null;
-const RULE_CACHE_DURATION_MS = 5 * 60 * 1000; // 5 minutes
+// Rule snapshot: frozen { version, fingerprint, rules, rulesets, context, compiled, loaded_at };
+// `context` holds the named lists (namedLists.js) by name, `compiled` the rules precompiled
+// into predicates against it (conditionEvaluator.compileRuleSet).
+// List edits reload the snapshot like rule edits, and change its fingerprint.
+// An evaluation reads one snapshot start to finish; reloads swap the reference atomically.
+// Rule writes invalidate it through ruleEvents; the max age only catches edits made
+// outside the API (SQL console, another instance).
+let snapshot = null;
+let snapshotVersion = 0;
+let stale = true;
+let changeGeneration = 0;
+let loading = null;
+const RULE_SNAPSHOT_MAX_AGE_MS = 15 * 60 * 1000; // 15 minutes
 
-export async function getCachedRules() {
-  const now = Date.now();
-  if (!cachedRules || !lastFetched || now - lastFetched > RULE_CACHE_DURATION_MS) {
-    console.log('🔄 Fetching fresh rules from Supabase');
-    const { data, error } = await supabase.from('atd_fraud_rules').select('*');
-    if (error) throw new Error('Failed to fetch rules: ' + error.message);
-    cachedRules = data;
-    lastFetched = now;
+export const DEFAULT_RULESET = 'default';
+
+// Rule lifecycle: shadow rules run on live traffic but their decisions are only recorded
+export const RULE_LIFECYCLES = ['active', 'shadow'];
+
+export function isShadowRule(rule) {
+  return rule.lifecycle === 'shadow';
+}
+
+onRulesChanged(async change => {
+  stale = true;
+  changeGeneration++;
+  console.log(`🔔 Rules changed (${change.reason}), reloading snapshot`);
+  await getRuleSnapshot();
+});
+
+/**
+ * Get the current rule snapshot, reloading it if rules changed
+ *
+ * @returns {Promise<Object>} { version, fingerprint, rules, rulesets, context, compiled, loaded_at }
+ */
+export async function getRuleSnapshot() {
+  const expired = snapshot && Date.now() - snapshot.loaded_at > RULE_SNAPSHOT_MAX_AGE_MS;
+
+  if (!snapshot || stale || expired) {
+    await refreshSnapshot();
+    // A change landed while that load was in flight
+    if (stale) await refreshSnapshot();
   } else {
     console.log('✅ Using cached fraud rules');
   }
-  return cachedRules;
+  return snapshot;
+}
+
+export async function getCachedRules() {
+  return (await getRuleSnapshot()).rules;
+}
+
+function refreshSnapshot() {
+  if (!loading) {
+    const generation = changeGeneration;
+    loading = fetchSnapshot()
+      .then(next => {
+        swapSnapshot(next);
+        if (generation === changeGeneration) stale = false;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
+}
+
+async function fetchSnapshot() {
+  console.log('🔄 Fetching fresh rules from store');
+  const { data, error } = await getStore().from('atd_fraud_rules').select('*');
+  if (error) throw new Error('Failed to fetch rules: ' + error.message);
+
+  const rules = (data || []).filter(rule => rule.enabled !== false);
+  const rulesets = await fetchRulesets();
+  const context = buildEvaluationContext(await fetchNamedLists());
+
+  return {
+    rules,
+    rulesets,
+    context,
+    compiled: compileRuleSet(rules, context),
+    fingerprint: fingerprintRules(rules, rulesets, context),
+    loaded_at: Date.now()
+  };
 }
 
 /**
- * Evaluate conditions array against a transaction
- * Extracted for reuse in dry-run engine
- *
- * @param {Array} conditions - Array of condition objects
- * @param {Object} txn - Transaction object
- * @param {Object} context - Optional context object
- * @returns {boolean} true if all conditions pass, false otherwise
+ * Replace the snapshot; unchanged content keeps its version number
  */
-export function evaluateConditions(conditions, txn, context = {}) {
-  if (!Array.isArray(conditions)) {
-    return false;
+function swapSnapshot(next) {
+  if (snapshot && snapshot.fingerprint === next.fingerprint) {
+    snapshot = Object.freeze({ ...snapshot, loaded_at: next.loaded_at });
+    return;
   }
 
-  return conditions.every(cond => {
-    const val = txn[cond.field];
-    const ctxVal = context[cond.value] || cond.value;
-
-    switch (cond.op) {
-      case '==': return val == ctxVal;
-      case '!=': return val != ctxVal;
-      case '>': return val > ctxVal;
-      case '<': return val < ctxVal;
-      case '>=': return val >= ctxVal;
-      case '<=': return val <= ctxVal;
-      case 'in': return Array.isArray(ctxVal) && ctxVal.includes(val);
-      case 'not_in': return Array.isArray(ctxVal) && !ctxVal.includes(val);
-      case 'contains': return typeof val === 'string' && val.includes(ctxVal);
-      default: return false;
-    }
+  snapshot = Object.freeze({
+    ...next,
+    version: ++snapshotVersion,
+    rules: Object.freeze(next.rules)
+  });
+  // Callers that evaluate outside a snapshot (evaluateRule's default) see the same lists
+  setEvaluationContext(snapshot.context);
+  console.log(`🔄 Rule snapshot v${snapshot.version}: ${snapshot.rules.length} enabled rules (${snapshot.fingerprint})`);
+}
+
+/**
+ * Content hash of the enabled rules, ruleset settings and named lists
+ * Identifies a snapshot across processes and restarts (version numbers are per process).
+ */
+function fingerprintRules(rules, rulesets, lists) {
+  const ordered = [...rules].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ rules: ordered, rulesets, lists }))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+/**
+ * Load per-ruleset settings (decision strategy) from atd_rulesets
+ * Missing table or rows fall back to defaults so evaluation never blocks on config.
+ */
+async function fetchRulesets() {
+  const { data, error } = await getStore().from('atd_rulesets').select('*');
+  if (error) {
+    console.warn('⚠️  Could not load ruleset settings, using defaults:', error.message);
+    return {};
+  }
+  return Object.fromEntries((data || []).map(r => [r.name, r]));
+}
+
+/**
+ * Load the named lists rules reference (in_list, or `in` with a list name)
+ * A missing table falls back to no lists: conditions on a list then evaluate as unknown.
+ */
+async function fetchNamedLists() {
+  const { data, error } = await getStore().from('atd_named_lists').select('name, items');
+  if (error) {
+    console.warn('⚠️  Could not load named lists, evaluating without them:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Get settings for a ruleset (loaded with the rule snapshot)
+ *
+ * @param {string} name - Ruleset name
+ * @returns {Promise<Object>} { name, decision_strategy }
+ */
+export async function getRulesetConfig(name = DEFAULT_RULESET) {
+  return lookupRuleset(await getRuleSnapshot(), name);
+}
+
+function lookupRuleset(current, name) {
+  const config = current.rulesets?.[name] || {};
+  return {
+    name,
+    decision_strategy: resolveStrategy(config.decision_strategy)
+  };
+}
+
+function ruleLabel(rule) {
+  return rule.rule_name || rule.rule || rule.ruleset_name;
+}
+
+/**
+ * Build the per-rule trace for explain mode
+ * Every rule in the ruleset is traced, including rules the strategy never consulted
+ * (`evaluated: false`), so near-misses stay visible under first_match.
+ */
+function explainRules(rules, outcome, consulted, rollouts, txn, context) {
+  const triggeredIds = new Set(outcome.triggered.map(rule => rule.id));
+
+  return sortByPriority(rules).map(rule => {
+    const { passed, nodes } = traceConditions(rule.conditions || rule.condition, txn, context);
+    const { matched, missing_data } = resolveMatch(rule, passed);
+    const failed = nodes.filter(node => node.passed !== true).length;
+
+    return {
+      rule_id: rule.id,
+      rule: ruleLabel(rule),
+      decision: rule.action || rule.decision,
+      priority: rule.priority ?? null,
+      lifecycle: rule.lifecycle || 'active',
+      rollout: rollouts.get(rule),
+      evaluated: consulted.has(rule),
+      matched,
+      ...(missing_data && { missing_data, on_missing: onMissingPolicy(rule) }),
+      triggered: triggeredIds.has(rule.id),
+      deciding: outcome.deciding_rule?.id === rule.id,
+      failed_conditions: failed,
+      near_miss: !matched && failed === 1, // one top-level condition away from matching
+      conditions: nodes
+    };
+  });
+}
+
+/**
+ * Decide what shadow rules would have done, without enforcing it
+ * Each shadow rule is replayed alone against the active rules (per-rule attribution),
+ * then all together (the decision if every shadow rule were promoted).
+ * Active rules held back by their rollout are included with reason 'rollout'.
+ *
+ * @returns {Object} { decision, changed, rules: [{ rule_id, rule, reason, matched, decision, changed }] }
+ */
+function evaluateShadowRules(activeRules, shadowRules, matchRule, decisionOf, strategy, liveDecision) {
+  const perRule = shadowRules.map(rule => {
+    const matched = matchRule(rule);
+    const decision = matched
+      ? applyDecisionStrategy([...activeRules, rule], matchRule, strategy, decisionOf).decision
+      : liveDecision;
+
+    return {
+      rule_id: rule.id,
+      rule: ruleLabel(rule),
+      reason: isShadowRule(rule) ? 'shadow' : 'rollout',
+      matched,
+      decision,
+      changed: decision !== liveDecision
+    };
   });
+
+  const combined = applyDecisionStrategy([...activeRules, ...shadowRules], matchRule, strategy, decisionOf).decision;
+
+  return {
+    decision: combined,
+    changed: combined !== liveDecision,
+    rules: perRule
+  };
 }
 
-export async function evaluateTransaction(txn) {
+/**
+ * Evaluate a transaction against a ruleset
+ *
+ * @param {Object} txn - Transaction (mutated with derived features)
+ * @param {Object} options - { ruleset, strategy, explain, snapshot, history, pending }
+ *   strategy overrides the ruleset's configured one;
+ *   explain adds a per-rule, per-condition trace and score contributions;
+ *   snapshot evaluates against a given rule snapshot (a batch shares one);
+ *   history is prefetched velocity history (skips the per-transaction lookup);
+ *   pending lists transactions not persisted yet that count toward velocity features
+ * @returns {Promise<Object>} Decision, score, triggered rules and the strategy used;
+ *   `shadow` holds what shadow rules would have decided (never enforced)
+ */
+export async function evaluateTransaction(txn, options = {}) {
   const now = new Date(txn.timestamp || Date.now());
   txn.hour = now.getHours();
 
   const delegationDate = new Date(txn.delegation_time || now);
   txn.delegation_duration_hours = Math.round(Math.abs(now - delegationDate) / 36e5);
 
-  const context = {
-    registered_agents: ['user_456_claude', 'user_123_chatgpt'],
-    trusted_agent_sources: ['OpenAI', 'Anthropic'],
-    approved_agent_scopes: ['read', 'write', 'transact'],
-    allowed_hours_for_agent: Array.from({ length: 24 }, (_, i) => i),
-  };
+  // amount is in the transaction's currency; amount_usd comes from the local FX rate table
+  const fx = normalizeAmount(txn);
 
-  const rules = await getCachedRules();
-  const triggered = [];
+  // Velocity/aggregate features from recent atd_transactions (see featureCatalog aggregation specs)
+  const computedFeatures = await enrichTransaction(txn, { history: options.history, pending: options.pending });
+
+  // One snapshot for the whole evaluation, even if rules are swapped meanwhile
+  const ruleSnapshot = options.snapshot ?? await getRuleSnapshot();
+  const { context } = ruleSnapshot;
+
+  const rulesetName = options.ruleset || DEFAULT_RULESET;
+  const strategy = resolveStrategy(options.strategy || lookupRuleset(ruleSnapshot, rulesetName).decision_strategy);
+
+  const rules = ruleSnapshot.rules.filter(rule => {
+    if ((rule.ruleset || DEFAULT_RULESET) !== rulesetName) return false;
 
-  for (const rule of rules) {
     // Support both 'conditions' and 'condition' (for legacy or alternate schema)
     const conditions = rule.conditions || rule.condition;
     if (!Array.isArray(conditions)) {
       console.warn(`Skipping rule ${rule.id} (${rule.rule_name || 'unnamed'}) due to invalid conditions:`, conditions);
-      continue;
+      return false;
     }
+    return true;
+  });
 
-    const passed = evaluateConditions(conditions, txn, context);
+  // Each rule's conditions are evaluated at most once, shared by the live and shadow decisions
+  // Conditions shared across rules are evaluated once per txn (compiled with the snapshot)
+  // Rules whose result depends on missing fields are settled by their on_missing policy
+  const consulted = new Set();
+  const matches = new Map();
+  const memo = ruleSnapshot.compiled.newMemo();
+  const matchOf = rule => {
+    if (matches.has(rule)) return matches.get(rule);
+    const match = resolveMatch(rule, ruleSnapshot.compiled.match(rule, txn, memo));
+    matches.set(rule, match);
 
-    if (passed) {
+    if (match.matched) {
       console.log(
-        `✅ Rule matched: ${rule.rule_name || rule.rule}, txn:`,
+        `${isShadowRule(rule) ? '👻 Shadow rule' : '✅ Rule'} matched: ${ruleLabel(rule)}, txn:`,
         {
           txn_id: txn.txn_id,
           user_id: txn.user_id,
@@ -93,18 +317,50 @@ export async function evaluateTransaction(txn) {
           timestamp: txn.timestamp
         }
       );
-      triggered.push({
-        rule: rule.rule_name || rule.rule,
-        decision: rule.action || rule.decision,
-        id: rule.id,
-        description: rule.description || ''
-      });
     }
+
+    return match;
+  };
+  // Rules the strategies ask about are consulted; the matched set below is not
+  const matchRule = rule => {
+    consulted.add(rule);
+    return matchOf(rule).matched;
+  };
+  const decisionOf = rule => {
+    consulted.add(rule);
+    return matchOf(rule).decision;
+  };
+
+  // Active rules outside their percentage rollout for this txn are recorded like shadow rules
+  const rollouts = new Map(rules.map(rule => [rule, checkRollout(rule, txn)]));
+  const activeRules = [];
+  const shadowRules = [];
+  for (const rule of rules) {
+    (!isShadowRule(rule) && rollouts.get(rule).in_rollout ? activeRules : shadowRules).push(rule);
   }
 
-  let decision = 'allow';
-  if (triggered.some(t => t.decision === 'block')) decision = 'block';
-  else if (triggered.some(t => ['review', 'flag_review'].includes(t.decision))) decision = 'review';
+  const outcome = applyDecisionStrategy(activeRules, matchRule, strategy, decisionOf);
+  const shadow = shadowRules.length > 0
+    ? evaluateShadowRules(activeRules, shadowRules, matchRule, decisionOf, strategy, outcome.decision)
+    : null;
+
+  const triggered = outcome.triggered.map(rule => {
+    const { missing_data, decision } = matchOf(rule);
+    return {
+      rule: ruleLabel(rule),
+      // on_missing 'review' overrides the rule's own decision
+      decision: missing_data ? decision : rule.action || rule.decision,
+      id: rule.id,
+      description: rule.description || '',
+      ...(missing_data && { missing_data })
+    };
+  });
+
+  const decision = outcome.decision;
+
+  // first_match and allowlist_overrides stop at the deciding rule, so triggered_rule_ids
+  // does not say which other live rules matched; rule health and performance need that
+  const matchedRuleIds = activeRules.filter(rule => matchOf(rule).matched).map(rule => rule.id);
 
 //   // Calculate risk score based on triggered rules
 //   let risk_score = 50; // Start with a baseline score
@@ -124,14 +380,44 @@ export async function evaluateTransaction(txn) {
 //   risk_score = Math.max(0, Math.min(100, risk_score));
 
     const risk_score = await computeRiskScore(txn, triggered);
-    
+
+  let explanation = `Triggered rules: ${triggered.map(t => t.rule).join(', ')}`;
+  let trace;
+
+  if (options.explain) {
+    trace = {
+      ruleset: rulesetName,
+      decision_strategy: outcome.strategy,
+      ruleset_version: ruleSnapshot.version,
+      decision,
+      deciding_rule_id: outcome.deciding_rule?.id ?? null,
+      rules: explainRules(rules, outcome, consulted, rollouts, txn, context),
+      score: explainRiskScore(txn, triggered)
+    };
+
+    const nearMisses = trace.rules.filter(r => r.near_miss).map(r => r.rule);
+    if (nearMisses.length > 0) {
+      explanation += `; near misses: ${nearMisses.join(', ')}`;
+    }
+  }
+
   return {
     risk_decision: decision,
     risk_score: risk_score, // Include risk_score in the output
     triggered_rule_ids: triggered.map(t => t.id),
+    matched_rule_ids: matchedRuleIds,
     actions_taken: triggered.map(t => t.decision),
     rule_descriptions: triggered.map(t => t.description),
     matched: triggered.map(t => t.rule),
-    explanation: `Triggered rules: ${triggered.map(t => t.rule).join(', ')}`
+    computed_features: computedFeatures,
+    fx,
+    ruleset: rulesetName,
+    decision_strategy: outcome.strategy,
+    deciding_rule_id: outcome.deciding_rule?.id ?? null,
+    ruleset_version: ruleSnapshot.version,
+    rules_fingerprint: ruleSnapshot.fingerprint,
+    explanation,
+    ...(shadow && { shadow }),
+    ...(trace && { trace })
   };
 }
@@ -0,0 +1,37 @@
+// src/lib/ruleEvents.js
+// Rule change notifications
+//
+// Any route that writes rules or ruleset settings calls notifyRulesChanged() after a
+// successful write. Subscribers (the rule engine's snapshot cache) finish reacting before
+// the returned promise resolves, so the next evaluation already sees the change.
+
+const listeners = new Set();
+
+/**
+ * Subscribe to rule changes
+ *
+ * @param {Function} listener - async (change) => void
+ * @returns {Function} Unsubscribe
+ */
+export function onRulesChanged(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Announce that rules changed
+ * Listener failures are logged, never thrown: the write itself already succeeded.
+ *
+ * @param {Object} change - { reason, rule_id, ruleset, actor }
+ * @returns {Promise<void>}
+ */
+export async function notifyRulesChanged(change = {}) {
+  const event = { reason: 'unknown', at: new Date().toISOString(), ...change };
+  const results = await Promise.allSettled([...listeners].map(listener => listener(event)));
+
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.warn('⚠️  Rule change listener failed:', result.reason?.message || result.reason);
+    }
+  }
+}
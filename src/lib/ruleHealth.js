@@ -0,0 +1,267 @@
+// src/lib/ruleHealth.js
+// Stale and dead rule detection over recent transactions
+//
+// Finds enabled rules that
+// - never matched in the window (dead),
+// - only ever matched transactions another rule of the same ruleset also matched, where
+//   that rule decides at least as strongly under worst_case (covered), or matched nearly the same
+//   transactions with the same decision (overlapping, Jaccard as in overlapAnalyzer.js),
+// - have conditions that can never all hold (unsatisfiable, see conditionAnalysis.js; rules
+//   with on_missing pass/review are only monitored, as they match when the field is missing),
+// and suggests demoting or merging them. A rule matched a transaction when it is in
+// fraud_engine_output.matched_rule_ids or matched in fraud_engine_output.shadow (shadow
+// rules and traffic held back by a rollout). Rows evaluated before matched_rule_ids was
+// recorded fall back to triggered_rule_ids, which first_match and allowlist_overrides cut
+// short at the deciding rule; while any such row is in the window, match-based findings
+// suggest monitoring rather than demoting or merging.
+
+import { getStore } from './store.js';
+import { jaccardSimilarity } from './overlapAnalyzer.js';
+import { findContradictions, matchesOnMissing } from './conditionAnalysis.js';
+import { DECISION_SEVERITY, ruleDecision, resolveStrategy } from './decisionStrategy.js';
+
+export const DEFAULT_HEALTH_WINDOW_DAYS = 30;
+export const MAX_HEALTH_WINDOW_DAYS = 90;
+
+// Fewer matches than this are too little evidence to call a rule covered by another
+const MIN_COVERED_MATCHES = 5;
+// Same threshold overlapAnalyzer.js warns at
+const OVERLAP_THRESHOLD = 0.7;
+
+const MAX_HEALTH_ROWS = 50000;
+
+// Strategies whose triggered_rule_ids holds only the deciding rule (decisionStrategy.js)
+const SHORT_CIRCUIT_STRATEGIES = ['first_match', 'allowlist_overrides'];
+
+function describeRule(rule) {
+  return {
+    rule_id: rule.id,
+    rule: rule.rule_name || rule.ruleset_name || null,
+    ruleset: rule.ruleset || 'default',
+    decision: ruleDecision(rule),
+    lifecycle: rule.lifecycle || 'active'
+  };
+}
+
+/**
+ * Live rules an evaluated transaction matched
+ *
+ * @param {Object} txn - Row with triggered_rule_ids and fraud_engine_output
+ * @returns {Object} { ids, complete } - complete is false for rows without matched_rule_ids
+ *   evaluated under a strategy that stops at the deciding rule
+ */
+export function liveMatchedRuleIds(txn) {
+  const output = txn.fraud_engine_output || {};
+  if (Array.isArray(output.matched_rule_ids)) return { ids: output.matched_rule_ids, complete: true };
+  return {
+    ids: txn.triggered_rule_ids || output.triggered_rule_ids || [],
+    complete: !SHORT_CIRCUIT_STRATEGIES.includes(output.decision_strategy)
+  };
+}
+
+/**
+ * Transactions each rule matched, live or in shadow
+ *
+ * @param {Array} txns - Rows with triggered_rule_ids and fraud_engine_output
+ * @returns {Map} rule id (string) -> Set of txn_ids
+ */
+export function collectRuleMatches(txns) {
+  const matches = new Map();
+  const add = (ruleId, txnId) => {
+    const key = String(ruleId);
+    if (!matches.has(key)) matches.set(key, new Set());
+    matches.get(key).add(txnId);
+  };
+
+  for (const txn of txns) {
+    const output = txn.fraud_engine_output || {};
+    for (const ruleId of liveMatchedRuleIds(txn).ids) add(ruleId, txn.txn_id);
+    for (const entry of output.shadow?.rules || []) {
+      if (entry.matched) add(entry.rule_id, txn.txn_id);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Pairs of rules where one's matches are covered by another's, or nearly the same
+ *
+ * A covered rule is only suggested for demotion under worst_case: under first_match a
+ * weaker rule of higher priority decides, and under allowlist_overrides an allow rule
+ * decides whatever else matched. Allow rules are never demoted as covered.
+ *
+ * @param {Array} rules - Enabled, non-shadow rules
+ * @param {Map} matches - collectRuleMatches result
+ * @param {Map} strategies - ruleset name -> decision strategy (missing: the default)
+ * @returns {Object} { covered, overlapping }
+ */
+export function findRedundantRules(rules, matches, strategies = new Map()) {
+  const covered = [];
+  const overlapping = [];
+  const reported = new Set();
+
+  for (const rule of rules) {
+    const own = matches.get(String(rule.id)) || new Set();
+    if (own.size < MIN_COVERED_MATCHES) continue;
+
+    for (const other of rules) {
+      if (other === rule || (other.ruleset || 'default') !== (rule.ruleset || 'default')) continue;
+      const theirs = matches.get(String(other.id)) || new Set();
+      if (theirs.size === 0) continue;
+
+      const jaccard = jaccardSimilarity(own, theirs);
+      const subset = [...own].every(txnId => theirs.has(txnId));
+      const severity = DECISION_SEVERITY[ruleDecision(rule)];
+      const otherSeverity = DECISION_SEVERITY[ruleDecision(other)];
+      const pair = [String(rule.id), String(other.id)].sort().join('|');
+
+      if (subset && own.size === theirs.size && severity === otherSeverity) {
+        // Identical matches and decision: report the pair once and keep the first rule
+        if (reported.has(pair)) continue;
+        reported.add(pair);
+        covered.push({
+          ...describeRule(other),
+          covered_by: describeRule(rule),
+          matches: theirs.size,
+          covered_by_matches: own.size,
+          jaccard_score: 1,
+          suggested_action: 'merge',
+          reason: `Matched exactly the same ${own.size} transactions as ${rule.rule_name || rule.id} with the same decision`
+        });
+      } else if (
+        subset && otherSeverity >= severity && (own.size < theirs.size || otherSeverity > severity) &&
+        resolveStrategy(strategies.get(rule.ruleset || 'default')) === 'worst_case' &&
+        ruleDecision(rule) !== 'allow'
+      ) {
+        covered.push({
+          ...describeRule(rule),
+          covered_by: describeRule(other),
+          matches: own.size,
+          covered_by_matches: theirs.size,
+          jaccard_score: Number(jaccard.toFixed(4)),
+          suggested_action: 'demote',
+          reason: `Every match was also matched by ${other.rule_name || other.id} (${ruleDecision(other)}), so it never changed a decision`
+        });
+      } else if (!subset && jaccard >= OVERLAP_THRESHOLD && severity === otherSeverity && !reported.has(pair)) {
+        reported.add(pair);
+        overlapping.push({
+          ...describeRule(rule),
+          overlaps_with: describeRule(other),
+          matches: own.size,
+          other_matches: theirs.size,
+          jaccard_score: Number(jaccard.toFixed(4)),
+          suggested_action: 'merge',
+          reason: `${(jaccard * 100).toFixed(1)}% of the transactions either rule matched were matched by both, with the same decision`
+        });
+      }
+    }
+  }
+
+  return { covered, overlapping };
+}
+
+/**
+ * Stale and dead rule report
+ *
+ * @param {Object} options - { since, until } Dates
+ * @returns {Promise<Object>} { window, transactions, incomplete_transactions, rules_analyzed,
+ *   dead, covered, overlapping, unsatisfiable, summary, truncated }
+ */
+export async function analyzeRuleHealth({ since, until }) {
+  const { data: rules, error: rulesError } = await getStore()
+    .from('atd_fraud_rules')
+    .select('*');
+
+  if (rulesError) throw new Error('Failed to load rules: ' + rulesError.message);
+
+  const { data: rulesets, error: rulesetsError } = await getStore()
+    .from('atd_rulesets')
+    .select('name, decision_strategy');
+
+  // As in the engine, missing ruleset settings mean the default strategy
+  if (rulesetsError) console.warn('⚠️  Could not load ruleset settings, using defaults:', rulesetsError.message);
+
+  const { data: txns, error } = await getStore()
+    .from('atd_transactions')
+    .select('txn_id, timestamp, triggered_rule_ids, fraud_engine_output')
+    .gte('timestamp', since.toISOString())
+    .lte('timestamp', until.toISOString())
+    .order('timestamp', { ascending: false })
+    .limit(MAX_HEALTH_ROWS);
+
+  if (error) throw new Error('Failed to load transactions: ' + error.message);
+
+  const enabled = (rules || []).filter(rule => rule.enabled !== false);
+  const matches = collectRuleMatches(txns || []);
+  const incomplete = (txns || []).filter(txn => !liveMatchedRuleIds(txn).complete).length;
+
+  // Rules matched behind the deciding rule are missing from incomplete rows, so their
+  // match counts are too low to demote or merge on
+  const qualify = finding => incomplete === 0 || finding.suggested_action === 'monitor'
+    ? finding
+    : {
+        ...finding,
+        suggested_action: 'monitor',
+        reason: `${finding.reason}; ${incomplete} transactions only record the deciding rule, so matches may be undercounted`
+      };
+
+  const dead = enabled
+    .filter(rule => !matches.has(String(rule.id)))
+    .map(rule => {
+      // Rules created inside the window have not had the full window to match
+      const recent = rule.created_at && new Date(rule.created_at) > since;
+      return {
+        ...describeRule(rule),
+        created_at: rule.created_at ?? null,
+        suggested_action: recent ? 'monitor' : 'demote',
+        reason: recent
+          ? 'No matches yet; created inside the window'
+          : `No matches in ${(txns || []).length} transactions since ${since.toISOString()}`
+      };
+    })
+    .map(qualify);
+
+  const unsatisfiable = enabled
+    .map(rule => ({ rule, contradictions: findContradictions(rule.conditions || rule.condition) }))
+    .filter(({ contradictions }) => contradictions.length > 0)
+    .map(({ rule, contradictions }) => ({
+      ...describeRule(rule),
+      contradictions,
+      // on_missing pass/review still matches transactions missing the conflicting field
+      suggested_action: matchesOnMissing(rule) ? 'monitor' : 'demote',
+      reason: matchesOnMissing(rule)
+        ? `Conditions can never all hold: ${contradictions[0].reason}; matches only through on_missing '${rule.on_missing}'`
+        : `Conditions can never all hold: ${contradictions[0].reason}`
+    }));
+
+  const redundant = findRedundantRules(
+    enabled.filter(rule => rule.lifecycle !== 'shadow'),
+    matches,
+    new Map((rulesets || []).map(ruleset => [ruleset.name, ruleset.decision_strategy]))
+  );
+
+  const covered = redundant.covered.map(qualify);
+  const overlapping = redundant.overlapping.map(qualify);
+
+  return {
+    window: { since: since.toISOString(), until: until.toISOString() },
+    transactions: (txns || []).length,
+    incomplete_transactions: incomplete,
+    rules_analyzed: enabled.length,
+    dead,
+    covered,
+    overlapping,
+    unsatisfiable,
+    summary: {
+      dead: dead.length,
+      covered: covered.length,
+      overlapping: overlapping.length,
+      unsatisfiable: unsatisfiable.length,
+      suggested_demotions: new Set([...dead, ...covered, ...unsatisfiable]
+        .filter(finding => finding.suggested_action === 'demote')
+        .map(finding => String(finding.rule_id))).size
+    },
+    truncated: (txns || []).length === MAX_HEALTH_ROWS
+  };
+}
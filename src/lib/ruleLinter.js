@@ -0,0 +1,281 @@
+// src/lib/ruleLinter.js
+// Static lint pass over a validated rule's conditions (after RuleValidator)
+//
+// Finds, using the value regions of src/lib/conditionAnalysis.js over the feature catalog:
+// - unsatisfiable: conditions that can never all hold (error: the rule never matches; a
+//   warning for rules with on_missing pass/review, which still match when the field is missing)
+// - always_true: a condition every value in the field's domain satisfies (hour >= 0,
+//   device in every device); in an any group the whole group is always true, and under a
+//   not the rule is unsatisfiable (error) when nothing but all groups enclose the not
+// - duplicate_condition: the same condition twice in a conjunction or any group
+// - redundant_condition: a condition implied by another in the same conjunction
+//   (amount > 100 next to amount > 500), or an alternative of an any group covered by
+//   another alternative
+
+import { getGroupOperator } from './conditionTree.js';
+import {
+  describeLeaf,
+  describeDomain,
+  domainRegion,
+  leafRegion,
+  regionContains,
+  findContradictions,
+  matchesOnMissing
+} from './conditionAnalysis.js';
+import { getFeature } from './ruleValidator.js';
+
+export const LINT_TYPES = ['unsatisfiable', 'always_true', 'duplicate_condition', 'redundant_condition'];
+
+function sameCondition(a, b) {
+  return a.field === b.field && a.op === b.op && JSON.stringify(a.value) === JSON.stringify(b.value);
+}
+
+// Every node with its path, in the same notation as RuleValidator and explain traces
+function indexPaths(conditions) {
+  const paths = new Map();
+  const visit = (node, path) => {
+    if (!node || typeof node !== 'object') return;
+    paths.set(node, path);
+    const group = getGroupOperator(node);
+    if (group === 'all' || group === 'any') {
+      if (Array.isArray(node[group])) node[group].forEach((child, idx) => visit(child, `${path}.${group}[${idx}]`));
+    } else if (group === 'not') {
+      visit(node.not, `${path}.not`);
+    }
+  };
+  conditions.forEach((node, idx) => visit(node, `conditions[${idx}]`));
+  return paths;
+}
+
+// Enclosing group of every node; top-level conditions have none (an implicit all)
+function indexParents(conditions) {
+  const parents = new Map();
+  const visit = (node, parent) => {
+    if (!node || typeof node !== 'object') return;
+    parents.set(node, parent);
+    const group = getGroupOperator(node);
+    if (group === 'all' || group === 'any') {
+      if (Array.isArray(node[group])) node[group].forEach(child => visit(child, node));
+    } else if (group === 'not') {
+      visit(node.not, node);
+    }
+  };
+  conditions.forEach(node => visit(node, null));
+  return parents;
+}
+
+// Whether the rule only matches where a node holds: nothing but all groups above it
+function inConjunction(node, parents) {
+  for (let parent = parents.get(node); parent; parent = parents.get(parent)) {
+    if (getGroupOperator(parent) !== 'all') return false;
+  }
+  return true;
+}
+
+function isAlwaysTrue(leaf, region) {
+  return leaf.op !== 'is_not_null' && regionContains(region, domainRegion(leaf.field));
+}
+
+function contradictionLeaves(contradiction) {
+  if (!contradiction.alternatives) return contradiction.conditions;
+  return contradiction.alternatives.flat().flatMap(contradictionLeaves);
+}
+
+// In a conjunction a condition adds nothing when another implies it; in an any group an
+// alternative adds nothing when another already matches everything it does. Of two
+// identical or equivalent conditions the later one is reported.
+function reportRedundant(leaves, context, alternatives) {
+  leaves.forEach((entry, idx) => {
+    if (context.alwaysTrue.has(entry.leaf)) return;
+
+    for (const [otherIdx, other] of leaves.entries()) {
+      if (otherIdx === idx || other.leaf.field !== entry.leaf.field) continue;
+
+      if (sameCondition(entry.leaf, other.leaf)) {
+        if (otherIdx > idx) continue;
+        context.report('duplicate_condition', entry.leaf,
+          `${describeLeaf(entry.leaf)} appears more than once${alternatives ? ' in an any group' : ''}`, [other.leaf]);
+        return;
+      }
+
+      const [outer, inner] = alternatives ? [other.region, entry.region] : [entry.region, other.region];
+      if (!regionContains(outer, inner)) continue;
+      if (otherIdx > idx && regionContains(inner, outer)) continue;
+
+      context.report('redundant_condition', entry.leaf, alternatives
+        ? `${describeLeaf(entry.leaf)} is covered by the alternative ${describeLeaf(other.leaf)}`
+        : `${describeLeaf(entry.leaf)} is implied by ${describeLeaf(other.leaf)}`, [other.leaf]);
+      return;
+    }
+  });
+}
+
+/**
+ * Leaves of a conjunction, following nested `all` groups; `any` and `not` groups are
+ * linted as their own scopes
+ */
+function lintConjunction(nodes, context) {
+  const leaves = [];
+
+  const visit = (list) => {
+    for (const node of list) {
+      switch (getGroupOperator(node)) {
+        case 'all':
+          if (Array.isArray(node.all)) visit(node.all);
+          break;
+        case 'any':
+          if (Array.isArray(node.any)) lintAlternatives(node.any, context);
+          break;
+        case 'not':
+          if (node.not && typeof node.not === 'object' && !Array.isArray(node.not)) lintConjunction([node.not], context);
+          break;
+        default: {
+          const region = leafRegion(node);
+          if (region) leaves.push({ leaf: node, region });
+        }
+      }
+    }
+  };
+
+  visit(nodes);
+
+  reportRedundant(leaves, context, false);
+}
+
+function lintAlternatives(branches, context) {
+  const leaves = [];
+  for (const branch of branches) {
+    if (getGroupOperator(branch)) {
+      lintConjunction([branch], context);
+      continue;
+    }
+    const region = leafRegion(branch);
+    if (region) leaves.push({ leaf: branch, region });
+  }
+
+  reportRedundant(leaves, context, true);
+}
+
+/**
+ * Lint a rule's conditions
+ *
+ * Run after RuleValidator accepts the rule: fields are assumed to be catalog fields with
+ * values of the right type.
+ *
+ * @param {Object} rule - Rule with conditions
+ * @returns {Array} [{ type, severity, field, path, related_paths, message, suggestion }]
+ *   unsatisfiable findings are errors (warnings when on_missing matches unknown conditions),
+ *   the rest warnings
+ */
+export function lintRule(rule) {
+  const conditions = Array.isArray(rule?.conditions) ? rule.conditions : [];
+  const paths = indexPaths(conditions);
+  const parents = indexParents(conditions);
+  const findings = [];
+  const onMissing = matchesOnMissing(rule);
+  const unsatisfiable = ({ field, path, related_paths, message }) => ({
+    type: 'unsatisfiable',
+    severity: onMissing ? 'warning' : 'error',
+    field,
+    path,
+    related_paths,
+    message,
+    suggestion: onMissing
+      ? `The rule only matches through on_missing '${rule.on_missing}' when a field is missing; fix or remove the conflicting conditions if that is not intended`
+      : 'The rule would never match; fix or remove the conflicting conditions'
+  });
+
+  for (const contradiction of findContradictions(conditions)) {
+    const leafPaths = [...new Set(contradictionLeaves(contradiction).map(leaf => paths.get(leaf)).filter(Boolean))];
+    findings.push(unsatisfiable({
+      field: contradiction.field,
+      path: leafPaths.at(-1) ?? null,
+      related_paths: leafPaths.slice(0, -1),
+      message: `Conditions can never all hold: ${contradiction.reason}`
+    }));
+  }
+
+  // Only a condition in a conjunction can be dropped: an always-true alternative makes its
+  // any group always true, and an always-true condition under not makes the not never hold
+
+  const alwaysTrue = new Set();
+  for (const [node, path] of paths) {
+    if (getGroupOperator(node)) continue;
+    const region = leafRegion(node);
+    if (!region || !isAlwaysTrue(node, region)) continue;
+
+    alwaysTrue.add(node);
+    const domain = describeDomain(node.field);
+    const nullable = getFeature(node.field)?.nullability === 'nullable';
+    const holds = `${describeLeaf(node)} is always true${nullable ? ` whenever ${node.field} is present` : ''}${domain ? ` (${domain})` : ''}`;
+    const parent = parents.get(node);
+    const group = parent ? getGroupOperator(parent) : 'all';
+
+    if (group === 'not' && inConjunction(parent, parents)) {
+      findings.push(unsatisfiable({
+        field: node.field,
+        path: paths.get(parent),
+        related_paths: [path],
+        message: `Conditions can never all hold: the not group never holds, as ${holds}`
+      }));
+    } else if (group === 'not') {
+      findings.push({
+        type: 'always_true',
+        severity: 'warning',
+        field: node.field,
+        path: paths.get(parent),
+        related_paths: [path],
+        message: `The not group never holds, as ${holds}`,
+        suggestion: 'Fix the condition, or remove the not group'
+      });
+    } else if (group === 'any') {
+      findings.push({
+        type: 'always_true',
+        severity: 'warning',
+        field: node.field,
+        path: paths.get(parent),
+        related_paths: [path],
+        message: `The any group is always true, as ${holds}`,
+        suggestion: 'Removing the alternative would change what the rule matches; fix it, or remove the whole any group'
+      });
+    } else {
+      findings.push({
+        type: 'always_true',
+        severity: 'warning',
+        field: node.field,
+        path,
+        related_paths: [],
+        message: holds,
+        suggestion: nullable ? `Use ${node.field} is_not_null, or remove the condition` : 'Remove the condition'
+      });
+    }
+  }
+
+  const context = {
+    alwaysTrue,
+    report(type, leaf, message, related) {
+      findings.push({
+        type,
+        severity: 'warning',
+        field: leaf.field,
+        path: paths.get(leaf) ?? null,
+        related_paths: related.map(other => paths.get(other)).filter(Boolean),
+        message,
+        suggestion: 'Remove the redundant condition'
+      });
+    }
+  };
+  lintConjunction(conditions, context);
+
+  return findings;
+}
+
+/**
+ * Whether lint findings include errors
+ *
+ * @param {Array} findings - lintRule result
+ * @returns {boolean}
+ */
+export function hasLintErrors(findings) {
+  return (findings || []).some(finding => finding.severity === 'error');
+}
@@ -0,0 +1,230 @@
+// src/lib/rulePerformance.js
+// Per-rule performance over time: trigger counts per time bucket, how often the rule
+// decided the outcome versus triggering alongside a rule that did, the final decisions
+// and labeled outcomes of the transactions it matched, and how its trigger rate is trending.
+// A rule triggered when it matched live (fraud_engine_output.matched_rule_ids), including
+// behind the deciding rule under first_match and allowlist_overrides.
+
+import { getStore } from './store.js';
+import { fetchLatestLabels, computeLabelMetrics } from './outcomeLabels.js';
+import { liveMatchedRuleIds } from './ruleHealth.js';
+
+export const DEFAULT_PERFORMANCE_WINDOW_HOURS = 24 * 7;
+export const BUCKET_SIZES = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+export const MAX_BUCKETS = 500;
+
+const MAX_PERFORMANCE_ROWS = 50000;
+
+// Trend: the recent half of the window against the earlier half. A relative change in
+// trigger rate below TREND_THRESHOLD, or with fewer than MIN_TREND_TRIGGERS triggers in
+// total, is flat.
+const TREND_THRESHOLD = 0.25;
+const MIN_TREND_TRIGGERS = 5;
+
+// A bucket is a spike when its trigger rate is SPIKE_STDDEVS above the mean bucket rate
+const SPIKE_STDDEVS = 3;
+const MIN_SPIKE_TRIGGERS = 3;
+
+/**
+ * Bucket size for a window: hourly up to three days, daily beyond
+ *
+ * @param {Date} since - Window start
+ * @param {Date} until - Window end
+ * @returns {string} hour | day
+ */
+export function defaultBucketSize(since, until) {
+  return until - since <= 3 * BUCKET_SIZES.day ? 'hour' : 'day';
+}
+
+/**
+ * Number of buckets a window splits into
+ */
+export function bucketCount(since, until, bucket) {
+  const size = BUCKET_SIZES[bucket];
+  const start = Math.floor(since.getTime() / size) * size;
+  return Math.floor((until.getTime() - start) / size) + 1;
+}
+
+function rate(count, total) {
+  return total > 0 ? Number(((count / total) * 100).toFixed(2)) : 0;
+}
+
+function emptyBuckets(since, until, bucket) {
+  const size = BUCKET_SIZES[bucket];
+  const start = Math.floor(since.getTime() / size) * size;
+  const buckets = [];
+  for (let time = start; time <= until.getTime(); time += size) {
+    buckets.push({ start: new Date(time).toISOString(), evaluated: 0, triggered: 0, deciding: 0 });
+  }
+  return buckets;
+}
+
+/**
+ * Trigger rate of the recent half of the buckets against the earlier half
+ *
+ * @param {Array} buckets - [{ evaluated, triggered }] oldest first
+ * @returns {Object} { previous_rate, recent_rate, change_pct, direction: up | down | flat }
+ */
+export function computeTrend(buckets) {
+  const half = Math.floor(buckets.length / 2);
+  const sum = (list, key) => list.reduce((total, b) => total + b[key], 0);
+  const previous = buckets.slice(0, half);
+  const recent = buckets.slice(half);
+
+  const previousRate = rate(sum(previous, 'triggered'), sum(previous, 'evaluated'));
+  const recentRate = rate(sum(recent, 'triggered'), sum(recent, 'evaluated'));
+  const change = previousRate > 0 ? (recentRate - previousRate) / previousRate : (recentRate > 0 ? Infinity : 0);
+
+  let direction = 'flat';
+  if (sum(buckets, 'triggered') >= MIN_TREND_TRIGGERS && Math.abs(change) >= TREND_THRESHOLD) {
+    direction = change > 0 ? 'up' : 'down';
+  }
+
+  return {
+    previous_rate: previousRate,
+    recent_rate: recentRate,
+    change_pct: Number.isFinite(change) ? Number((change * 100).toFixed(2)) : null,
+    direction
+  };
+}
+
+/**
+ * Buckets whose trigger rate stands out from the rest of the window
+ *
+ * @param {Array} buckets - [{ start, evaluated, triggered, trigger_rate }]
+ * @returns {Array} [{ start, triggered, trigger_rate }]
+ */
+export function findSpikes(buckets) {
+  const active = buckets.filter(b => b.evaluated > 0);
+  if (active.length < 3) return [];
+
+  const mean = active.reduce((total, b) => total + b.trigger_rate, 0) / active.length;
+  const variance = active.reduce((total, b) => total + (b.trigger_rate - mean) ** 2, 0) / active.length;
+  const threshold = mean + SPIKE_STDDEVS * Math.sqrt(variance);
+
+  return active
+    .filter(b => b.triggered >= MIN_SPIKE_TRIGGERS && b.trigger_rate > threshold)
+    .map(({ start, triggered, trigger_rate }) => ({ start, triggered, trigger_rate }));
+}
+
+/**
+ * Performance of one rule over a time window
+ *
+ * Live triggers are every live match in fraud_engine_output.matched_rule_ids (see
+ * liveMatchedRuleIds), including matches behind the deciding rule under first_match and
+ * allowlist_overrides; rows evaluated before it was recorded fall back to
+ * triggered_rule_ids and are counted in incomplete_transactions when that held only the
+ * deciding rule. Shadow and held-back rollout matches come from fraud_engine_output.shadow.
+ * A live trigger is deciding when the rule set the final decision (deciding_rule_id) and
+ * redundant when another rule did; rows evaluated before deciding_rule_id was recorded
+ * are unattributed.
+ *
+ * @param {Object} rule - Rule row
+ * @param {Object} options - { since, until } Dates; bucket: hour | day
+ * @returns {Promise<Object>} { rule, window, incomplete_transactions, totals, contribution,
+ *   decisions, outcomes, buckets, trend, spikes, changes, truncated }
+ */
+export async function buildRulePerformance(rule, { since, until, bucket }) {
+  const { data: txns, error } = await getStore()
+    .from('atd_transactions')
+    .select('txn_id, timestamp, risk_decision, triggered_rule_ids, fraud_engine_output')
+    .gte('timestamp', since.toISOString())
+    .lte('timestamp', until.toISOString())
+    .order('timestamp', { ascending: false })
+    .limit(MAX_PERFORMANCE_ROWS);
+
+  if (error) throw new Error('Failed to load transactions: ' + error.message);
+
+  const { data: versions, error: versionsError } = await getStore()
+    .from('atd_rule_versions')
+    .select('version, change_type, created_by, created_at')
+    .eq('rule_id', rule.id)
+    .gte('created_at', since.toISOString())
+    .lte('created_at', until.toISOString())
+    .order('version', { ascending: true });
+
+  if (versionsError) throw new Error('Failed to load rule versions: ' + versionsError.message);
+
+  const ruleId = String(rule.id);
+  const rows = txns || [];
+  const buckets = emptyBuckets(since, until, bucket);
+  const bucketStart = buckets.length > 0 ? Date.parse(buckets[0].start) : 0;
+  const contribution = { triggered: 0, deciding: 0, redundant: 0, unattributed: 0, sole_trigger: 0, shadow_matched: 0 };
+  const decisions = { allow: 0, review: 0, block: 0 };
+  const predictions = [];
+  const matchedIds = [];
+  let incomplete = 0;
+
+  for (const txn of rows) {
+    const output = txn.fraud_engine_output || {};
+    const live = liveMatchedRuleIds(txn);
+    const liveIds = live.ids.map(String);
+    const triggered = liveIds.includes(ruleId);
+    if (!live.complete) incomplete++;
+    const slot = buckets[Math.floor((Date.parse(txn.timestamp) - bucketStart) / BUCKET_SIZES[bucket])];
+
+    predictions.push({ txn_id: txn.txn_id, predicted: triggered });
+    if (slot) slot.evaluated++;
+
+    if (output.shadow?.rules?.some(entry => String(entry.rule_id) === ruleId && entry.matched)) {
+      contribution.shadow_matched++;
+    }
+    if (!triggered) continue;
+
+    matchedIds.push(txn.txn_id);
+    contribution.triggered++;
+    if (liveIds.length === 1) contribution.sole_trigger++;
+
+    const deciding = output.deciding_rule_id;
+    if (deciding === undefined || deciding === null) contribution.unattributed++;
+    else if (String(deciding) === ruleId) contribution.deciding++;
+    else contribution.redundant++;
+
+    const decision = txn.risk_decision ?? output.risk_decision;
+    if (Object.hasOwn(decisions, decision)) decisions[decision]++;
+
+    if (slot) {
+      slot.triggered++;
+      if (String(deciding) === ruleId) slot.deciding++;
+    }
+  }
+
+  const labels = await fetchLatestLabels(rows.map(txn => txn.txn_id));
+  const byOutcome = {};
+  let matchedLabeled = 0;
+  for (const txnId of matchedIds) {
+    const label = labels.get(String(txnId));
+    if (!label) continue;
+    matchedLabeled++;
+    byOutcome[label.outcome] = (byOutcome[label.outcome] || 0) + 1;
+  }
+  const { precision, recall, false_positive_rate } = computeLabelMetrics(predictions, labels);
+
+  const ratedBuckets = buckets.map(b => ({ ...b, trigger_rate: rate(b.triggered, b.evaluated) }));
+
+  return {
+    rule: {
+      id: rule.id,
+      name: rule.rule_name || rule.ruleset_name || null,
+      decision: rule.action || rule.decision,
+      enabled: rule.enabled !== false,
+      lifecycle: rule.lifecycle || 'active'
+    },
+    window: { since: since.toISOString(), until: until.toISOString(), bucket },
+    // Rows that only record the deciding rule undercount this rule's redundant matches
+    incomplete_transactions: incomplete,
+    totals: { evaluated: rows.length, triggered: contribution.triggered, trigger_rate: rate(contribution.triggered, rows.length) },
+    contribution: {
+      ...contribution,
+      deciding_rate: rate(contribution.deciding, contribution.deciding + contribution.redundant),
+      redundant_rate: rate(contribution.redundant, contribution.deciding + contribution.redundant)
+    },
+    decisions,
+    outcomes: { labeled: matchedLabeled, by_outcome: byOutcome, precision, recall, false_positive_rate },
+    buckets: ratedBuckets,
+    trend: computeTrend(ratedBuckets),
+    spikes: findSpikes(ratedBuckets),
+    changes: (versions || []).map(v => ({ version: v.version, change_type: v.change_type, changed_by: v.created_by ?? null, changed_at: v.created_at })),
+    truncated: rows.length === MAX_PERFORMANCE_ROWS
+  };
+}
@@ -1,6 +1,77 @@
 // src/lib/ruleSchema.js
 // JSON schema for OpenAI function calling - forces LLM to output structured rules
 
+import { FEATURE_CATALOG } from './ruleValidator.js';
+import { getGroupOperator, collectLeaves, conditionDepth } from './conditionTree.js';
+import { getOperator, listOperators } from './operators.js';
+import { ON_MISSING_POLICIES } from './conditionEvaluator.js';
+import { isValueExpression } from './valueExpressions.js';
+
+const MAX_CONDITIONS = FEATURE_CATALOG.policy?.max_conditions_per_rule || 10;
+const MAX_CONDITION_DEPTH = FEATURE_CATALOG.policy?.max_condition_depth || 3;
+
+const CONDITION_OPERATORS = listOperators();
+
+const LEAF_CONDITION_SCHEMA = {
+  type: "object",
+  description: "Leaf condition comparing a field to a value",
+  properties: {
+    field: {
+      type: "string",
+      enum: FEATURE_CATALOG.features.map(f => f.name),
+      description: "Field name from feature catalog (velocity features like user_txn_count_10m are computed at evaluation time)"
+    },
+    op: {
+      type: "string",
+      enum: CONDITION_OPERATORS,
+      description: "Comparison operator"
+    },
+    value: {
+      description: "Value to compare against (type must match field type); omit for is_null / is_not_null; " +
+        "the list name for in_list / not_in_list (e.g. \"risky_sellers\"); " +
+        "a regex pattern for matches_regex (\"pattern\" or \"/pattern/i\", no nested quantifiers or backreferences); " +
+        "domains for domain_in ([\"amazon.com\"]) and top-level domains for tld_in ([\"zip\"]) on seller_url. " +
+        "May reference another field ({\"field\": \"delegation_duration_hours\"}) or be arithmetic over numbers " +
+        "and numeric fields ({\"mul\": [3, {\"field\": \"user_amount_median_24h\"}]}; add, sub, mul, div)"
+    }
+  },
+  required: ["field", "op"]
+};
+
+/**
+ * Build the schema for a condition node that may nest up to `depth` levels
+ * Function-calling schemas can't recurse via $ref, so groups are unrolled per level
+ */
+function buildConditionSchema(depth) {
+  if (depth <= 1) return LEAF_CONDITION_SCHEMA;
+
+  const child = buildConditionSchema(depth - 1);
+
+  return {
+    anyOf: [
+      LEAF_CONDITION_SCHEMA,
+      {
+        type: "object",
+        description: "Group that matches when ALL nested conditions match",
+        properties: { all: { type: "array", items: child, minItems: 1 } },
+        required: ["all"]
+      },
+      {
+        type: "object",
+        description: "Group that matches when ANY nested condition matches",
+        properties: { any: { type: "array", items: child, minItems: 1 } },
+        required: ["any"]
+      },
+      {
+        type: "object",
+        description: "Group that matches when the nested condition does NOT match",
+        properties: { not: child },
+        required: ["not"]
+      }
+    ]
+  };
+}
+
 export const RULE_FUNCTION_SCHEMA = {
   name: "generate_fraud_rule",
   description: "Generate a fraud detection rule based on analyst's instruction",
@@ -27,27 +98,18 @@ export const RULE_FUNCTION_SCHEMA = {
       },
       conditions: {
         type: "array",
-        description: "Array of conditions that must ALL be true for this rule to match",
-        items: {
-          type: "object",
-          properties: {
-            field: {
-              type: "string",
-              description: "Field name from feature catalog"
-            },
-            op: {
-              type: "string",
-              enum: ["==", "!=", ">", "<", ">=", "<=", "in", "not_in", "contains", "not_contains"],
-              description: "Comparison operator"
-            },
-            value: {
-              description: "Value to compare against (type must match field type)"
-            }
-          },
-          required: ["field", "op", "value"]
-        },
+        description: "Array of conditions that must ALL be true for this rule to match. " +
+          "Use {\"any\": [...]}, {\"all\": [...]} or {\"not\": {...}} groups for OR / nested AND / negation " +
+          `(max ${MAX_CONDITION_DEPTH} levels deep, max ${MAX_CONDITIONS} leaf conditions in total)`,
+        items: buildConditionSchema(MAX_CONDITION_DEPTH),
         minItems: 1,
-        maxItems: 10
+        maxItems: MAX_CONDITIONS
+      },
+      on_missing: {
+        type: "string",
+        enum: ON_MISSING_POLICIES,
+        description: "What to do when a condition's field is missing or null: 'fail' (default, rule does not match), " +
+          "'pass' (rule matches) or 'review' (send to review)"
       }
     },
     required: ["ruleset_name", "description", "decision", "category", "conditions"]
@@ -81,19 +143,13 @@ export const RULE_VALIDATION_SCHEMA = {
     conditions: {
       type: "array",
       minItems: 1,
-      maxItems: 10,
-      items: {
-        type: "object",
-        required: ["field", "op"],
-        properties: {
-          field: { type: "string" },
-          op: {
-            type: "string",
-            enum: ["==", "!=", ">", "<", ">=", "<=", "in", "not_in", "contains", "not_contains"]
-          },
-          value: {} // Type varies by field
-        }
-      }
+      maxItems: MAX_CONDITIONS,
+      items: buildConditionSchema(MAX_CONDITION_DEPTH)
+    },
+    on_missing: {
+      type: "string",
+      enum: ON_MISSING_POLICIES,
+      default: "fail"
     },
     applies_to: {
       type: "string",
@@ -128,26 +184,27 @@ export function validateRuleStructure(rule) {
     errors.push(`decision must be 'allow', 'review', or 'block', got '${rule.decision}'`);
   }
 
+  // Missing-data policy
+  if (rule.on_missing !== undefined && !ON_MISSING_POLICIES.includes(rule.on_missing)) {
+    errors.push(`on_missing must be one of ${ON_MISSING_POLICIES.map(p => `'${p}'`).join(', ')}, got '${rule.on_missing}'`);
+  }
+
   // Conditions array
-  if (rule.conditions) {
+  if (Array.isArray(rule.conditions)) {
     if (rule.conditions.length === 0) {
       errors.push("conditions array cannot be empty");
     }
 
-    if (rule.conditions.length > 10) {
-      errors.push("conditions array cannot have more than 10 items (max_conditions_per_rule policy)");
+    if (collectLeaves(rule.conditions).length > MAX_CONDITIONS) {
+      errors.push(`conditions cannot have more than ${MAX_CONDITIONS} leaf conditions (max_conditions_per_rule policy)`);
+    }
+
+    if (conditionDepth(rule.conditions) > MAX_CONDITION_DEPTH) {
+      errors.push(`conditions cannot be nested more than ${MAX_CONDITION_DEPTH} levels deep (max_condition_depth policy)`);
     }
 
     rule.conditions.forEach((cond, idx) => {
-      if (!cond.field) {
-        errors.push(`conditions[${idx}]: field is required`);
-      }
-      if (!cond.op) {
-        errors.push(`conditions[${idx}]: op (operator) is required`);
-      }
-      if (cond.value === undefined && cond.op !== "is_null") {
-        errors.push(`conditions[${idx}]: value is required for operator '${cond.op}'`);
-      }
+      validateConditionStructure(cond, `conditions[${idx}]`, errors);
     });
   }
 
@@ -156,3 +213,58 @@ export function validateRuleStructure(rule) {
     errors
   };
 }
+
+function validateConditionStructure(cond, path, errors) {
+  if (!cond || typeof cond !== "object" || Array.isArray(cond)) {
+    errors.push(`${path}: condition must be an object`);
+    return;
+  }
+
+  const groupOp = getGroupOperator(cond);
+
+  if (groupOp === "all" || groupOp === "any") {
+    if (!Array.isArray(cond[groupOp]) || cond[groupOp].length === 0) {
+      errors.push(`${path}: '${groupOp}' group must be a non-empty array`);
+      return;
+    }
+    cond[groupOp].forEach((child, idx) => validateConditionStructure(child, `${path}.${groupOp}[${idx}]`, errors));
+    return;
+  }
+
+  if (groupOp === "not") {
+    if (!cond.not || typeof cond.not !== "object" || Array.isArray(cond.not)) {
+      errors.push(`${path}: 'not' group must wrap a single condition object`);
+      return;
+    }
+    validateConditionStructure(cond.not, `${path}.not`, errors);
+    return;
+  }
+
+  if (!cond.field) {
+    errors.push(`${path}: field is required`);
+  }
+  if (!cond.op) {
+    errors.push(`${path}: op (operator) is required`);
+  } else if (!getOperator(cond.op)) {
+    errors.push(`${path}: unknown operator '${cond.op}'`);
+  }
+  if (cond.value === undefined && getOperator(cond.op)?.value !== "none") {
+    errors.push(`${path}: value is required for operator '${cond.op}'`);
+  }
+  if (getOperator(cond.op)?.value === "list" && (typeof cond.value !== "string" || cond.value === "")) {
+    errors.push(`${path}: operator '${cond.op}' takes the name of a list`);
+  }
+  if (cond.value && typeof cond.value === "object" && !Array.isArray(cond.value) && !isValueExpression(cond.value)) {
+    errors.push(`${path}: object value must be a field reference ({ "field": ... }) or an add/sub/mul/div expression`);
+  }
+
+  // Operator-specific checks (e.g. regex patterns that could backtrack catastrophically)
+  const operator = getOperator(cond.op);
+  const literal = operator?.value === "array"
+    ? Array.isArray(cond.value) && cond.value.every(v => typeof v === "string")
+    : typeof cond.value === "string";
+  if (operator?.validate && literal) {
+    const problem = operator.validate(cond.value);
+    if (problem) errors.push(`${path}: ${problem}`);
+  }
+}
@@ -4,6 +4,17 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getGroupOperator, collectLeaves, conditionDepth } from './conditionTree.js';
+import { getOperator, operatorsForType } from './operators.js';
+import { ON_MISSING_POLICIES } from './conditionEvaluator.js';
+import {
+  isValueExpression,
+  validateValueExpression,
+  describeValueExpression,
+  typesCompatible
+} from './valueExpressions.js';
+import { LIST_KINDS } from './namedLists.js';
+import { normalizeCurrencyCode, supportedCurrencies, toUsd } from './currency.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,9 +24,15 @@ const catalogPath = path.join(__dirname, 'featureCatalog.json');
 const FEATURE_CATALOG = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
 
 export class RuleValidator {
-  constructor() {
+  /**
+   * @param {Object} options - { lists }: named lists rules may reference with in_list /
+   *   not_in_list (rows from listNamedLists(); at least { name, kind, items })
+   */
+  constructor({ lists = [] } = {}) {
     this.errors = [];
     this.warnings = [];
+    this.conditions = [];
+    this.lists = new Map(lists.map(list => [list.name, list]));
   }
 
   /**
@@ -26,6 +43,7 @@ export class RuleValidator {
   validate(rule) {
     this.errors = [];
     this.warnings = [];
+    this.conditions = Array.isArray(rule.conditions) ? rule.conditions : [];
 
     // 1. Required fields
     this.validateRequiredFields(rule);
@@ -42,6 +60,7 @@ export class RuleValidator {
     // 5. Conditions array
     if (rule.conditions && Array.isArray(rule.conditions)) {
       this.validateConditionsArray(rule.conditions);
+      this.validateAmountCurrencies(rule.conditions);
     }
 
     // 6. Category (if present)
@@ -49,6 +68,41 @@ export class RuleValidator {
       this.validateCategory(rule.category);
     }
 
+    // 7. Missing-data policy (if present)
+    if (rule.on_missing !== undefined && !ON_MISSING_POLICIES.includes(rule.on_missing)) {
+      this.errors.push(
+        `on_missing must be one of: ${ON_MISSING_POLICIES.join(', ')}. Got: "${rule.on_missing}"`
+      );
+    }
+
+    return this.getResult();
+  }
+
+  /**
+   * Validate only a rule's conditions and missing-data policy against the current catalog
+   * and named lists (e.g. a stored version about to be restored, whose name and description
+   * were accepted when it was written)
+   * @param {Object} rule - Rule or version snapshot
+   * @returns {Object} {valid: boolean, errors: [], warnings: []}
+   */
+  validateConditions(rule) {
+    this.errors = [];
+    this.warnings = [];
+    this.conditions = Array.isArray(rule.conditions) ? rule.conditions : [];
+
+    if (!Array.isArray(rule.conditions)) {
+      this.errors.push("conditions must be a non-empty array");
+    } else {
+      this.validateConditionsArray(rule.conditions);
+      this.validateAmountCurrencies(rule.conditions);
+    }
+
+    if (rule.on_missing !== undefined && !ON_MISSING_POLICIES.includes(rule.on_missing)) {
+      this.errors.push(
+        `on_missing must be one of: ${ON_MISSING_POLICIES.join(', ')}. Got: "${rule.on_missing}"`
+      );
+    }
+
     return this.getResult();
   }
 
@@ -125,20 +179,62 @@ export class RuleValidator {
       return;
     }
 
+    // Leaf limit counts every condition inside all/any/not groups
     const maxConditions = FEATURE_CATALOG.policy?.max_conditions_per_rule || 10;
-    if (conditions.length > maxConditions) {
+    const leafCount = collectLeaves(conditions).length;
+    if (leafCount > maxConditions) {
       this.errors.push(
-        `conditions array cannot have more than ${maxConditions} items (policy: max_conditions_per_rule)`
+        `conditions cannot have more than ${maxConditions} leaf conditions, got ${leafCount} (policy: max_conditions_per_rule)`
       );
       // Short-circuit: don't validate individual conditions if we're already over limit
       return;
     }
 
+    const maxDepth = FEATURE_CATALOG.policy?.max_condition_depth || 3;
+    const depth = conditionDepth(conditions);
+    if (depth > maxDepth) {
+      this.errors.push(
+        `conditions cannot be nested more than ${maxDepth} levels deep, got ${depth} (policy: max_condition_depth)`
+      );
+      return;
+    }
+
     conditions.forEach((cond, idx) => {
-      this.validateCondition(cond, `conditions[${idx}]`);
+      this.validateConditionNode(cond, `conditions[${idx}]`);
     });
   }
 
+  validateConditionNode(node, path) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      this.errors.push(`${path}: condition must be an object`);
+      return;
+    }
+
+    const groupOp = getGroupOperator(node);
+
+    if (groupOp === 'all' || groupOp === 'any') {
+      if (!Array.isArray(node[groupOp]) || node[groupOp].length === 0) {
+        this.errors.push(`${path}: "${groupOp}" group must be a non-empty array of conditions`);
+        return;
+      }
+      node[groupOp].forEach((child, idx) => {
+        this.validateConditionNode(child, `${path}.${groupOp}[${idx}]`);
+      });
+      return;
+    }
+
+    if (groupOp === 'not') {
+      if (!node.not || typeof node.not !== 'object' || Array.isArray(node.not)) {
+        this.errors.push(`${path}: "not" group must wrap a single condition object`);
+        return;
+      }
+      this.validateConditionNode(node.not, `${path}.not`);
+      return;
+    }
+
+    this.validateCondition(node, path);
+  }
+
   validateCondition(cond, path) {
     // 1. Required fields
     if (!cond.field) {
@@ -171,13 +267,36 @@ export class RuleValidator {
       return;
     }
 
-    // 4. Value must be present (except for special cases)
-    if (cond.value === undefined && cond.op !== 'is_null') {
+    // 4. Presence operators take no value; every other operator needs one
+    if (getOperator(cond.op).value === 'none') {
+      if (cond.value !== undefined && cond.value !== null) {
+        this.errors.push(`${path}: operator "${cond.op}" takes no value`);
+      } else if (feature.nullability === 'not_null') {
+        this.warnings.push(
+          `${path}: ${cond.field} is declared not_null, so "${cond.op}" only matters for malformed transactions`
+        );
+      }
+      return;
+    }
+
+    if (cond.value === undefined) {
       this.errors.push(`${path}: value is required for operator "${cond.op}"`);
       return;
     }
 
-    // 5. Check for null values on not_null fields
+    // 5. Named list reference (in_list / not_in_list)
+    if (getOperator(cond.op).value === 'list') {
+      this.validateListReference(cond, path, feature);
+      return;
+    }
+
+    // 6. Field reference or arithmetic expression instead of a literal
+    if (isValueExpression(cond.value)) {
+      this.validateExpression(cond, path, feature);
+      return;
+    }
+
+    // 7. Check for null values on not_null fields
     if (cond.value === null) {
       if (feature.nullability === 'not_null') {
         this.errors.push(`${path}: ${cond.field} cannot be null (field is not_null)`);
@@ -185,15 +304,87 @@ export class RuleValidator {
       }
     }
 
-    // 6. Validate value type and constraints
+    // 8. Validate value type and constraints
     if (cond.value !== undefined && cond.value !== null) {
+      const errorCount = this.errors.length;
       this.validateValue(cond.field, cond.value, cond.op, path, feature);
+
+      // 9. Operator-specific checks (regex safety, domain syntax) once the type is right
+      const problem = this.errors.length === errorCount && getOperator(cond.op).validate?.(cond.value);
+      if (problem) {
+        this.errors.push(`${path}: ${problem}`);
+      }
+    }
+  }
+
+  validateListReference(cond, path, feature) {
+    if (typeof cond.value !== 'string') {
+      this.errors.push(`${path}: Operator "${cond.op}" requires the name of a list`);
+      return;
+    }
+
+    const list = this.lists.get(cond.value);
+    if (!list) {
+      const names = [...this.lists.keys()];
+      this.errors.push(
+        `${path}: Unknown list "${cond.value}". ` +
+        (names.length > 0 ? `Must be one of: ${names.join(', ')}` : 'No named lists exist')
+      );
+      return;
+    }
+
+    const itemType = LIST_KINDS[list.kind];
+    if (itemType && !typesCompatible(feature.type, itemType)) {
+      this.errors.push(
+        `${path}: List "${list.name}" holds ${list.kind} values (${itemType}), which cannot match "${cond.field}" (${feature.type})`
+      );
+      return;
+    }
+
+    if (Array.isArray(list.items) && list.items.length === 0) {
+      this.warnings.push(
+        `${path}: List "${list.name}" is empty, so "${cond.op}" currently always gives the same result`
+      );
+    }
+  }
+
+  validateExpression(cond, path, feature) {
+    // Operators with their own value checks (regex patterns, domains) need a literal to check
+    const operator = getOperator(cond.op);
+    if (operator.value !== 'scalar' || operator.validate) {
+      this.errors.push(`${path}: Operator "${cond.op}" cannot compare against a field or expression`);
+      return;
+    }
+
+    const { type, errors } = validateValueExpression(cond.value, name => this.getFeature(name), `${path}.value`);
+    if (errors.length > 0) {
+      this.errors.push(...errors);
+      return;
+    }
+
+    const rhs = describeValueExpression(cond.value);
+    if (!typesCompatible(feature.type, type)) {
+      this.errors.push(
+        `${path}: Cannot compare "${cond.field}" (${feature.type}) with ${rhs} (${type})`
+      );
+      return;
+    }
+
+    if (rhs === cond.field) {
+      this.warnings.push(`${path}: "${cond.field}" is compared with itself`);
+    } else if (feature.type === 'enum' && type === 'enum') {
+      const other = this.getFeature(cond.value.field);
+      if (!other.values.some(v => feature.values.includes(v))) {
+        this.warnings.push(
+          `${path}: "${cond.field}" and "${other.name}" share no values, so "${cond.op}" always gives the same result`
+        );
+      }
     }
   }
 
   validateValue(fieldName, value, operator, path, feature) {
     // Handle array operators
-    if (['in', 'not_in'].includes(operator)) {
+    if (getOperator(operator)?.value === 'array') {
       if (!Array.isArray(value)) {
         this.errors.push(`${path}: Operator "${operator}" requires an array value`);
         return;
@@ -244,13 +435,7 @@ export class RuleValidator {
 
       // Range check
       if (feature.range) {
-        const [min, max] = feature.range;
-        if (value < min || value > max) {
-          this.errors.push(
-            `${path}: Value ${value} out of range for "${fieldName}". ` +
-            `Valid range: [${min}, ${max}]`
-          );
-        }
+        this.validateRange(fieldName, value, path, feature);
       }
     } else if (feature.type === 'string') {
       if (actualType !== 'string') {
@@ -278,13 +463,65 @@ export class RuleValidator {
     }
   }
 
+  validateRange(fieldName, value, path, feature) {
+    const [min, max] = feature.range;
+
+    // Amounts in the transaction's currency: the range is in USD, so convert the threshold
+    // for each currency the rule is restricted to
+    const currencies = feature.currency_field ? pinnedCurrencies(this.conditions, feature.currency_field) : null;
+    if (currencies) {
+      for (const currency of currencies) {
+        const usd = toUsd(value, currency);
+        if (usd !== null && (usd < min || usd > max)) {
+          this.errors.push(
+            `${path}: Value ${value} ${currency} (${usd} USD) out of range for "${fieldName}". ` +
+            `Valid range: [${min}, ${max}] USD`
+          );
+        }
+      }
+      return;
+    }
+
+    if (value < min || value > max) {
+      this.errors.push(
+        `${path}: Value ${value} out of range for "${fieldName}". ` +
+        `Valid range: [${min}, ${max}]`
+      );
+    }
+  }
+
+  /**
+   * Warn about amount thresholds that mean different USD amounts per currency
+   * (rules not restricted to a single currency should compare amount_usd)
+   */
+  validateAmountCurrencies(conditions) {
+    for (const { condition, path } of collectLeaves(conditions)) {
+      const feature = this.getFeature(condition.field);
+      if (!feature?.currency_field || typeof condition.value !== 'number') continue;
+      if (!['>', '<', '>=', '<='].includes(condition.op)) continue;
+
+      const currencies = pinnedCurrencies(conditions, feature.currency_field) || supportedCurrencies();
+      if (currencies.length <= 1) continue;
+
+      const examples = currencies
+        .filter(currency => currency !== 'USD')
+        .slice(0, 3)
+        .map(currency => `${condition.value} ${currency} = ${toUsd(condition.value, currency)} USD`);
+
+      this.warnings.push(
+        `${path}: "${condition.field}" is in the transaction's currency, so ${condition.op} ${condition.value} ` +
+        `is a different USD threshold per currency (${examples.join(', ')}). ` +
+        `Compare amount_usd, or restrict the rule with a "${feature.currency_field}" condition`
+      );
+    }
+  }
+
   getFeature(fieldName) {
     return FEATURE_CATALOG.features.find(f => f.name === fieldName);
   }
 
   getValidOperators(feature) {
-    const typeKey = feature.type === 'enum' ? 'enum' : feature.type;
-    return FEATURE_CATALOG.operators[typeKey] || [];
+    return operatorsForType(feature.type, feature.format);
   }
 
   isValidOperator(feature, operator) {
@@ -301,6 +538,31 @@ export class RuleValidator {
   }
 }
 
+/**
+ * Currencies a rule is restricted to by `currency == X` / `currency in [...]` conditions
+ * in its implicit AND (including nested `all` groups)
+ *
+ * @returns {Array<string>|null} Currency codes, or null if the rule applies to every currency
+ */
+function pinnedCurrencies(conditions, field) {
+  let pinned = null;
+
+  const visit = (node) => {
+    const groupOp = getGroupOperator(node);
+    if (groupOp === 'all' && Array.isArray(node.all)) node.all.forEach(visit);
+    if (groupOp || node?.field !== field) return;
+
+    const values = node.op === '==' ? [node.value] : node.op === 'in' && Array.isArray(node.value) ? node.value : null;
+    if (!values) return;
+
+    const codes = values.map(normalizeCurrencyCode).filter(Boolean);
+    pinned = pinned ? pinned.filter(code => codes.includes(code)) : codes;
+  };
+
+  conditions.forEach(visit);
+  return pinned;
+}
+
 // Utility functions
 export function getFeature(fieldName) {
   return FEATURE_CATALOG.features.find(f => f.name === fieldName);
@@ -310,8 +572,7 @@ export function getValidOperators(fieldName) {
   const feature = getFeature(fieldName);
   if (!feature) return [];
 
-  const typeKey = feature.type === 'enum' ? 'enum' : feature.type;
-  return FEATURE_CATALOG.operators[typeKey] || [];
+  return operatorsForType(feature.type, feature.format);
 }
 
 export function isValidOperator(fieldName, operator) {
@@ -0,0 +1,258 @@
+// src/lib/ruleVersions.js
+// Rule version history (atd_rule_versions): read, record and diff versions
+//
+// Every governed change to a rule appends a version holding a snapshot of the rule's
+// versioned fields. Rollback restores those fields from an earlier snapshot and records
+// the result as a new version, so history is append-only.
+
+import crypto from 'crypto';
+import { getStore } from './store.js';
+import { collectLeaves, getGroupOperator } from './conditionTree.js';
+
+// Rule fields captured in snapshots and restored on rollback
+export const VERSIONED_FIELDS = [
+  'ruleset_name',
+  'rule_name',
+  'rule',
+  'description',
+  'category',
+  'decision',
+  'conditions',
+  'priority',
+  'on_missing'
+];
+
+/**
+ * Hash rule for fingerprinting (SHA-256 of JSON)
+ *
+ * @param {Object} rule - Rule or snapshot
+ * @returns {string} Hex digest
+ */
+export function hashRule(rule) {
+  const canonical = JSON.stringify(rule, Object.keys(rule).sort());
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * Snapshot of the versioned fields of a rule row
+ *
+ * @param {Object} rule - Rule row
+ * @returns {Object} Snapshot (fields the row does not have are left out)
+ */
+export function snapshotRule(rule) {
+  const snapshot = {};
+  for (const field of VERSIONED_FIELDS) {
+    if (rule[field] !== undefined) snapshot[field] = rule[field];
+  }
+  return snapshot;
+}
+
+/**
+ * List the versions of a rule, newest first
+ *
+ * @param {string} ruleId - Rule id
+ * @returns {Promise<Array>} Version rows
+ */
+export async function listRuleVersions(ruleId) {
+  const { data, error } = await getStore()
+    .from('atd_rule_versions')
+    .select('*')
+    .eq('rule_id', ruleId)
+    .order('version', { ascending: false });
+
+  if (error) throw new Error('Failed to load rule versions: ' + error.message);
+  return data || [];
+}
+
+/**
+ * Get one version of a rule
+ *
+ * @param {string} ruleId - Rule id
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Version row, or null if it does not exist
+ */
+export async function getRuleVersion(ruleId, version) {
+  const { data, error } = await getStore()
+    .from('atd_rule_versions')
+    .select('*')
+    .eq('rule_id', ruleId)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) throw new Error('Failed to load rule version: ' + error.message);
+  return data;
+}
+
+/**
+ * Append a version for a rule change
+ * Rules that predate version tracking get their pre-change state recorded first,
+ * so the change can be rolled back.
+ *
+ * @param {Object} change - { rule_id, change_type, before, after, diff, created_by,
+ *   approved_by, approval_notes, expected_impact, suggestion_id }; `before` is the rule
+ *   before the change (null for new rules), `after` the snapshot to record; `diff`
+ *   defaults to diffRuleVersions(before, after)
+ * @returns {Promise<Object>} The new version row
+ */
+export async function recordRuleVersion({
+  rule_id,
+  change_type,
+  before = null,
+  after,
+  diff,
+  created_by,
+  approved_by = null,
+  approval_notes = null,
+  expected_impact = null,
+  suggestion_id = null
+}) {
+  const [latest] = await listRuleVersions(rule_id);
+  let version = (latest?.version || 0) + 1;
+
+  if (!latest && before) {
+    const baseline = snapshotRule(before);
+    await insertVersion({
+      rule_id,
+      version: version++,
+      change_type: 'created',
+      diff: { type: 'baseline' },
+      rule_snapshot: baseline,
+      rule_fingerprint: hashRule(baseline),
+      created_by: before.created_by || created_by
+    });
+  }
+
+  return insertVersion({
+    rule_id,
+    version,
+    change_type,
+    diff: diff ?? diffRuleVersions(before ? snapshotRule(before) : {}, after),
+    rule_snapshot: after,
+    rule_fingerprint: hashRule(after),
+    created_by,
+    approved_by,
+    approval_notes,
+    expected_impact,
+    suggestion_id
+  });
+}
+
+async function insertVersion(row) {
+  const { data, error } = await getStore()
+    .from('atd_rule_versions')
+    .insert(row)
+    .select()
+    .single();
+
+  if (error) throw new Error('Failed to record rule version: ' + error.message);
+  return data;
+}
+
+/**
+ * Structured diff between two rule snapshots
+ * Leaf conditions are matched by content first, wherever they sit in the tree; remaining
+ * leaves on the same field (and negation) pair up as changes, the rest are added/removed.
+ *
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Object} { identical, decision, conditions: { added, removed, changed,
+ *   structure_changed }, fields }
+ */
+export function diffRuleVersions(from = {}, to = {}) {
+  const decision = from.decision !== to.decision
+    ? { from: from.decision ?? null, to: to.decision ?? null }
+    : null;
+
+  const fields = {};
+  for (const field of VERSIONED_FIELDS) {
+    if (field === 'decision' || field === 'conditions') continue;
+    if (!sameJson(from[field], to[field])) {
+      fields[field] = { from: from[field] ?? null, to: to[field] ?? null };
+    }
+  }
+
+  const conditions = diffConditions(from.conditions, to.conditions);
+  const identical = !decision && Object.keys(fields).length === 0 &&
+    conditions.added.length === 0 && conditions.removed.length === 0 &&
+    conditions.changed.length === 0 && !conditions.structure_changed;
+
+  return { identical, decision, conditions, fields };
+}
+
+function diffConditions(fromConditions, toConditions) {
+  const removed = collectLeaves(fromConditions).map(describeLeaf);
+  const added = [];
+
+  // Unchanged leaves, even if an insert shifted their path
+  for (const leaf of collectLeaves(toConditions).map(describeLeaf)) {
+    const idx = removed.findIndex(old => old.key === leaf.key);
+    if (idx >= 0) removed.splice(idx, 1);
+    else added.push(leaf);
+  }
+
+  // Same field on both sides: the condition was edited
+  const changed = [];
+  for (let i = 0; i < added.length; i++) {
+    const leaf = added[i];
+    const idx = removed.findIndex(old => old.field === leaf.field && old.negated === leaf.negated);
+    if (idx < 0) continue;
+
+    const [old] = removed.splice(idx, 1);
+    changed.push({
+      field: leaf.field,
+      negated: leaf.negated,
+      path: leaf.path,
+      from: old.condition,
+      to: leaf.condition
+    });
+    added.splice(i--, 1);
+  }
+
+  return {
+    added: added.map(publicLeaf),
+    removed: removed.map(publicLeaf),
+    changed,
+    structure_changed: !sameJson(skeleton(fromConditions), skeleton(toConditions))
+  };
+}
+
+function describeLeaf({ condition, path, negated }) {
+  return {
+    key: JSON.stringify([canonical(condition), negated]),
+    field: condition.field,
+    condition,
+    path,
+    negated
+  };
+}
+
+function publicLeaf({ condition, path, negated }) {
+  return { ...condition, path, negated };
+}
+
+// Group layout of a conditions tree (leaves dropped, so adding a leaf is not a layout change)
+function skeleton(conditions) {
+  if (!Array.isArray(conditions)) return [];
+
+  const shape = (node) => {
+    const op = getGroupOperator(node);
+    if (op === 'not') return { not: shape(node.not) };
+    if (op) return { [op]: Array.isArray(node[op]) ? groups(node[op]) : [] };
+    return null;
+  };
+  const groups = (nodes) => nodes.map(shape).filter(Boolean);
+
+  return groups(conditions);
+}
+
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+  }
+  return value;
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(canonical(a ?? null)) === JSON.stringify(canonical(b ?? null));
+}
@@ -0,0 +1,207 @@
+// src/lib/safeRegex.js
+// Regular expressions for matches_regex conditions, guarded against ReDoS
+//
+// Patterns are written by analysts (or the LLM) and run on every transaction, so a
+// pattern with catastrophic backtracking could stall evaluation. Two layers prevent that:
+// 1. checkPattern() rejects, at validation time, the constructs that backtrack
+//    exponentially: nested quantifiers ((a+)+), quantified groups with alternation
+//    ((a|ab)*), backreferences and lookbehind, plus overlong patterns.
+// 2. Matches run in a separate V8 context with a time limit, so a pattern that never went
+//    through the validator (e.g. written straight to the rules table) is cut off. A match
+//    that times out, or a pattern that fails the check, leaves the condition unknown.
+//
+// A pattern is a plain regex source ("^https://[a-z]+\\.shop/") or /source/flags with
+// flags from "imsu" (e.g. "/paypa1|amaz0n/i").
+
+import vm from 'vm';
+
+export const MAX_PATTERN_LENGTH = 256;
+export const MAX_SUBJECT_LENGTH = 2048;
+export const MATCH_TIMEOUT_MS = 25;
+
+const ALLOWED_FLAGS = 'imsu';
+const MAX_CACHED_MATCHERS = 500;
+
+const matchers = new Map(); // pattern -> matcher (or null if unsafe)
+const sandbox = vm.createContext({ re: null, subject: '' });
+const runMatch = new vm.Script('re.test(subject)');
+
+/**
+ * Split a pattern into regex source and flags
+ *
+ * @param {string} pattern - "source" or "/source/flags"
+ * @returns {Object} { source, flags }
+ */
+export function parsePattern(pattern) {
+  const delimited = /^\/(.+)\/([a-z]*)$/s.exec(pattern);
+  return delimited ? { source: delimited[1], flags: delimited[2] } : { source: pattern, flags: '' };
+}
+
+/**
+ * Check that a pattern compiles and cannot backtrack catastrophically
+ *
+ * @param {string} pattern - "source" or "/source/flags"
+ * @returns {Object} { valid, error? }
+ */
+export function checkPattern(pattern) {
+  if (typeof pattern !== 'string' || pattern === '') {
+    return { valid: false, error: 'regex pattern must be a non-empty string' };
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return { valid: false, error: `regex pattern cannot be longer than ${MAX_PATTERN_LENGTH} characters` };
+  }
+
+  const { source, flags } = parsePattern(pattern);
+  const badFlag = [...flags].find(flag => !ALLOWED_FLAGS.includes(flag));
+  if (badFlag) {
+    return { valid: false, error: `regex flag "${badFlag}" is not supported (use ${[...ALLOWED_FLAGS].join(', ')})` };
+  }
+
+  try {
+    new RegExp(source, flags);
+  } catch (err) {
+    return { valid: false, error: `invalid regex: ${err.message}` };
+  }
+
+  const problem = findBacktrackingHazard(source);
+  return problem ? { valid: false, error: `regex ${problem} (risk of catastrophic backtracking)` } : { valid: true };
+}
+
+/**
+ * Matcher for a pattern, cached per pattern
+ *
+ * @param {string} pattern - "source" or "/source/flags"
+ * @returns {Function|null} (subject) => true, false, or null when the match could not be
+ *   decided (subject too long or timed out); null if the pattern fails checkPattern()
+ */
+export function compileSafeRegex(pattern) {
+  if (matchers.has(pattern)) return matchers.get(pattern);
+
+  let matcher = null;
+  if (checkPattern(pattern).valid) {
+    const { source, flags } = parsePattern(pattern);
+    matcher = createMatcher(pattern, new RegExp(source, flags));
+  } else {
+    console.warn(`⚠️  Refusing to run unsafe regex ${JSON.stringify(String(pattern).slice(0, 80))}`);
+  }
+
+  if (matchers.size >= MAX_CACHED_MATCHERS) matchers.delete(matchers.keys().next().value);
+  matchers.set(pattern, matcher);
+  return matcher;
+}
+
+function createMatcher(pattern, regex) {
+  let warned = false;
+
+  return (subject) => {
+    if (subject.length > MAX_SUBJECT_LENGTH) return null;
+
+    sandbox.re = regex;
+    sandbox.subject = subject;
+    try {
+      return runMatch.runInContext(sandbox, { timeout: MATCH_TIMEOUT_MS });
+    } catch (err) {
+      if (!warned) {
+        console.warn(`⚠️  Regex ${JSON.stringify(pattern.slice(0, 80))} aborted: ${err.message}`);
+        warned = true;
+      }
+      return null;
+    } finally {
+      sandbox.re = null;
+      sandbox.subject = '';
+    }
+  };
+}
+
+/**
+ * Scan a regex source for constructs with exponential backtracking
+ * Tracks, per open group, whether it contains a repeated element or an alternation; a
+ * repeating quantifier on such a group is a hazard.
+ *
+ * @returns {string|null} Description of the hazard, or null if none
+ */
+function findBacktrackingHazard(source) {
+  const stack = [{ repeats: false, alternates: false }];
+  let last = null; // the group just closed, or 'atom' for any other element
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const frame = stack[stack.length - 1];
+
+    if (char === '\\') {
+      const next = source[i + 1];
+      if (/[1-9]/.test(next) || (next === 'k' && source[i + 2] === '<')) return 'uses a backreference';
+      i += 1;
+      last = 'atom';
+      continue;
+    }
+
+    if (char === '[') {
+      i = skipCharacterClass(source, i);
+      last = 'atom';
+      continue;
+    }
+
+    if (char === '(') {
+      if (source.startsWith('(?<=', i) || source.startsWith('(?<!', i)) return 'uses lookbehind';
+      stack.push({ repeats: false, alternates: false });
+      last = null;
+      continue;
+    }
+
+    if (char === ')') {
+      const closed = stack.length > 1 ? stack.pop() : frame;
+      const parent = stack[stack.length - 1];
+      parent.repeats ||= closed.repeats;
+      last = closed;
+      continue;
+    }
+
+    if (char === '|') {
+      frame.alternates = true;
+      last = null;
+      continue;
+    }
+
+    const quantifier = readQuantifier(source, i);
+    if (quantifier) {
+      if (quantifier.repeating) {
+        if (last && last !== 'atom') {
+          if (last.repeats) return 'nests quantifiers';
+          if (last.alternates) return 'repeats a group containing alternation';
+        }
+        frame.repeats = true;
+      }
+      i = quantifier.end;
+      if (source[i + 1] === '?') i += 1; // lazy
+      last = null;
+      continue;
+    }
+
+    last = 'atom';
+  }
+
+  return null;
+}
+
+function skipCharacterClass(source, start) {
+  for (let i = start + 1; i < source.length; i++) {
+    if (source[i] === '\\') i += 1;
+    else if (source[i] === ']' && i > start + 1) return i;
+  }
+  return source.length;
+}
+
+// *, +, ? and {n}, {n,}, {n,m}; `repeating` unless it matches at most once
+function readQuantifier(source, i) {
+  const char = source[i];
+  if (char === '*' || char === '+') return { repeating: true, end: i };
+  if (char === '?') return { repeating: false, end: i };
+  if (char !== '{') return null;
+
+  const braces = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+  if (!braces) return null;
+
+  const max = braces[2] === undefined ? Number(braces[1]) : braces[3] === '' ? Infinity : Number(braces[3]);
+  return { repeating: max > 1, end: i + braces[0].length - 1 };
+}
@@ -0,0 +1,114 @@
+// src/lib/shadowReport.js
+// Shadow comparison report: how often shadow rules would have changed the final decision
+// Reads the `shadow` block evaluateTransaction records in fraud_engine_output.
+
+import { getStore } from './store.js';
+
+export const DEFAULT_REPORT_WINDOW_HOURS = 24;
+const MAX_REPORT_ROWS = 50000;
+
+/**
+ * Build the shadow comparison report for a time window
+ *
+ * @param {Object} options - { since, until } ISO timestamps; rule_id limits the report to one rule
+ * @returns {Promise<Object>} { window, transactions_with_shadow, combined, rules, truncated }
+ */
+export async function buildShadowReport({ since, until, rule_id = null } = {}) {
+  const { data: txns, error } = await getStore()
+    .from('atd_transactions')
+    .select('txn_id, timestamp, fraud_engine_output')
+    .gte('timestamp', since)
+    .lte('timestamp', until)
+    .order('timestamp', { ascending: false })
+    .limit(MAX_REPORT_ROWS);
+
+  if (error) throw new Error('Failed to load shadow evaluations: ' + error.message);
+
+  const { data: shadowRules, error: rulesError } = await getStore()
+    .from('atd_fraud_rules')
+    .select('id, rule_name, ruleset_name, decision, action, lifecycle')
+    .eq('lifecycle', 'shadow');
+
+  if (rulesError) throw new Error('Failed to load shadow rules: ' + rulesError.message);
+
+  const rules = new Map();
+  const combined = { changed: 0, transitions: {} };
+  let withShadow = 0;
+
+  // Current shadow rules appear even before they have seen traffic
+  for (const rule of shadowRules || []) {
+    if (rule_id && String(rule.id) !== String(rule_id)) continue;
+    rules.set(String(rule.id), emptyRuleStats(rule.id, rule.rule_name || rule.ruleset_name, true));
+  }
+
+  for (const txn of txns || []) {
+    const output = txn.fraud_engine_output || {};
+    const shadow = output.shadow;
+    if (!shadow || !Array.isArray(shadow.rules)) continue;
+
+    const entries = rule_id
+      ? shadow.rules.filter(r => String(r.rule_id) === String(rule_id))
+      : shadow.rules;
+    if (entries.length === 0) continue;
+
+    withShadow++;
+    const liveDecision = output.risk_decision;
+
+    if (!rule_id && shadow.changed) {
+      combined.changed++;
+      countTransition(combined.transitions, liveDecision, shadow.decision);
+    }
+
+    for (const entry of entries) {
+      const key = String(entry.rule_id);
+      if (!rules.has(key)) rules.set(key, emptyRuleStats(entry.rule_id, entry.rule, false));
+      const stats = rules.get(key);
+
+      stats.evaluated++;
+      if (entry.matched) stats.matched++;
+      if (entry.changed) {
+        stats.would_change++;
+        countTransition(stats.transitions, liveDecision, entry.decision);
+        if (stats.examples.length < 5) {
+          stats.examples.push({ txn_id: txn.txn_id, timestamp: txn.timestamp, live: liveDecision, shadow: entry.decision });
+        }
+      }
+    }
+  }
+
+  return {
+    window: { since, until },
+    transactions_with_shadow: withShadow,
+    combined: rule_id ? null : { ...combined, change_rate: rate(combined.changed, withShadow) },
+    rules: [...rules.values()]
+      .map(stats => ({
+        ...stats,
+        match_rate: rate(stats.matched, stats.evaluated),
+        change_rate: rate(stats.would_change, stats.evaluated)
+      }))
+      .sort((a, b) => b.would_change - a.would_change),
+    truncated: (txns || []).length === MAX_REPORT_ROWS
+  };
+}
+
+function emptyRuleStats(ruleId, name, inShadow) {
+  return {
+    rule_id: ruleId,
+    rule: name ?? null,
+    in_shadow: inShadow, // false once promoted or removed
+    evaluated: 0,
+    matched: 0,
+    would_change: 0,
+    transitions: {},
+    examples: []
+  };
+}
+
+function countTransition(transitions, from, to) {
+  const key = `${from}->${to}`;
+  transitions[key] = (transitions[key] || 0) + 1;
+}
+
+function rate(count, total) {
+  return total > 0 ? Number(((count / total) * 100).toFixed(2)) : 0;
+}
@@ -0,0 +1,103 @@
+// src/lib/store.js
+// Storage abstraction for rules, rulesets, named lists, transactions, suggestions,
+// versions, audits and LLM call logs
+//
+// A store exposes the Supabase query-builder surface (`from()` / `rpc()`), so the same
+// calls run against either backend:
+//   - supabase: hosted Postgres (default when SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY are set)
+//   - local:    in-memory tables, persisted to LOCAL_STORE_FILE when set (fully offline)
+// STORE_BACKEND=supabase|local overrides the choice. The Express app injects its store
+// via createApp({ store }); library code reads the active store with getStore().
+
+import { getSupabase } from '../dbclient.js';
+import { createLocalStore } from './localStore.js';
+
+// Rows a fresh local store starts with (mirrors migrations 011 and 016)
+const LOCAL_SEED = {
+  atd_rulesets: [
+    {
+      name: 'default',
+      decision_strategy: 'worst_case',
+      description: 'Default ruleset: most severe matching decision wins',
+      updated_by: 'system'
+    }
+  ],
+  atd_named_lists: [
+    seedList('registered_agents', 'agent_id', 'Agents registered for delegated purchases', ['user_456_claude', 'user_123_chatgpt']),
+    seedList('trusted_agent_sources', 'agent_source', 'Agent providers trusted by default', ['OpenAI', 'Anthropic']),
+    seedList('approved_agent_scopes', 'agent_scope', 'Scopes agents may be granted', ['read', 'write', 'transact']),
+    seedList('allowed_hours_for_agent', 'hour', 'Hours of day agents may transact', Array.from({ length: 24 }, (_, i) => i)),
+    seedList('risky_sellers', 'seller', 'Sellers with a history of fraud', ['ShadyElectronics', 'QuickLoanz']),
+    seedList('safe_partners', 'partner', 'Payment partners with a clean record', ['Stripe', 'Amazon', 'Shopify'])
+  ]
+};
+
+function seedList(name, kind, description, items) {
+  return { name, kind, description, items, version: 1, created_by: 'system', updated_by: 'system' };
+}
+
+let activeStore = null;
+
+/**
+ * Wrap a Supabase client as a store
+ *
+ * @param {Object} client - Supabase client
+ * @returns {Object} Store
+ */
+export function createSupabaseStore(client) {
+  if (!client) {
+    throw new Error('Supabase backend requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  }
+
+  return {
+    backend: 'supabase',
+    from: table => client.from(table),
+    rpc: (fn, params) => client.rpc(fn, params)
+  };
+}
+
+/**
+ * Create a store for the configured backend
+ *
+ * @param {Object} options - { backend, file, seed }
+ * @returns {Object} Store with `from(table)` and `rpc(fn, params)`
+ */
+export function createStore(options = {}) {
+  const backend = options.backend || process.env.STORE_BACKEND || (getSupabase() ? 'supabase' : 'local');
+
+  switch (backend) {
+    case 'supabase':
+      return createSupabaseStore(options.client || getSupabase());
+    case 'local':
+      return createLocalStore({
+        file: options.file ?? process.env.LOCAL_STORE_FILE ?? null,
+        seed: options.seed ?? LOCAL_SEED
+      });
+    default:
+      throw new Error(`Unknown store backend: ${backend}`);
+  }
+}
+
+/**
+ * Make a store the active one for the process
+ *
+ * @param {Object} store - Store created by createStore()
+ * @returns {Object} The same store
+ */
+export function setStore(store) {
+  activeStore = store;
+  return store;
+}
+
+/**
+ * Get the active store, creating one from the environment on first use
+ *
+ * @returns {Object} Store
+ */
+export function getStore() {
+  if (!activeStore) {
+    activeStore = createStore();
+    console.log(`[store] Using ${activeStore.backend} backend${activeStore.file ? ` (${activeStore.file})` : ''}`);
+  }
+  return activeStore;
+}
@@ -0,0 +1,82 @@
+// src/lib/transactionInput.js
+// Validation of transactions submitted for evaluation (/api/eval and /api/eval/batch)
+
+import { fxRate, normalizeCurrencyCode, supportedCurrencies } from './currency.js';
+
+const REQUIRED_FIELDS = ['user_id', 'agent_id', 'amount', 'currency'];
+
+const FIELD_TYPES = {
+  user_id: 'string',
+  agent_id: 'string',
+  amount: 'number',
+  currency: 'string'
+};
+
+/**
+ * Check a submitted transaction
+ *
+ * @param {Object} txn - Request item
+ * @param {Object} options - { allowTimestamp }: keep a client-supplied timestamp (batch
+ *   backfills); it must parse and not lie in the future
+ * @returns {Object} { valid: true } or { valid: false, error, code, field?, ...details }
+ */
+export function validateTransactionInput(txn, { allowTimestamp = false } = {}) {
+  if (!txn || typeof txn !== 'object' || Array.isArray(txn)) {
+    return { valid: false, error: 'Transaction must be an object', code: 'INVALID_INPUT' };
+  }
+
+  const missingFields = REQUIRED_FIELDS.filter(field => !txn[field]);
+  if (missingFields.length > 0) {
+    return { valid: false, error: 'Missing required fields', code: 'MISSING_FIELDS', field: missingFields[0], missingFields };
+  }
+
+  const mistyped = Object.keys(FIELD_TYPES).find(field => typeof txn[field] !== FIELD_TYPES[field]);
+  if (mistyped) {
+    return { valid: false, error: 'Invalid field types', code: 'INVALID_TYPE', field: mistyped, expected: FIELD_TYPES };
+  }
+
+  if (txn.amount <= 0 || !Number.isFinite(txn.amount)) {
+    return { valid: false, error: 'Amount must be positive', code: 'INVALID_AMOUNT', field: 'amount' };
+  }
+
+  // Rules compare amount_usd, so the currency needs a rate in the FX table
+  if (fxRate(txn.currency) === null) {
+    return {
+      valid: false,
+      error: `Unsupported currency "${txn.currency}"`,
+      code: 'UNSUPPORTED_CURRENCY',
+      field: 'currency',
+      supported: supportedCurrencies()
+    };
+  }
+
+  if (allowTimestamp && txn.timestamp !== undefined) {
+    const time = typeof txn.timestamp === 'string' ? Date.parse(txn.timestamp) : NaN;
+    if (Number.isNaN(time) || time > Date.now()) {
+      return { valid: false, error: 'timestamp must be an ISO 8601 time that is not in the future', code: 'INVALID_TIMESTAMP', field: 'timestamp' };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Copy of a validated transaction ready for evaluation: server-assigned txn_id, canonical
+ * currency code and evaluation time (or the client's timestamp when allowed)
+ *
+ * @param {Object} txn - Validated request item
+ * @param {Object} options - { txnId, allowTimestamp }
+ * @returns {Object} Transaction
+ */
+export function prepareTransaction(txn, { txnId, allowTimestamp = false }) {
+  const timestamp = allowTimestamp && txn.timestamp !== undefined
+    ? new Date(txn.timestamp).toISOString()
+    : new Date().toISOString();
+
+  return {
+    ...txn,
+    currency: normalizeCurrencyCode(txn.currency),
+    txn_id: txnId,
+    timestamp
+  };
+}
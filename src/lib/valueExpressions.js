@@ -0,0 +1,192 @@
+// src/lib/valueExpressions.js
+// Value expressions: the right-hand side of a condition may be computed from the transaction
+//
+// Besides a literal (or a named context value), a leaf's `value` may be:
+//   { "field": "delegation_duration_hours" }             - another field of the transaction
+//   { "mul": [3, { "field": "user_amount_median_24h" }] } - arithmetic over numbers and fields
+// Arithmetic: add and mul take two or more operands, sub and div exactly two.
+// An expression that cannot be computed (a referenced field is missing or not a number,
+// division by zero) evaluates to null, which makes the condition unknown (see on_missing).
+
+export const ARITHMETIC_OPERATORS = {
+  add: { symbol: '+', arity: [2, Infinity], apply: (a, b) => a + b },
+  sub: { symbol: '-', arity: [2, 2], apply: (a, b) => a - b },
+  mul: { symbol: '*', arity: [2, Infinity], apply: (a, b) => a * b },
+  div: { symbol: '/', arity: [2, 2], apply: (a, b) => a / b }
+};
+
+const MAX_EXPRESSION_DEPTH = 3;
+
+// Catalog types that compare with each other
+const TYPE_CLASSES = { number: 'number', integer: 'number', string: 'string', enum: 'string', boolean: 'boolean' };
+
+/**
+ * Check if a condition value is a field reference or arithmetic expression
+ *
+ * @param {*} value - Condition value
+ * @returns {boolean}
+ */
+export function isValueExpression(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length === 1 && (keys[0] === 'field' || Object.hasOwn(ARITHMETIC_OPERATORS, keys[0]));
+}
+
+/**
+ * Compile an expression into a function of the transaction
+ * Malformed (unvalidated) expressions never throw: they evaluate to null.
+ *
+ * @param {Object} expr - Value expression
+ * @returns {Function} (txn) => value, or null when it cannot be computed
+ */
+export function compileValueExpression(expr) {
+  if (!isValueExpression(expr)) return () => null;
+
+  if ('field' in expr) {
+    const { field } = expr;
+    return txn => txn[field] ?? null;
+  }
+
+  const [name] = Object.keys(expr);
+  if (!Array.isArray(expr[name])) return () => null;
+
+  const { apply } = ARITHMETIC_OPERATORS[name];
+  const operands = expr[name].map(operand => (typeof operand === 'number'
+    ? () => operand
+    : compileValueExpression(operand)));
+
+  return txn => {
+    let result = null;
+    for (let i = 0; i < operands.length; i++) {
+      const value = operands[i](txn);
+      if (typeof value !== 'number') return null;
+      result = i === 0 ? value : apply(result, value);
+    }
+    return Number.isFinite(result) ? result : null;
+  };
+}
+
+/**
+ * Evaluate an expression without compiling (reference implementation)
+ *
+ * @param {Object} expr - Value expression
+ * @param {Object} txn - Transaction
+ * @returns {*} Value, or null when it cannot be computed
+ */
+export function evaluateValueExpression(expr, txn) {
+  if (!isValueExpression(expr)) return null;
+  if ('field' in expr) return txn[expr.field] ?? null;
+
+  const [name] = Object.keys(expr);
+  if (!Array.isArray(expr[name])) return null;
+
+  const values = expr[name].map(operand => (typeof operand === 'number' ? operand : evaluateValueExpression(operand, txn)));
+  if (values.length === 0 || values.some(value => typeof value !== 'number')) return null;
+
+  const result = values.reduce(ARITHMETIC_OPERATORS[name].apply);
+  return Number.isFinite(result) ? result : null;
+}
+
+/**
+ * Fields an expression reads
+ *
+ * @param {*} value - Condition value (anything that is not an expression reads no fields)
+ * @returns {Array<string>} Field names
+ */
+export function expressionFields(value) {
+  if (!isValueExpression(value)) return [];
+  if ('field' in value) return [value.field];
+
+  const [name] = Object.keys(value);
+  return Array.isArray(value[name]) ? value[name].flatMap(expressionFields) : [];
+}
+
+/**
+ * Readable form of an expression, e.g. "3 * user_amount_median_24h"
+ *
+ * @param {Object} expr - Value expression
+ * @returns {string}
+ */
+export function describeValueExpression(expr) {
+  if (!isValueExpression(expr)) return JSON.stringify(expr);
+  if ('field' in expr) return String(expr.field);
+
+  const [name] = Object.keys(expr);
+  if (!Array.isArray(expr[name])) return JSON.stringify(expr);
+
+  const parts = expr[name].map(operand => {
+    if (!isValueExpression(operand) || 'field' in operand) return describeValueExpression(operand);
+    return `(${describeValueExpression(operand)})`;
+  });
+  return parts.join(` ${ARITHMETIC_OPERATORS[name].symbol} `);
+}
+
+/**
+ * Validate an expression against the feature catalog
+ *
+ * @param {Object} expr - Value expression
+ * @param {Function} getFeature - (name) => catalog feature or undefined
+ * @param {string} path - Error path prefix (e.g. "conditions[0].value")
+ * @returns {Object} { type, errors } - type is the catalog type the expression produces
+ *   (arithmetic produces 'number'), or null when invalid
+ */
+export function validateValueExpression(expr, getFeature, path, depth = 1) {
+  if (!isValueExpression(expr)) {
+    return {
+      type: null,
+      errors: [`${path}: expression must be { "field": ... } or one of ${Object.keys(ARITHMETIC_OPERATORS).join(', ')}`]
+    };
+  }
+
+  if ('field' in expr) {
+    const feature = typeof expr.field === 'string' ? getFeature(expr.field) : undefined;
+    return feature
+      ? { type: feature.type, errors: [] }
+      : { type: null, errors: [`${path}: Unknown field "${expr.field}" in expression`] };
+  }
+
+  const [name] = Object.keys(expr);
+  const operands = expr[name];
+  const [min, max] = ARITHMETIC_OPERATORS[name].arity;
+
+  if (depth > MAX_EXPRESSION_DEPTH) {
+    return { type: null, errors: [`${path}: expressions cannot be nested more than ${MAX_EXPRESSION_DEPTH} levels deep`] };
+  }
+  if (!Array.isArray(operands) || operands.length < min || operands.length > max) {
+    const expected = max === min ? `exactly ${min}` : `at least ${min}`;
+    return { type: null, errors: [`${path}: "${name}" takes ${expected} operands`] };
+  }
+
+  const errors = [];
+  operands.forEach((operand, idx) => {
+    const operandPath = `${path}.${name}[${idx}]`;
+    if (typeof operand === 'number') {
+      if (!Number.isFinite(operand)) errors.push(`${operandPath}: operand must be a finite number`);
+      return;
+    }
+
+    const result = validateValueExpression(operand, getFeature, operandPath, depth + 1);
+    errors.push(...result.errors);
+    if (result.type && TYPE_CLASSES[result.type] !== 'number') {
+      errors.push(`${operandPath}: "${name}" needs numeric operands, got ${result.type}`);
+    }
+  });
+
+  if (name === 'div' && operands[1] === 0) {
+    errors.push(`${path}: division by zero`);
+  }
+
+  return { type: errors.length === 0 ? 'number' : null, errors };
+}
+
+/**
+ * Check if two catalog types can be compared (integer and number are interchangeable,
+ * enum values are strings)
+ *
+ * @param {string} left - Catalog type of the condition field
+ * @param {string} right - Catalog type of the expression
+ * @returns {boolean}
+ */
+export function typesCompatible(left, right) {
+  return TYPE_CLASSES[left] !== undefined && TYPE_CLASSES[left] === TYPE_CLASSES[right];
+}
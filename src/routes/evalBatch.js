@@ -0,0 +1,99 @@
+// src/routes/evalBatch.js
+// Batch evaluation for backfills and partner integrations
+//
+// Each item is validated on its own; valid items are evaluated against one rule snapshot
+// and persisted in bulk. The response reports every item in input order, so a bad item
+// never fails the whole batch.
+
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { runFraudCheckAndPersistBatch } from '../lib/fraudEngineWrapper.js';
+import { validateTransactionInput, prepareTransaction } from '../lib/transactionInput.js';
+
+export const MAX_BATCH_SIZE = 5000;
+
+// Request body limit for batches (the app-wide JSON parser keeps express' default)
+export const BATCH_BODY_LIMIT = '10mb';
+
+const router = express.Router();
+
+// POST /api/eval/batch { transactions: [...] } (?explain=true stores per-condition traces)
+router.post('/batch', async (req, res) => {
+  const transactions = req.body?.transactions;
+
+  if (!Array.isArray(transactions)) {
+    return res.status(400).json({ error: 'transactions must be an array', code: 'INVALID_INPUT', field: 'transactions' });
+  }
+  if (transactions.length === 0) {
+    return res.status(400).json({ error: 'transactions must not be empty', code: 'EMPTY_BATCH', field: 'transactions' });
+  }
+  if (transactions.length > MAX_BATCH_SIZE) {
+    return res.status(413).json({
+      error: `Batch too large: ${transactions.length} transactions (max ${MAX_BATCH_SIZE})`,
+      code: 'BATCH_TOO_LARGE',
+      field: 'transactions',
+      max: MAX_BATCH_SIZE
+    });
+  }
+
+  try {
+    const explain = req.query.explain === 'true';
+    const results = new Array(transactions.length);
+    const accepted = [];
+
+    transactions.forEach((item, index) => {
+      const check = validateTransactionInput(item, { allowTimestamp: true });
+      if (!check.valid) {
+        const { valid, ...details } = check;
+        results[index] = { index, status: 'invalid', ...details };
+        return;
+      }
+      accepted.push({ index, txn: prepareTransaction(item, { txnId: uuidv4(), allowTimestamp: true }) });
+    });
+
+    const batch = await runFraudCheckAndPersistBatch(accepted.map(a => a.txn), undefined, { explain });
+
+    const decisions = {};
+    batch.results.forEach((outcome, i) => {
+      const { index } = accepted[i];
+      if (!outcome.success) {
+        results[index] = { index, status: 'failed', txn_id: outcome.txn_id, error: outcome.error, code: outcome.code };
+        return;
+      }
+
+      const output = outcome.fraud_engine_output;
+      decisions[output.risk_decision] = (decisions[output.risk_decision] ?? 0) + 1;
+      results[index] = {
+        index,
+        status: 'ok',
+        txn_id: outcome.txn_id,
+        risk_decision: output.risk_decision,
+        risk_score: output.risk_score,
+        triggered_rule_ids: output.triggered_rule_ids
+      };
+    });
+
+    const summary = {
+      total: transactions.length,
+      evaluated: results.filter(r => r.status === 'ok').length,
+      invalid: results.filter(r => r.status === 'invalid').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      decisions
+    };
+    console.log(`📦 Batch evaluated: ${summary.evaluated}/${summary.total} ok, ${summary.invalid} invalid, ${summary.failed} failed`);
+
+    // 207: some items were not evaluated; each item's status says which
+    res.status(summary.evaluated === summary.total ? 200 : 207).json({
+      batch_id: uuidv4(),
+      summary,
+      ruleset_version: batch.ruleset_version,
+      rules_fingerprint: batch.rules_fingerprint,
+      results
+    });
+  } catch (err) {
+    console.error('❌ Batch eval error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,82 @@
+// src/routes/labels.js
+// Outcome labels: record what happened to a transaction after the decision
+// (chargeback, confirmed fraud, analyst cleared it, ...). Labels are append-only; the
+// latest one per transaction is used by dry-runs, overlap analysis and GET /rules/stats.
+
+import express from 'express';
+import {
+  LABEL_OUTCOMES,
+  LABEL_SOURCES,
+  validateLabel,
+  recordLabels,
+  listLabels,
+  findUnknownTransactions
+} from '../lib/outcomeLabels.js';
+
+export const MAX_LABELS_PER_REQUEST = 1000;
+
+const router = express.Router();
+
+// Outcomes and sources a label may use
+router.get('/', (req, res) => {
+  res.json({
+    outcomes: Object.entries(LABEL_OUTCOMES).map(([outcome, is_fraud]) => ({ outcome, is_fraud })),
+    sources: LABEL_SOURCES
+  });
+});
+
+// Record one label ({ txn_id, outcome, source, labeled_at?, labeled_by?, notes? })
+// or several ({ labels: [...] }, all or nothing)
+router.post('/', async (req, res) => {
+  const body = req.body || {};
+  const bulk = Array.isArray(body.labels);
+  const inputs = bulk ? body.labels : [body];
+
+  if (inputs.length === 0 || inputs.length > MAX_LABELS_PER_REQUEST) {
+    return res.status(400).json({
+      error: `labels must hold 1-${MAX_LABELS_PER_REQUEST} labels`,
+      code: 'INVALID_INPUT',
+      field: 'labels'
+    });
+  }
+
+  for (const [index, input] of inputs.entries()) {
+    const validation = validateLabel(input);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: validation.error,
+        code: 'INVALID_INPUT',
+        field: validation.field,
+        ...(bulk && { index })
+      });
+    }
+  }
+
+  try {
+    const unknown = await findUnknownTransactions(inputs.map(input => input.txn_id));
+    if (unknown.length > 0) {
+      return res.status(404).json({ error: 'Transaction not found', code: 'NOT_FOUND', field: 'txn_id', txn_ids: unknown });
+    }
+
+    const labels = await recordLabels(inputs);
+    console.log(`🏷️  Recorded ${labels.length} outcome label(s)`);
+    res.status(201).json(bulk ? { success: true, labels } : { success: true, label: labels[0] });
+  } catch (err) {
+    console.error('❌ Label record error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Label history of a transaction, newest first (the first one is its current outcome)
+router.get('/:txnId', async (req, res) => {
+  try {
+    const labels = await listLabels(req.params.txnId);
+    if (labels.length === 0) return res.status(404).json({ error: 'No labels for transaction', code: 'NOT_FOUND' });
+    res.json({ txn_id: req.params.txnId, current: labels[0], labels });
+  } catch (err) {
+    console.error('❌ Label fetch error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,234 @@
+// src/routes/lists.js
+// Named reference lists (allowlists/blocklists) referenced by in_list / not_in_list rules
+//
+// Every write bumps the list's version, records it in atd_named_list_versions, logs an
+// audit entry and reloads the rule snapshot, so rules see the new items immediately.
+
+import express from 'express';
+import { getStore } from '../lib/store.js';
+import { notifyRulesChanged } from '../lib/ruleEvents.js';
+import {
+  LIST_KINDS,
+  validateNamedList,
+  validateItems,
+  listNamedLists,
+  getNamedList,
+  listNamedListVersions,
+  createNamedList,
+  updateNamedList,
+  deleteNamedList,
+  findRulesUsingList,
+  diffListItems
+} from '../lib/namedLists.js';
+
+const router = express.Router();
+
+// List all named lists (?items=false leaves the items out)
+router.get('/', async (req, res) => {
+  try {
+    const lists = await listNamedLists();
+    const withItems = req.query.items !== 'false';
+
+    res.json({
+      lists: lists.map(list => (withItems ? list : { ...list, items: undefined, item_count: list.items.length })),
+      kinds: Object.keys(LIST_KINDS)
+    });
+  } catch (err) {
+    console.error('❌ List fetch error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+router.get('/:name', async (req, res) => {
+  try {
+    const list = await getNamedList(req.params.name);
+    if (!list) return res.status(404).json({ error: 'List not found', code: 'NOT_FOUND' });
+    res.json({ list });
+  } catch (err) {
+    console.error('❌ List fetch error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+router.get('/:name/versions', async (req, res) => {
+  try {
+    const versions = await listNamedListVersions(req.params.name);
+    if (versions.length === 0) return res.status(404).json({ error: 'List not found', code: 'NOT_FOUND' });
+    res.json({ list_name: req.params.name, versions });
+  } catch (err) {
+    console.error('❌ List versions error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Create a list: { name, kind, description, items, created_by }
+router.post('/', async (req, res) => {
+  const { created_by = 'unknown', ...input } = req.body || {};
+
+  const validation = validateNamedList(input);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error, code: 'INVALID_INPUT', field: validation.field });
+  }
+
+  try {
+    if (await getNamedList(input.name)) {
+      return res.status(409).json({ error: `List "${input.name}" already exists`, code: 'ALREADY_EXISTS', field: 'name' });
+    }
+
+    const list = await createNamedList(input, created_by);
+
+    await logAudit({
+      actor: created_by,
+      action: 'create_list',
+      resourceId: list.name,
+      payload: { kind: list.kind, item_count: list.items.length }
+    });
+    await notifyRulesChanged({ reason: 'list_create', list: list.name, actor: created_by });
+
+    console.log(`✅ Created list ${list.name} (${list.items.length} items)`);
+    res.status(201).json({ success: true, list });
+  } catch (err) {
+    console.error('❌ List create error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Replace a list's items and/or description: { items, description, expected_version, updated_by }
+router.put('/:name', async (req, res) => {
+  const { updated_by = 'unknown', expected_version, ...changes } = req.body || {};
+
+  try {
+    const current = await getNamedList(req.params.name);
+    if (!current) return res.status(404).json({ error: 'List not found', code: 'NOT_FOUND' });
+
+    const validation = validateNamedList(changes, { partial: true, kind: current.kind });
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error, code: 'INVALID_INPUT', field: validation.field });
+    }
+
+    await applyUpdate(res, current, changes, { expected_version, actor: updated_by, action: 'update_list' });
+  } catch (err) {
+    console.error('❌ List update error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Add and/or remove items: { add, remove, expected_version, updated_by }
+router.patch('/:name', async (req, res) => {
+  const { add = [], remove = [], expected_version, updated_by = 'unknown' } = req.body || {};
+
+  try {
+    const current = await getNamedList(req.params.name);
+    if (!current) return res.status(404).json({ error: 'List not found', code: 'NOT_FOUND' });
+
+    const type = LIST_KINDS[current.kind];
+    for (const [field, items] of [['add', add], ['remove', remove]]) {
+      const validation = validateItems(items, type, field);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error, code: 'INVALID_INPUT', field: validation.field });
+      }
+    }
+
+    const removed = new Set(remove.map(item => (typeof item === 'string' ? item.trim() : item)));
+    const items = [...current.items, ...add].filter(item => !removed.has(item));
+
+    const validation = validateItems(items, type, 'items');
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error, code: 'INVALID_INPUT', field: 'add' });
+    }
+
+    await applyUpdate(res, current, { items }, { expected_version, actor: updated_by, action: 'update_list_items' });
+  } catch (err) {
+    console.error('❌ List update error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Delete a list; refused while any rule references it
+router.delete('/:name', async (req, res) => {
+  const deleted_by = req.body?.deleted_by || req.query.deleted_by || 'unknown';
+
+  try {
+    const list = await getNamedList(req.params.name);
+    if (!list) return res.status(404).json({ error: 'List not found', code: 'NOT_FOUND' });
+
+    const rules = await findRulesUsingList(list.name);
+    if (rules.length > 0) {
+      return res.status(409).json({
+        error: `List "${list.name}" is referenced by ${rules.length} rule(s)`,
+        code: 'LIST_IN_USE',
+        rules
+      });
+    }
+
+    await deleteNamedList(list, deleted_by);
+
+    await logAudit({
+      actor: deleted_by,
+      action: 'delete_list',
+      resourceId: list.name,
+      payload: { version: list.version, item_count: list.items.length }
+    });
+    await notifyRulesChanged({ reason: 'list_delete', list: list.name, actor: deleted_by });
+
+    console.log(`🗑️  Deleted list ${list.name}`);
+    res.json({ success: true, list_name: list.name });
+  } catch (err) {
+    console.error('❌ List delete error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * Helper: Write a list update and respond (409 if the list moved past expected_version
+ * or changed while the update was computed)
+ */
+async function applyUpdate(res, current, changes, { expected_version, actor, action }) {
+  if (expected_version !== undefined && expected_version !== current.version) {
+    return res.status(409).json({
+      error: `List is at version ${current.version}, not ${expected_version}`,
+      code: 'VERSION_CONFLICT',
+      current_version: current.version
+    });
+  }
+
+  const list = await updateNamedList(current, changes, actor);
+  if (!list) {
+    return res.status(409).json({ error: 'List changed during the update, retry', code: 'VERSION_CONFLICT' });
+  }
+
+  await logAudit({
+    actor,
+    action,
+    resourceId: list.name,
+    payload: {
+      from_version: current.version,
+      to_version: list.version,
+      ...diffListItems(current.items, list.items)
+    }
+  });
+  await notifyRulesChanged({ reason: 'list_update', list: list.name, actor });
+
+  console.log(`✅ Updated list ${list.name} to v${list.version}`);
+  return res.json({ success: true, list });
+}
+
+/**
+ * Helper: Log audit trail
+ */
+async function logAudit({ actor, action, resourceId, payload = {} }) {
+  try {
+    await getStore().from('audits').insert({
+      actor,
+      action,
+      resource_type: 'named_list',
+      resource_id: resourceId,
+      payload,
+      success: true
+    });
+  } catch (err) {
+    console.error('Failed to log audit:', err);
+  }
+}
+
+export default router;
@@ -0,0 +1,186 @@
+// src/routes/reviews.js
+// Manual review queue: transactions with risk_decision 'review' wait here until an analyst
+// claims and resolves them (approve/decline). Resolutions are written back to the
+// transaction and recorded as outcome labels (see lib/reviewQueue.js).
+
+import express from 'express';
+import {
+  REVIEW_STATUSES,
+  OPEN_REVIEW_STATUSES,
+  REVIEW_RESOLUTIONS,
+  reviewStatusOf,
+  reviewItemOf,
+  listReviewQueue,
+  getReviewTransaction,
+  listReviewEvents,
+  claimReview,
+  reassignReview,
+  resolveReview
+} from '../lib/reviewQueue.js';
+
+export const MAX_QUEUE_PAGE = 500;
+const SLA_FILTERS = ['on_track', 'due_soon', 'breached', 'met'];
+const MAX_NOTES_LENGTH = 2000;
+
+const router = express.Router();
+
+function invalid(res, error, field) {
+  return res.status(400).json({ error, code: 'INVALID_INPUT', field });
+}
+
+function requireAnalyst(res, value, field = 'analyst') {
+  if (typeof value !== 'string' || value.trim() === '') {
+    invalid(res, `${field} is required`, field);
+    return null;
+  }
+  return value.trim();
+}
+
+function changedMeanwhile(res) {
+  return res.status(409).json({ error: 'Review changed meanwhile; reload and try again', code: 'REVIEW_CHANGED' });
+}
+
+// Load the review of :txnId, answering 404 when the transaction was never sent to review
+async function loadReview(req, res) {
+  const row = await getReviewTransaction(req.params.txnId);
+  if (!row) res.status(404).json({ error: 'Review not found', code: 'NOT_FOUND' });
+  return row;
+}
+
+// Queue with SLA aging: ?status=open|pending|claimed|resolved&assigned_to=&sla=breached&limit=
+router.get('/', async (req, res) => {
+  const { status = 'open', assigned_to, sla } = req.query;
+
+  if (status !== 'open' && !REVIEW_STATUSES.includes(status)) {
+    return invalid(res, `status must be one of: open, ${REVIEW_STATUSES.join(', ')}`, 'status');
+  }
+  if (sla !== undefined && !SLA_FILTERS.includes(sla)) {
+    return invalid(res, `sla must be one of: ${SLA_FILTERS.join(', ')}`, 'sla');
+  }
+
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUEUE_PAGE) {
+    return invalid(res, `limit must be an integer between 1 and ${MAX_QUEUE_PAGE}`, 'limit');
+  }
+
+  try {
+    const queue = await listReviewQueue({ status, assignedTo: assigned_to, slaStatus: sla, limit });
+    res.json({ status, ...queue });
+  } catch (err) {
+    console.error('❌ Review queue error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+// One review with its transaction and claim/reassign/resolve history
+router.get('/:txnId', async (req, res) => {
+  try {
+    const row = await loadReview(req, res);
+    if (!row) return;
+
+    res.json({ review: reviewItemOf(row), transaction: row, history: await listReviewEvents(row.txn_id) });
+  } catch (err) {
+    console.error('❌ Review fetch error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Claim a pending review: { analyst } (claiming your own review again is a no-op)
+router.post('/:txnId/claim', async (req, res) => {
+  const analyst = requireAnalyst(res, req.body?.analyst);
+  if (!analyst) return;
+
+  try {
+    const row = await loadReview(req, res);
+    if (!row) return;
+
+    const status = reviewStatusOf(row);
+    if (status === 'claimed' && row.review_assigned_to === analyst) {
+      return res.json({ success: true, review: reviewItemOf(row) });
+    }
+    if (status !== 'pending') {
+      return res.status(409).json({
+        error: status === 'resolved' ? 'Review is already resolved' : `Review is claimed by ${row.review_assigned_to}`,
+        code: status === 'resolved' ? 'ALREADY_RESOLVED' : 'ALREADY_CLAIMED',
+        assigned_to: row.review_assigned_to
+      });
+    }
+
+    const updated = await claimReview(row, analyst);
+    if (!updated) return changedMeanwhile(res);
+
+    console.log(`🕵️  Review ${row.txn_id} claimed by ${analyst}`);
+    res.json({ success: true, review: reviewItemOf(updated) });
+  } catch (err) {
+    console.error('❌ Review claim error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Hand an open review to another analyst: { analyst, assigned_by }
+router.post('/:txnId/reassign', async (req, res) => {
+  const analyst = requireAnalyst(res, req.body?.analyst);
+  if (!analyst) return;
+  const assignedBy = req.body.assigned_by ?? 'unknown';
+
+  try {
+    const row = await loadReview(req, res);
+    if (!row) return;
+
+    if (!OPEN_REVIEW_STATUSES.includes(reviewStatusOf(row))) {
+      return res.status(409).json({ error: 'Review is already resolved', code: 'ALREADY_RESOLVED' });
+    }
+
+    const updated = await reassignReview(row, analyst, assignedBy);
+    if (!updated) return changedMeanwhile(res);
+
+    console.log(`🔁 Review ${row.txn_id} reassigned to ${analyst} by ${assignedBy}`);
+    res.json({ success: true, review: reviewItemOf(updated) });
+  } catch (err) {
+    console.error('❌ Review reassign error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Resolve an open review: { analyst, resolution: approve | decline, notes? }
+// A pending review can be resolved directly; a claimed one only by its assignee.
+router.post('/:txnId/resolve', async (req, res) => {
+  const analyst = requireAnalyst(res, req.body?.analyst);
+  if (!analyst) return;
+
+  const { resolution, notes = null } = req.body;
+  if (!Object.hasOwn(REVIEW_RESOLUTIONS, resolution)) {
+    return invalid(res, `resolution must be one of: ${Object.keys(REVIEW_RESOLUTIONS).join(', ')}`, 'resolution');
+  }
+  if (notes !== null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+    return invalid(res, `notes must be a string of at most ${MAX_NOTES_LENGTH} characters`, 'notes');
+  }
+
+  try {
+    const row = await loadReview(req, res);
+    if (!row) return;
+
+    const status = reviewStatusOf(row);
+    if (status === 'resolved') {
+      return res.status(409).json({ error: 'Review is already resolved', code: 'ALREADY_RESOLVED' });
+    }
+    if (status === 'claimed' && row.review_assigned_to !== analyst) {
+      return res.status(409).json({
+        error: `Review is claimed by ${row.review_assigned_to}`,
+        code: 'ALREADY_CLAIMED',
+        assigned_to: row.review_assigned_to
+      });
+    }
+
+    const resolved = await resolveReview(row, { analyst, resolution, notes });
+    if (!resolved) return changedMeanwhile(res);
+
+    console.log(`✅ Review ${row.txn_id} resolved by ${analyst}: ${resolution}`);
+    res.json({ success: true, review: reviewItemOf(resolved.row), label: resolved.label });
+  } catch (err) {
+    console.error('❌ Review resolve error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+export default router;
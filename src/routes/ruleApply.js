@@ -1,22 +1,36 @@
 // src/routes/ruleApply.js
 // POST /api/rules/apply - Apply suggested rule to production with governance
-// Implements: two-person rule, version tracking, audit trail
+// Implements: two-person rule, version tracking, rollback, audit trail
 
 import '../loadEnv.js'; // Must be first to load environment variables
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
-import crypto from 'crypto';
+import { getStore } from '../lib/store.js';
+import { notifyRulesChanged } from '../lib/ruleEvents.js';
+import { RULE_LIFECYCLES } from '../lib/ruleEngine.js';
+import { validateRollout, DEFAULT_ROLLOUT_KEY, FULL_ROLLOUT } from '../lib/rollout.js';
+import { DEFAULT_ON_MISSING } from '../lib/conditionEvaluator.js';
+import { lintRule, hasLintErrors } from '../lib/ruleLinter.js';
+import { RuleValidator } from '../lib/ruleValidator.js';
+import { listNamedLists } from '../lib/namedLists.js';
+import {
+  listRuleVersions,
+  getRuleVersion,
+  recordRuleVersion,
+  diffRuleVersions,
+  snapshotRule,
+  hashRule
+} from '../lib/ruleVersions.js';
 
 const router = express.Router();
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
 
 /**
  * POST /api/rules/apply
  *
  * Apply a suggested rule to production (fraud_rules table)
+ * Rules start in shadow (evaluated and recorded, not enforced) unless lifecycle is "active";
+ * promote them with POST /rules/:id/promote after checking GET /rules/shadow/report.
+ * An initial rollout_percentage starts the rule active for that share of traffic (canary);
+ * ramp it with PUT /rules/:id/rollout.
  *
  * Request body:
  * {
@@ -24,7 +38,10 @@ const supabase = createClient(
  *   "approver": "approver@example.com",
  *   "approval_notes": "Reviewed impact analysis, FP risk acceptable",
  *   "expected_impact": "Will block 120 additional transactions per day (+2.3%)",
- *   "acknowledge_impact": true
+ *   "acknowledge_impact": true,
+ *   "lifecycle": "shadow",         // optional: "shadow" (default) or "active"
+ *   "rollout_percentage": 1,       // optional: 0-100, implies lifecycle "active" (default 100)
+ *   "rollout_key": "user_id"       // optional: "user_id" (default) or "agent_id"
  * }
  *
  * Response:
@@ -32,7 +49,9 @@ const supabase = createClient(
  *   "rule_id": 123,
  *   "version": 1,
  *   "status": "applied",
- *   "message": "Rule successfully applied to production"
+ *   "lifecycle": "shadow",
+ *   "lint": [],                    // lint warnings (src/lib/ruleLinter.js); lint errors are refused with 400 LINT_ERRORS
+ *   "message": "Rule applied in shadow mode"
  * }
  */
 router.post('/apply', async (req, res) => {
@@ -41,8 +60,11 @@ router.post('/apply', async (req, res) => {
     approver,
     approval_notes,
     expected_impact,
-    acknowledge_impact
+    acknowledge_impact,
+    rollout_percentage,
+    rollout_key = DEFAULT_ROLLOUT_KEY
   } = req.body;
+  const lifecycle = req.body.lifecycle ?? (rollout_percentage !== undefined ? 'active' : 'shadow');
 
   // 1. Validate input
   const validation = validateApplyRequest({
@@ -50,7 +72,10 @@ router.post('/apply', async (req, res) => {
     approver,
     approval_notes,
     expected_impact,
-    acknowledge_impact
+    acknowledge_impact,
+    lifecycle,
+    rollout_percentage,
+    rollout_key
   });
 
   if (!validation.valid) {
@@ -63,7 +88,7 @@ router.post('/apply', async (req, res) => {
 
   try {
     // 2. Fetch suggestion from database
-    const { data: suggestion, error: fetchError } = await supabase
+    const { data: suggestion, error: fetchError } = await getStore()
       .from('atd_rule_suggestions')
       .select('*')
       .eq('id', suggestion_id)
@@ -128,11 +153,20 @@ router.post('/apply', async (req, res) => {
       });
     }
 
+    // Lint again: the catalog may have changed since the suggestion was made
+    const lint = lintRule(suggestion.generated_rule);
+    if (hasLintErrors(lint)) {
+      return res.status(400).json({
+        error: 'Cannot apply a rule whose conditions can never all hold',
+        code: 'LINT_ERRORS',
+        lint
+      });
+    }
+
     // 6. Create rule in fraud_rules table
-    const proposedRule = suggestion.generated_rule;
-    const ruleFingerprint = hashRule(proposedRule);
+    const proposedRule = { ...suggestion.generated_rule, on_missing: suggestion.generated_rule.on_missing || DEFAULT_ON_MISSING };
 
-    const { data: newRule, error: insertError } = await supabase
+    const { data: newRule, error: insertError } = await getStore()
       .from('atd_fraud_rules')
       .insert({
         ruleset_name: proposedRule.ruleset_name,
@@ -140,7 +174,11 @@ router.post('/apply', async (req, res) => {
         category: proposedRule.category || 'ai-generated',
         decision: proposedRule.decision,
         conditions: proposedRule.conditions,
+        on_missing: proposedRule.on_missing,
         enabled: true,
+        lifecycle,
+        rollout_percentage: rollout_percentage ?? FULL_ROLLOUT,
+        rollout_key,
         created_by: suggestion.created_by,
         updated_by: approver
       })
@@ -155,35 +193,36 @@ router.post('/apply', async (req, res) => {
     console.log('[APPLY] Created rule:', newRule.id);
 
     // 7. Create rule version record
-    const { data: version, error: versionError } = await supabase
-      .from('atd_rule_versions')
-      .insert({
+    let version;
+    try {
+      version = await recordRuleVersion({
         rule_id: newRule.id,
-        version: 1,
         change_type: 'created',
-        diff: { type: 'created', source: 'ai_suggestion' },
-        rule_snapshot: proposedRule,
-        rule_fingerprint: ruleFingerprint,
+        after: proposedRule,
+        diff: {
+          type: 'created',
+          source: 'ai_suggestion',
+          lifecycle,
+          rollout_percentage: rollout_percentage ?? FULL_ROLLOUT,
+          rollout_key
+        },
         created_by: suggestion.created_by,
         approved_by: approver,
         approval_notes,
         expected_impact,
         suggestion_id: suggestion.id
-      })
-      .select()
-      .single();
-
-    if (versionError) {
+      });
+    } catch (versionError) {
       console.error('[APPLY] Failed to create version:', versionError);
       // Rollback rule creation
-      await supabase.from('atd_fraud_rules').delete().eq('id', newRule.id);
+      await getStore().from('atd_fraud_rules').delete().eq('id', newRule.id);
       throw new Error(`Failed to create version: ${versionError.message}`);
     }
 
     console.log('[APPLY] Created version:', version.id);
 
     // 8. Update suggestion status
-    const { error: updateError } = await supabase
+    const { error: updateError } = await getStore()
       .from('atd_rule_suggestions')
       .update({
         status: 'approved',
@@ -199,6 +238,9 @@ router.post('/apply', async (req, res) => {
       // Don't rollback - rule is already created
     }
 
+    // Swap the live rule snapshot before responding
+    await notifyRulesChanged({ reason: 'apply', rule_id: newRule.id, actor: approver });
+
     // 9. Log audit trail
     await logAudit({
       actor: approver,
@@ -210,6 +252,8 @@ router.post('/apply', async (req, res) => {
         suggestion_id,
         rule_id: newRule.id,
         ruleset_name: proposedRule.ruleset_name,
+        lifecycle,
+        rollout_percentage: rollout_percentage ?? FULL_ROLLOUT,
         created_by: suggestion.created_by,
         approved_by: approver,
         approval_notes,
@@ -226,8 +270,15 @@ router.post('/apply', async (req, res) => {
       rule_id: newRule.id,
       version: version.version,
       status: 'applied',
+      lifecycle,
+      rollout: { percentage: rollout_percentage ?? FULL_ROLLOUT, key: rollout_key },
       ruleset_name: proposedRule.ruleset_name,
-      message: 'Rule successfully applied to production',
+      lint,
+      message: lifecycle === 'shadow'
+        ? 'Rule applied in shadow mode (decisions recorded, not enforced)'
+        : (rollout_percentage ?? FULL_ROLLOUT) < FULL_ROLLOUT
+          ? `Rule applied to ${rollout_percentage}% of traffic (by ${rollout_key})`
+          : 'Rule successfully applied to production',
       metadata: {
         created_by: suggestion.created_by,
         approved_by: approver,
@@ -281,7 +332,7 @@ router.post('/reject', async (req, res) => {
 
   try {
     // Update suggestion status
-    const { data: suggestion, error } = await supabase
+    const { data: suggestion, error } = await getStore()
       .from('atd_rule_suggestions')
       .update({
         status: 'rejected',
@@ -325,6 +376,509 @@ router.post('/reject', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/rules/:id/versions
+ *
+ * Version history of a rule, newest first
+ *
+ * Response:
+ * {
+ *   "rule_id": "123",
+ *   "current_version": 3,
+ *   "versions": [{ "version": 3, "change_type": "rolled_back", "rule_snapshot": {...}, ... }]
+ * }
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const versions = await listRuleVersions(req.params.id);
+    res.json({
+      rule_id: req.params.id,
+      current_version: versions[0]?.version ?? null,
+      versions
+    });
+  } catch (error) {
+    console.error('[VERSIONS] Error:', error);
+    res.status(500).json({ error: 'Failed to load rule versions', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * GET /api/rules/:id/versions/diff?from=1&to=3
+ *
+ * Structured diff between two versions of a rule (`to` defaults to the latest version)
+ *
+ * Response:
+ * {
+ *   "rule_id": "123",
+ *   "from": 1,
+ *   "to": 3,
+ *   "diff": {
+ *     "identical": false,
+ *     "decision": { "from": "review", "to": "block" },
+ *     "conditions": { "added": [...], "removed": [...], "changed": [...], "structure_changed": false },
+ *     "fields": { "description": { "from": "...", "to": "..." } }
+ *   }
+ * }
+ */
+router.get('/:id/versions/diff', async (req, res) => {
+  const ruleId = req.params.id;
+  const from = parseVersion(req.query.from);
+  const to = req.query.to === undefined ? undefined : parseVersion(req.query.to);
+
+  if (!from || to === null) {
+    return res.status(400).json({
+      error: 'from (and optional to) must be positive version numbers',
+      code: 'INVALID_INPUT',
+      field: !from ? 'from' : 'to'
+    });
+  }
+
+  try {
+    const fromVersion = await getRuleVersion(ruleId, from);
+    const toVersion = to ? await getRuleVersion(ruleId, to) : (await listRuleVersions(ruleId))[0];
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Rule version not found', code: 'NOT_FOUND' });
+    }
+
+    res.json({
+      rule_id: ruleId,
+      from: fromVersion.version,
+      to: toVersion.version,
+      diff: diffRuleVersions(fromVersion.rule_snapshot, toVersion.rule_snapshot)
+    });
+  } catch (error) {
+    console.error('[VERSIONS] Diff error:', error);
+    res.status(500).json({ error: 'Failed to diff rule versions', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * POST /api/rules/:id/rollback
+ *
+ * Request a rollback of a rule to an earlier version
+ * Nothing changes until a different analyst approves the request
+ * (POST /api/rules/:id/rollback/:rollbackId/approve), same as applying a suggestion.
+ *
+ * Request body:
+ * {
+ *   "target_version": 2,
+ *   "requested_by": "analyst@example.com",
+ *   "reason": "v3 blocks legitimate repeat buyers"
+ * }
+ *
+ * Response:
+ * {
+ *   "rollback_id": "uuid",
+ *   "status": "pending",
+ *   "from_version": 3,
+ *   "target_version": 2,
+ *   "diff": { ... }   // current rule -> restored rule
+ * }
+ */
+router.post('/:id/rollback', async (req, res) => {
+  const ruleId = req.params.id;
+  const { requested_by, reason } = req.body || {};
+  const targetVersion = parseVersion(req.body?.target_version);
+
+  if (!targetVersion) {
+    return res.status(400).json({ error: 'target_version must be a positive version number', code: 'INVALID_INPUT', field: 'target_version' });
+  }
+
+  if (!requested_by || typeof requested_by !== 'string') {
+    return res.status(400).json({ error: 'requested_by required', code: 'INVALID_INPUT', field: 'requested_by' });
+  }
+
+  if (!reason || typeof reason !== 'string' || reason.length < 10) {
+    return res.status(400).json({ error: 'reason required (min 10 characters)', code: 'INVALID_INPUT', field: 'reason' });
+  }
+
+  try {
+    const { data: rule, error: ruleError } = await getStore()
+      .from('atd_fraud_rules')
+      .select('*')
+      .eq('id', ruleId)
+      .maybeSingle();
+
+    if (ruleError) throw new Error(`Failed to load rule: ${ruleError.message}`);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found', code: 'NOT_FOUND' });
+    }
+
+    const versions = await listRuleVersions(ruleId);
+    const target = versions.find(v => v.version === targetVersion);
+    if (!target) {
+      return res.status(404).json({ error: 'Rule version not found', code: 'VERSION_NOT_FOUND' });
+    }
+
+    const diff = diffRuleVersions(snapshotRule(rule), target.rule_snapshot);
+    if (diff.identical) {
+      return res.status(409).json({
+        error: `Rule already matches version ${targetVersion}`,
+        code: 'NO_CHANGES'
+      });
+    }
+
+    const { data: rollback, error: insertError } = await getStore()
+      .from('atd_rule_rollbacks')
+      .insert({
+        rule_id: ruleId,
+        from_version: versions[0].version,
+        target_version: targetVersion,
+        requested_by,
+        reason,
+        status: 'pending',
+        diff
+      })
+      .select()
+      .single();
+
+    if (insertError) throw new Error(`Failed to create rollback request: ${insertError.message}`);
+
+    await logAudit({
+      actor: requested_by,
+      action: 'request_rollback',
+      resourceType: 'rule',
+      resourceId: String(ruleId),
+      success: true,
+      payload: { rollback_id: rollback.id, from_version: rollback.from_version, target_version: targetVersion, reason }
+    });
+
+    res.status(201).json({
+      rollback_id: rollback.id,
+      rule_id: ruleId,
+      status: 'pending',
+      from_version: rollback.from_version,
+      target_version: targetVersion,
+      diff,
+      message: 'Rollback requested; a different analyst must approve it'
+    });
+
+  } catch (error) {
+    console.error('[ROLLBACK] Request error:', error);
+    res.status(500).json({
+      error: 'Failed to request rollback',
+      code: 'INTERNAL_ERROR',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/rules/:id/rollback/:rollbackId/approve
+ *
+ * Approve a rollback request: restores the target version's rule fields and records
+ * them as a new version (change_type "rolled_back")
+ *
+ * Request body:
+ * {
+ *   "approver": "approver@example.com",
+ *   "approval_notes": "Confirmed v3 caused the FP spike",
+ *   "acknowledge_impact": true
+ * }
+ */
+router.post('/:id/rollback/:rollbackId/approve', async (req, res) => {
+  const { id: ruleId, rollbackId } = req.params;
+  const { approver, approval_notes, acknowledge_impact } = req.body || {};
+
+  if (!approver || typeof approver !== 'string') {
+    return res.status(400).json({ error: 'approver required', code: 'INVALID_INPUT', field: 'approver' });
+  }
+
+  if (!approval_notes || typeof approval_notes !== 'string' || approval_notes.length < 10) {
+    return res.status(400).json({ error: 'approval_notes required (min 10 characters)', code: 'INVALID_INPUT', field: 'approval_notes' });
+  }
+
+  if (acknowledge_impact !== true) {
+    return res.status(400).json({ error: 'acknowledge_impact must be true', code: 'INVALID_INPUT', field: 'acknowledge_impact' });
+  }
+
+  try {
+    const { data: rollback, error: fetchError } = await getStore()
+      .from('atd_rule_rollbacks')
+      .select('*')
+      .eq('id', rollbackId)
+      .eq('rule_id', ruleId)
+      .maybeSingle();
+
+    if (fetchError) throw new Error(`Failed to load rollback request: ${fetchError.message}`);
+    if (!rollback) {
+      return res.status(404).json({ error: 'Rollback request not found', code: 'NOT_FOUND' });
+    }
+
+    if (rollback.status === 'approved') {
+      return res.status(409).json({ error: 'Rollback already approved', code: 'ALREADY_APPROVED' });
+    }
+
+    if (rollback.status === 'rejected') {
+      return res.status(409).json({ error: 'Rollback was rejected', code: 'REJECTED' });
+    }
+
+    // TWO-PERSON RULE: Verify approver ≠ requester
+    if (rollback.requested_by === approver) {
+      await logAudit({
+        actor: approver,
+        action: 'rollback_rule_rejected_two_person',
+        resourceType: 'rule',
+        resourceId: String(ruleId),
+        success: false,
+        payload: { rollback_id: rollbackId, reason: 'Requester cannot approve own rollback' },
+        errorMessage: 'Two-person rule violation'
+      });
+
+      return res.status(403).json({
+        error: 'You cannot approve your own rollback request',
+        code: 'TWO_PERSON_RULE_VIOLATION',
+        requested_by: rollback.requested_by,
+        approver,
+        message: 'A different analyst must review and approve this rollback'
+      });
+    }
+
+    // The diff the request was reviewed against must still describe the change
+    const versions = await listRuleVersions(ruleId);
+    if (versions[0]?.version !== rollback.from_version) {
+      return res.status(409).json({
+        error: 'Rule changed since the rollback was requested; request it again',
+        code: 'STALE_ROLLBACK',
+        from_version: rollback.from_version,
+        current_version: versions[0]?.version ?? null
+      });
+    }
+
+    const target = versions.find(v => v.version === rollback.target_version);
+    if (!target || hashRule(target.rule_snapshot) !== target.rule_fingerprint) {
+      return res.status(409).json({
+        error: 'Target version is missing or its snapshot does not match its fingerprint',
+        code: 'VERSION_INTEGRITY'
+      });
+    }
+
+    const { data: rule, error: ruleError } = await getStore()
+      .from('atd_fraud_rules')
+      .select('*')
+      .eq('id', ruleId)
+      .maybeSingle();
+
+    if (ruleError) throw new Error(`Failed to load rule: ${ruleError.message}`);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found', code: 'NOT_FOUND' });
+    }
+
+    // Restore the snapshot's fields; lifecycle, rollout and enabled stay as they are
+    const restored = snapshotRule(target.rule_snapshot);
+
+    // Validate and lint again: fields, lists or the catalog may have changed since the version
+    const validator = new RuleValidator({ lists: await listNamedLists() });
+    const validation = validator.validateConditions(restored);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Target version no longer passes validation',
+        code: 'INVALID_RULE',
+        validation_errors: validation.errors
+      });
+    }
+
+    const lint = lintRule(restored);
+    if (hasLintErrors(lint)) {
+      return res.status(400).json({
+        error: 'Cannot restore a version whose conditions can never all hold',
+        code: 'LINT_ERRORS',
+        lint
+      });
+    }
+
+    // Claim the request first: of two concurrent approvals only one restores the rule
+    const { data: claimed, error: claimError } = await getStore()
+      .from('atd_rule_rollbacks')
+      .update({
+        status: 'approved',
+        approved_by: approver,
+        approval_notes,
+        decided_at: new Date().toISOString()
+      })
+      .eq('id', rollbackId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (claimError) throw new Error(`Failed to claim rollback request: ${claimError.message}`);
+    if (!claimed) {
+      return res.status(409).json({ error: 'Rollback was decided meanwhile; reload and try again', code: 'ROLLBACK_CHANGED' });
+    }
+
+    const { error: updateError } = await getStore()
+      .from('atd_fraud_rules')
+      .update({ ...restored, updated_by: approver })
+      .eq('id', ruleId);
+
+    if (updateError) {
+      // Hand the request back so it can be approved again
+      await getStore()
+        .from('atd_rule_rollbacks')
+        .update({ status: 'pending', approved_by: null, approval_notes: null, decided_at: null })
+        .eq('id', rollbackId);
+      throw new Error(`Failed to restore rule: ${updateError.message}`);
+    }
+
+    const version = await recordRuleVersion({
+      rule_id: ruleId,
+      change_type: 'rolled_back',
+      before: rule,
+      after: restored,
+      diff: {
+        type: 'rollback',
+        rolled_back_from: rollback.from_version,
+        rolled_back_to: rollback.target_version,
+        rollback_id: rollbackId,
+        changes: diffRuleVersions(snapshotRule(rule), restored)
+      },
+      created_by: rollback.requested_by,
+      approved_by: approver,
+      approval_notes
+    });
+
+    const { error: statusError } = await getStore()
+      .from('atd_rule_rollbacks')
+      .update({ applied_version: version.version })
+      .eq('id', rollbackId);
+
+    if (statusError) {
+      console.error('[ROLLBACK] Failed to update rollback request:', statusError);
+      // Don't undo - the rule is already restored
+    }
+
+    await notifyRulesChanged({ reason: 'rollback', rule_id: ruleId, actor: approver });
+
+    await logAudit({
+      actor: approver,
+      action: 'rollback_rule',
+      resourceType: 'rule',
+      resourceId: String(ruleId),
+      success: true,
+      payload: {
+        rollback_id: rollbackId,
+        rolled_back_from: rollback.from_version,
+        rolled_back_to: rollback.target_version,
+        version: version.version,
+        requested_by: rollback.requested_by,
+        approved_by: approver,
+        approval_notes,
+        reason: rollback.reason
+      }
+    });
+
+    res.json({
+      rule_id: ruleId,
+      rollback_id: rollbackId,
+      status: 'applied',
+      version: version.version,
+      restored_version: rollback.target_version,
+      message: `Rule rolled back to version ${rollback.target_version} (recorded as version ${version.version})`,
+      metadata: {
+        requested_by: rollback.requested_by,
+        approved_by: approver
+      }
+    });
+
+  } catch (error) {
+    console.error('[ROLLBACK] Error:', error);
+
+    await logAudit({
+      actor: approver,
+      action: 'rollback_rule',
+      resourceType: 'rule',
+      resourceId: String(ruleId),
+      success: false,
+      payload: { rollback_id: rollbackId, approver },
+      errorMessage: error.message
+    });
+
+    res.status(500).json({
+      error: 'Failed to roll back rule',
+      code: 'INTERNAL_ERROR',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/rules/:id/rollback/:rollbackId/reject
+ *
+ * Reject a rollback request
+ *
+ * Request body:
+ * {
+ *   "reviewer": "reviewer@example.com",
+ *   "rejection_notes": "Current version is fine, FP spike was a data issue"
+ * }
+ */
+router.post('/:id/rollback/:rollbackId/reject', async (req, res) => {
+  const { id: ruleId, rollbackId } = req.params;
+  const { reviewer, rejection_notes } = req.body || {};
+
+  if (!reviewer || !rejection_notes || rejection_notes.length < 10) {
+    return res.status(400).json({
+      error: 'reviewer and rejection_notes (min 10 chars) required',
+      code: 'INVALID_INPUT'
+    });
+  }
+
+  try {
+    const { data: rollback, error } = await getStore()
+      .from('atd_rule_rollbacks')
+      .update({
+        status: 'rejected',
+        approved_by: reviewer, // Track who rejected it
+        approval_notes: rejection_notes,
+        decided_at: new Date().toISOString()
+      })
+      .eq('id', rollbackId)
+      .eq('rule_id', ruleId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!rollback) {
+      return res.status(404).json({ error: 'Pending rollback request not found', code: 'NOT_FOUND' });
+    }
+
+    await logAudit({
+      actor: reviewer,
+      action: 'reject_rollback',
+      resourceType: 'rule',
+      resourceId: String(ruleId),
+      success: true,
+      payload: { rollback_id: rollbackId, rejection_notes, requested_by: rollback.requested_by }
+    });
+
+    res.json({
+      rollback_id: rollbackId,
+      status: 'rejected',
+      message: 'Rollback request rejected'
+    });
+
+  } catch (error) {
+    console.error('[ROLLBACK] Reject error:', error);
+    res.status(500).json({
+      error: 'Failed to reject rollback',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * Parse a version number from a query or body value
+ * Returns null when missing or not a positive integer
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isInteger(version) && version > 0
+    ? version
+    : null;
+}
+
 /**
  * Validate apply request
  */
@@ -349,15 +903,16 @@ function validateApplyRequest(data) {
     return { valid: false, error: 'acknowledge_impact must be true', field: 'acknowledge_impact' };
   }
 
-  return { valid: true };
-}
+  if (!RULE_LIFECYCLES.includes(data.lifecycle)) {
+    return { valid: false, error: `lifecycle must be one of: ${RULE_LIFECYCLES.join(', ')}`, field: 'lifecycle' };
+  }
 
-/**
- * Hash rule for fingerprinting (SHA-256 of JSON)
- */
-function hashRule(rule) {
-  const canonical = JSON.stringify(rule, Object.keys(rule).sort());
-  return crypto.createHash('sha256').update(canonical).digest('hex');
+  const rollout = validateRollout(data);
+  if (!rollout.valid) {
+    return rollout;
+  }
+
+  return { valid: true };
 }
 
 /**
@@ -373,7 +928,7 @@ async function logAudit({
   errorMessage = null
 }) {
   try {
-    await supabase.from('audits').insert({
+    await getStore().from('audits').insert({
       actor,
       action,
       resource_type: resourceType,
@@ -6,6 +6,8 @@ import { dryRunRule } from '../lib/dryRunEngine.js';
 import { analyzeOverlap, getOverlapExamples } from '../lib/overlapAnalyzer.js';
 import { policyGate } from '../lib/policyGate.js';
 import { RuleValidator } from '../lib/ruleValidator.js';
+import { listNamedLists } from '../lib/namedLists.js';
+import { lintRule } from '../lib/ruleLinter.js';
 
 const router = express.Router();
 
@@ -20,10 +22,13 @@ const router = express.Router();
  *
  * Response:
  *   - rule: The submitted rule
- *   - validation: Validation result
+ *   - validation: Validation result, with lint findings (unsatisfiable, always-true,
+ *     duplicate and redundant conditions; see src/lib/ruleLinter.js)
  *   - policy_check: Policy gate result
  *   - dryrun: Impact analysis metrics
- *   - overlap: Overlap analysis with existing rules (if include_overlap=true)
+ *   - overlap: Overlap analysis with existing rules (if include_overlap=true): the sample's
+ *     Jaccard score and, under `logical`, how the rules' conditions relate (contained,
+ *     contains, equivalent, intersecting or disjoint, and conflicting decisions)
  */
 router.post('/dryrun', async (req, res) => {
   try {
@@ -53,7 +58,7 @@ router.post('/dryrun', async (req, res) => {
     }
 
     // 3. Validation check
-    const validator = new RuleValidator();
+    const validator = new RuleValidator({ lists: await listNamedLists() });
     const validation = validator.validate(rule);
     if (!validation.valid) {
       return res.status(400).json({
@@ -63,6 +68,9 @@ router.post('/dryrun', async (req, res) => {
       });
     }
 
+    // Static lint: reported, not blocking (an unsatisfiable rule simply matches nothing here)
+    const lint = lintRule(rule);
+
     // 4. Run dry-run analysis
     console.log(`[POST /api/rules/dryrun] Starting dry-run for rule: ${rule.ruleset_name || 'unnamed'}`);
     const startTime = Date.now();
@@ -94,7 +102,8 @@ router.post('/dryrun', async (req, res) => {
       },
       validation: {
         valid: validation.valid,
-        warnings: violations.filter(v => v.severity === 'warning')
+        warnings: violations.filter(v => v.severity === 'warning'),
+        lint
       },
       dryrun: dryrunResult,
       overlap: overlapResult,
@@ -0,0 +1,67 @@
+// src/routes/rulePerformance.js
+// Per-rule performance: trigger counts over time, decision contribution, outcomes and trend
+
+import express from 'express';
+import { getStore } from '../lib/store.js';
+import { parseReportWindow } from '../lib/reportWindow.js';
+import {
+  DEFAULT_PERFORMANCE_WINDOW_HOURS,
+  BUCKET_SIZES,
+  MAX_BUCKETS,
+  defaultBucketSize,
+  bucketCount,
+  buildRulePerformance
+} from '../lib/rulePerformance.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/rules/:id/performance?hours=168&bucket=day
+ *
+ * Window: ?hours=N (default 7 days) or ?since=&until= ISO timestamps (transaction time).
+ * Buckets: ?bucket=hour|day (hourly up to three days by default, daily beyond).
+ *
+ * Response:
+ * {
+ *   "rule": { "id": "42", "name": "High amount", "decision": "block", ... },
+ *   "window": { "since": "...", "until": "...", "bucket": "day" },
+ *   "totals": { "evaluated": 1200, "triggered": 36, "trigger_rate": 3 },
+ *   "contribution": { "triggered": 36, "deciding": 30, "redundant": 6, "deciding_rate": 83.33, ... },
+ *   "decisions": { "allow": 0, "review": 4, "block": 32 },
+ *   "outcomes": { "labeled": 20, "by_outcome": { "chargeback": 15, ... }, "precision": 75, ... },
+ *   "buckets": [{ "start": "...", "evaluated": 170, "triggered": 5, "deciding": 4, "trigger_rate": 2.94 }],
+ *   "trend": { "previous_rate": 2.1, "recent_rate": 3.8, "change_pct": 80.95, "direction": "up" },
+ *   "spikes": [{ "start": "...", "triggered": 12, "trigger_rate": 9.5 }],
+ *   "changes": [{ "version": 4, "change_type": "updated", "changed_by": "...", "changed_at": "..." }]
+ * }
+ */
+router.get('/:id/performance', async (req, res) => {
+  const period = parseReportWindow(req.query, DEFAULT_PERFORMANCE_WINDOW_HOURS);
+  if (period.error) return res.status(400).json({ error: period.error, code: 'INVALID_INPUT' });
+
+  const bucket = req.query.bucket ?? defaultBucketSize(period.since, period.until);
+  if (!Object.hasOwn(BUCKET_SIZES, bucket)) {
+    return res.status(400).json({ error: `bucket must be one of: ${Object.keys(BUCKET_SIZES).join(', ')}`, code: 'INVALID_INPUT', field: 'bucket' });
+  }
+  if (bucketCount(period.since, period.until, bucket) > MAX_BUCKETS) {
+    return res.status(400).json({ error: `Window spans more than ${MAX_BUCKETS} ${bucket} buckets`, code: 'INVALID_INPUT', field: 'bucket' });
+  }
+
+  try {
+    const { data: rule, error } = await getStore()
+      .from('atd_fraud_rules')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw new Error('Failed to load rule: ' + error.message);
+    if (!rule) return res.status(404).json({ error: 'Rule not found', code: 'NOT_FOUND' });
+
+    res.json(await buildRulePerformance(rule, { since: period.since, until: period.until, bucket }));
+  } catch (err) {
+    console.error('❌ Rule performance error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+export default router;
@@ -1,20 +1,18 @@
 // src/routes/ruleSuggest.js
 // POST /api/rules/suggest - AI-assisted rule generation endpoint
-// Full pipeline: policy gate → LLM → validator → dry-run → save suggestion
+// Full pipeline: policy gate → LLM → validator → linter → dry-run → save suggestion
 
 import '../loadEnv.js'; // Must be first to load environment variables
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
 import { generateRule } from '../lib/llmClient.js';
 import { RuleValidator } from '../lib/ruleValidator.js';
 import { policyGate, hasBlockingViolations, summarizeViolations, stripPII } from '../lib/policyGate.js';
 import { dryRunWithBaseline, overlapWithAllRules } from '../lib/impactAnalyzer.js';
+import { getStore } from '../lib/store.js';
+import { listNamedLists } from '../lib/namedLists.js';
+import { lintRule, hasLintErrors } from '../lib/ruleLinter.js';
 
 const router = express.Router();
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
 
 /**
  * POST /api/rules/suggest
@@ -31,12 +29,15 @@ const supabase = createClient(
  * {
  *   "suggestion_id": "uuid",
  *   "proposed_rule": { ... },
- *   "validation": { valid: true, errors: [] },
+ *   "validation": { valid: true, errors: [], lint: [] },
  *   "policy_check": { violations: [] },
  *   "impact_analysis": { ... },
  *   "overlap_analysis": [ ... ],
  *   "status": "ready" | "has_warnings" | "blocked"
  * }
+ *
+ * Lint findings (src/lib/ruleLinter.js) are stored with the suggestion; warnings make the
+ * status has_warnings, an unsatisfiable rule makes it blocked (apply refuses it).
  */
 router.post('/suggest', async (req, res) => {
   const startTime = Date.now();
@@ -86,8 +87,10 @@ router.post('/suggest', async (req, res) => {
 
     // 3. Generate rule via LLM
     console.log('[SUGGEST] Step 2: Generating rule via LLM...');
+    const lists = await listNamedLists();
     const { rule: proposedRule, metadata: llmMetadata } = await generateRule(instruction, {
       actor,
+      lists,
       suggestionId: null // Will update after creating suggestion
     });
 
@@ -95,7 +98,7 @@ router.post('/suggest', async (req, res) => {
 
     // 4. Validate rule structure & catalog compliance
     console.log('[SUGGEST] Step 3: Validating rule...');
-    const validator = new RuleValidator();
+    const validator = new RuleValidator({ lists });
     const validationResult = validator.validate(proposedRule);
 
     if (!validationResult.valid) {
@@ -118,6 +121,8 @@ router.post('/suggest', async (req, res) => {
       });
     }
 
+    const lintIssues = lintRule(proposedRule);
+
     // 5. Policy gate POST-CHECK (generated rule)
     console.log('[SUGGEST] Step 4: Policy gate post-check...');
     const postCheckViolations = policyGate({
@@ -170,14 +175,14 @@ router.post('/suggest', async (req, res) => {
 
     // 8. Save suggestion to database
     console.log('[SUGGEST] Step 7: Saving suggestion to database...');
-    const { data: suggestion, error: suggestionError } = await supabase
+    const { data: suggestion, error: suggestionError } = await getStore()
       .from('atd_rule_suggestions')
       .insert({
         status: 'pending',
         instruction,
         generated_rule: proposedRule,
         validation_result: validationResult,
-        lint_issues: [], // TODO: Implement linter
+        lint_issues: lintIssues,
         impact_analysis: impactAnalysis,
         llm_model: llmMetadata.model,
         llm_prompt_sha256: null, // TODO: Get from LLM client
@@ -211,7 +216,9 @@ router.post('/suggest', async (req, res) => {
 
     // 10. Determine status
     let status = 'ready';
-    if (postCheckViolations.length > 0) {
+    if (hasLintErrors(lintIssues)) {
+      status = 'blocked'; // The rule can never match
+    } else if (postCheckViolations.length > 0 || lintIssues.length > 0) {
       status = 'has_warnings'; // Has warnings but no blocking errors
     }
 
@@ -226,7 +233,8 @@ router.post('/suggest', async (req, res) => {
       proposed_rule: proposedRule,
       validation: {
         valid: validationResult.valid,
-        errors: validationResult.errors
+        errors: validationResult.errors,
+        lint: lintIssues
       },
       policy_check: {
         violations: postCheckViolations,
@@ -247,7 +255,9 @@ router.post('/suggest', async (req, res) => {
       },
       message: status === 'ready'
         ? 'Rule suggestion ready for approval'
-        : 'Rule suggestion has warnings - review carefully before approving'
+        : status === 'blocked'
+          ? 'Rule conditions can never all hold - the rule would never match'
+          : 'Rule suggestion has warnings - review carefully before approving'
     });
 
   } catch (error) {
@@ -294,7 +304,7 @@ router.get('/suggest/:id', async (req, res) => {
   const { id } = req.params;
 
   try {
-    const { data: suggestion, error } = await supabase
+    const { data: suggestion, error } = await getStore()
       .from('atd_rule_suggestions')
       .select('*')
       .eq('id', id)
@@ -337,7 +347,7 @@ router.get('/suggest', async (req, res) => {
   } = req.query;
 
   try {
-    let query = supabase
+    let query = getStore()
       .from('atd_rule_suggestions')
       .select('*', { count: 'exact' })
       .order('created_at', { ascending: false })
@@ -398,7 +408,7 @@ async function logAudit({
   errorMessage = null
 }) {
   try {
-    await supabase.from('audits').insert({
+    await getStore().from('audits').insert({
       actor,
       action,
       resource_type: resourceType,
@@ -1,8 +1,15 @@
 // src/routes/rules.js
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { supabase } from '../dbClient.js';
+import { getStore } from '../lib/store.js';
 import { OpenAI } from 'openai';
+import { DECISION_STRATEGIES } from '../lib/decisionStrategy.js';
+import { notifyRulesChanged } from '../lib/ruleEvents.js';
+import { buildShadowReport, DEFAULT_REPORT_WINDOW_HOURS } from '../lib/shadowReport.js';
+import { buildRuleOutcomeStats, DEFAULT_STATS_WINDOW_HOURS } from '../lib/outcomeLabels.js';
+import { validateRollout } from '../lib/rollout.js';
+import { parseReportWindow } from '../lib/reportWindow.js';
+import { analyzeRuleHealth, DEFAULT_HEALTH_WINDOW_DAYS, MAX_HEALTH_WINDOW_DAYS } from '../lib/ruleHealth.js';
 
 const router = express.Router();
 
@@ -12,7 +19,7 @@ router.get('/', async (req, res) => {
   const showAll = req.query.all === 'true';
   console.log('Show all rules:', showAll);
 
-  const query = supabase
+  const query = getStore()
     .from('fraud_rules_view')
     .select('*')
     .order('priority');
@@ -22,7 +29,7 @@ router.get('/', async (req, res) => {
     query.eq('enabled', true);
   }
 
-  console.log('Executing Supabase query...');
+  console.log('Executing rules query...');
   const { data, error } = await query;
   
   if (error) {
@@ -70,16 +77,112 @@ router.post('/', async (req, res) => {
 
   newRule.description = description;
 
-  const { error } = await supabase.from('atd_fraud_rules').insert(newRule);
+  const { error } = await getStore().from('atd_fraud_rules').insert(newRule);
   if (error) return res.status(500).json({ error });
+
+  await notifyRulesChanged({ reason: 'create', rule_id: newRule.id });
   res.json({ success: true });
 });
 
+// List ruleset settings (decision strategy per ruleset)
+router.get('/rulesets', async (req, res) => {
+  const { data, error } = await getStore()
+    .from('atd_rulesets')
+    .select('*')
+    .order('name');
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ rulesets: data, strategies: DECISION_STRATEGIES });
+});
+
+// Select the decision strategy for a ruleset
+router.put('/rulesets/:name', async (req, res) => {
+  const { name } = req.params;
+  const { decision_strategy, updated_by = 'unknown' } = req.body;
+
+  if (!DECISION_STRATEGIES.includes(decision_strategy)) {
+    return res.status(400).json({
+      error: `decision_strategy must be one of: ${DECISION_STRATEGIES.join(', ')}`
+    });
+  }
+
+  const { data, error } = await getStore()
+    .from('atd_rulesets')
+    .upsert({
+      name,
+      decision_strategy,
+      updated_by,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'name' })
+    .select()
+    .single();
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  await notifyRulesChanged({ reason: 'ruleset_settings', ruleset: name, actor: updated_by });
+  res.json({ success: true, ruleset: data });
+});
+
+// Shadow comparison report: how often shadow rules would have changed the decision
+// ?hours=N (default 24) or ?since=&until= ISO timestamps; ?rule_id= for one rule
+router.get('/shadow/report', async (req, res) => {
+  const period = parseReportWindow(req.query, DEFAULT_REPORT_WINDOW_HOURS);
+  if (period.error) return res.status(400).json({ error: period.error, code: 'INVALID_INPUT' });
+
+  try {
+    const report = await buildShadowReport({
+      since: period.since.toISOString(),
+      until: period.until.toISOString(),
+      rule_id: req.query.rule_id || null
+    });
+    res.json(report);
+  } catch (err) {
+    console.error('❌ Shadow report error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Rule stats against outcome labels: per-rule precision, recall and false positive rate
+// ?hours=N (default 30 days) or ?since=&until= ISO timestamps (transaction time)
+router.get('/stats', async (req, res) => {
+  const period = parseReportWindow(req.query, DEFAULT_STATS_WINDOW_HOURS);
+  if (period.error) return res.status(400).json({ error: period.error, code: 'INVALID_INPUT' });
+
+  try {
+    const stats = await buildRuleOutcomeStats({
+      since: period.since.toISOString(),
+      until: period.until.toISOString()
+    });
+    res.json(stats);
+  } catch (err) {
+    console.error('❌ Rule stats error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Stale and dead rules: never matched, covered by another rule, overlapping or unsatisfiable
+// ?days=N (default 30, at most 90)
+router.get('/health', async (req, res) => {
+  const days = req.query.days === undefined ? DEFAULT_HEALTH_WINDOW_DAYS : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_HEALTH_WINDOW_DAYS) {
+    return res.status(400).json({ error: `days must be an integer between 1 and ${MAX_HEALTH_WINDOW_DAYS}`, code: 'INVALID_INPUT', field: 'days' });
+  }
+
+  try {
+    const until = new Date();
+    const since = new Date(until.getTime() - days * 24 * 60 * 60 * 1000);
+    res.json(await analyzeRuleHealth({ since, until }));
+  } catch (err) {
+    console.error('❌ Rule health error:', err.message);
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
 router.get('/:id/matches', async (req, res) => {
     const ruleId = req.params.id;
     const since = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
   
-    const { data, error } = await supabase
+    const { data, error } = await getStore()
       .from('atd_transactions')
       .select('id, amount, user_id, timestamp, status')
       .contains('matched_rules', [ruleId])
@@ -87,7 +190,7 @@ router.get('/:id/matches', async (req, res) => {
       .order('timestamp', { ascending: false })
       .limit(10);
   
-    const { count, countError } = await supabase
+    const { count, countError } = await getStore()
       .from('atd_transactions')
       .select('id', { count: 'exact', head: true })
       .contains('matched_rules', [ruleId])
@@ -103,13 +206,74 @@ router.get('/:id/matches', async (req, res) => {
 // Demote a rule (disable it)
 router.post('/:id/demote', async (req, res) => {
   const id = req.params.id;
-  const { error } = await supabase
+  const { error } = await getStore()
     .from('atd_fraud_rules')
     .update({ enabled: false })
     .eq('id', id);
 
   if (error) return res.status(500).json({ error });
+
+  await notifyRulesChanged({ reason: 'demote', rule_id: id });
   res.json({ success: true });
 });
 
+// Promote a shadow rule to active (its decisions start being enforced)
+router.post('/:id/promote', async (req, res) => {
+  const id = req.params.id;
+  const { promoted_by = 'unknown' } = req.body || {};
+
+  const { data: rule, error: fetchError } = await getStore()
+    .from('atd_fraud_rules')
+    .select('id, lifecycle')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (fetchError) return res.status(500).json({ error: fetchError.message });
+  if (!rule) return res.status(404).json({ error: 'Rule not found', code: 'NOT_FOUND' });
+  if (rule.lifecycle !== 'shadow') {
+    return res.status(409).json({ error: 'Only shadow rules can be promoted', code: 'NOT_SHADOW' });
+  }
+
+  const { error } = await getStore()
+    .from('atd_fraud_rules')
+    .update({ lifecycle: 'active', updated_by: promoted_by })
+    .eq('id', id);
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  await notifyRulesChanged({ reason: 'promote', rule_id: id, actor: promoted_by });
+  res.json({ success: true, rule_id: id, lifecycle: 'active' });
+});
+
+// Ramp a rule's percentage rollout (e.g. 1% → 10% → 100%)
+router.put('/:id/rollout', async (req, res) => {
+  const id = req.params.id;
+  const { rollout_percentage, rollout_key, updated_by = 'unknown' } = req.body || {};
+
+  if (rollout_percentage === undefined) {
+    return res.status(400).json({ error: 'rollout_percentage required', code: 'INVALID_INPUT', field: 'rollout_percentage' });
+  }
+
+  const validation = validateRollout({ rollout_percentage, rollout_key });
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error, code: 'INVALID_INPUT', field: validation.field });
+  }
+
+  const changes = { rollout_percentage, updated_by };
+  if (rollout_key) changes.rollout_key = rollout_key;
+
+  const { data, error } = await getStore()
+    .from('atd_fraud_rules')
+    .update(changes)
+    .eq('id', id)
+    .select('id, lifecycle, rollout_percentage, rollout_key')
+    .maybeSingle();
+
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: 'Rule not found', code: 'NOT_FOUND' });
+
+  await notifyRulesChanged({ reason: 'rollout', rule_id: id, actor: updated_by });
+  res.json({ success: true, rule: data });
+});
+
 export default router;
@@ -1,13 +1,13 @@
 // routes/user.js
 import express from 'express';
-import { supabase } from '../dbClient.js';
+import { getStore } from '../lib/store.js';
 
 const router = express.Router();
 
 // User summary
 router.get('/:userId/summary', async (req, res) => {
   const { userId } = req.params;
-  const { data, error } = await supabase
+  const { data, error } = await getStore()
     .from('atd_profiles')
     .select('user_id, name, risk_profile')
     .eq('user_id', userId)
@@ -22,7 +22,7 @@ router.get('/:userId/agents', async (req, res) => {
   const days = Number(req.query.period) || 30;
   const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
 
-  const { data, error } = await supabase
+  const { data, error } = await getStore()
     .rpc('agent_summary', { p_user_id: userId, p_since: since });
 
   if (error) return res.status(500).json({ error: error.message });
@@ -32,7 +32,7 @@ router.get('/:userId/agents', async (req, res) => {
 // routes/user.js
 router.get('/user/:userId/transactions', async (req, res) => {
     const { userId } = req.params;
-    const { data, error } = await supabase
+    const { data, error } = await getStore()
       .from('atd_transactions')
       .select('*') // include fraud_engine_output
       .eq('user_id', userId)
@@ -47,7 +47,7 @@ router.get('/user/:userId/transactions', async (req, res) => {
 router.get('/:userId/agent/:agentId/transactions', async (req, res) => {
     const { userId, agentId } = req.params;
   
-    const { data, error } = await supabase
+    const { data, error } = await getStore()
       .from('atd_transactions')
       .select('*')
       .eq('user_id', userId)
@@ -80,7 +80,7 @@ router.get('/:userId/agent/:agentId/transactions', async (req, res) => {
 // Raw transaction history with full fraud engine output
 router.get('/simulate/:userId', async (req, res) => {
   const { userId } = req.params;
-  const { data, error } = await supabase
+  const { data, error } = await getStore()
     .from('atd_transactions')
     .select('*')
     .eq('user_id', userId)
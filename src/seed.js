@@ -1,18 +1,16 @@
 // src/seed.js
 // Seeds 200 users + one txn per merchant per user
+// Writes to the configured store (STORE_BACKEND=local seeds an offline store)
 
-import { createClient }   from '@supabase/supabase-js';
 import { faker }          from '@faker-js/faker';
 import { v4 as uuidv4 }   from 'uuid';
 import dotenv             from 'dotenv';
 import { NAMES }          from './names.js';
 import { MERCHANTS }      from './merchants.js';
+import { getStore }       from './lib/store.js';
 dotenv.config();
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+const store = getStore();
 
 // Delegated agents:
 const PARTNERS = [
@@ -29,7 +27,7 @@ async function seed() {
     name,
     risk_profile: faker.number.int({ min: 20, max: 80 })
   }));
-  await supabase.from('atd_profiles').upsert(users);
+  await store.from('atd_profiles').upsert(users);
 
   // 2) Seed one transaction per merchant per user
   const BATCH_SIZE = 200;
@@ -68,14 +66,14 @@ async function seed() {
       });
 
       if (batch.length >= BATCH_SIZE) {
-        await supabase.from('atd_transactions').insert(batch);
+        await store.from('atd_transactions').insert(batch);
         batch = [];
       }
     }
   }
 
   if (batch.length) {
-    await supabase.from('atd_transactions').insert(batch);
+    await store.from('atd_transactions').insert(batch);
   }
 
   console.log('✅ Seed complete');
@@ -1,5 +1,5 @@
 // uploadAgenticRules.js
-import { supabase } from './dbClient.js';
+import { supabase } from './dbclient.js';
 import fs from 'fs';
 
 const rules = JSON.parse(fs.readFileSync('./agentic_fraud_rules.json', 'utf-8'));
@@ -0,0 +1,222 @@
+// tests/conditionEvaluator.test.js
+// Unit tests for the operator registry and the shared condition evaluator
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore, setStore } from '../src/lib/store.js';
+import { evaluateTransaction } from '../src/lib/ruleEngine.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import {
+  evaluateConditions,
+  evaluateRule,
+  compileConditions,
+  compileRuleSet,
+  interpretConditions
+} from '../src/lib/conditionEvaluator.js';
+import { getRuleSnapshot } from '../src/lib/ruleEngine.js';
+import { listOperators, operatorsForType, negativeOperators, describeOperators } from '../src/lib/operators.js';
+import { RuleValidator, getValidOperators } from '../src/lib/ruleValidator.js';
+import { RULE_FUNCTION_SCHEMA, validateRuleStructure } from '../src/lib/ruleSchema.js';
+
+const txn = {
+  user_id: 'u1',
+  agent_id: 'openai',
+  amount: 2500,
+  currency: 'USD',
+  seller_name: 'Acme Electronics',
+  seller_url: 'https://Shop.Acme.com/checkout',
+  device: 'mobile',
+  timestamp: new Date().toISOString()
+};
+
+// One matching and one non-matching condition per operator
+const cases = [
+  ['==', 'device', 'mobile', 'web'],
+  ['!=', 'device', 'web', 'mobile'],
+  ['>', 'amount', 1000, 5000],
+  ['<', 'amount', 5000, 1000],
+  ['>=', 'amount', 2500, 2501],
+  ['<=', 'amount', 2500, 2499],
+  ['in', 'device', ['mobile', 'tablet'], ['web']],
+  ['not_in', 'device', ['web'], ['mobile']],
+  ['contains', 'seller_name', 'Electro', 'Grocery'],
+  ['not_contains', 'seller_name', 'Grocery', 'Electro'],
+  ['starts_with', 'seller_name', 'Acme', 'Electronics'],
+  ['ends_with', 'seller_name', 'Electronics', 'Acme'],
+  ['matches_regex', 'seller_name', '/^acme\\s+elec/i', '^Electronics'],
+  ['url_host_equals', 'seller_url', 'shop.acme.com', 'acme.com'],
+  ['domain_in', 'seller_url', ['acme.com'], ['acme.co', 'shop.acme']],
+  ['tld_in', 'seller_url', ['.COM'], ['zip']]
+];
+
+// Presence operators take no value: the field decides ([op, matching field, missing field])
+const presenceCases = [
+  ['is_null', 'risk_score', 'amount'],
+  ['is_not_null', 'amount', 'risk_score']
+];
+
+// List operators name a list in the context ([op, field, matching list, non-matching list])
+const lists = { handheld_devices: ['mobile', 'tablet'], desktop_devices: ['web'] };
+const listCases = [
+  ['in_list', 'device', 'handheld_devices', 'desktop_devices'],
+  ['not_in_list', 'device', 'desktop_devices', 'handheld_devices']
+];
+
+// ========================================
+// SECTION 1: Registry
+// ========================================
+
+test('registry: every registered operator is covered here', () => {
+  assert.deepEqual([...cases, ...presenceCases, ...listCases].map(([op]) => op).sort(), listOperators().sort());
+});
+
+test('registry: validator, schema and policy gate derive from it', () => {
+  assert.deepEqual(getValidOperators('seller_name'), operatorsForType('string'));
+  assert.ok(getValidOperators('seller_name').includes('starts_with'));
+  assert.ok(!getValidOperators('seller_name').includes('domain_in'));
+  assert.deepEqual(getValidOperators('seller_url'), operatorsForType('string', 'url'));
+  assert.ok(getValidOperators('seller_url').includes('domain_in'));
+  assert.ok(!getValidOperators('amount').includes('contains'));
+  assert.deepEqual(getValidOperators('flagged'), ['==', '!=', 'is_null', 'is_not_null']);
+
+  const [leaf] = RULE_FUNCTION_SCHEMA.parameters.properties.conditions.items.anyOf;
+  assert.deepEqual(leaf.properties.op.enum, listOperators());
+
+  assert.deepEqual(negativeOperators(), ['!=', 'not_in', 'not_in_list', 'not_contains']);
+  assert.match(describeOperators(), /- String: contains, not_contains, starts_with, ends_with/);
+});
+
+test('registry: validator accepts string operators and rejects unknown ones', () => {
+  const rule = op => ({
+    ruleset_name: 'seller-prefix-review',
+    description: 'Review sellers by name prefix',
+    decision: 'review',
+    conditions: [{ field: 'seller_name', op, value: 'Acme' }]
+  });
+
+  assert.equal(new RuleValidator().validate(rule('starts_with')).valid, true);
+  assert.equal(new RuleValidator().validate(rule('ends_with')).valid, true);
+  assert.equal(new RuleValidator().validate(rule('matches')).valid, false);
+  assert.ok(validateRuleStructure(rule('matches')).errors.some(e => e.includes("unknown operator 'matches'")));
+});
+
+// ========================================
+// SECTION 2: Evaluation
+// ========================================
+
+test('evaluate: each operator matches and misses as registered', () => {
+  for (const [op, field, hit, miss] of cases) {
+    assert.equal(evaluateConditions([{ field, op, value: hit }], txn), true, `${op} ${JSON.stringify(hit)}`);
+    assert.equal(evaluateConditions([{ field, op, value: miss }], txn), false, `${op} ${JSON.stringify(miss)}`);
+  }
+  for (const [op, hit, miss] of presenceCases) {
+    assert.equal(evaluateConditions([{ field: hit, op }], txn), true, `${hit} ${op}`);
+    assert.equal(evaluateConditions([{ field: miss, op }], txn), false, `${miss} ${op}`);
+  }
+  for (const [op, field, hit, miss] of listCases) {
+    assert.equal(evaluateConditions([{ field, op, value: hit }], txn, lists), true, `${op} ${hit}`);
+    assert.equal(evaluateConditions([{ field, op, value: miss }], txn, lists), false, `${op} ${miss}`);
+  }
+});
+
+test('evaluate: groups, malformed nodes and unknown operators', () => {
+  assert.equal(evaluateConditions([{ any: [{ field: 'amount', op: '>', value: 9000 }, { field: 'device', op: '==', value: 'mobile' }] }], txn), true);
+  assert.equal(evaluateConditions([{ not: { field: 'device', op: '==', value: 'mobile' } }], txn), false);
+  assert.equal(evaluateConditions([{ not: [] }], txn), false);
+  assert.equal(evaluateConditions([{ any: 'oops' }], txn), false);
+  assert.equal(evaluateConditions([{ field: 'amount', op: 'approximately', value: 2500 }], txn), false);
+  assert.equal(evaluateConditions(null, txn), false);
+});
+
+test('evaluate: compiled predicates are reused per conditions array', () => {
+  const conditions = [{ field: 'amount', op: '>', value: 1000 }];
+  assert.equal(compileConditions(conditions), compileConditions(conditions));
+});
+
+test('evaluate: named context values resolve only for own keys', () => {
+  const context = { trusted_agents: ['openai'] };
+  assert.equal(evaluateConditions([{ field: 'agent_id', op: 'in', value: 'trusted_agents' }], txn, context), true);
+  assert.equal(evaluateConditions([{ field: 'seller_name', op: 'contains', value: 'constructor' }], txn, context), false);
+});
+
+test('evaluate: dry-run evaluateRule agrees with production for every operator', async () => {
+  const rules = cases.flatMap(([op, field, hit, miss], idx) => [
+    { id: `hit-${idx}`, rule_name: `hit-${op}`, decision: 'review', conditions: [{ field, op, value: hit }] },
+    { id: `miss-${idx}`, rule_name: `miss-${op}`, decision: 'review', conditions: [{ field, op, value: miss }] }
+  ]);
+  setStore(createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: rules } }));
+  await notifyRulesChanged({ reason: 'test' });
+
+  const production = await evaluateTransaction({ ...txn });
+  const dryRun = rules.filter(rule => evaluateRule(rule, txn) !== 'allow').map(rule => rule.id);
+
+  assert.deepEqual([...production.triggered_rule_ids].sort(), dryRun.sort());
+  assert.equal(dryRun.length, cases.length);
+});
+
+// ========================================
+// SECTION 3: Compilation
+// ========================================
+
+test('compile: compiled rule set agrees with the interpreter', () => {
+  const leaves = [
+    ...cases.flatMap(([op, field, hit, miss]) => [{ field, op, value: hit }, { field, op, value: miss }]),
+    { field: 'amount', op: '>', value: 'not-a-number' },
+    { field: 'device', op: 'in', value: 'mobile' },
+    { field: 'missing_field', op: '!=', value: 'x' },
+    ...presenceCases.map(([op, field]) => ({ field, op })),
+    ...listCases.map(([op, field, hit]) => ({ field, op, value: hit }))
+  ];
+  const rules = leaves.flatMap((leaf, i) => {
+    const other = leaves[(i * 7) % leaves.length];
+    return [
+      { id: `all-${i}`, conditions: [leaf, other] },
+      { id: `any-${i}`, conditions: [{ any: [leaf, { not: other }] }] }
+    ];
+  });
+  const txns = [txn, { ...txn, amount: 100, device: 'web', seller_name: 'Grocery Mart' }, {}];
+
+  const ruleSet = compileRuleSet(rules, {});
+  assert.ok(ruleSet.stats.shared > 0);
+
+  for (const t of txns) {
+    const memo = ruleSet.newMemo();
+    for (const rule of rules) {
+      const expected = interpretConditions(rule.conditions, t);
+      assert.equal(ruleSet.match(rule, t, memo), expected, `${rule.id} ${JSON.stringify(rule.conditions)}`);
+      assert.equal(evaluateConditions(rule.conditions, t), expected === true, rule.id);
+    }
+  }
+});
+
+test('compile: shared conditions are evaluated once per transaction', () => {
+  const rules = [
+    { id: 'r1', conditions: [{ field: 'amount', op: '>', value: 1000 }, { field: 'device', op: '==', value: 'mobile' }] },
+    { id: 'r2', conditions: [{ field: 'seller_name', op: 'in', value: ['Acme'] }, { value: 1000, op: '>', field: 'amount' }] },
+    { id: 'r3', conditions: [{ any: [{ field: 'device', op: '==', value: 'web' }, { field: 'amount', op: '>', value: 1000 }] }] }
+  ];
+
+  const ruleSet = compileRuleSet(rules, {});
+  assert.deepEqual(ruleSet.stats, { rules: 3, nodes: 7, shared: 1 });
+
+  let amountReads = 0;
+  const counted = Object.defineProperty({ ...txn }, 'amount', { get: () => { amountReads++; return 2500; } });
+  const memo = ruleSet.newMemo();
+  assert.deepEqual(rules.map(rule => ruleSet.match(rule, counted, memo)), [true, false, true]);
+  assert.equal(amountReads, 1);
+
+  // Without a shared memo each rule evaluates on its own; rules outside the set still evaluate
+  assert.deepEqual(rules.map(rule => ruleSet.match(rule, counted)), [true, false, true]);
+  assert.equal(amountReads, 3);
+  assert.equal(ruleSet.match({ conditions: [{ field: 'amount', op: '>', value: 9000 }] }, txn), false);
+});
+
+test('compile: rule snapshot is compiled on load', async () => {
+  const rules = [{ id: 'high-value', rule_name: 'high-value', decision: 'review', conditions: [{ field: 'amount', op: '>', value: 1000 }] }];
+  setStore(createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: rules } }));
+  await notifyRulesChanged({ reason: 'test' });
+
+  const snapshot = await getRuleSnapshot();
+  assert.equal(snapshot.compiled.stats.rules, 1);
+  assert.equal(snapshot.compiled.match(snapshot.rules[0], txn), true);
+});
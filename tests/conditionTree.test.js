@@ -0,0 +1,178 @@
+// tests/conditionTree.test.js
+// Unit tests for nested all/any/not condition groups
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateTree, collectLeaves, conditionDepth } from '../src/lib/conditionTree.js';
+import { RuleValidator } from '../src/lib/ruleValidator.js';
+import { policyGate } from '../src/lib/policyGate.js';
+import { validateRuleStructure } from '../src/lib/ruleSchema.js';
+
+// Minimal leaf evaluator for tree tests
+const leaf = txn => cond => {
+  switch (cond.op) {
+    case '==': return txn[cond.field] === cond.value;
+    case '>': return txn[cond.field] > cond.value;
+    case '<': return txn[cond.field] < cond.value;
+    default: return false;
+  }
+};
+
+// amount > 5000 AND (device == mobile OR hour < 6)
+const highValueMobileOrNight = [
+  { field: 'amount', op: '>', value: 5000 },
+  { any: [
+    { field: 'device', op: '==', value: 'mobile' },
+    { field: 'hour', op: '<', value: 6 }
+  ] }
+];
+
+// ========================================
+// SECTION 1: Tree Evaluation
+// ========================================
+
+test('tree: any group matches when one branch matches', () => {
+  assert.equal(evaluateTree(highValueMobileOrNight, leaf({ amount: 6000, device: 'mobile', hour: 14 })), true);
+  assert.equal(evaluateTree(highValueMobileOrNight, leaf({ amount: 6000, device: 'web', hour: 3 })), true);
+});
+
+test('tree: any group fails when no branch matches', () => {
+  assert.equal(evaluateTree(highValueMobileOrNight, leaf({ amount: 6000, device: 'web', hour: 14 })), false);
+  assert.equal(evaluateTree(highValueMobileOrNight, leaf({ amount: 100, device: 'mobile', hour: 3 })), false);
+});
+
+test('tree: not group negates its child', () => {
+  const conditions = [
+    { field: 'amount', op: '>', value: 1000 },
+    { not: { all: [
+      { field: 'device', op: '==', value: 'web' },
+      { field: 'hour', op: '>', value: 8 }
+    ] } }
+  ];
+
+  assert.equal(evaluateTree(conditions, leaf({ amount: 2000, device: 'web', hour: 12 })), false);
+  assert.equal(evaluateTree(conditions, leaf({ amount: 2000, device: 'web', hour: 3 })), true);
+});
+
+test('tree: malformed groups never match', () => {
+  assert.equal(evaluateTree([{ any: 'nope' }], leaf({})), false);
+  assert.equal(evaluateTree([{ not: [] }], leaf({})), false);
+  assert.equal(evaluateTree('nope', leaf({})), false);
+});
+
+test('tree: leaves and depth are computed across groups', () => {
+  const leaves = collectLeaves([{ not: { any: [
+    { field: 'device', op: '==', value: 'web' },
+    { field: 'hour', op: '>', value: 8 }
+  ] } }]);
+
+  assert.equal(leaves.length, 2);
+  assert.ok(leaves.every(l => l.negated));
+  assert.equal(leaves[1].path, 'conditions[0].not.any[1]');
+  assert.equal(conditionDepth(highValueMobileOrNight), 2);
+  assert.equal(conditionDepth([{ field: 'amount', op: '>', value: 1 }]), 1);
+});
+
+// ========================================
+// SECTION 2: Validation of Groups
+// ========================================
+
+test('validator: nested any group passes', () => {
+  const result = new RuleValidator().validate({
+    ruleset_name: 'high-value-mobile-or-night',
+    description: 'High value transactions on mobile or at night',
+    decision: 'review',
+    conditions: highValueMobileOrNight
+  });
+
+  assert.ok(result.valid, `Expected valid, got errors: ${result.errors.join(', ')}`);
+});
+
+test('validator: invalid leaf inside group reports nested path', () => {
+  const result = new RuleValidator().validate({
+    ruleset_name: 'nested-invalid',
+    description: 'Nested leaf has invalid enum value',
+    decision: 'review',
+    conditions: [{ any: [{ field: 'device', op: '==', value: 'desktop' }] }]
+  });
+
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some(e => e.startsWith('conditions[0].any[0]')));
+});
+
+test('validator: empty group fails', () => {
+  const result = new RuleValidator().validate({
+    ruleset_name: 'empty-group',
+    description: 'Group without any conditions',
+    decision: 'review',
+    conditions: [{ all: [] }]
+  });
+
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some(e => e.includes('non-empty array')));
+});
+
+test('validator: nesting deeper than policy fails', () => {
+  const result = new RuleValidator().validate({
+    ruleset_name: 'too-deep',
+    description: 'Nested beyond the max depth policy',
+    decision: 'review',
+    conditions: [{ any: [{ all: [{ not: { field: 'amount', op: '>', value: 1 } }] }] }]
+  });
+
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some(e => e.includes('max_condition_depth')));
+});
+
+test('validator: leaf limit counts conditions inside groups', () => {
+  const result = new RuleValidator().validate({
+    ruleset_name: 'too-many-leaves',
+    description: 'Eleven leaves hidden in a group',
+    decision: 'review',
+    conditions: [{ any: Array.from({ length: 11 }, (_, i) => ({ field: 'amount', op: '>', value: i })) }]
+  });
+
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some(e => e.includes('max_conditions_per_rule')));
+});
+
+test('rule structure: nested groups are checked structurally', () => {
+  const result = validateRuleStructure({
+    ruleset_name: 'nested-structure',
+    description: 'Structural check for nested groups',
+    decision: 'review',
+    conditions: [{ any: [{ field: 'amount', value: 1 }] }, { not: [] }]
+  });
+
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some(e => e.includes('conditions[0].any[0]: op')));
+  assert.ok(result.errors.some(e => e.includes("conditions[1]: 'not' group")));
+});
+
+// ========================================
+// SECTION 3: Policy Gate on Groups
+// ========================================
+
+test('policy gate: disallowed field inside group fails', () => {
+  const violations = policyGate({
+    ruleset: { rules: [{ conditions: [{ any: [{ field: 'ip_address', op: '==', value: '1.2.3.4' }] }] }] }
+  });
+
+  assert.ok(violations.some(v => v.type === 'disallowed_field' && v.field === 'ip_address'));
+});
+
+test('policy gate: not wrapping a single equality is a broad negation', () => {
+  const violations = policyGate({
+    ruleset: { rules: [{ conditions: [{ not: { field: 'agent_id', op: '==', value: 'openai' } }] }] }
+  });
+
+  assert.ok(violations.some(v => v.type === 'broad_negation'));
+});
+
+test('policy gate: double negation is not flagged', () => {
+  const violations = policyGate({
+    ruleset: { rules: [{ conditions: [{ not: { field: 'agent_id', op: '!=', value: 'openai' } }] }] }
+  });
+
+  assert.ok(!violations.some(v => v.type === 'broad_negation'));
+});
@@ -0,0 +1,177 @@
+// tests/currency.test.js
+// Unit tests for currency normalization: amount_usd, currency-aware validation and dry-run breakdown
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createStore, setStore } from '../src/lib/store.js';
+import { evaluateTransaction } from '../src/lib/ruleEngine.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import {
+  loadFxRates,
+  setFxRates,
+  getFxRates,
+  toUsd,
+  normalizeAmount,
+  summarizeCurrencies
+} from '../src/lib/currency.js';
+import { RuleValidator } from '../src/lib/ruleValidator.js';
+import { dryRunRule } from '../src/lib/dryRunEngine.js';
+import { createApp } from '../src/index.js';
+
+const blockOver1000Usd = {
+  id: 'block-over-1000-usd',
+  rule_name: 'block-over-1000-usd',
+  decision: 'block',
+  on_missing: 'review',
+  conditions: [{ field: 'amount_usd', op: '>', value: 1000 }]
+};
+
+const txn = (amount, currency) => ({ user_id: 'u1', agent_id: 'openai', amount, currency, timestamp: new Date().toISOString() });
+
+const ruleForm = conditions => ({
+  ruleset_name: 'amount-threshold',
+  description: 'Rule with an amount threshold',
+  decision: 'review',
+  conditions
+});
+
+const validate = conditions => new RuleValidator().validate(ruleForm(conditions));
+
+// ========================================
+// SECTION 1: Conversion
+// ========================================
+
+test('fx: amounts are converted to USD with the configured table', () => {
+  assert.equal(toUsd(1000, 'EUR'), 1080);
+  assert.equal(toUsd(150000, 'JPY'), 1005);
+  assert.equal(toUsd(100, 'XYZ'), null);
+
+  const eur = txn(250, ' eur');
+  const fx = normalizeAmount(eur);
+  assert.equal(eur.currency, 'EUR');
+  assert.equal(eur.amount_usd, 270);
+  assert.deepEqual(fx, { currency: 'EUR', fx_rate: 1.08, amount_usd: 270, fx_as_of: getFxRates().as_of });
+
+  const unknown = txn(250, 'XYZ');
+  normalizeAmount(unknown);
+  assert.equal(unknown.amount_usd, null);
+});
+
+test('fx: the rate table can be replaced and is checked', () => {
+  const file = path.join(os.tmpdir(), `fx-rates-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({ base: 'USD', as_of: '2026-01-01', rates: { USD: 1, EUR: 1.5 } }));
+
+  try {
+    setFxRates(loadFxRates(file));
+    assert.equal(toUsd(10, 'EUR'), 15);
+    assert.equal(toUsd(10, 'GBP'), null);
+
+    assert.throws(() => setFxRates({ rates: { USD: 1, EUR: -1 } }), /invalid rate for "EUR"/);
+    assert.throws(() => setFxRates({ base: 'EUR', rates: { EUR: 1 } }), /quoted in USD/);
+    assert.throws(() => loadFxRates(`${file}.missing`), /Failed to load FX rates/);
+  } finally {
+    setFxRates(null);
+    fs.rmSync(file, { force: true });
+  }
+
+  assert.equal(toUsd(10, 'EUR'), 10.8);
+});
+
+// ========================================
+// SECTION 2: Evaluation
+// ========================================
+
+test('engine: amount_usd thresholds apply across currencies', async () => {
+  setStore(createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: [blockOver1000Usd] } }));
+  await notifyRulesChanged({ reason: 'test' });
+
+  assert.equal((await evaluateTransaction(txn(900, 'GBP'))).risk_decision, 'block');
+  assert.equal((await evaluateTransaction(txn(900, 'USD'))).risk_decision, 'allow');
+  assert.equal((await evaluateTransaction(txn(140000, 'JPY'))).risk_decision, 'allow');
+
+  // No rate: amount_usd is missing and the rule's on_missing policy decides
+  const unknown = await evaluateTransaction(txn(900, 'XYZ'));
+  assert.equal(unknown.risk_decision, 'review');
+  assert.equal(unknown.fx.amount_usd, null);
+});
+
+test('api: eval rejects currencies without a rate and records amount_usd', async () => {
+  const store = createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: [blockOver1000Usd] } });
+  const app = createApp({ store });
+  await notifyRulesChanged({ reason: 'test' });
+
+  const rejected = await request(app).post('/api/eval').send(txn(100, 'XYZ'));
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.body.code, 'UNSUPPORTED_CURRENCY');
+  assert.equal(rejected.body.field, 'currency');
+  assert.ok(rejected.body.supported.includes('EUR'));
+
+  const accepted = await request(app).post('/api/eval').send(txn(1000, 'eur'));
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.currency, 'EUR');
+  assert.equal(accepted.body.amount_usd, 1080);
+  assert.equal(accepted.body.risk_decision, 'block');
+  assert.equal(accepted.body.fraud_engine_output.fx.fx_rate, 1.08);
+});
+
+// ========================================
+// SECTION 3: Validation
+// ========================================
+
+test('validate: amount thresholds without a currency condition are warned about', () => {
+  const unpinned = validate([{ field: 'amount', op: '>', value: 5000 }]);
+  assert.equal(unpinned.valid, true);
+  assert.ok(unpinned.warnings.some(w => w.includes('5000 EUR = 5400 USD') && w.includes('Compare amount_usd')));
+
+  const usd = validate([{ field: 'amount_usd', op: '>', value: 5000 }]);
+  assert.deepEqual(usd.warnings, []);
+
+  const pinned = validate([{ field: 'currency', op: '==', value: 'EUR' }, { field: 'amount', op: '>', value: 5000 }]);
+  assert.deepEqual(pinned.warnings, []);
+
+  const several = validate([{ field: 'currency', op: 'in', value: ['USD', 'GBP'] }, { field: 'amount', op: '>', value: 5000 }]);
+  assert.ok(several.warnings.some(w => w.includes('5000 GBP = 6350 USD')));
+});
+
+test('validate: amount ranges are checked in USD for the rule\'s currency', () => {
+  const yen = validate([
+    { field: 'currency', op: '==', value: 'JPY' },
+    { all: [{ field: 'amount', op: '>', value: 2000000 }] }
+  ]);
+  assert.equal(yen.valid, true, yen.errors.join('; '));
+
+  const pounds = validate([{ field: 'currency', op: '==', value: 'GBP' }, { field: 'amount', op: '>', value: 900000 }]);
+  assert.ok(pounds.errors.some(e => e.includes('Value 900000 GBP (1143000 USD) out of range for "amount"')));
+
+  assert.equal(validate([{ field: 'amount', op: '>', value: 2000000 }]).valid, false);
+});
+
+// ========================================
+// SECTION 4: Dry-run
+// ========================================
+
+test('dry-run: results report which currencies the rule affects', async () => {
+  const now = Date.now();
+  const rows = [[500, 'USD'], [2000, 'USD'], [1000, 'GBP'], [100000, 'JPY']].map(([amount, currency], idx) => ({
+    txn_id: `fx_${idx}`,
+    user_id: `u${idx}`,
+    amount,
+    currency,
+    timestamp: new Date(now - (idx + 1) * 60 * 1000).toISOString()
+  }));
+  setStore(createStore({ backend: 'local', file: null, seed: { atd_transactions: rows } }));
+  await notifyRulesChanged({ reason: 'test' });
+
+  const result = await dryRunRule({ ...ruleForm(blockOver1000Usd.conditions), decision: 'block' }, 100);
+
+  assert.equal(result.matches, 2);
+  assert.deepEqual(result.affected_currencies, ['GBP', 'USD']);
+  assert.deepEqual(result.currency_breakdown.JPY, { transactions: 1, matches: 0, changes: 0 });
+  assert.deepEqual(result.currency_breakdown.GBP, { transactions: 1, matches: 1, changes: 1 });
+
+  assert.deepEqual(summarizeCurrencies([{ currency: null, matched: true, changed: false }]).affected_currencies, ['unknown']);
+});
@@ -0,0 +1,98 @@
+// tests/decisionStrategy.test.js
+// Unit tests for rule priority and decision strategies
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyDecisionStrategy,
+  sortByPriority,
+  resolveStrategy,
+  DEFAULT_DECISION_STRATEGY
+} from '../src/lib/decisionStrategy.js';
+
+const rules = [
+  { id: 'review-mobile', action: 'review', priority: 20 },
+  { id: 'block-high-value', action: 'block', priority: 30 },
+  { id: 'allow-trusted', action: 'allow', priority: 10 },
+  { id: 'legacy-flag', action: 'flag_review', priority: null }
+];
+
+// Every rule matches unless listed
+const matchExcept = (...ids) => {
+  const calls = [];
+  const matchRule = rule => {
+    calls.push(rule.id);
+    return !ids.includes(rule.id);
+  };
+  return { matchRule, calls };
+};
+
+// ========================================
+// SECTION 1: Priority Ordering
+// ========================================
+
+test('priority: lower numbers first, missing priority last, ties stable', () => {
+  const ordered = sortByPriority([...rules, { id: 'tie', action: 'review', priority: 20 }]);
+  assert.deepEqual(ordered.map(r => r.id), ['allow-trusted', 'review-mobile', 'tie', 'block-high-value', 'legacy-flag']);
+});
+
+test('priority: unknown strategy falls back to default', () => {
+  assert.equal(resolveStrategy('coin_flip'), DEFAULT_DECISION_STRATEGY);
+  assert.equal(resolveStrategy(undefined), DEFAULT_DECISION_STRATEGY);
+});
+
+// ========================================
+// SECTION 2: Strategies
+// ========================================
+
+test('worst_case: block beats review and allow, all rules evaluated', () => {
+  const { matchRule, calls } = matchExcept();
+  const result = applyDecisionStrategy(rules, matchRule, 'worst_case');
+
+  assert.equal(result.decision, 'block');
+  assert.equal(result.deciding_rule.id, 'block-high-value');
+  assert.equal(result.triggered.length, 4);
+  assert.equal(calls.length, 4);
+});
+
+test('worst_case: legacy flag_review counts as review', () => {
+  const { matchRule } = matchExcept('block-high-value', 'review-mobile', 'allow-trusted');
+  const result = applyDecisionStrategy(rules, matchRule, 'worst_case');
+
+  assert.equal(result.decision, 'review');
+  assert.equal(result.deciding_rule.id, 'legacy-flag');
+});
+
+test('first_match: highest-priority match decides and short-circuits', () => {
+  const { matchRule, calls } = matchExcept('allow-trusted');
+  const result = applyDecisionStrategy(rules, matchRule, 'first_match');
+
+  assert.equal(result.decision, 'review');
+  assert.equal(result.deciding_rule.id, 'review-mobile');
+  assert.deepEqual(calls, ['allow-trusted', 'review-mobile']);
+});
+
+test('first_match: no match allows', () => {
+  const { matchRule } = matchExcept(...rules.map(r => r.id));
+  const result = applyDecisionStrategy(rules, matchRule, 'first_match');
+
+  assert.equal(result.decision, 'allow');
+  assert.equal(result.deciding_rule, null);
+});
+
+test('allowlist_overrides: matching allow rule overrides block', () => {
+  const { matchRule, calls } = matchExcept();
+  const result = applyDecisionStrategy(rules, matchRule, 'allowlist_overrides');
+
+  assert.equal(result.decision, 'allow');
+  assert.equal(result.deciding_rule.id, 'allow-trusted');
+  assert.deepEqual(calls, ['allow-trusted']);
+});
+
+test('allowlist_overrides: without allow match behaves like worst_case', () => {
+  const { matchRule } = matchExcept('allow-trusted');
+  const result = applyDecisionStrategy(rules, matchRule, 'allowlist_overrides');
+
+  assert.equal(result.decision, 'block');
+  assert.equal(result.strategy, 'allowlist_overrides');
+});
@@ -0,0 +1,52 @@
+// tests/doubles/helpers/seededApp.js
+// Seeded local store and app for evaluation API tests (/api/eval, /api/eval/batch)
+
+import { createStore } from '../../../src/lib/store.js';
+import { notifyRulesChanged } from '../../../src/lib/ruleEvents.js';
+import { createApp } from '../../../src/index.js';
+
+export const blockOver1000Usd = {
+  id: 'block-over-1000-usd',
+  rule_name: 'block-over-1000-usd',
+  decision: 'block',
+  conditions: [{ field: 'amount_usd', op: '>', value: 1000 }]
+};
+
+/**
+ * Review rule firing once the user has `threshold` transactions in 10 minutes
+ *
+ * @param {number} threshold - user_txn_count_10m at which the rule fires
+ * @returns {Object} Rule row
+ */
+export function reviewBurst(threshold) {
+  return {
+    id: 'review-burst',
+    rule_name: 'review-burst',
+    decision: 'review',
+    conditions: [{ field: 'user_txn_count_10m', op: '>=', value: threshold }]
+  };
+}
+
+/**
+ * Transaction request body in USD for user u1
+ *
+ * @param {number} amount - Amount
+ * @param {Object} extra - Fields to add or override
+ * @returns {Object} Transaction
+ */
+export function txn(amount, extra = {}) {
+  return { user_id: 'u1', agent_id: 'openai', amount, currency: 'USD', ...extra };
+}
+
+/**
+ * In-memory store seeded with rules, and an app serving it with the rule cache reloaded
+ *
+ * @param {Array} rules - atd_fraud_rules rows
+ * @returns {Promise<Object>} { store, app }
+ */
+export async function createSeededApp(rules) {
+  const store = createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: rules } });
+  const app = createApp({ store });
+  await notifyRulesChanged({ reason: 'test' });
+  return { store, app };
+}
@@ -0,0 +1,150 @@
+// tests/explainTrace.test.js
+// Unit tests for explain mode: per-condition traces and risk score contributions
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createStore, setStore } from '../src/lib/store.js';
+import { evaluateTransaction } from '../src/lib/ruleEngine.js';
+import { evaluateTree, traceTree } from '../src/lib/conditionTree.js';
+import { explainRiskScore } from '../src/lib/riskScoreEngine.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { createApp } from '../src/index.js';
+
+const blockHighValue = {
+  id: 'block-high-value',
+  rule_name: 'block-high-value',
+  decision: 'block',
+  priority: 10,
+  conditions: [{ field: 'amount', op: '>', value: 1000 }]
+};
+
+const reviewNewDevice = {
+  id: 'review-new-device',
+  rule_name: 'review-new-device',
+  decision: 'review',
+  priority: 20,
+  conditions: [
+    { field: 'amount', op: '>', value: 100 },
+    { field: 'device', op: '==', value: 'tablet' }
+  ]
+};
+
+const txn = () => ({ user_id: 'u1', agent_id: 'a1', amount: 5000, currency: 'USD', device: 'web', timestamp: new Date().toISOString() });
+
+async function useRules(rules) {
+  const store = setStore(createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: rules } }));
+  await notifyRulesChanged({ reason: 'test' });
+  return store;
+}
+
+// ========================================
+// SECTION 1: Condition Traces
+// ========================================
+
+test('traceTree: agrees with evaluateTree and records every leaf', () => {
+  const conditions = [
+    { any: [{ field: 'a', op: '==', value: 1 }, { field: 'b', op: '==', value: 2 }] },
+    { not: { field: 'c', op: '==', value: 3 } }
+  ];
+  const row = { a: 0, b: 2, c: 0 };
+  const leaf = cond => row[cond.field] === cond.value;
+
+  const { passed, nodes } = traceTree(conditions, cond => ({ field: cond.field, passed: leaf(cond) }));
+
+  assert.equal(passed, evaluateTree(conditions, leaf));
+  assert.equal(nodes[0].group, 'any');
+  assert.deepEqual(nodes[0].children.map(c => c.passed), [false, true]);
+  assert.equal(nodes[1].children[0].path, 'conditions[1].not');
+  assert.equal(nodes[1].passed, true);
+});
+
+test('traceTree: malformed nodes fail without throwing', () => {
+  const { passed, nodes } = traceTree([null], () => ({ passed: true }));
+  assert.equal(passed, false);
+  assert.equal(nodes[0].error, 'malformed condition');
+});
+
+// ========================================
+// SECTION 2: Rule Traces
+// ========================================
+
+test('explain: conditions carry actual values and near misses are flagged', async () => {
+  await useRules([blockHighValue, reviewNewDevice]);
+
+  const result = await evaluateTransaction(txn(), { explain: true });
+  const [block, review] = result.trace.rules;
+
+  assert.equal(block.rule_id, 'block-high-value');
+  assert.equal(block.deciding, true);
+  assert.deepEqual(block.conditions[0], {
+    path: 'conditions[0]', field: 'amount', op: '>', value: 1000, actual: 5000, passed: true
+  });
+
+  assert.equal(review.matched, false);
+  assert.equal(review.near_miss, true);
+  assert.equal(review.failed_conditions, 1);
+  assert.equal(review.conditions[1].actual, 'web');
+  assert.match(result.explanation, /near misses: review-new-device/);
+});
+
+test('explain: first_match still traces rules it never consulted', async () => {
+  await useRules([blockHighValue, { ...reviewNewDevice, conditions: [reviewNewDevice.conditions[0]] }]);
+
+  const result = await evaluateTransaction(txn(), { explain: true, strategy: 'first_match' });
+  const review = result.trace.rules.find(r => r.rule_id === 'review-new-device');
+
+  assert.equal(result.trace.decision_strategy, 'first_match');
+  assert.equal(review.evaluated, false);
+  assert.equal(review.matched, true);
+  assert.equal(review.triggered, false);
+});
+
+test('explain: trace is omitted unless requested', async () => {
+  await useRules([blockHighValue]);
+  const result = await evaluateTransaction(txn());
+  assert.equal(result.trace, undefined);
+});
+
+// ========================================
+// SECTION 3: Score Contributions
+// ========================================
+
+test('score: contributions add up to the uncapped score', () => {
+  const score = explainRiskScore({}, [
+    { id: 'r1', rule: 'r1', decision: 'block' },
+    { id: 'r2', rule: 'r2', decision: 'review' }
+  ]);
+
+  const total = score.contributions.reduce((sum, c) => sum + c.points, score.baseline);
+  assert.equal(score.uncapped_score, total);
+  assert.equal(score.uncapped_score, 110);
+  assert.equal(score.risk_score, 100);
+});
+
+test('score: trace score matches the reported risk score', async () => {
+  await useRules([blockHighValue]);
+  const result = await evaluateTransaction(txn(), { explain: true });
+  assert.equal(result.trace.score.risk_score, result.risk_score);
+  assert.deepEqual(result.trace.score.contributions.map(c => c.rule_id), ['block-high-value']);
+});
+
+// ========================================
+// SECTION 4: API
+// ========================================
+
+test('api: ?explain=true persists the trace in fraud_engine_output', async () => {
+  const store = createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: [blockHighValue] } });
+  const app = createApp({ store });
+  await notifyRulesChanged({ reason: 'test' });
+
+  const explained = await request(app).post('/api/eval?explain=true').send(txn());
+  assert.equal(explained.status, 200);
+  assert.equal(explained.body.fraud_engine_output.trace.rules[0].rule_id, 'block-high-value');
+
+  const plain = await request(app).post('/api/eval').send(txn());
+  assert.equal(plain.body.fraud_engine_output.trace, undefined);
+
+  const stored = store.snapshot().atd_transactions.find(t => t.txn_id === explained.body.txn_id);
+  assert.ok(stored.fraud_engine_output.trace);
+});
@@ -0,0 +1,177 @@
+// tests/featureEnrichment.test.js
+// Unit tests for velocity/aggregate feature enrichment
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AGGREGATE_FEATURES,
+  computeAggregateFeatures,
+  enrichTransaction,
+  enrichSample,
+  fetchBatchHistory
+} from '../src/lib/featureEnrichment.js';
+import { RuleValidator } from '../src/lib/ruleValidator.js';
+import { createStore, setStore } from '../src/lib/store.js';
+
+const base = Date.parse('2025-06-01T12:00:00Z');
+const at = minutesAgo => new Date(base - minutesAgo * 60 * 1000).toISOString();
+
+const history = [
+  { txn_id: 'h1', user_id: 'u1', agent_id: 'a1', seller_name: 'Shop A', amount: 100, currency: 'USD', amount_usd: 100, timestamp: at(2) },
+  { txn_id: 'h2', user_id: 'u1', agent_id: 'a2', seller_name: 'Shop B', amount: 200, currency: 'USD', amount_usd: 200, timestamp: at(30) },
+  { txn_id: 'h3', user_id: 'u1', agent_id: 'a1', seller_name: 'Shop A', amount: 300, currency: 'USD', amount_usd: 300, timestamp: at(60 * 23) },
+  { txn_id: 'h4', user_id: 'u1', agent_id: 'a1', seller_name: 'Shop C', amount: 400, currency: 'USD', amount_usd: 400, timestamp: at(60 * 25) }, // outside 24h
+  { txn_id: 'h5', user_id: 'u2', agent_id: 'a1', seller_name: 'Shop A', amount: 500, currency: 'USD', amount_usd: 500, timestamp: at(5) }
+];
+
+const txn = { txn_id: 't1', user_id: 'u1', agent_id: 'a1', seller_name: 'Shop A', amount: 50, currency: 'USD', amount_usd: 50, timestamp: at(0) };
+
+// ========================================
+// SECTION 1: Point-in-time Aggregates
+// ========================================
+
+test('aggregates: counts include the current transaction within the window', () => {
+  const features = computeAggregateFeatures(txn, history);
+
+  assert.equal(features.user_txn_count_10m, 2);
+  assert.equal(features.user_txn_count_1h, 3);
+  assert.equal(features.user_txn_count_24h, 4);
+  assert.equal(features.agent_txn_count_10m, 3);
+  assert.equal(features.seller_txn_count_1h, 3);
+});
+
+test('aggregates: sums and distinct counts per entity', () => {
+  const features = computeAggregateFeatures(txn, history);
+
+  assert.equal(features.user_amount_sum_24h, 650);
+  assert.equal(features.user_distinct_sellers_24h, 2);
+  assert.equal(features.user_distinct_agents_24h, 2);
+  assert.equal(features.agent_distinct_users_1h, 2);
+});
+
+test('aggregates: median baseline excludes the current transaction', () => {
+  assert.equal(computeAggregateFeatures(txn, history).user_amount_median_24h, 200);
+  assert.equal(computeAggregateFeatures(txn, history.slice(0, 2)).user_amount_median_24h, 150);
+  assert.equal(computeAggregateFeatures(txn, []).user_amount_median_24h, null);
+});
+
+test('aggregates: amount sums and medians are in USD across currencies', () => {
+  const mixed = [
+    { txn_id: 'm1', user_id: 'u3', agent_id: 'a3', amount: 100, currency: 'EUR', amount_usd: 108, timestamp: at(5) },
+    { txn_id: 'm2', user_id: 'u3', agent_id: 'a3', amount: 15000, currency: 'JPY', amount_usd: 100, timestamp: at(10) }
+  ];
+  const features = computeAggregateFeatures({ txn_id: 'm3', user_id: 'u3', agent_id: 'a3', amount: 50, currency: 'USD', amount_usd: 50, timestamp: at(0) }, mixed);
+
+  assert.equal(features.user_amount_sum_24h, 258);
+  assert.equal(features.agent_amount_sum_24h, 258);
+  assert.equal(features.user_amount_median_24h, 104);
+});
+
+test('aggregates: a retried transaction is not counted twice', () => {
+  const features = computeAggregateFeatures(txn, [...history, { ...txn }]);
+  assert.equal(features.user_txn_count_10m, 2);
+});
+
+test('aggregates: enrichTransaction with explicit history sets fields on txn', async () => {
+  const copy = { ...txn };
+  const features = await enrichTransaction(copy, { history });
+
+  assert.equal(copy.user_txn_count_10m, features.user_txn_count_10m);
+  assert.equal(Object.keys(features).length, AGGREGATE_FEATURES.length);
+});
+
+test('aggregates: history rows persisted without amount_usd are converted', async () => {
+  setStore(createStore({
+    backend: 'local',
+    file: null,
+    seed: { atd_transactions: [{ txn_id: 'legacy', user_id: 'u4', amount: 100, currency: 'EUR', timestamp: at(5) }] }
+  }));
+
+  const copy = { txn_id: 't4', user_id: 'u4', amount: 50, currency: 'USD', amount_usd: 50, timestamp: at(0) };
+  await enrichTransaction(copy);
+
+  assert.equal(copy.user_amount_sum_24h, 158);
+  assert.equal(copy.user_amount_median_24h, 108);
+});
+
+test('aggregates: a busy seller does not crowd the user\'s history out of the lookup', async () => {
+  const sellerRows = Array.from({ length: 5000 }, (_, idx) => ({
+    txn_id: `busy_${idx}`, user_id: `other_${idx}`, agent_id: 'a9', seller_name: 'Busy Shop', amount: 1, currency: 'USD', amount_usd: 1, timestamp: at(10)
+  }));
+  setStore(createStore({
+    backend: 'local',
+    file: null,
+    seed: { atd_transactions: [...sellerRows, { txn_id: 'own', user_id: 'u5', agent_id: 'a5', seller_name: 'Busy Shop', amount: 70, currency: 'USD', amount_usd: 70, timestamp: at(60 * 20) }] }
+  }));
+
+  const copy = { txn_id: 't5', user_id: 'u5', agent_id: 'a5', seller_name: 'Busy Shop', amount: 30, currency: 'USD', amount_usd: 30, timestamp: at(0) };
+  await enrichTransaction(copy);
+
+  assert.equal(copy.user_txn_count_24h, 2);
+  assert.equal(copy.user_amount_sum_24h, 100);
+  assert.equal(copy.seller_txn_count_1h, 5001);
+});
+
+test('aggregates: batch history is shared per entity and not double-counted', async () => {
+  setStore(createStore({ backend: 'local', file: null, seed: { atd_transactions: history } }));
+
+  const batch = [{ ...txn }, { ...txn, txn_id: 't2', user_id: 'u2' }, { ...txn, txn_id: 't3', user_id: null, agent_id: null, seller_name: null }];
+  const histories = await fetchBatchHistory(batch);
+
+  assert.deepEqual(histories.get(batch[2]), []);
+  for (const item of batch.slice(0, 2)) {
+    assert.deepEqual(computeAggregateFeatures(item, histories.get(item)), computeAggregateFeatures(item, history));
+  }
+});
+
+// ========================================
+// SECTION 2: Sample Enrichment (dry-run)
+// ========================================
+
+test('sample: sliding window matches point-in-time computation', () => {
+  const rows = [...history, txn].map(r => ({ ...r }));
+  enrichSample(rows);
+
+  const enriched = rows.find(r => r.txn_id === 't1');
+  const expected = computeAggregateFeatures(txn, history);
+
+  for (const feature of AGGREGATE_FEATURES) {
+    assert.equal(enriched[feature.name], expected[feature.name], feature.name);
+  }
+});
+
+test('sample: recorded computed_features take precedence', () => {
+  const rows = [{ ...txn, computed_features: { user_txn_count_10m: 42 } }];
+  enrichSample(rows);
+
+  assert.equal(rows[0].user_txn_count_10m, 42);
+  assert.equal(rows[0].user_txn_count_1h, 1);
+});
+
+// ========================================
+// SECTION 3: Catalog Integration
+// ========================================
+
+test('validator: velocity features are usable in rules', () => {
+  const result = new RuleValidator().validate({
+    ruleset_name: 'agent-burst',
+    description: 'More than 5 transactions by this agent in 10 minutes',
+    decision: 'review',
+    category: 'velocity',
+    conditions: [{ field: 'agent_txn_count_10m', op: '>', value: 5 }]
+  });
+
+  assert.ok(result.valid, `Expected valid, got errors: ${result.errors.join(', ')}`);
+});
+
+test('validator: velocity feature ranges are enforced', () => {
+  const result = new RuleValidator().validate({
+    ruleset_name: 'negative-velocity',
+    description: 'Negative counts are out of range',
+    decision: 'review',
+    conditions: [{ field: 'user_txn_count_24h', op: '>', value: -1 }]
+  });
+
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some(e => e.includes('out of range')));
+});
@@ -0,0 +1,160 @@
+// tests/integration/evalBatch.test.js
+// Integration tests for POST /api/eval/batch: per-item validation, one rule snapshot, bulk persistence
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { setStore } from '../../src/lib/store.js';
+import { runFraudCheckAndPersistBatch } from '../../src/lib/fraudEngineWrapper.js';
+import { MAX_BATCH_SIZE } from '../../src/routes/evalBatch.js';
+import { blockOver1000Usd, reviewBurst, txn, createSeededApp } from '../doubles/helpers/seededApp.js';
+
+const { store, app } = await createSeededApp([blockOver1000Usd, reviewBurst(3)]);
+
+// Evaluations log per matched rule; keep that out of the runner's stdout channel
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+// ========================================
+// SECTION 1: Evaluation
+// ========================================
+
+test('batch: every item is evaluated and persisted with one ruleset version', async () => {
+  const res = await request(app).post('/api/eval/batch').send({
+    transactions: [txn(50), txn(2000, { user_id: 'u2' }), txn(900, { currency: 'gbp', user_id: 'u3' })]
+  });
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.batch_id);
+  assert.ok(res.body.ruleset_version !== undefined);
+  assert.deepEqual(res.body.summary, { total: 3, evaluated: 3, invalid: 0, failed: 0, decisions: { allow: 1, block: 2 } });
+  assert.deepEqual(res.body.results.map(r => [r.index, r.status, r.risk_decision]), [
+    [0, 'ok', 'allow'],
+    [1, 'ok', 'block'],
+    [2, 'ok', 'block']
+  ]);
+  assert.deepEqual(res.body.results[1].triggered_rule_ids, ['block-over-1000-usd']);
+
+  const { data } = await store.from('atd_transactions').select('*').in('txn_id', res.body.results.map(r => r.txn_id));
+  assert.equal(data.length, 3);
+  const gbp = data.find(row => row.txn_id === res.body.results[2].txn_id);
+  assert.equal(gbp.currency, 'GBP');
+  assert.equal(gbp.amount_usd, 1143);
+  assert.equal(gbp.fraud_engine_output.ruleset_version, res.body.ruleset_version);
+});
+
+test('batch: earlier items count toward later items\' velocity features', async () => {
+  const now = Date.now();
+  const at = minutesAgo => new Date(now - minutesAgo * 60 * 1000).toISOString();
+  const txns = [['u-burst', 4], ['u-burst', 3], ['u-burst', 2], ['u-calm', 1]]
+    .map(([user_id, minutes], idx) => txn(10, { txn_id: `burst_${idx}`, user_id, timestamp: at(minutes) }));
+
+  const batch = await runFraudCheckAndPersistBatch(txns);
+
+  assert.deepEqual(batch.results.map(r => r.fraud_engine_output.risk_decision), ['allow', 'allow', 'review', 'allow']);
+  assert.equal(batch.results[2].fraud_engine_output.computed_features.user_txn_count_10m, 3);
+});
+
+test('batch: velocity history is looked up once per batch, not once per item', async () => {
+  const now = Date.now();
+  const at = minutesAgo => new Date(now - minutesAgo * 60 * 1000).toISOString();
+  await runFraudCheckAndPersistBatch([txn(10, { txn_id: 'seen_0', user_id: 'u-seen', timestamp: at(5) })]);
+
+  let lookups = 0;
+  const counting = {
+    ...store,
+    from(table) {
+      const query = store.from(table);
+      if (table === 'atd_transactions') {
+        const select = query.select.bind(query);
+        query.select = (...args) => { lookups++; return select(...args); };
+      }
+      return query;
+    }
+  };
+
+  setStore(counting);
+  let batch;
+  try {
+    batch = await runFraudCheckAndPersistBatch(Array.from({ length: 20 }, (_, idx) =>
+      txn(10, { txn_id: `seen_${idx + 1}`, user_id: idx % 2 ? 'u-seen' : 'u-seen-2', timestamp: at(4) })));
+  } finally {
+    setStore(store);
+  }
+
+  // One lookup for the users, one for the agent
+  assert.equal(lookups, 2);
+  assert.equal(batch.results[1].fraud_engine_output.computed_features.user_txn_count_10m, 2);
+  assert.equal(batch.results[19].fraud_engine_output.computed_features.user_txn_count_10m, 11);
+});
+
+// ========================================
+// SECTION 2: Partial failures
+// ========================================
+
+test('batch: invalid items are reported without failing the rest', async () => {
+  const res = await request(app).post('/api/eval/batch').send({
+    transactions: [
+      txn(50),
+      { user_id: 'u1', amount: 10 },
+      txn(-5),
+      txn(10, { currency: 'XYZ' }),
+      txn(10, { timestamp: new Date(Date.now() + 60 * 60 * 1000).toISOString() }),
+      'not-a-transaction'
+    ]
+  });
+
+  assert.equal(res.status, 207);
+  assert.deepEqual(res.body.summary, { total: 6, evaluated: 1, invalid: 5, failed: 0, decisions: { allow: 1 } });
+  assert.deepEqual(res.body.results.map(r => r.code ?? r.status), ['ok', 'MISSING_FIELDS', 'INVALID_AMOUNT', 'UNSUPPORTED_CURRENCY', 'INVALID_TIMESTAMP', 'INVALID_INPUT']);
+  assert.equal(res.body.results[1].field, 'agent_id');
+  assert.equal(res.body.results[1].txn_id, undefined);
+});
+
+test('batch: items of a chunk the store rejects are reported as persist failures', async () => {
+  const failing = {
+    ...store,
+    from(table) {
+      const query = store.from(table);
+      if (table === 'atd_transactions') {
+        query.upsert = async () => ({ data: null, error: { message: 'connection reset' } });
+      }
+      return query;
+    }
+  };
+
+  setStore(failing);
+  let batch;
+  try {
+    batch = await runFraudCheckAndPersistBatch([txn(50, { txn_id: 'lost_1' }), txn(60, { txn_id: 'lost_2' })]);
+  } finally {
+    setStore(store);
+  }
+
+  assert.deepEqual(batch.results.map(r => [r.success, r.txn_id, r.code]), [
+    [false, 'lost_1', 'PERSIST_ERROR'],
+    [false, 'lost_2', 'PERSIST_ERROR']
+  ]);
+});
+
+// ========================================
+// SECTION 3: Request validation
+// ========================================
+
+test('batch: malformed, empty and oversized batches are rejected', async () => {
+  const missing = await request(app).post('/api/eval/batch').send({ transaction: [txn(5)] });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.code, 'INVALID_INPUT');
+
+  const empty = await request(app).post('/api/eval/batch').send({ transactions: [] });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.code, 'EMPTY_BATCH');
+
+  const oversized = await request(app).post('/api/eval/batch').send({ transactions: new Array(MAX_BATCH_SIZE + 1).fill(txn(5)) });
+  assert.equal(oversized.status, 413);
+  assert.equal(oversized.body.code, 'BATCH_TOO_LARGE');
+
+  // The single-transaction endpoint is unchanged
+  const single = await request(app).post('/api/eval').send(txn(5, { user_id: 'u-single' }));
+  assert.equal(single.status, 200);
+  assert.equal(single.body.risk_decision, 'allow');
+});
@@ -0,0 +1,88 @@
+// tests/integration/evaluateOnly.test.js
+// Integration tests for evaluate-only mode: /api/eval?persist=false and runFraudCheck
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { runFraudCheck } from '../../src/lib/fraudEngineWrapper.js';
+import { blockOver1000Usd, reviewBurst, txn, createSeededApp } from '../doubles/helpers/seededApp.js';
+
+const { store, app } = await createSeededApp([blockOver1000Usd, reviewBurst(2)]);
+
+// Evaluations log per matched rule; keep that out of the runner's stdout channel
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+async function transactionCount() {
+  const { data } = await store.from('atd_transactions').select('txn_id');
+  return data.length;
+}
+
+test('evaluate-only: same fraud_engine_output shape as a persisted evaluation, nothing written', async () => {
+  const before = await transactionCount();
+
+  const dry = await request(app).post('/api/eval?persist=false').send(txn(2000, { user_id: 'u-dry' }));
+  assert.equal(dry.status, 200);
+  assert.equal(dry.body.persisted, false);
+  assert.equal(dry.body.risk_decision, 'block');
+  assert.deepEqual(dry.body.triggered_rule_ids, ['block-over-1000-usd']);
+  assert.ok(dry.body.txn_id);
+  assert.equal(await transactionCount(), before);
+
+  // A second evaluation sees no history from the first
+  const again = await request(app).post('/api/eval?persist=false').send(txn(2000, { user_id: 'u-dry' }));
+  assert.equal(again.body.fraud_engine_output.computed_features.user_txn_count_10m, 1);
+
+  const live = await request(app).post('/api/eval').send(txn(2000, { user_id: 'u-live' }));
+  assert.equal(live.body.persisted, true);
+  assert.equal(await transactionCount(), before + 1);
+
+  const volatile = ['txn_id', 'timestamp', 'evaluated_at', 'trace', 'computed_features', 'created_at', 'updated_at'];
+  const keys = body => Object.keys(body).filter(key => !volatile.includes(key)).sort();
+  assert.deepEqual(keys(dry.body.fraud_engine_output), keys(live.body.fraud_engine_output));
+  assert.deepEqual(keys(dry.body), keys(live.body));
+});
+
+test('evaluate-only: samples replay as of their own timestamp, with a trace on request', async () => {
+  const at = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const history = [1, 2].map(minutes => ({
+    txn_id: `hist_${minutes}`,
+    user_id: 'u-sample',
+    agent_id: 'openai',
+    amount: 10,
+    currency: 'USD',
+    timestamp: new Date(at.getTime() - minutes * 60 * 1000).toISOString()
+  }));
+  await store.from('atd_transactions').insert(history);
+
+  const res = await request(app)
+    .post('/api/eval?persist=false&explain=true')
+    .send(txn(10, { user_id: 'u-sample', timestamp: at.toISOString() }));
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.timestamp, at.toISOString());
+  assert.equal(res.body.risk_decision, 'review');
+  assert.ok(res.body.fraud_engine_output.trace.rules.some(rule => rule.rule_id === 'review-burst' && rule.triggered));
+
+  // The library call evaluates the transaction as given
+  const direct = await runFraudCheck({ ...txn(10, { user_id: 'u-sample' }), txn_id: 'dry_1', timestamp: at.toISOString() });
+  assert.equal(direct.txn_id, 'dry_1');
+  assert.equal(direct.transaction.fraud_engine_output, direct.fraud_engine_output);
+  assert.equal(direct.fraud_engine_output.risk_decision, 'review');
+});
+
+test('evaluate-only: the persist flag and inputs are checked', async () => {
+  const flag = await request(app).post('/api/eval?persist=no').send(txn(10));
+  assert.equal(flag.status, 400);
+  assert.equal(flag.body.code, 'INVALID_INPUT');
+  assert.equal(flag.body.field, 'persist');
+
+  const future = await request(app)
+    .post('/api/eval?persist=false')
+    .send(txn(10, { timestamp: new Date(Date.now() + 60 * 60 * 1000).toISOString() }));
+  assert.equal(future.status, 400);
+  assert.equal(future.body.code, 'INVALID_TIMESTAMP');
+
+  const missing = await request(app).post('/api/eval?persist=false').send({ user_id: 'u1' });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.code, 'MISSING_FIELDS');
+});
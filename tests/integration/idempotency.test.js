@@ -0,0 +1,176 @@
+// tests/integration/idempotency.test.js
+// Integration tests for idempotent /api/eval: Idempotency-Key header and client txn_id
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { v4 as uuidv4 } from 'uuid';
+import { setStore } from '../../src/lib/store.js';
+import { notifyRulesChanged } from '../../src/lib/ruleEvents.js';
+import { resolveIdempotency, requestHash } from '../../src/lib/idempotency.js';
+import { blockOver1000Usd, txn, createSeededApp } from '../doubles/helpers/seededApp.js';
+
+const { store, app } = await createSeededApp([blockOver1000Usd]);
+
+// Evaluations log per matched rule; keep that out of the runner's stdout channel
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+async function rowsFor(txnId) {
+  const { data } = await store.from('atd_transactions').select('*').eq('txn_id', txnId);
+  return data;
+}
+
+// ========================================
+// SECTION 1: Keys
+// ========================================
+
+test('keys: a key maps to a fixed txn_id and the body hash ignores key order', () => {
+  const a = resolveIdempotency(txn(10), 'order-42');
+  const b = resolveIdempotency(txn(10), 'order-42');
+  assert.equal(a.valid, true);
+  assert.equal(a.txn_id, b.txn_id);
+  assert.notEqual(resolveIdempotency(txn(10), 'order-43').txn_id, a.txn_id);
+
+  assert.equal(requestHash({ amount: 10, user_id: 'u1' }), requestHash({ user_id: 'u1', amount: 10 }));
+  assert.notEqual(requestHash({ amount: 10 }), requestHash({ amount: 11 }));
+
+  const id = uuidv4();
+  assert.deepEqual(resolveIdempotency(txn(10, { txn_id: id.toUpperCase() }), undefined).txn_id, id);
+  assert.equal(resolveIdempotency(txn(10), undefined).key, null);
+
+  assert.equal(resolveIdempotency(txn(10), 'has space').code, 'INVALID_IDEMPOTENCY_KEY');
+  assert.equal(resolveIdempotency(txn(10), 'k'.repeat(256)).code, 'INVALID_IDEMPOTENCY_KEY');
+  assert.equal(resolveIdempotency(txn(10, { txn_id: 'txn-1' }), undefined).field, 'txn_id');
+});
+
+// ========================================
+// SECTION 2: Retries
+// ========================================
+
+test('retry: the same key returns the stored decision, even after rules change', async () => {
+  const first = await request(app).post('/api/eval').set('Idempotency-Key', 'retry-1').send(txn(2000));
+  assert.equal(first.status, 200);
+  assert.equal(first.body.risk_decision, 'block');
+  assert.equal(first.body.idempotent_replay, false);
+
+  await store.from('atd_fraud_rules').update({ enabled: false }).eq('id', blockOver1000Usd.id);
+  await notifyRulesChanged({ reason: 'test' });
+
+  try {
+    const retry = await request(app).post('/api/eval').set('Idempotency-Key', 'retry-1').send({ ...txn(2000) });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers['idempotent-replayed'], 'true');
+    assert.equal(retry.body.idempotent_replay, true);
+    assert.equal(retry.body.txn_id, first.body.txn_id);
+    assert.equal(retry.body.risk_decision, 'block');
+    assert.equal((await rowsFor(first.body.txn_id)).length, 1);
+
+    const fresh = await request(app).post('/api/eval').send(txn(2000));
+    assert.equal(fresh.body.risk_decision, 'allow');
+  } finally {
+    await store.from('atd_fraud_rules').update({ enabled: true }).eq('id', blockOver1000Usd.id);
+    await notifyRulesChanged({ reason: 'test' });
+  }
+
+  // Without a key every call is a new transaction
+  const plain = await request(app).post('/api/eval').send(txn(2000));
+  const again = await request(app).post('/api/eval').send(txn(2000));
+  assert.notEqual(plain.body.txn_id, again.body.txn_id);
+});
+
+test('retry: a client txn_id works as the key', async () => {
+  const id = uuidv4();
+
+  const first = await request(app).post('/api/eval').send(txn(50, { txn_id: id }));
+  assert.equal(first.status, 200);
+  assert.equal(first.body.txn_id, id);
+
+  const retry = await request(app).post('/api/eval').send(txn(50, { txn_id: id }));
+  assert.equal(retry.body.idempotent_replay, true);
+  assert.equal((await rowsFor(id)).length, 1);
+});
+
+// ========================================
+// SECTION 3: Conflicts
+// ========================================
+
+test('conflict: reusing a key or txn_id for a different payload is rejected', async () => {
+  await request(app).post('/api/eval').set('Idempotency-Key', 'conflict-1').send(txn(100));
+
+  const changed = await request(app).post('/api/eval').set('Idempotency-Key', 'conflict-1').send(txn(101));
+  assert.equal(changed.status, 409);
+  assert.equal(changed.body.code, 'IDEMPOTENCY_CONFLICT');
+  assert.equal(changed.body.field, 'Idempotency-Key');
+
+  // Same key, but pointed at another row
+  const moved = await request(app).post('/api/eval').set('Idempotency-Key', 'conflict-1').send(txn(100, { txn_id: uuidv4() }));
+  assert.equal(moved.status, 409);
+
+  // A txn_id written without a key cannot be claimed by a request
+  const plain = await request(app).post('/api/eval').send(txn(100));
+  const claimed = await request(app).post('/api/eval').send(txn(100, { txn_id: plain.body.txn_id }));
+  assert.equal(claimed.status, 409);
+  assert.equal(claimed.body.field, 'txn_id');
+
+  const invalid = await request(app).post('/api/eval').set('Idempotency-Key', 'bad key').send(txn(100));
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'INVALID_IDEMPOTENCY_KEY');
+});
+
+test('conflict: concurrent requests with one key and different payloads do not overwrite each other', async () => {
+  // Hold both idempotency lookups until each request has made one, so both see a new key
+  let lookups = 0;
+  let release;
+  const barrier = new Promise(resolve => { release = resolve; });
+  const racing = {
+    ...store,
+    from(table) {
+      const query = store.from(table);
+      if (table === 'atd_transactions') {
+        const or = query.or.bind(query);
+        query.or = (...args) => {
+          const filtered = or(...args);
+          const limit = filtered.limit.bind(filtered);
+          filtered.limit = count => {
+            if (++lookups === 2) release();
+            return barrier.then(() => limit(count));
+          };
+          return filtered;
+        };
+      }
+      return query;
+    }
+  };
+
+  setStore(racing);
+  let responses;
+  try {
+    responses = await Promise.all([
+      request(app).post('/api/eval').set('Idempotency-Key', 'race-1').send(txn(100)),
+      request(app).post('/api/eval').set('Idempotency-Key', 'race-1').send(txn(2000))
+    ]);
+  } finally {
+    setStore(store);
+  }
+
+  assert.deepEqual(responses.map(r => r.status).sort(), [200, 409]);
+  const winner = responses.find(r => r.status === 200);
+  const [row] = await rowsFor(winner.body.txn_id);
+  assert.equal(row.amount, winner.body.amount);
+  assert.equal(row.risk_decision, winner.body.risk_decision);
+
+  // A later retry with the winner's payload replays it
+  const retry = await request(app).post('/api/eval').set('Idempotency-Key', 'race-1').send(txn(winner.body.amount));
+  assert.equal(retry.body.idempotent_replay, true);
+});
+
+test('conflict: evaluate-only requests never replay or store a key', async () => {
+  await request(app).post('/api/eval').set('Idempotency-Key', 'dry-1').send(txn(100));
+
+  const dry = await request(app).post('/api/eval?persist=false').set('Idempotency-Key', 'dry-1').send(txn(2000));
+  assert.equal(dry.status, 200);
+  assert.equal(dry.body.persisted, false);
+  assert.equal(dry.body.idempotent_replay, false);
+  assert.equal(dry.body.risk_decision, 'block');
+  assert.equal((await rowsFor(dry.body.txn_id))[0].amount, 100);
+});
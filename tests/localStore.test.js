@@ -0,0 +1,184 @@
+// tests/localStore.test.js
+// Unit tests for the local storage backend and the offline app
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createLocalStore } from '../src/lib/localStore.js';
+import { createStore } from '../src/lib/store.js';
+import { createApp } from '../src/index.js';
+import { createMockOpenAI } from './doubles/openai.mock.js';
+
+const txns = [
+  { txn_id: 't1', user_id: 'u1', agent_id: 'a1', amount: 100, timestamp: '2025-06-01T10:00:00Z', flagged: false },
+  { txn_id: 't2', user_id: 'u1', agent_id: 'a2', amount: 9000, timestamp: '2025-06-01T11:00:00Z', flagged: true },
+  { txn_id: 't3', user_id: 'u2', agent_id: 'a1', amount: 300, timestamp: '2025-06-01T12:00:00Z', flagged: false,
+    fraud_engine_output: { risk_decision: 'block', triggered_rule_ids: ['r1'] } }
+];
+
+// ========================================
+// SECTION 1: Query Builder
+// ========================================
+
+test('local store: filters, ordering, range and exact count', async () => {
+  const store = createLocalStore({ seed: { atd_transactions: txns } });
+
+  const { data, count } = await store
+    .from('atd_transactions')
+    .select('txn_id, amount', { count: 'exact' })
+    .gte('amount', 200)
+    .order('amount', { ascending: false })
+    .range(0, 0);
+
+  assert.equal(count, 2);
+  assert.deepEqual(data, [{ txn_id: 't2', amount: 9000 }]);
+});
+
+test('local store: or expressions with quoted values and JSON path contains', async () => {
+  const store = createLocalStore({ seed: { atd_transactions: txns } });
+
+  const { data: either } = await store
+    .from('atd_transactions')
+    .select('txn_id')
+    .or('agent_id.eq."a2",user_id.eq.u2');
+  assert.deepEqual(either.map(t => t.txn_id).sort(), ['t2', 't3']);
+
+  const { data: matched } = await store
+    .from('atd_transactions')
+    .select('txn_id')
+    .contains('fraud_engine_output->triggered_rule_ids', ['r1']);
+  assert.deepEqual(matched, [{ txn_id: 't3' }]);
+});
+
+test('local store: single() errors unless exactly one row', async () => {
+  const store = createLocalStore({ seed: { atd_transactions: txns } });
+
+  const one = await store.from('atd_transactions').select('*').eq('txn_id', 't1').single();
+  assert.equal(one.data.amount, 100);
+
+  const none = await store.from('atd_transactions').select('*').eq('txn_id', 'nope').single();
+  assert.equal(none.data, null);
+  assert.equal(none.error.code, 'PGRST116');
+});
+
+test('local store: insert applies defaults and rejects duplicate keys', async () => {
+  const store = createLocalStore();
+
+  const { data: rule } = await store
+    .from('atd_fraud_rules')
+    .insert({ ruleset_name: 'high-value', decision: 'review', conditions: [] })
+    .select()
+    .single();
+
+  assert.ok(rule.id);
+  assert.equal(rule.enabled, true);
+  assert.equal(rule.ruleset, 'default');
+
+  const { error } = await store.from('atd_fraud_rules').insert({ id: rule.id, ruleset_name: 'copy' });
+  assert.equal(error.code, '23505');
+});
+
+test('local store: upsert updates on conflict, update and delete filter rows', async () => {
+  const store = createLocalStore({ seed: { atd_transactions: txns } });
+
+  await store.from('atd_transactions').upsert([{ txn_id: 't1', amount: 150 }], { onConflict: 'txn_id' });
+  await store.from('atd_transactions').update({ flagged: true }).eq('user_id', 'u2');
+  await store.from('atd_transactions').delete().eq('txn_id', 't2');
+
+  const tables = store.snapshot();
+  assert.equal(tables.atd_transactions.length, 2);
+  assert.equal(tables.atd_transactions.find(t => t.txn_id === 't1').amount, 150);
+  assert.equal(tables.atd_transactions.find(t => t.txn_id === 't3').flagged, true);
+});
+
+test('local store: returned rows are copies', async () => {
+  const store = createLocalStore({ seed: { atd_transactions: txns } });
+
+  const { data } = await store.from('atd_transactions').select('*').eq('txn_id', 't1').single();
+  data.amount = -1;
+
+  assert.equal(store.snapshot().atd_transactions[0].amount, 100);
+});
+
+// ========================================
+// SECTION 2: Views, RPCs and Persistence
+// ========================================
+
+test('local store: projection view derives dry-run decisions', async () => {
+  const store = createLocalStore({ seed: { atd_transactions: txns } });
+
+  const { data } = await store.from('atd_transactions_proj').select('txn_id, decision').order('txn_id');
+  assert.deepEqual(data.map(t => t.decision), ['allow', 'review', 'block']);
+
+  const { error } = await store.from('atd_transactions_proj').insert({ txn_id: 'x' });
+  assert.ok(error);
+});
+
+test('local store: agent_summary rpc groups a user by agent', async () => {
+  const store = createLocalStore({ seed: { atd_transactions: txns } });
+
+  const { data } = await store.rpc('agent_summary', { p_user_id: 'u1', p_since: '2025-01-01T00:00:00Z' });
+  assert.equal(data.length, 2);
+  assert.equal(data.find(a => a.agent_id === 'a2').flagged_count, 1);
+
+  const missing = await store.rpc('atd_sample_transactions', {});
+  assert.ok(missing.error);
+});
+
+test('local store: file persistence survives a restart', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'atd-store-')), 'store.json');
+
+  const first = createLocalStore({ file });
+  await first.from('audits').insert({ actor: 'alice', action: 'apply_rule' });
+
+  const second = createLocalStore({ file });
+  const { data } = await second.from('audits').select('actor');
+  assert.deepEqual(data, [{ actor: 'alice' }]);
+
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
+
+// ========================================
+// SECTION 3: Offline App
+// ========================================
+
+test('offline app: eval, suggest and apply run against a local store', async () => {
+  const store = createStore({ backend: 'local', file: null });
+  const app = createApp({ store, llm: createMockOpenAI() });
+
+  const evalRes = await request(app)
+    .post('/api/eval')
+    .send({ user_id: 'u1', agent_id: 'openai', amount: 2500, currency: 'USD', device: 'web' });
+
+  assert.equal(evalRes.status, 200);
+  assert.equal(evalRes.body.risk_decision, 'allow');
+  assert.equal(evalRes.body.fraud_engine_output.computed_features.user_txn_count_1h, 1);
+
+  const suggestRes = await request(app)
+    .post('/api/rules/suggest')
+    .send({ instruction: 'Review transactions over $1000', actor: 'alice@example.com' });
+
+  assert.equal(suggestRes.status, 200);
+  assert.equal(suggestRes.body.impact_analysis.matches, 1);
+
+  const applyRes = await request(app)
+    .post('/api/rules/apply')
+    .send({
+      suggestion_id: suggestRes.body.suggestion_id,
+      approver: 'bob@example.com',
+      approval_notes: 'Reviewed impact offline',
+      expected_impact: 'One extra review in sample',
+      acknowledge_impact: true
+    });
+
+  assert.equal(applyRes.status, 200);
+
+  const tables = store.snapshot();
+  assert.equal(tables.atd_fraud_rules.length, 1);
+  assert.equal(tables.atd_rule_versions.length, 1);
+  assert.equal(tables.llm_calls.length, 1);
+  assert.ok(tables.audits.some(a => a.action === 'apply_rule' && a.success));
+});
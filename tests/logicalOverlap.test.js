@@ -0,0 +1,144 @@
+// tests/logicalOverlap.test.js
+// Unit tests for logical (symbolic) overlap between rules, next to the sampled Jaccard score
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createStore } from '../src/lib/store.js';
+import { logicalOverlap } from '../src/lib/overlapAnalyzer.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { createApp } from '../src/index.js';
+
+const rule = (ruleset_name, decision, conditions, extra = {}) => ({ ruleset_name, decision, conditions, ...extra });
+
+const bigBlock = rule('big-block', 'block', [{ field: 'amount', op: '>', value: 1000 }]);
+
+// Transactions all under $500: the proposed and night-web rules never fire in the sample
+const now = Date.now();
+const transactions = [100, 200, 300, 400].map((amount, idx) => ({
+  txn_id: `lo_${idx}`,
+  user_id: `u${idx}`,
+  agent_id: 'openai',
+  amount,
+  currency: 'USD',
+  hour: 12,
+  device: 'web',
+  timestamp: new Date(now - (idx + 1) * 60 * 1000).toISOString(),
+  risk_decision: 'allow',
+  fraud_engine_output: { risk_decision: 'allow' }
+}));
+
+const liveRule = (id, decision, conditions, extra = {}) => ({ id, rule_name: id, enabled: true, decision, conditions, created_at: new Date(now).toISOString(), ...extra });
+const nightWeb = [
+  { field: 'amount', op: '>', value: 5000 },
+  { field: 'hour', op: '<', value: 6 },
+  { field: 'device', op: '==', value: 'web' }
+];
+
+const store = createStore({
+  backend: 'local',
+  file: null,
+  seed: {
+    atd_transactions: transactions,
+    atd_fraud_rules: [
+      liveRule('small-review', 'review', [{ field: 'amount', op: '<', value: 1000 }]),
+      liveRule('mobile-block', 'block', [{ field: 'device', op: '==', value: 'mobile' }]),
+      ...[10, 20, 30, 40].map(max => liveRule(`tiny-${max}`, 'block', [{ field: 'amount', op: '<', value: max }])),
+      // Past the top five by Jaccard score
+      liveRule('night-web-review', 'review', nightWeb),
+      // Not live: never compared
+      liveRule('night-web-disabled', 'review', nightWeb, { enabled: false }),
+      liveRule('night-web-shadow', 'review', nightWeb, { lifecycle: 'shadow' })
+    ]
+  }
+});
+const app = createApp({ store });
+await notifyRulesChanged({ reason: 'test' });
+
+// Keep request logs out of the runner's stdout channel
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+// ========================================
+// SECTION 1: Relations
+// ========================================
+
+test('logical: containment, equivalence and disjoint rules', () => {
+  const narrow = rule('narrow', 'block', [{ field: 'amount', op: '>', value: 5000 }, { field: 'device', op: '==', value: 'web' }]);
+
+  const contained = logicalOverlap(narrow, bigBlock);
+  assert.equal(contained.relation, 'contained');
+  assert.equal(contained.exact, true);
+  assert.equal(contained.region, "amount > 5000 and device == 'web'");
+  assert.equal(contained.conflicting_decisions, false);
+
+  assert.equal(logicalOverlap(bigBlock, narrow).relation, 'contains');
+  assert.equal(logicalOverlap(
+    rule('not-tablet', 'block', [{ field: 'device', op: '!=', value: 'tablet' }]),
+    rule('web-or-mobile', 'block', [{ field: 'device', op: 'in', value: ['web', 'mobile'] }])
+  ).relation, 'equivalent');
+  assert.equal(logicalOverlap(rule('hours', 'block', [{ field: 'hour', op: '>', value: 5 }]), rule('hours-2', 'block', [{ field: 'hour', op: '>=', value: 6 }])).relation, 'equivalent');
+
+  const disjoint = logicalOverlap(rule('small', 'review', [{ field: 'amount', op: '<', value: 500 }]), bigBlock);
+  assert.equal(disjoint.relation, 'disjoint');
+  assert.equal(disjoint.region, null);
+  assert.match(disjoint.message, /no value of amount satisfies both/);
+});
+
+test('logical: intersecting regions with conflicting decisions', () => {
+  const result = logicalOverlap(
+    rule('mid-review', 'review', [{ field: 'amount', op: '<=', value: 2000 }, { field: 'hour', op: '<', value: 6 }]),
+    bigBlock
+  );
+
+  assert.equal(result.relation, 'intersecting');
+  assert.equal(result.region, 'amount in (1000, 2000] and hour in [0, 5]');
+  assert.equal(result.conflicting_decisions, true);
+  assert.match(result.message, /conflicting decisions \(review vs block\)/);
+});
+
+test('logical: nullable fields, unanalyzable conditions and on_missing', () => {
+  // Transactions without a risk_score match big-block but not the risk rule
+  const risky = rule('risky-big', 'block', [{ field: 'amount', op: '>', value: 1000 }, { field: 'risk_score', op: '>', value: 50 }]);
+  assert.equal(logicalOverlap(bigBlock, risky).relation, 'contains');
+  assert.equal(logicalOverlap(rule('any-big', 'block', [{ field: 'amount', op: '>', value: 2000 }]), risky).relation, 'intersecting');
+
+  // A left-out condition keeps containment in the analyzed rule, never in the other
+  const sellerCheck = rule('seller-big', 'review', [{ field: 'amount', op: '>', value: 2000 }, { field: 'seller_name', op: 'contains', value: 'gift' }]);
+  const inBig = logicalOverlap(sellerCheck, bigBlock);
+  assert.deepEqual([inBig.relation, inBig.exact], ['contained', false]);
+  assert.equal(logicalOverlap(bigBlock, sellerCheck).relation, 'contains');
+  assert.equal(logicalOverlap(rule('bigger', 'block', [{ field: 'amount', op: '>', value: 3000 }]), sellerCheck).relation, 'intersecting');
+
+  assert.equal(logicalOverlap(bigBlock, { ...bigBlock, on_missing: 'pass' }).relation, 'unknown');
+});
+
+// ========================================
+// SECTION 2: Dry-run
+// ========================================
+
+test('api: dry-run reports logical overlap next to the sampled Jaccard score', async () => {
+  const res = await request(app)
+    .post('/api/rules/dryrun')
+    .send({
+      rule: {
+        ruleset_name: 'night-big-block',
+        description: 'Block big amounts at night',
+        decision: 'block',
+        conditions: [{ field: 'amount', op: '>', value: 1000 }, { field: 'hour', op: '<', value: 6 }]
+      }
+    });
+
+  assert.equal(res.status, 200);
+  const byRule = Object.fromEntries(res.body.overlap.map(overlap => [overlap.rule_id, overlap]));
+
+  // Never fired in the sample, yet inside the proposed rule's region with a conflicting decision
+  assert.equal(byRule['night-web-review'].jaccard_score, 0);
+  assert.equal(byRule['night-web-review'].logical.relation, 'contains');
+  assert.equal(byRule['night-web-review'].logical.conflicting_decisions, true);
+  assert.equal(res.body.overlap.length, 6);
+
+  assert.equal(byRule['small-review'].logical.relation, 'disjoint');
+  assert.equal(byRule['mobile-block'].logical.relation, 'intersecting');
+  assert.equal(byRule['mobile-block'].logical.region, "amount > 1000 and hour in [0, 5] and device == 'mobile'");
+  assert.equal(byRule['tiny-10'].logical.relation, 'disjoint');
+});
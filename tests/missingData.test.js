@@ -0,0 +1,162 @@
+// tests/missingData.test.js
+// Unit tests for missing-field semantics: is_null/is_not_null, on_missing policies, strict typing
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createStore, setStore } from '../src/lib/store.js';
+import { evaluateTransaction } from '../src/lib/ruleEngine.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { evaluateConditions, evaluateRule, interpretConditions } from '../src/lib/conditionEvaluator.js';
+import { applyDecisionStrategy } from '../src/lib/decisionStrategy.js';
+import { RuleValidator } from '../src/lib/ruleValidator.js';
+import { validateRuleStructure } from '../src/lib/ruleSchema.js';
+import { createApp } from '../src/index.js';
+
+// No account_age_days, no risk_score
+const txn = { user_id: 'u1', agent_id: 'openai', amount: 2500, device: 'mobile', seller_name: null };
+
+const newAccount = (on_missing, decision = 'block') => ({
+  id: `new-account-${on_missing}`,
+  rule_name: `new-account-${on_missing}`,
+  decision,
+  on_missing,
+  conditions: [
+    { field: 'amount', op: '>', value: 1000 },
+    { field: 'account_age_days', op: '<', value: 30 }
+  ]
+});
+
+const ruleForm = (conditions, on_missing) => ({
+  ruleset_name: 'missing-data-rule',
+  description: 'Rule exercising missing-data handling',
+  decision: 'review',
+  on_missing,
+  conditions
+});
+
+// ========================================
+// SECTION 1: Evaluation
+// ========================================
+
+test('evaluate: missing and null fields are unknown, not a silent fail or pass', () => {
+  assert.equal(interpretConditions([{ field: 'account_age_days', op: '<', value: 30 }], txn), null);
+  assert.equal(interpretConditions([{ field: 'account_age_days', op: '!=', value: 5 }], txn), null);
+  assert.equal(interpretConditions([{ field: 'seller_name', op: '==', value: 'Acme' }], txn), null);
+  assert.equal(interpretConditions([{ not: { field: 'account_age_days', op: '<', value: 30 } }], txn), null);
+
+  // evaluateConditions has no policy: unknown is no match
+  assert.equal(evaluateConditions([{ field: 'account_age_days', op: '!=', value: 5 }], txn), false);
+});
+
+test('evaluate: groups settle unknown leaves when another child decides', () => {
+  const missing = { field: 'account_age_days', op: '<', value: 30 };
+
+  assert.equal(interpretConditions([{ any: [missing, { field: 'device', op: '==', value: 'mobile' }] }], txn), true);
+  assert.equal(interpretConditions([{ any: [missing, { field: 'device', op: '==', value: 'web' }] }], txn), null);
+  assert.equal(interpretConditions([missing, { field: 'amount', op: '<', value: 100 }], txn), false);
+  assert.equal(evaluateRule({ decision: 'block', on_missing: 'pass', conditions: [missing, { field: 'amount', op: '<', value: 100 }] }, txn), 'allow');
+});
+
+test('evaluate: is_null and is_not_null see missing and null fields', () => {
+  assert.equal(evaluateConditions([{ field: 'account_age_days', op: 'is_null' }], txn), true);
+  assert.equal(evaluateConditions([{ field: 'seller_name', op: 'is_null' }], txn), true);
+  assert.equal(evaluateConditions([{ field: 'amount', op: 'is_not_null' }], txn), true);
+  assert.equal(evaluateConditions([{ field: 'account_age_days', op: 'is_not_null' }], txn), false);
+  assert.equal(evaluateConditions([{ field: 'amount', op: 'is_null' }], { ...txn, amount: 0 }), false);
+});
+
+test('evaluate: on_missing decides rules left unknown', () => {
+  assert.equal(evaluateRule(newAccount(undefined), txn), 'allow');
+  assert.equal(evaluateRule(newAccount('fail'), txn), 'allow');
+  assert.equal(evaluateRule(newAccount('pass'), txn), 'block');
+  assert.equal(evaluateRule(newAccount('review'), txn), 'review');
+  assert.equal(evaluateRule(newAccount('review', 'allow'), txn), 'review');
+
+  // Present fields are unaffected by the policy
+  assert.equal(evaluateRule(newAccount('review'), { ...txn, account_age_days: 10 }), 'block');
+  assert.equal(evaluateRule(newAccount('pass'), { ...txn, account_age_days: 100 }), 'allow');
+});
+
+test('evaluate: comparisons never coerce between strings and numbers', () => {
+  assert.equal(evaluateConditions([{ field: 'amount', op: '==', value: '2500' }], txn), false);
+  assert.equal(evaluateConditions([{ field: 'amount', op: '!=', value: '2500' }], txn), true);
+  assert.equal(evaluateConditions([{ field: 'amount', op: '>', value: '1000' }], txn), false);
+  assert.equal(evaluateConditions([{ field: 'amount', op: '>', value: 1000 }], { ...txn, amount: '2500' }), false);
+  assert.equal(evaluateConditions([{ field: 'amount', op: 'in', value: ['2500'] }], txn), false);
+  assert.equal(evaluateConditions([{ field: 'flagged', op: '==', value: true }], { ...txn, flagged: 'true' }), false);
+});
+
+test('strategy: an allow rule routed to review no longer overrides', () => {
+  const allowKnown = { id: 'allow-known', decision: 'allow' };
+  const reviewSmall = { id: 'review-small', decision: 'review' };
+  const routed = new Set([allowKnown]);
+  const decisionOf = rule => (routed.has(rule) ? 'review' : rule.decision);
+
+  const outcome = applyDecisionStrategy([allowKnown, reviewSmall], rule => rule === allowKnown, 'allowlist_overrides', decisionOf);
+  assert.equal(outcome.decision, 'review');
+  assert.deepEqual(outcome.triggered, [allowKnown]);
+});
+
+// ========================================
+// SECTION 2: Validation
+// ========================================
+
+test('validate: presence operators take no value and on_missing is checked', () => {
+  const presence = ruleForm([{ field: 'account_age_days', op: 'is_null' }], 'review');
+  assert.equal(new RuleValidator().validate(presence).valid, true);
+  assert.equal(validateRuleStructure(presence).valid, true);
+
+  const withValue = new RuleValidator().validate(ruleForm([{ field: 'account_age_days', op: 'is_null', value: 3 }]));
+  assert.ok(withValue.errors.some(e => e.includes('takes no value')));
+
+  const notNullField = new RuleValidator().validate(ruleForm([{ field: 'amount', op: 'is_null' }]));
+  assert.equal(notNullField.valid, true);
+  assert.ok(notNullField.warnings.some(w => w.includes('not_null')));
+
+  const badPolicy = ruleForm([{ field: 'amount', op: '>', value: 10 }], 'ignore');
+  assert.ok(new RuleValidator().validate(badPolicy).errors.some(e => e.startsWith('on_missing')));
+  assert.ok(validateRuleStructure(badPolicy).errors.some(e => e.startsWith('on_missing')));
+});
+
+// ========================================
+// SECTION 3: Engine and API
+// ========================================
+
+test('api: on_missing is validated and versioned on rule edits', async () => {
+  const rule = newAccount('fail');
+  const store = createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: [rule] } });
+  const app = createApp({ store });
+  await notifyRulesChanged({ reason: 'test' });
+
+  const invalid = await request(app).post('/api/rules').send({ ...rule, on_missing: 'ignore' });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.field, 'on_missing');
+
+  const updated = await request(app).post('/api/rules').send({ ...rule, on_missing: 'review' });
+  assert.equal(updated.status, 200);
+  assert.equal(store.snapshot().atd_fraud_rules[0].on_missing, 'review');
+
+  const diff = await request(app).get(`/api/rules/${rule.id}/versions/diff?from=1`);
+  assert.deepEqual(diff.body.diff.fields, { on_missing: { from: 'fail', to: 'review' } });
+});
+
+test('engine: rules routed to review on missing data are marked in the decision and trace', async () => {
+  setStore(createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: [newAccount('review'), newAccount('fail')] } }));
+  await notifyRulesChanged({ reason: 'test' });
+
+  const result = await evaluateTransaction({ ...txn, timestamp: new Date().toISOString() }, { explain: true });
+
+  assert.equal(result.risk_decision, 'review');
+  assert.deepEqual(result.triggered_rule_ids, ['new-account-review']);
+  assert.deepEqual(result.actions_taken, ['review']);
+
+  const [routed, failed] = result.trace.rules;
+  assert.equal(routed.matched, true);
+  assert.equal(routed.missing_data, true);
+  assert.equal(routed.on_missing, 'review');
+  assert.equal(routed.conditions[1].missing, true);
+  assert.equal(routed.conditions[1].passed, null);
+  assert.equal(failed.matched, false);
+  assert.equal(failed.on_missing, 'fail');
+});
@@ -0,0 +1,230 @@
+// tests/namedLists.test.js
+// Unit tests for named reference lists: in_list evaluation, validation, CRUD API and audit
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createStore, setStore } from '../src/lib/store.js';
+import { evaluateTransaction, getRuleSnapshot } from '../src/lib/ruleEngine.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { interpretConditions, compileConditions, evaluateRule, traceConditions, buildEvaluationContext } from '../src/lib/conditionEvaluator.js';
+import { listReferences, validateNamedList } from '../src/lib/namedLists.js';
+import { RuleValidator } from '../src/lib/ruleValidator.js';
+import { validateRuleStructure } from '../src/lib/ruleSchema.js';
+import { computeRiskScore } from '../src/fraud/riskScoring.js';
+import { createApp } from '../src/index.js';
+
+const riskySellers = {
+  name: 'risky_sellers',
+  kind: 'seller',
+  description: 'Sellers with a history of fraud',
+  items: ['ShadyElectronics', 'QuickLoanz'],
+  version: 1
+};
+const agentHours = { name: 'agent_hours', kind: 'hour', items: [9, 10, 11], version: 1 };
+
+const sellerRule = {
+  id: 'risky-seller',
+  rule_name: 'risky-seller',
+  decision: 'block',
+  conditions: [{ field: 'seller_name', op: 'in_list', value: 'risky_sellers' }]
+};
+
+const txn = { user_id: 'u1', agent_id: 'openai', amount: 250, currency: 'USD', seller_name: 'QuickLoanz' };
+
+// Evaluations log per matched rule; keep that out of the runner's stdout channel
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+const ruleForm = conditions => ({
+  ruleset_name: 'list-rule',
+  description: 'Rule referencing a named list',
+  decision: 'review',
+  conditions
+});
+
+function seededApp(seed = {}) {
+  const store = createStore({
+    backend: 'local',
+    file: null,
+    seed: { atd_named_lists: [riskySellers, agentHours], atd_fraud_rules: [sellerRule], ...seed }
+  });
+  return { store, app: createApp({ store }) };
+}
+
+// ========================================
+// SECTION 1: Evaluation
+// ========================================
+
+test('evaluate: in_list and not_in_list read the named list from the context', () => {
+  const context = buildEvaluationContext([riskySellers]);
+  const inList = [{ field: 'seller_name', op: 'in_list', value: 'risky_sellers' }];
+  const notInList = [{ field: 'seller_name', op: 'not_in_list', value: 'risky_sellers' }];
+
+  assert.equal(compileConditions(inList, context)(txn), true);
+  assert.equal(compileConditions(inList, context)({ ...txn, seller_name: 'Acme' }), false);
+  assert.equal(interpretConditions(notInList, { ...txn, seller_name: 'Acme' }, context), true);
+  assert.equal(Object.isFrozen(context.risky_sellers), true);
+});
+
+test('evaluate: a list that no longer exists makes the condition unknown', () => {
+  const conditions = [{ field: 'seller_name', op: 'not_in_list', value: 'risky_sellers' }];
+
+  assert.equal(compileConditions(conditions, {})(txn), null);
+  assert.equal(interpretConditions(conditions, txn, {}), null);
+  assert.equal(evaluateRule({ ...sellerRule, conditions, on_missing: 'review' }, txn, {}), 'review');
+
+  const { nodes: [entry] } = traceConditions(conditions, txn, {});
+  assert.equal(entry.passed, null);
+  assert.equal(entry.unknown_list, true);
+  assert.equal(entry.compared_to, undefined);
+});
+
+test('lists: references are found in nested groups and in `in` by name', () => {
+  const names = listReferences([
+    { any: [{ field: 'seller_name', op: 'in_list', value: 'risky_sellers' }, { not: { field: 'agent_id', op: 'in', value: 'registered_agents' } }] },
+    { field: 'device', op: 'in', value: ['web'] }
+  ]);
+  assert.deepEqual([...names], ['risky_sellers', 'registered_agents']);
+});
+
+test('risk scoring: risky sellers and safe partners come from the named lists', () => {
+  const lists = buildEvaluationContext([riskySellers, { name: 'safe_partners', items: ['Stripe'] }]);
+  const base = { timestamp: new Date().toISOString(), device: 'web', account_age_days: 400 };
+  const history = [{ device: 'web', timestamp: '2020-01-01T00:00:00Z' }];
+
+  assert.equal(computeRiskScore({ ...base, seller_name: 'QuickLoanz' }, history, lists), 20);
+  assert.equal(computeRiskScore({ ...base, seller_name: 'QuickLoanz' }, history, {}), 0);
+  assert.equal(computeRiskScore({ ...base, seller_name: 'QuickLoanz', partner: 'Stripe' }, history, lists), 15);
+});
+
+// ========================================
+// SECTION 2: Validation
+// ========================================
+
+test('validate: rules can only reference existing lists of a compatible kind', () => {
+  const validator = new RuleValidator({ lists: [riskySellers, agentHours, { name: 'empty_sellers', kind: 'seller', items: [] }] });
+
+  assert.equal(validator.validate(ruleForm(sellerRule.conditions)).valid, true);
+  assert.equal(validator.validate(ruleForm([{ field: 'hour', op: 'not_in_list', value: 'agent_hours' }])).valid, true);
+
+  const unknown = validator.validate(ruleForm([{ field: 'seller_name', op: 'in_list', value: 'trusted_sellers' }]));
+  assert.ok(unknown.errors.some(e => e.includes('Unknown list "trusted_sellers"') && e.includes('risky_sellers')));
+
+  const mismatch = validator.validate(ruleForm([{ field: 'seller_name', op: 'in_list', value: 'agent_hours' }]));
+  assert.ok(mismatch.errors.some(e => e.includes('cannot match "seller_name"')));
+
+  const notAName = validator.validate(ruleForm([{ field: 'seller_name', op: 'in_list', value: ['QuickLoanz'] }]));
+  assert.ok(notAName.errors.some(e => e.includes('requires the name of a list')));
+  assert.ok(validateRuleStructure(ruleForm([{ field: 'seller_name', op: 'in_list', value: ['QuickLoanz'] }])).errors
+    .some(e => e.includes('takes the name of a list')));
+
+  const empty = validator.validate(ruleForm([{ field: 'seller_name', op: 'in_list', value: 'empty_sellers' }]));
+  assert.equal(empty.valid, true);
+  assert.ok(empty.warnings.some(w => w.includes('is empty')));
+
+  // Without lists nothing can be referenced
+  assert.equal(new RuleValidator().validate(ruleForm(sellerRule.conditions)).valid, false);
+});
+
+test('validate: list names, kinds and items', () => {
+  assert.equal(validateNamedList({ name: 'blocked_urls', kind: 'url', items: ['https://evil.example'] }).valid, true);
+  assert.equal(validateNamedList({ name: 'Blocked-URLs', kind: 'url', items: [] }).field, 'name');
+  assert.equal(validateNamedList({ name: 'blocked_urls', kind: 'country', items: [] }).field, 'kind');
+  assert.equal(validateNamedList({ name: 'agent_hours', kind: 'hour', items: [9, '10'] }).error, 'items[1] must be a number');
+  assert.equal(validateNamedList({ items: [' '] }, { partial: true, kind: 'seller' }).field, 'items');
+  assert.equal(validateNamedList({ kind: 'url' }, { partial: true, kind: 'seller' }).field, 'kind');
+});
+
+// ========================================
+// SECTION 3: API and Engine
+// ========================================
+
+test('api: lists are created, versioned and audited', async () => {
+  const { store, app } = seededApp();
+
+  const created = await request(app).post('/api/lists').send({
+    name: 'blocked_urls',
+    kind: 'url',
+    description: 'Phishing storefronts',
+    items: ['https://evil.example', ' https://evil.example ', 'https://scam.example'],
+    created_by: 'alice'
+  });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.list.items, ['https://evil.example', 'https://scam.example']);
+  assert.equal(created.body.list.version, 1);
+
+  const duplicate = await request(app).post('/api/lists').send({ name: 'blocked_urls', kind: 'url', items: [] });
+  assert.equal(duplicate.status, 409);
+
+  const invalid = await request(app).post('/api/lists').send({ name: 'x', kind: 'url', items: [] });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.field, 'name');
+
+  const replaced = await request(app).put('/api/lists/blocked_urls').send({ items: ['https://scam.example'], updated_by: 'bob' });
+  assert.equal(replaced.status, 200);
+  assert.equal(replaced.body.list.version, 2);
+
+  const patched = await request(app).patch('/api/lists/blocked_urls').send({ add: ['https://fraud.example'], remove: ['https://scam.example'], expected_version: 2 });
+  assert.equal(patched.status, 200);
+  assert.deepEqual(patched.body.list.items, ['https://fraud.example']);
+
+  const stale = await request(app).patch('/api/lists/blocked_urls').send({ add: ['https://other.example'], expected_version: 2 });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.code, 'VERSION_CONFLICT');
+
+  const versions = await request(app).get('/api/lists/blocked_urls/versions');
+  assert.deepEqual(versions.body.versions.map(v => [v.version, v.change_type]), [[3, 'updated'], [2, 'updated'], [1, 'created']]);
+  assert.deepEqual(versions.body.versions[0].diff, { added: ['https://fraud.example'], removed: ['https://scam.example'] });
+
+  const audits = store.snapshot().audits.filter(a => a.resource_type === 'named_list');
+  assert.deepEqual(audits.map(a => a.action), ['create_list', 'update_list', 'update_list_items']);
+  assert.equal(audits[1].actor, 'bob');
+
+  const summary = await request(app).get('/api/lists?items=false');
+  assert.equal(summary.body.lists.find(l => l.name === 'blocked_urls').item_count, 1);
+  assert.equal(summary.body.lists[0].items, undefined);
+});
+
+test('api: lists referenced by a rule cannot be deleted', async () => {
+  const { store, app } = seededApp();
+
+  const inUse = await request(app).delete('/api/lists/risky_sellers');
+  assert.equal(inUse.status, 409);
+  assert.equal(inUse.body.code, 'LIST_IN_USE');
+  assert.deepEqual(inUse.body.rules, [{ id: 'risky-seller', rule_name: 'risky-seller' }]);
+
+  const deleted = await request(app).delete('/api/lists/agent_hours?deleted_by=carol');
+  assert.equal(deleted.status, 200);
+  assert.equal((await request(app).get('/api/lists/agent_hours')).status, 404);
+
+  const history = store.snapshot().atd_named_list_versions.filter(v => v.list_name === 'agent_hours');
+  assert.deepEqual(history.map(v => v.change_type), ['deleted']);
+});
+
+test('engine: list edits reach evaluation without touching the rule', async () => {
+  const { app } = seededApp();
+  await notifyRulesChanged({ reason: 'test' });
+  const before = await getRuleSnapshot();
+
+  const blocked = await evaluateTransaction({ ...txn, timestamp: new Date().toISOString() });
+  assert.equal(blocked.risk_decision, 'block');
+
+  const clean = { ...txn, seller_name: 'GadgetHub', timestamp: new Date().toISOString() };
+  assert.equal((await evaluateTransaction({ ...clean })).risk_decision, 'allow');
+
+  await request(app).patch('/api/lists/risky_sellers').send({ add: ['GadgetHub'], updated_by: 'alice' });
+
+  const after = await getRuleSnapshot();
+  assert.notEqual(after.fingerprint, before.fingerprint);
+  assert.equal((await evaluateTransaction({ ...clean })).risk_decision, 'block');
+});
+
+test('engine: the default store seeds the lists that used to be hard-coded', async () => {
+  setStore(createStore({ backend: 'local', file: null }));
+  await notifyRulesChanged({ reason: 'test' });
+
+  const { context } = await getRuleSnapshot();
+  assert.deepEqual(context.trusted_agent_sources, ['OpenAI', 'Anthropic']);
+  assert.deepEqual(context.risky_sellers, ['ShadyElectronics', 'QuickLoanz']);
+  assert.equal(context.allowed_hours_for_agent.length, 24);
+});
@@ -0,0 +1,242 @@
+// tests/outcomeLabels.test.js
+// Unit tests for outcome labels: labels API, precision/recall in dry-run, overlap and rule stats
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createStore } from '../src/lib/store.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { computeLabelMetrics, fetchLatestLabels } from '../src/lib/outcomeLabels.js';
+import { dryRunRule } from '../src/lib/dryRunEngine.js';
+import { dryRunWithBaseline } from '../src/lib/impactAnalyzer.js';
+import { analyzeOverlap } from '../src/lib/overlapAnalyzer.js';
+import { createApp } from '../src/index.js';
+
+// Ten transactions: the live rule blocked the two largest; labels say 5-9 were fraud,
+// 0, 1, 3 and 4 legitimate, and 2 is unlabeled
+const now = Date.now();
+const amounts = [100, 200, 300, 550, 600, 700, 800, 900, 1000, 1100];
+const transactions = amounts.map((amount, idx) => {
+  const decision = amount >= 1000 ? 'block' : 'allow';
+  return {
+    txn_id: `lbl_${idx}`,
+    user_id: `u${idx}`,
+    agent_id: 'openai',
+    amount,
+    currency: 'USD',
+    timestamp: new Date(now - (idx + 1) * 60 * 1000).toISOString(),
+    risk_decision: decision,
+    triggered_rule_ids: decision === 'block' ? ['big-spend'] : [],
+    fraud_engine_output: { risk_decision: decision }
+  };
+});
+
+const labelAt = minutesAgo => new Date(now - minutesAgo * 60 * 1000).toISOString();
+const labels = [
+  ...[5, 6, 7, 8, 9].map(idx => ({ txn_id: `lbl_${idx}`, outcome: 'chargeback', is_fraud: true, source: 'chargeback_feed', labeled_at: labelAt(1) })),
+  ...[0, 1, 3, 4].map(idx => ({ txn_id: `lbl_${idx}`, outcome: 'analyst_cleared', is_fraud: false, source: 'analyst', labeled_at: labelAt(1) })),
+  // Superseded: cleared first, charged back later
+  { txn_id: 'lbl_5', outcome: 'analyst_cleared', is_fraud: false, source: 'analyst', labeled_at: labelAt(30) }
+];
+
+const rules = [
+  { id: 'big-spend', rule_name: 'big-spend', decision: 'block', conditions: [{ field: 'amount', op: '>=', value: 1000 }] },
+  { id: 'idle-rule', rule_name: 'idle-rule', decision: 'review', conditions: [{ field: 'amount', op: '>', value: 99999 }] },
+  { id: 'existing-850', rule_name: 'existing-850', decision: 'block', conditions: [{ field: 'amount', op: '>', value: 850 }] }
+];
+
+const store = createStore({
+  backend: 'local',
+  file: null,
+  seed: {
+    atd_fraud_rules: rules,
+    atd_transactions: transactions,
+    atd_transaction_labels: labels
+  }
+});
+const app = createApp({ store });
+await notifyRulesChanged({ reason: 'test' });
+
+// Evaluations log per matched rule; keep that out of the runner's stdout channel
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+const proposedRule = {
+  ruleset_name: 'review-over-500',
+  description: 'Review large purchases',
+  decision: 'review',
+  conditions: [{ field: 'amount', op: '>', value: 500 }]
+};
+
+// ========================================
+// SECTION 1: Metrics
+// ========================================
+
+test('metrics: precision, recall and false positive rate over labeled transactions', async () => {
+  const latest = await fetchLatestLabels(transactions.map(t => t.txn_id));
+  assert.equal(latest.size, 9);
+  assert.equal(latest.get('lbl_5').outcome, 'chargeback');
+
+  const metrics = computeLabelMetrics(transactions.map(t => ({ txn_id: t.txn_id, predicted: t.amount > 500 })), latest);
+  assert.deepEqual(metrics, {
+    labeled: 9,
+    true_positives: 5,
+    false_positives: 2,
+    false_negatives: 0,
+    true_negatives: 2,
+    precision: 71.43,
+    recall: 100,
+    false_positive_rate: 50
+  });
+
+  const none = computeLabelMetrics([{ txn_id: 'lbl_2', predicted: true }], latest);
+  assert.equal(none.labeled, 0);
+  assert.equal(none.precision, null);
+});
+
+// ========================================
+// SECTION 2: Dry-run and overlap
+// ========================================
+
+test('dry-run: label metrics and a label-based false positive estimate', async () => {
+  const result = await dryRunRule(proposedRule, 100);
+
+  assert.equal(result.sample_size, 10);
+  assert.equal(result.label_metrics.labeled, 9);
+  assert.equal(result.label_metrics.baseline.precision, 100);
+  assert.equal(result.label_metrics.baseline.recall, 40);
+  assert.equal(result.label_metrics.proposed.precision, 71.43);
+  assert.equal(result.label_metrics.combined.recall, 100);
+
+  // Newly caught: 3 and 4 legitimate, 5-7 fraud
+  assert.equal(result.false_positive_risk.method, 'labels');
+  assert.equal(result.false_positive_risk.labeled_caught, 5);
+  assert.equal(result.false_positive_risk.legit_caught, 2);
+  assert.equal(result.false_positive_risk.fp_rate_estimate, '40.00');
+  assert.equal(result.false_positive_risk.risk_level, 'low');
+
+  // Too few labels among the caught transactions: back to the flagged heuristic
+  const narrow = await dryRunRule({ ...proposedRule, conditions: [{ field: 'amount', op: '>', value: 650 }] }, 100);
+  assert.equal(narrow.false_positive_risk.method, 'flagged_heuristic');
+  assert.equal(narrow.false_positive_risk.fp_rate_estimate, '100.00');
+});
+
+test('impact: suggest-time false positive risk follows the labels', async () => {
+  // Newly blocked: 3 and 4 legitimate, 5-7 fraud; none flagged, so the heuristic says high
+  const impact = await dryRunWithBaseline({ ...proposedRule, decision: 'block' }, { useStratified: false, sampleSize: 100 });
+  assert.equal(impact.false_positive_risk, 'low');
+
+  const narrow = await dryRunWithBaseline({ ...proposedRule, decision: 'block', conditions: [{ field: 'amount', op: '>', value: 650 }] }, { useStratified: false, sampleSize: 100 });
+  assert.equal(narrow.false_positive_risk, 'high');
+});
+
+test('overlap: both rules are compared against the labels', async () => {
+  const [overlap] = await analyzeOverlap(proposedRule, 100);
+
+  assert.equal(overlap.rule_id, 'existing-850');
+  assert.equal(overlap.intersection_count, 3);
+  assert.deepEqual(
+    {
+      shared_fraud: overlap.label_metrics.shared_fraud,
+      proposed_only_fraud: overlap.label_metrics.proposed_only_fraud,
+      proposed_only_legit: overlap.label_metrics.proposed_only_legit
+    },
+    { shared_fraud: 3, proposed_only_fraud: 2, proposed_only_legit: 2 }
+  );
+  assert.equal(overlap.label_metrics.existing.recall, 60);
+  assert.equal(overlap.label_metrics.proposed.recall, 100);
+});
+
+// ========================================
+// SECTION 3: API
+// ========================================
+
+test('api: rule stats report precision and recall per rule', async () => {
+  const res = await request(app).get('/rules/stats?hours=1');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.transactions, 10);
+  assert.equal(res.body.labeled, 9);
+  assert.deepEqual(res.body.outcomes, { chargeback: 5, analyst_cleared: 4 });
+  assert.equal(res.body.engine.recall, 40);
+
+  const big = res.body.rules.find(r => r.rule_id === 'big-spend');
+  assert.equal(big.triggered, 2);
+  assert.equal(big.precision, 100);
+  assert.equal(big.recall, 40);
+  assert.equal(big.false_positive_rate, 0);
+
+  const idle = res.body.rules.find(r => r.rule_id === 'idle-rule');
+  assert.equal(idle.triggered, 0);
+  assert.equal(idle.precision, null);
+  assert.equal(idle.recall, 0);
+
+  assert.equal((await request(app).get('/rules/stats?hours=-1')).status, 400);
+});
+
+test('api: labels are recorded per transaction and the latest one is current', async () => {
+  const created = await request(app).post('/api/labels').send({
+    txn_id: 'lbl_2',
+    outcome: 'confirmed_fraud',
+    source: 'analyst',
+    labeled_by: 'analyst@example.com',
+    notes: 'Card reported stolen'
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.label.is_fraud, true);
+  assert.ok(created.body.label.labeled_at);
+
+  const bulk = await request(app).post('/api/labels').send({
+    labels: [{ txn_id: 'lbl_2', outcome: 'dispute_won', source: 'processor', labeled_at: new Date().toISOString() }]
+  });
+  assert.equal(bulk.status, 201);
+  assert.equal(bulk.body.labels.length, 1);
+
+  const history = await request(app).get('/api/labels/lbl_2');
+  assert.equal(history.status, 200);
+  assert.equal(history.body.labels.length, 2);
+  assert.equal(history.body.current.outcome, 'dispute_won');
+  assert.equal(history.body.current.is_fraud, false);
+
+  assert.equal((await request(app).get('/api/labels/lbl_404')).status, 404);
+  assert.ok((await request(app).get('/api/labels')).body.sources.includes('chargeback_feed'));
+});
+
+test('api: invalid labels and unknown transactions are rejected', async () => {
+  const outcome = await request(app).post('/api/labels').send({ txn_id: 'lbl_1', outcome: 'maybe', source: 'analyst' });
+  assert.equal(outcome.status, 400);
+  assert.equal(outcome.body.field, 'outcome');
+
+  const source = await request(app).post('/api/labels').send({ txn_id: 'lbl_1', outcome: 'chargeback', source: 'rumor' });
+  assert.equal(source.body.field, 'source');
+
+  const future = await request(app).post('/api/labels').send({
+    txn_id: 'lbl_1',
+    outcome: 'chargeback',
+    source: 'analyst',
+    labeled_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+  });
+  assert.equal(future.body.field, 'labeled_at');
+
+  const bulk = await request(app).post('/api/labels').send({
+    labels: [{ txn_id: 'lbl_1', outcome: 'chargeback', source: 'analyst' }, { txn_id: 'lbl_1', source: 'analyst' }]
+  });
+  assert.equal(bulk.status, 400);
+  assert.equal(bulk.body.index, 1);
+
+  const unknown = await request(app).post('/api/labels').send({
+    labels: [{ txn_id: 'lbl_1', outcome: 'chargeback', source: 'analyst' }, { txn_id: 'nope', outcome: 'chargeback', source: 'analyst' }]
+  });
+  assert.equal(unknown.status, 404);
+  assert.deepEqual(unknown.body.txn_ids, ['nope']);
+
+  // Looked up in chunks: more ids than fit in one `in` filter
+  const many = await request(app).post('/api/labels').send({
+    labels: Array.from({ length: 600 }, (_, idx) => ({ txn_id: idx === 599 ? 'lbl_1' : `missing_${idx}`, outcome: 'chargeback', source: 'analyst' }))
+  });
+  assert.equal(many.status, 404);
+  assert.equal(many.body.txn_ids.length, 599);
+  assert.equal(many.body.txn_ids.includes('lbl_1'), false);
+
+  // All or nothing: lbl_1 was not labeled by the rejected requests
+  const history = await request(app).get('/api/labels/lbl_1');
+  assert.equal(history.body.labels.length, 1);
+});
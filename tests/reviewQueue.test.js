@@ -0,0 +1,239 @@
+// tests/reviewQueue.test.js
+// Unit tests for the manual review queue: listing with SLA aging, claim, reassign, resolve
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createStore, setStore } from '../src/lib/store.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { slaAging, REVIEW_SLA_HOURS, getReviewTransaction, claimReview, listReviewQueue } from '../src/lib/reviewQueue.js';
+import { createApp } from '../src/index.js';
+
+const now = Date.now();
+const hoursAgo = hours => new Date(now - hours * 60 * 60 * 1000).toISOString();
+
+const reviewTxn = (txn_id, hours, extra = {}) => ({
+  txn_id,
+  user_id: `user-${txn_id}`,
+  agent_id: 'openai',
+  amount: 750,
+  currency: 'USD',
+  timestamp: hoursAgo(hours),
+  risk_decision: 'review',
+  risk_score: 70,
+  status: 'flagged',
+  manual_review_required: true,
+  review_status: 'pending',
+  triggered_rule_ids: ['review-big'],
+  fraud_engine_output: { risk_decision: 'review' },
+  ...extra
+});
+
+// rv_old is past SLA, rv_soon due soon, rv_new and rv_claimed on track; rv_allow never needed review
+const store = createStore({
+  backend: 'local',
+  file: null,
+  seed: {
+    atd_fraud_rules: [
+      { id: 'review-big', rule_name: 'review-big', decision: 'review', conditions: [{ field: 'amount', op: '>', value: 500 }] }
+    ],
+    atd_transactions: [
+      reviewTxn('rv_old', 30),
+      reviewTxn('rv_soon', 20),
+      reviewTxn('rv_new', 1),
+      reviewTxn('rv_claimed', 2, { review_status: 'claimed', review_assigned_to: 'bob', review_claimed_at: hoursAgo(1) }),
+      {
+        txn_id: 'rv_allow',
+        user_id: 'user-allow',
+        agent_id: 'openai',
+        amount: 20,
+        timestamp: hoursAgo(1),
+        risk_decision: 'allow',
+        manual_review_required: false,
+        fraud_engine_output: { risk_decision: 'allow' }
+      }
+    ]
+  }
+});
+const app = createApp({ store });
+await notifyRulesChanged({ reason: 'test' });
+
+// Evaluations log per matched rule; keep that out of the runner's stdout channel
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+// ========================================
+// SECTION 1: Queue and SLA aging
+// ========================================
+
+test('sla: open items age until now, resolved ones until they were resolved', () => {
+  const start = new Date(now - 10 * 60 * 60 * 1000).toISOString();
+
+  assert.equal(slaAging({ timestamp: start, review_status: 'pending' }, now).sla_status, 'on_track');
+  assert.equal(slaAging({ timestamp: start, review_status: 'pending' }, now + 9 * 60 * 60 * 1000).sla_status, 'due_soon');
+
+  const late = slaAging({ timestamp: start, review_status: 'claimed' }, now + 15 * 60 * 60 * 1000);
+  assert.equal(late.sla_status, 'breached');
+  assert.equal(late.age_hours, 25);
+  assert.equal(late.sla_due_at, new Date(now + (REVIEW_SLA_HOURS - 10) * 60 * 60 * 1000).toISOString());
+
+  const resolved = slaAging({ timestamp: start, review_status: 'resolved', reviewed_at: new Date(now).toISOString() }, now + 99e6);
+  assert.deepEqual([resolved.sla_status, resolved.age_hours], ['met', 10]);
+});
+
+test('api: open queue is oldest first with SLA status and a summary', async () => {
+  const res = await request(app).get('/api/reviews');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.items.map(i => i.txn_id), ['rv_old', 'rv_soon', 'rv_claimed', 'rv_new']);
+  assert.deepEqual(res.body.items.map(i => i.sla_status), ['breached', 'due_soon', 'on_track', 'on_track']);
+  assert.equal(res.body.items[2].assigned_to, 'bob');
+
+  const { summary } = res.body;
+  assert.deepEqual(
+    { open: summary.open, pending: summary.pending, claimed: summary.claimed, due_soon: summary.due_soon, breached: summary.breached },
+    { open: 4, pending: 3, claimed: 1, due_soon: 1, breached: 1 }
+  );
+  assert.deepEqual(summary.by_assignee, { bob: 1 });
+  assert.ok(summary.oldest_age_hours >= 30);
+
+  const breached = await request(app).get('/api/reviews?sla=breached');
+  assert.deepEqual(breached.body.items.map(i => i.txn_id), ['rv_old']);
+
+  // SLA filter before the limit; total counts every match
+  const onTrack = await request(app).get('/api/reviews?sla=on_track&limit=1');
+  assert.deepEqual(onTrack.body.items.map(i => i.txn_id), ['rv_claimed']);
+  assert.deepEqual([onTrack.body.total, onTrack.body.truncated, onTrack.body.summary.truncated], [2, false, false]);
+  assert.equal((await request(app).get('/api/reviews?sla=met')).body.total, 0);
+
+  const mine = await request(app).get('/api/reviews?status=claimed&assigned_to=bob');
+  assert.deepEqual(mine.body.items.map(i => i.txn_id), ['rv_claimed']);
+
+  assert.equal((await request(app).get('/api/reviews?status=lost')).body.field, 'status');
+  assert.equal((await request(app).get('/api/reviews?limit=0')).body.field, 'limit');
+  assert.equal((await request(app).get('/api/reviews/rv_allow')).status, 404);
+});
+
+test('queue: counts past the row cap come from the store; resolved SLA filters say when they are cut', async () => {
+  const backlog = Array.from({ length: 5001 }, (_, idx) => reviewTxn(`bl_${idx}`, 30 + idx / 1000));
+  const resolved = Array.from({ length: 5001 }, (_, idx) => reviewTxn(`done_${idx}`, 30, { review_status: 'resolved', reviewed_at: hoursAgo(1) }));
+
+  setStore(createStore({ backend: 'local', file: null, seed: { atd_transactions: [...backlog, ...resolved] } }));
+  try {
+    const open = await listReviewQueue({ slaStatus: 'breached', limit: 1 });
+    assert.equal(open.total, 5001);
+    assert.equal(open.truncated, false);
+    assert.deepEqual([open.summary.open, open.summary.breached], [5001, 5001]);
+
+    const late = await listReviewQueue({ status: 'resolved', slaStatus: 'breached', limit: 1 });
+    assert.equal(late.truncated, true);
+  } finally {
+    setStore(store);
+  }
+});
+
+// ========================================
+// SECTION 2: Workflow
+// ========================================
+
+test('api: claim, resolve and label a review', async () => {
+  const claim = await request(app).post('/api/reviews/rv_old/claim').send({ analyst: 'alice' });
+  assert.equal(claim.status, 200);
+  assert.equal(claim.body.review.review_status, 'claimed');
+  assert.equal(claim.body.review.assigned_to, 'alice');
+
+  // Claiming again is a no-op for alice and a conflict for anyone else
+  assert.equal((await request(app).post('/api/reviews/rv_old/claim').send({ analyst: 'alice' })).status, 200);
+  const taken = await request(app).post('/api/reviews/rv_old/claim').send({ analyst: 'carol' });
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.code, 'ALREADY_CLAIMED');
+  assert.equal((await request(app).post('/api/reviews/rv_old/resolve').send({ analyst: 'carol', resolution: 'approve' })).status, 409);
+
+  const resolved = await request(app).post('/api/reviews/rv_old/resolve').send({
+    analyst: 'alice',
+    resolution: 'decline',
+    notes: 'Shipping address on a known drop list'
+  });
+  assert.equal(resolved.status, 200);
+  assert.equal(resolved.body.review.review_status, 'resolved');
+  assert.equal(resolved.body.review.sla_status, 'breached');
+  assert.equal(resolved.body.label.outcome, 'confirmed_fraud');
+  assert.equal(resolved.body.label.labeled_by, 'alice');
+
+  // Written back to the transaction; the engine decision is kept
+  const detail = await request(app).get('/api/reviews/rv_old');
+  assert.equal(detail.body.transaction.status, 'block');
+  assert.equal(detail.body.transaction.declined, true);
+  assert.equal(detail.body.transaction.risk_decision, 'review');
+  assert.equal(detail.body.transaction.review_notes, 'Shipping address on a known drop list');
+  assert.deepEqual(detail.body.history.map(e => e.action), ['claimed', 'resolved']);
+
+  const labels = await request(app).get('/api/labels/rv_old');
+  assert.equal(labels.body.current.outcome, 'confirmed_fraud');
+  assert.equal(labels.body.current.source, 'analyst');
+
+  const again = await request(app).post('/api/reviews/rv_old/resolve').send({ analyst: 'alice', resolution: 'approve' });
+  assert.equal(again.body.code, 'ALREADY_RESOLVED');
+
+  const open = await request(app).get('/api/reviews');
+  assert.ok(!open.body.items.some(i => i.txn_id === 'rv_old'));
+  const done = await request(app).get('/api/reviews?status=resolved');
+  assert.deepEqual(done.body.items.map(i => i.txn_id), ['rv_old']);
+});
+
+test('api: reassign hands a review over and a pending review resolves directly', async () => {
+  const reassigned = await request(app).post('/api/reviews/rv_claimed/reassign').send({ analyst: 'dana', assigned_by: 'lead' });
+  assert.equal(reassigned.status, 200);
+  assert.equal(reassigned.body.review.assigned_to, 'dana');
+
+  // bob no longer holds it
+  assert.equal((await request(app).post('/api/reviews/rv_claimed/resolve').send({ analyst: 'bob', resolution: 'approve' })).status, 409);
+  const approved = await request(app).post('/api/reviews/rv_claimed/resolve').send({ analyst: 'dana', resolution: 'approve' });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.label.outcome, 'analyst_cleared');
+
+  const history = await request(app).get('/api/reviews/rv_claimed');
+  assert.equal(history.body.transaction.status, 'allow');
+  assert.deepEqual(history.body.history.map(e => [e.action, e.actor, e.assigned_to]), [
+    ['reassigned', 'lead', 'dana'],
+    ['resolved', 'dana', 'dana']
+  ]);
+
+  const direct = await request(app).post('/api/reviews/rv_new/resolve').send({ analyst: 'erin', resolution: 'approve' });
+  assert.equal(direct.status, 200);
+  assert.equal(direct.body.review.reviewed_by, 'erin');
+  assert.equal((await request(app).post('/api/reviews/rv_new/reassign').send({ analyst: 'frank' })).body.code, 'ALREADY_RESOLVED');
+});
+
+test('claim: a stale claim loses to the one that got there first', async () => {
+  const row = await getReviewTransaction('rv_soon');
+  const first = await claimReview(row, 'gina');
+  assert.equal(first.review_assigned_to, 'gina');
+  assert.equal(await claimReview(row, 'hank'), null);
+
+  const conflict = await request(app).post('/api/reviews/rv_soon/claim').send({ analyst: 'hank' });
+  assert.equal(conflict.body.assigned_to, 'gina');
+});
+
+test('api: invalid resolutions are rejected', async () => {
+  const noAnalyst = await request(app).post('/api/reviews/rv_soon/claim').send({});
+  assert.equal(noAnalyst.status, 400);
+  assert.equal(noAnalyst.body.field, 'analyst');
+
+  const resolution = await request(app).post('/api/reviews/rv_soon/resolve').send({ analyst: 'alice', resolution: 'maybe' });
+  assert.equal(resolution.body.field, 'resolution');
+
+  const notes = await request(app).post('/api/reviews/rv_soon/resolve').send({ analyst: 'alice', resolution: 'approve', notes: 42 });
+  assert.equal(notes.body.field, 'notes');
+
+  assert.equal((await request(app).post('/api/reviews/missing/claim').send({ analyst: 'alice' })).status, 404);
+});
+
+test('api: transactions decided review enter the queue as pending', async () => {
+  const res = await request(app).post('/api/eval').send({ user_id: 'u-queue', agent_id: 'openai', amount: 900, currency: 'USD' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.risk_decision, 'review');
+
+  const queue = await request(app).get('/api/reviews?status=pending');
+  const item = queue.body.items.find(i => i.txn_id === res.body.txn_id);
+  assert.ok(item);
+  assert.equal(item.sla_status, 'on_track');
+});
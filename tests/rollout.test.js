@@ -0,0 +1,162 @@
+// tests/rollout.test.js
+// Unit tests for percentage rollout (canary) of rules
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createStore, setStore } from '../src/lib/store.js';
+import { evaluateTransaction } from '../src/lib/ruleEngine.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { checkRollout, rolloutBucket, validateRollout } from '../src/lib/rollout.js';
+import { createApp } from '../src/index.js';
+import { createMockOpenAI } from './doubles/openai.mock.js';
+
+const canaryBlock = {
+  id: 'canary-block',
+  rule_name: 'canary-block',
+  decision: 'block',
+  priority: 10,
+  rollout_percentage: 50,
+  rollout_key: 'user_id',
+  conditions: [{ field: 'amount', op: '>', value: 1000 }]
+};
+
+const users = Array.from({ length: 2000 }, (_, i) => `user-${i}`);
+const txn = (user_id, amount = 5000) => ({ user_id, agent_id: 'a1', amount, currency: 'USD', timestamp: new Date().toISOString() });
+
+// First user on each side of a rule's rollout
+function pickUsers(rule) {
+  const inside = users.find(u => checkRollout(rule, { user_id: u }).in_rollout);
+  const outside = users.find(u => !checkRollout(rule, { user_id: u }).in_rollout);
+  return { inside, outside };
+}
+
+// ========================================
+// SECTION 1: Bucketing
+// ========================================
+
+test('bucket: deterministic and within [0, 100)', () => {
+  const first = rolloutBucket('rule-1', 'user-7');
+  assert.equal(rolloutBucket('rule-1', 'user-7'), first);
+  assert.ok(first >= 0 && first < 100);
+});
+
+test('bucket: each rule gets its own cohort', () => {
+  const inFor = id => users.filter(u => checkRollout({ id, rollout_percentage: 50 }, { user_id: u }).in_rollout);
+  const ruleOne = new Set(inFor('rule-1'));
+  const overlap = inFor('rule-2').filter(u => ruleOne.has(u)).length;
+
+  assert.ok(overlap > 0 && overlap < ruleOne.size);
+});
+
+test('bucket: enrolled share tracks the percentage', () => {
+  for (const pct of [1, 10, 50]) {
+    const enrolled = users.filter(u => checkRollout({ ...canaryBlock, rollout_percentage: pct }, { user_id: u }).in_rollout);
+    const share = (enrolled.length / users.length) * 100;
+    assert.ok(Math.abs(share - pct) < 3, `${pct}% rollout enrolled ${share.toFixed(1)}%`);
+  }
+});
+
+test('bucket: ramping up never drops enrolled entities', () => {
+  const at = pct => new Set(users.filter(u => checkRollout({ ...canaryBlock, rollout_percentage: pct }, { user_id: u }).in_rollout));
+  const ten = at(10);
+  const fifty = at(50);
+
+  for (const user of ten) assert.ok(fifty.has(user));
+});
+
+test('bucket: edges, missing keys and agent_id hashing', () => {
+  assert.equal(checkRollout({ id: 'r' }, {}).in_rollout, true); // no rollout configured
+  assert.equal(checkRollout({ id: 'r', rollout_percentage: 0 }, { user_id: 'u' }).in_rollout, false);
+  assert.equal(checkRollout({ id: 'r', rollout_percentage: 99 }, { agent_id: 'a' }).in_rollout, false);
+
+  const byAgent = checkRollout({ id: 'r', rollout_percentage: 50, rollout_key: 'agent_id' }, { agent_id: 'a' });
+  assert.equal(byAgent.key, 'agent_id');
+  assert.equal(byAgent.bucket, rolloutBucket('r', 'a'));
+});
+
+test('validate: percentage range and key', () => {
+  assert.equal(validateRollout({ rollout_percentage: 25 }).valid, true);
+  assert.equal(validateRollout({ rollout_percentage: 101 }).field, 'rollout_percentage');
+  assert.equal(validateRollout({ rollout_percentage: '10' }).field, 'rollout_percentage');
+  assert.equal(validateRollout({ rollout_key: 'device' }).field, 'rollout_key');
+});
+
+// ========================================
+// SECTION 2: Evaluation
+// ========================================
+
+test('evaluate: rule decides inside its rollout and is recorded outside it', async () => {
+  setStore(createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: [canaryBlock] } }));
+  await notifyRulesChanged({ reason: 'test' });
+  const { inside, outside } = pickUsers(canaryBlock);
+
+  const enrolled = await evaluateTransaction(txn(inside));
+  assert.equal(enrolled.risk_decision, 'block');
+  assert.equal(enrolled.shadow, undefined);
+
+  const heldBack = await evaluateTransaction(txn(outside));
+  assert.equal(heldBack.risk_decision, 'allow');
+  assert.deepEqual(heldBack.triggered_rule_ids, []);
+  assert.equal(heldBack.shadow.rules[0].reason, 'rollout');
+  assert.equal(heldBack.shadow.rules[0].decision, 'block');
+
+  const explained = await evaluateTransaction(txn(outside), { explain: true });
+  assert.equal(explained.trace.rules[0].rollout.in_rollout, false);
+  assert.equal(explained.trace.rules[0].rollout.percentage, 50);
+});
+
+// ========================================
+// SECTION 3: API
+// ========================================
+
+test('api: ramping the rollout takes effect on the next evaluation', async () => {
+  const rule = { ...canaryBlock, rollout_percentage: 0 };
+  const store = createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: [rule] } });
+  const app = createApp({ store });
+  await notifyRulesChanged({ reason: 'test' });
+
+  const invalid = await request(app).put('/rules/canary-block/rollout').send({ rollout_percentage: 150 });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.field, 'rollout_percentage');
+
+  const missing = await request(app).put('/rules/nope/rollout').send({ rollout_percentage: 10 });
+  assert.equal(missing.status, 404);
+
+  const ramp = await request(app).put('/rules/canary-block/rollout').send({ rollout_percentage: 100, updated_by: 'bob' });
+  assert.equal(ramp.status, 200);
+  assert.equal(ramp.body.rule.rollout_percentage, 100);
+
+  const after = await request(app).post('/api/eval').send(txn('user-1'));
+  assert.equal(after.body.risk_decision, 'block');
+});
+
+test('api: apply with an initial percentage starts an active canary', async () => {
+  const sample = { ...txn('user-1', 2500), txn_id: 't1', fraud_engine_output: { risk_decision: 'allow' } };
+  const store = createStore({ backend: 'local', file: null, seed: { atd_transactions: [sample] } });
+  const app = createApp({ store, llm: createMockOpenAI() });
+
+  const suggestion = await request(app)
+    .post('/api/rules/suggest')
+    .send({ instruction: 'Review transactions over $1000', actor: 'alice@example.com' });
+
+  const applied = await request(app)
+    .post('/api/rules/apply')
+    .send({
+      suggestion_id: suggestion.body.suggestion_id,
+      approver: 'bob@example.com',
+      approval_notes: 'Start small and watch the report',
+      expected_impact: 'Reviews for 1% of users over $1000',
+      acknowledge_impact: true,
+      rollout_percentage: 1,
+      rollout_key: 'agent_id'
+    });
+
+  assert.equal(applied.status, 200);
+  assert.equal(applied.body.lifecycle, 'active');
+  assert.deepEqual(applied.body.rollout, { percentage: 1, key: 'agent_id' });
+
+  const [rule] = store.snapshot().atd_fraud_rules;
+  assert.equal(rule.rollout_percentage, 1);
+  assert.equal(rule.rollout_key, 'agent_id');
+});
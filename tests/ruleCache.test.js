@@ -0,0 +1,107 @@
+// tests/ruleCache.test.js
+// Unit tests for event-driven rule snapshot invalidation
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createStore, setStore } from '../src/lib/store.js';
+import { evaluateTransaction, getRuleSnapshot } from '../src/lib/ruleEngine.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { createApp } from '../src/index.js';
+
+const blockHighValue = {
+  id: 'block-high-value',
+  rule_name: 'block-high-value',
+  decision: 'block',
+  priority: 10,
+  conditions: [{ field: 'amount', op: '>', value: 1000 }]
+};
+
+const txn = () => ({ user_id: 'u1', agent_id: 'a1', amount: 5000, currency: 'USD', timestamp: new Date().toISOString() });
+
+// Fresh local store seeded with rules, loaded into the snapshot
+async function useRules(rules) {
+  const store = setStore(createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: rules } }));
+  await notifyRulesChanged({ reason: 'test' });
+  return store;
+}
+
+// ========================================
+// SECTION 1: Invalidation
+// ========================================
+
+test('cache: writes outside a notification keep the current snapshot', async () => {
+  const store = await useRules([blockHighValue]);
+
+  await store.from('atd_fraud_rules').update({ decision: 'review' }).eq('id', 'block-high-value');
+  assert.equal((await evaluateTransaction(txn())).risk_decision, 'block');
+
+  await notifyRulesChanged({ reason: 'update', rule_id: 'block-high-value' });
+  assert.equal((await evaluateTransaction(txn())).risk_decision, 'review');
+});
+
+test('cache: disabled rules never fire', async () => {
+  await useRules([{ ...blockHighValue, enabled: false }]);
+
+  const result = await evaluateTransaction(txn());
+  assert.equal(result.risk_decision, 'allow');
+  assert.deepEqual(result.triggered_rule_ids, []);
+});
+
+test('cache: demote through the API takes effect on the next evaluation', async () => {
+  const store = createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: [blockHighValue] } });
+  const app = createApp({ store });
+  await notifyRulesChanged({ reason: 'test' });
+
+  const before = await request(app).post('/api/eval').send(txn());
+  assert.equal(before.body.risk_decision, 'block');
+
+  const demote = await request(app).post('/rules/block-high-value/demote');
+  assert.equal(demote.status, 200);
+
+  const after = await request(app).post('/api/eval').send(txn());
+  assert.equal(after.body.risk_decision, 'allow');
+  assert.equal(
+    after.body.fraud_engine_output.ruleset_version,
+    before.body.fraud_engine_output.ruleset_version + 1
+  );
+});
+
+// ========================================
+// SECTION 2: Versioning
+// ========================================
+
+test('version: evaluations are stamped with the snapshot that decided them', async () => {
+  await useRules([blockHighValue]);
+  const snapshot = await getRuleSnapshot();
+
+  const result = await evaluateTransaction(txn());
+  assert.equal(result.ruleset_version, snapshot.version);
+  assert.equal(result.rules_fingerprint, snapshot.fingerprint);
+});
+
+test('version: reloading unchanged rules keeps the version', async () => {
+  await useRules([blockHighValue]);
+  const first = await getRuleSnapshot();
+
+  await notifyRulesChanged({ reason: 'noop' });
+  const second = await getRuleSnapshot();
+
+  assert.equal(second.version, first.version);
+  assert.equal(second.fingerprint, first.fingerprint);
+});
+
+test('version: swaps replace the snapshot without mutating the old one', async () => {
+  const store = await useRules([blockHighValue]);
+  const old = await getRuleSnapshot();
+
+  await store.from('atd_fraud_rules').insert({ ...blockHighValue, id: 'second-rule' });
+  await notifyRulesChanged({ reason: 'create', rule_id: 'second-rule' });
+  const current = await getRuleSnapshot();
+
+  assert.ok(Object.isFrozen(old));
+  assert.equal(old.rules.length, 1);
+  assert.equal(current.rules.length, 2);
+  assert.equal(current.version, old.version + 1);
+  assert.notEqual(current.fingerprint, old.fingerprint);
+});
@@ -0,0 +1,338 @@
+// tests/ruleHealth.test.js
+// Unit tests for stale and dead rule analysis: contradictions, dead, covered and overlapping rules
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createStore, setStore } from '../src/lib/store.js';
+import { findContradictions } from '../src/lib/conditionAnalysis.js';
+import { analyzeRuleHealth, collectRuleMatches, findRedundantRules } from '../src/lib/ruleHealth.js';
+import { runFraudCheckAndPersist } from '../src/lib/fraudEngineWrapper.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { createApp } from '../src/index.js';
+
+const now = Date.now();
+const hoursAgo = hours => new Date(now - hours * 60 * 60 * 1000).toISOString();
+
+const txn = (idx, triggered, extra = {}) => ({
+  txn_id: `health_${idx}`,
+  user_id: 'u1',
+  timestamp: hoursAgo(idx + 1),
+  risk_decision: 'allow',
+  triggered_rule_ids: triggered,
+  fraud_engine_output: { risk_decision: 'allow' },
+  ...extra
+});
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, idx) => from + idx);
+
+// big-review only matches what big-block matches; dup-a/dup-b match the same six;
+// near-a/near-b share 9 of 11; other-set is in another ruleset
+const matchedBy = idx => [
+  ...(idx <= 9 ? ['big-block'] : []),
+  ...(idx <= 5 ? ['big-review', 'other-set'] : []),
+  ...(idx >= 10 && idx <= 15 ? ['dup-a', 'dup-b'] : []),
+  ...(idx >= 20 && idx <= 29 ? ['near-a'] : []),
+  ...(idx >= 21 && idx <= 30 ? ['near-b'] : [])
+];
+
+const transactions = [
+  ...range(0, 30).map(idx => txn(idx, matchedBy(idx))),
+  txn(31, [], { fraud_engine_output: { risk_decision: 'allow', shadow: { rules: [{ rule_id: 'shadow-rule', matched: true }, { rule_id: 'dead-old', matched: false }] } } }),
+  // Outside the window
+  { ...txn(32, ['dead-old']), timestamp: hoursAgo(40 * 24) }
+];
+
+const rule = (id, decision, extra = {}) => ({
+  id,
+  rule_name: id,
+  decision,
+  enabled: true,
+  conditions: [{ field: 'amount', op: '>', value: 1000 }],
+  created_at: hoursAgo(60 * 24),
+  ...extra
+});
+
+const store = createStore({
+  backend: 'local',
+  file: null,
+  seed: {
+    atd_fraud_rules: [
+      rule('big-block', 'block'),
+      rule('big-review', 'review'),
+      rule('other-set', 'review', { ruleset: 'eu' }),
+      rule('dup-a', 'review'),
+      rule('dup-b', 'review'),
+      rule('near-a', 'review'),
+      rule('near-b', 'review'),
+      rule('dead-old', 'block'),
+      rule('dead-new', 'block', { created_at: hoursAgo(2 * 24) }),
+      rule('impossible', 'block', {
+        conditions: [{ field: 'amount', op: '>', value: 1000 }, { field: 'amount', op: '<', value: 500 }]
+      }),
+      rule('disabled', 'block', { enabled: false }),
+      rule('shadow-rule', 'block', { lifecycle: 'shadow' })
+    ],
+    atd_transactions: transactions
+  }
+});
+const app = createApp({ store });
+
+// Keep request logs out of the runner's stdout channel
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+// ========================================
+// SECTION 1: Contradictions
+// ========================================
+
+test('contradictions: numeric ranges, equality, lists and presence', () => {
+  const [bounds] = findContradictions([
+    { field: 'amount', op: '>', value: 1000 },
+    { field: 'amount', op: '<', value: 500 }
+  ]);
+  assert.equal(bounds.field, 'amount');
+  assert.equal(bounds.reason, 'amount > 1000 and amount < 500 cannot both hold');
+  assert.equal(bounds.conditions.length, 2);
+
+  assert.equal(findContradictions([{ field: 'amount', op: '>=', value: 10 }, { field: 'amount', op: '<=', value: 10 }]).length, 0);
+  assert.equal(findContradictions([{ field: 'amount', op: '>', value: 10 }, { field: 'amount', op: '<=', value: 10 }]).length, 1);
+
+  assert.equal(findContradictions([{ field: 'currency', op: '==', value: 'USD' }, { field: 'currency', op: '==', value: 'EUR' }]).length, 1);
+  assert.equal(findContradictions([{ field: 'currency', op: '==', value: 'USD' }, { field: 'currency', op: '!=', value: 'USD' }]).length, 1);
+  assert.equal(findContradictions([{ field: 'currency', op: 'in', value: ['USD', 'EUR'] }, { field: 'currency', op: 'not_in', value: ['USD', 'EUR'] }]).length, 1);
+  assert.equal(findContradictions([{ field: 'currency', op: 'in', value: ['USD'] }, { field: 'currency', op: 'in', value: ['EUR'] }]).length, 1);
+  assert.equal(findContradictions([{ field: 'agent_id', op: 'is_null' }, { field: 'agent_id', op: 'is_not_null' }]).length, 1);
+
+  // Conditions on different fields never contradict
+  assert.deepEqual(findContradictions([{ field: 'amount', op: '>', value: 1000 }, { field: 'risk_score', op: '<', value: 500 }]), []);
+});
+
+test('contradictions: groups, named lists and value expressions', () => {
+  // Nested all groups fold into the enclosing conjunction
+  assert.equal(findContradictions([
+    { field: 'amount', op: '>', value: 1000 },
+    { all: [{ field: 'amount', op: '<', value: 100 }] }
+  ]).length, 1);
+
+  // An any group contradicts only when every alternative does
+  const [anyGroup] = findContradictions([
+    { field: 'amount', op: '>', value: 1000 },
+    { any: [{ field: 'amount', op: '<', value: 100 }, { field: 'amount', op: '==', value: 5 }] }
+  ]);
+  assert.equal(anyGroup.field, null);
+  assert.equal(anyGroup.alternatives.length, 2);
+  assert.deepEqual(findContradictions([
+    { field: 'amount', op: '>', value: 1000 },
+    { any: [{ field: 'amount', op: '<', value: 100 }, { field: 'amount', op: '>', value: 5000 }] }
+  ]), []);
+
+  // not groups, named lists and value expressions are not analyzed
+  assert.deepEqual(findContradictions([
+    { field: 'amount', op: '>', value: 1000 },
+    { not: { field: 'amount', op: '>', value: 10 } }
+  ]), []);
+  assert.deepEqual(findContradictions([
+    { field: 'seller_name', op: 'in', value: 'risky_sellers' },
+    { field: 'seller_name', op: '==', value: 'Acme' }
+  ]), []);
+  assert.deepEqual(findContradictions([
+    { field: 'amount', op: '>', value: { field: 'avg_amount' } },
+    { field: 'amount', op: '<', value: 5 }
+  ]), []);
+  assert.deepEqual(findContradictions(undefined), []);
+});
+
+// ========================================
+// SECTION 2: Match sets
+// ========================================
+
+test('redundancy: covered by a stronger rule, duplicates and overlaps', () => {
+  const rules = ['big-block', 'big-review', 'dup-a', 'dup-b', 'near-a', 'near-b']
+    .map(id => rule(id, id === 'big-block' ? 'block' : 'review'));
+  const { covered, overlapping } = findRedundantRules(rules, collectRuleMatches(transactions.slice(0, 31)));
+
+  assert.deepEqual(covered.map(f => [f.rule_id, f.covered_by.rule_id, f.suggested_action]), [
+    ['big-review', 'big-block', 'demote'],
+    ['dup-b', 'dup-a', 'merge']
+  ]);
+  assert.equal(covered[0].jaccard_score, 0.6);
+  assert.deepEqual(overlapping.map(f => [f.rule_id, f.overlaps_with.rule_id, f.jaccard_score]), [['near-a', 'near-b', 0.8182]]);
+
+  // A weaker rule never covers a stronger one
+  const weaker = findRedundantRules(
+    [rule('big-block', 'review'), rule('big-review', 'block')],
+    collectRuleMatches(transactions.slice(0, 31))
+  );
+  assert.deepEqual(weaker.covered, []);
+});
+
+test('matches: matched_rule_ids counts rules matched behind the deciding rule', () => {
+  const matches = collectRuleMatches([
+    txn(0, ['big-block'], { fraud_engine_output: { decision_strategy: 'first_match', matched_rule_ids: ['big-block', 'big-review'] } }),
+    txn(1, ['big-block'], { fraud_engine_output: { decision_strategy: 'first_match' } })
+  ]);
+
+  assert.deepEqual([...matches.get('big-block')], ['health_0', 'health_1']);
+  assert.deepEqual([...matches.get('big-review')], ['health_0']);
+});
+
+test('redundancy: covered rules are only demoted under worst_case, and never allow rules', () => {
+  const rules = [rule('big-block', 'block'), rule('big-review', 'review'), rule('big-allow', 'allow')];
+  const matches = collectRuleMatches(range(0, 9).map(idx => txn(idx, [
+    'big-block',
+    ...(idx <= 5 ? ['big-review'] : []),
+    ...(idx <= 4 ? ['big-allow'] : [])
+  ])));
+  const coveredUnder = strategy => findRedundantRules(rules, matches, new Map([['default', strategy]]))
+    .covered.map(f => [f.rule_id, f.covered_by.rule_id, f.suggested_action]);
+
+  assert.deepEqual(coveredUnder('worst_case'), [['big-review', 'big-block', 'demote']]);
+  assert.deepEqual(coveredUnder(undefined), [['big-review', 'big-block', 'demote']]);
+  assert.deepEqual(coveredUnder('first_match'), []);
+  assert.deepEqual(coveredUnder('allowlist_overrides'), []);
+});
+
+// ========================================
+// SECTION 3: API
+// ========================================
+
+test('api: dead, covered, overlapping and unsatisfiable rules', async () => {
+  const res = await request(app).get('/rules/health?days=30');
+  assert.equal(res.status, 200);
+
+  const report = res.body;
+  assert.equal(report.transactions, 32);
+  assert.equal(report.rules_analyzed, 11);
+
+  assert.deepEqual(report.dead.map(f => [f.rule_id, f.suggested_action]), [
+    ['dead-old', 'demote'],
+    ['dead-new', 'monitor'],
+    ['impossible', 'demote']
+  ]);
+  assert.deepEqual(report.covered.map(f => [f.rule_id, f.covered_by.rule_id, f.suggested_action]), [
+    ['big-review', 'big-block', 'demote'],
+    ['dup-b', 'dup-a', 'merge']
+  ]);
+  assert.deepEqual(report.overlapping.map(f => f.rule_id), ['near-a']);
+  assert.deepEqual(report.unsatisfiable.map(f => f.rule_id), ['impossible']);
+  assert.match(report.unsatisfiable[0].reason, /amount > 1000 and amount < 500/);
+
+  assert.deepEqual(report.summary, { dead: 3, covered: 2, overlapping: 1, unsatisfiable: 1, suggested_demotions: 3 });
+  assert.equal(report.truncated, false);
+});
+
+test('api: invalid window', async () => {
+  for (const days of ['0', '91', 'abc', '1.5']) {
+    const res = await request(app).get(`/rules/health?days=${days}`);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_INPUT');
+    assert.equal(res.body.field, 'days');
+  }
+});
+
+// ========================================
+// SECTION 4: Short-circuit strategies
+// ========================================
+
+const window30d = () => ({ since: new Date(now - 30 * 24 * 60 * 60 * 1000), until: new Date() });
+
+test('first_match: rules matched behind the deciding rule are not reported dead', async () => {
+  const firstMatch = createStore({
+    backend: 'local',
+    file: null,
+    seed: {
+      atd_rulesets: [{ name: 'default', decision_strategy: 'first_match' }],
+      atd_fraud_rules: [rule('big-block', 'block', { priority: 10 }), rule('big-review', 'review', { priority: 20 })]
+    }
+  });
+
+  setStore(firstMatch);
+  try {
+    await notifyRulesChanged({ reason: 'test' });
+    for (const idx of range(1, 5)) {
+      await runFraudCheckAndPersist({ txn_id: `first_${idx}`, user_id: 'u1', agent_id: 'a1', amount: 5000, currency: 'USD', timestamp: hoursAgo(idx) });
+    }
+
+    const { data: row } = await firstMatch.from('atd_transactions').select('*').eq('txn_id', 'first_1').maybeSingle();
+    assert.deepEqual(row.triggered_rule_ids, ['big-block']);
+    assert.deepEqual(row.fraud_engine_output.matched_rule_ids, ['big-block', 'big-review']);
+
+    const report = await analyzeRuleHealth(window30d());
+    assert.equal(report.incomplete_transactions, 0);
+    assert.deepEqual(report.dead, []);
+    // big-review matched every time but big-block decided; under first_match that is not a demotion
+    assert.deepEqual(report.covered, []);
+  } finally {
+    setStore(store);
+  }
+});
+
+test('first_match: rows without matched_rule_ids hold demotions back to monitor', async () => {
+  const legacy = createStore({
+    backend: 'local',
+    file: null,
+    seed: {
+      atd_fraud_rules: [rule('big-block', 'block'), rule('big-review', 'review')],
+      atd_transactions: range(0, 5).map(idx => txn(idx, ['big-block'], {
+        fraud_engine_output: { risk_decision: 'block', decision_strategy: 'first_match' }
+      }))
+    }
+  });
+
+  setStore(legacy);
+  try {
+    const report = await analyzeRuleHealth(window30d());
+    assert.equal(report.incomplete_transactions, 6);
+    assert.deepEqual(report.dead.map(f => [f.rule_id, f.suggested_action]), [['big-review', 'monitor']]);
+    assert.match(report.dead[0].reason, /6 transactions only record the deciding rule/);
+    assert.equal(report.summary.suggested_demotions, 0);
+  } finally {
+    setStore(store);
+  }
+});
+
+test('unsatisfiable: rules matching on missing data are monitored, not demoted', async () => {
+  const conditions = [{ field: 'amount', op: '>', value: 1000 }, { field: 'amount', op: '<', value: 500 }];
+  const onMissing = createStore({
+    backend: 'local',
+    file: null,
+    seed: {
+      atd_fraud_rules: [rule('missing-amount', 'review', { conditions, on_missing: 'review' })],
+      atd_transactions: [txn(0, ['missing-amount'])]
+    }
+  });
+
+  setStore(onMissing);
+  try {
+    const report = await analyzeRuleHealth(window30d());
+    assert.deepEqual(report.unsatisfiable.map(f => [f.rule_id, f.suggested_action]), [['missing-amount', 'monitor']]);
+    assert.match(report.unsatisfiable[0].reason, /matches only through on_missing 'review'/);
+    assert.equal(report.summary.suggested_demotions, 0);
+  } finally {
+    setStore(store);
+  }
+});
+
+test('allowlist_overrides: an allow rule covered by a block rule is not demoted', async () => {
+  const allowlist = createStore({
+    backend: 'local',
+    file: null,
+    seed: {
+      atd_rulesets: [{ name: 'default', decision_strategy: 'allowlist_overrides' }],
+      atd_fraud_rules: [rule('big-block', 'block'), rule('trusted-allow', 'allow', { conditions: [{ field: 'amount', op: '>', value: 4000 }] })]
+    }
+  });
+
+  setStore(allowlist);
+  try {
+    await notifyRulesChanged({ reason: 'test' });
+    for (const idx of range(1, 5)) {
+      await runFraudCheckAndPersist({ txn_id: `allowlist_${idx}`, user_id: 'u1', agent_id: 'a1', amount: 5000, currency: 'USD', timestamp: hoursAgo(idx) });
+    }
+
+    const report = await analyzeRuleHealth(window30d());
+    assert.equal(report.summary.covered, 0);
+    assert.equal(report.summary.suggested_demotions, 0);
+  } finally {
+    setStore(store);
+  }
+});
@@ -0,0 +1,231 @@
+// tests/ruleLinter.test.js
+// Unit tests for the static rule linter: unsatisfiable, always-true, duplicate and redundant conditions
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createStore } from '../src/lib/store.js';
+import { lintRule, hasLintErrors } from '../src/lib/ruleLinter.js';
+import { createApp } from '../src/index.js';
+import { createMockOpenAI } from './doubles/openai.mock.js';
+
+const lint = (...conditions) => lintRule({ conditions }).map(f => [f.type, f.path]);
+
+const llmRule = (ruleset_name, conditions) => ({
+  function_call: {
+    name: 'generate_fraud_rule',
+    arguments: JSON.stringify({ ruleset_name, description: 'Rule generated for linter tests', decision: 'review', conditions })
+  },
+  finish_reason: 'function_call'
+});
+
+const sample = {
+  txn_id: 't1',
+  user_id: 'u1',
+  agent_id: 'openai',
+  amount: 2500,
+  currency: 'USD',
+  timestamp: new Date().toISOString(),
+  fraud_engine_output: { risk_decision: 'allow' }
+};
+const store = createStore({ backend: 'local', file: null, seed: { atd_transactions: [sample] } });
+const app = createApp({
+  store,
+  llm: createMockOpenAI({
+    responsesMap: {
+      'impossible amounts': llmRule('impossible-amounts', [
+        { field: 'amount', op: '>', value: 5000 },
+        { field: 'amount', op: '<', value: 100 }
+      ]),
+      'any hour': llmRule('any-hour-big-amount', [
+        { field: 'hour', op: '>=', value: 0 },
+        { field: 'amount', op: '>', value: 1000 }
+      ])
+    }
+  })
+});
+
+// Keep request logs out of the runner's stdout channel
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+// ========================================
+// SECTION 1: Findings
+// ========================================
+
+test('lint: unsatisfiable conjunctions are errors', () => {
+  const [finding] = lintRule({ conditions: [
+    { field: 'amount', op: '>', value: 5000 },
+    { field: 'amount', op: '<', value: 100 }
+  ] });
+  assert.equal(finding.type, 'unsatisfiable');
+  assert.equal(finding.severity, 'error');
+  assert.equal(finding.path, 'conditions[1]');
+  assert.deepEqual(finding.related_paths, ['conditions[0]']);
+  assert.match(finding.message, /amount > 5000 and amount < 100 cannot both hold/);
+
+  // Integer and enum domains from the catalog
+  assert.deepEqual(lint({ field: 'hour', op: '>', value: 23 }), [['unsatisfiable', 'conditions[0]']]);
+  assert.deepEqual(lint({ field: 'hour', op: '>', value: 10 }, { field: 'hour', op: '<', value: 11 }), [['unsatisfiable', 'conditions[1]']]);
+  assert.deepEqual(lint(
+    { field: 'device', op: 'in', value: ['web', 'mobile'] },
+    { field: 'device', op: 'not_in', value: ['web', 'mobile'] }
+  ), [['unsatisfiable', 'conditions[1]']]);
+
+  assert.equal(hasLintErrors(lintRule({ conditions: [{ field: 'hour', op: '>', value: 23 }] })), true);
+  assert.equal(hasLintErrors(lintRule({ conditions: [{ field: 'hour', op: '>=', value: 0 }] })), false);
+});
+
+test('lint: contradictions are warnings when on_missing matches unknown conditions', () => {
+  const conditions = [
+    { field: 'amount', op: '>', value: 5000 },
+    { field: 'amount', op: '<', value: 100 }
+  ];
+
+  for (const on_missing of ['pass', 'review']) {
+    const findings = lintRule({ conditions, on_missing });
+    assert.deepEqual(findings.map(f => [f.type, f.severity]), [['unsatisfiable', 'warning']]);
+    assert.match(findings[0].suggestion, new RegExp(`on_missing '${on_missing}'`));
+    assert.equal(hasLintErrors(findings), false);
+  }
+  assert.equal(hasLintErrors(lintRule({ conditions, on_missing: 'fail' })), true);
+});
+
+test('lint: always-true conditions', () => {
+  assert.deepEqual(lint({ field: 'hour', op: '>=', value: 0 }), [['always_true', 'conditions[0]']]);
+  assert.deepEqual(lint({ field: 'device', op: 'in', value: ['web', 'mobile', 'tablet'] }), [['always_true', 'conditions[0]']]);
+  assert.deepEqual(lint({ field: 'flagged', op: 'in', value: [true, false] }), [['always_true', 'conditions[0]']]);
+  assert.deepEqual(lint({ field: 'amount', op: '>=', value: 0 }), [['always_true', 'conditions[0]']]);
+
+  // Nullable fields are only always true when present
+  const [nullable] = lintRule({ conditions: [{ field: 'risk_score', op: '<=', value: 100 }] });
+  assert.match(nullable.message, /whenever risk_score is present/);
+
+  assert.deepEqual(lint({ field: 'hour', op: '>=', value: 1 }), []);
+  assert.deepEqual(lint({ field: 'seller_name', op: '!=', value: 'Acme' }), []);
+});
+
+test('lint: always-true conditions in any and not groups', () => {
+  const hourAny = { field: 'hour', op: '>=', value: 0 };
+
+  // Dropping the alternative would narrow the rule: the group is reported
+  const [anyGroup] = lintRule({ conditions: [
+    { field: 'amount', op: '>', value: 100 },
+    { any: [{ field: 'device', op: '==', value: 'web' }, hourAny] }
+  ] });
+  assert.equal(anyGroup.type, 'always_true');
+  assert.equal(anyGroup.path, 'conditions[1]');
+  assert.deepEqual(anyGroup.related_paths, ['conditions[1].any[1]']);
+  assert.match(anyGroup.message, /The any group is always true, as hour >= 0 is always true/);
+  assert.doesNotMatch(anyGroup.suggestion, /^Remove the condition/);
+
+  // Under a not in the conjunction the rule never matches
+  const [negated] = lintRule({ conditions: [
+    { field: 'amount', op: '>', value: 100 },
+    { all: [{ not: hourAny }] }
+  ] });
+  assert.deepEqual([negated.type, negated.severity, negated.path, negated.related_paths], ['unsatisfiable', 'error', 'conditions[1].all[0]', ['conditions[1].all[0].not']]);
+  assert.equal(hasLintErrors([negated]), true);
+  assert.equal(lintRule({ conditions: [{ not: hourAny }], on_missing: 'pass' })[0].severity, 'warning');
+
+  // A not that is only one alternative never holds, but the rule still can
+  const [alternative] = lintRule({ conditions: [{ any: [{ field: 'device', op: '==', value: 'web' }, { not: hourAny }] }] });
+  assert.deepEqual([alternative.type, alternative.severity, alternative.path], ['always_true', 'warning', 'conditions[0].any[1]']);
+  assert.match(alternative.message, /The not group never holds/);
+
+  // Conditions in nested all groups are still removable
+  assert.deepEqual(lint({ any: [{ all: [hourAny, { field: 'device', op: '==', value: 'web' }] }, { field: 'amount', op: '>', value: 100 }] }), [['always_true', 'conditions[0].any[0].all[0]']]);
+});
+
+test('lint: duplicate and redundant conditions', () => {
+  assert.deepEqual(lint(
+    { field: 'amount', op: '>', value: 100 },
+    { field: 'amount', op: '>', value: 500 },
+    { field: 'amount', op: '>', value: 500 }
+  ), [['redundant_condition', 'conditions[0]'], ['duplicate_condition', 'conditions[2]']]);
+
+  // Equivalent on an integer field: the later condition is reported
+  assert.deepEqual(lint({ field: 'hour', op: '>', value: 3 }, { field: 'hour', op: '>=', value: 4 }), [['redundant_condition', 'conditions[1]']]);
+
+  // Nested all groups are part of the conjunction
+  assert.deepEqual(lint(
+    { field: 'device', op: '==', value: 'web' },
+    { all: [{ field: 'device', op: 'in', value: ['web', 'mobile'] }] }
+  ), [['redundant_condition', 'conditions[1].all[0]']]);
+
+  // An any alternative covered by another alternative
+  const [covered] = lintRule({ conditions: [{ any: [
+    { field: 'amount', op: '>', value: 500 },
+    { field: 'amount', op: '>', value: 100 }
+  ] }] });
+  assert.equal(covered.type, 'redundant_condition');
+  assert.equal(covered.path, 'conditions[0].any[0]');
+  assert.match(covered.message, /covered by the alternative amount > 100/);
+
+  // Conditions on different fields, alternatives in different groups, and ranges that only overlap
+  assert.deepEqual(lint({ field: 'amount', op: '>', value: 100 }, { field: 'amount_usd', op: '>', value: 500 }), []);
+  assert.deepEqual(lint({ field: 'amount', op: '>', value: 100 }, { any: [{ field: 'amount', op: '>', value: 500 }, { field: 'hour', op: '<', value: 6 }] }), []);
+  assert.deepEqual(lint({ field: 'amount', op: '>', value: 100 }, { field: 'amount', op: '<', value: 500 }), []);
+});
+
+test('lint: expressions, named lists and string operators are skipped', () => {
+  assert.deepEqual(lint(
+    { field: 'amount', op: '>', value: { mul: [3, { field: 'user_amount_median_24h' }] } },
+    { field: 'amount', op: '>', value: { mul: [3, { field: 'user_amount_median_24h' }] } }
+  ), []);
+  assert.deepEqual(lint({ field: 'seller_name', op: 'in_list', value: 'risky_sellers' }), []);
+  assert.deepEqual(lint({ field: 'seller_name', op: 'contains', value: 'a' }, { field: 'seller_name', op: 'contains', value: 'a' }), []);
+});
+
+// ========================================
+// SECTION 2: API
+// ========================================
+
+test('api: dry-run reports lint findings without blocking', async () => {
+  const res = await request(app)
+    .post('/api/rules/dryrun')
+    .send({
+      include_overlap: false,
+      rule: {
+        ruleset_name: 'lint-dryrun',
+        description: 'Review big amounts at any hour',
+        decision: 'review',
+        conditions: [{ field: 'hour', op: '>=', value: 0 }, { field: 'amount', op: '>', value: 1000 }]
+      }
+    });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.validation.valid, true);
+  assert.deepEqual(res.body.validation.lint.map(f => [f.type, f.path]), [['always_true', 'conditions[0]']]);
+});
+
+test('api: suggest stores lint findings and apply refuses unsatisfiable rules', async () => {
+  const impossible = await request(app)
+    .post('/api/rules/suggest')
+    .send({ instruction: 'Review impossible amounts for testing', actor: 'alice@example.com' });
+
+  assert.equal(impossible.status, 200);
+  assert.equal(impossible.body.status, 'blocked');
+  assert.equal(impossible.body.validation.lint[0].type, 'unsatisfiable');
+  const stored = store.snapshot().atd_rule_suggestions.find(s => s.id === impossible.body.suggestion_id);
+  assert.equal(stored.lint_issues[0].type, 'unsatisfiable');
+
+  const applyBody = {
+    approver: 'bob@example.com',
+    approval_notes: 'Reviewed impact offline',
+    expected_impact: 'Reviews for big amounts',
+    acknowledge_impact: true
+  };
+  const refused = await request(app).post('/api/rules/apply').send({ ...applyBody, suggestion_id: impossible.body.suggestion_id });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.code, 'LINT_ERRORS');
+  assert.equal(store.snapshot().atd_fraud_rules.length, 0);
+
+  const warned = await request(app)
+    .post('/api/rules/suggest')
+    .send({ instruction: 'Review big amounts at any hour of the day', actor: 'alice@example.com' });
+  assert.equal(warned.body.status, 'has_warnings');
+
+  const applied = await request(app).post('/api/rules/apply').send({ ...applyBody, suggestion_id: warned.body.suggestion_id });
+  assert.equal(applied.status, 200);
+  assert.deepEqual(applied.body.lint.map(f => f.type), ['always_true']);
+});
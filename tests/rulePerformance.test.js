@@ -0,0 +1,197 @@
+// tests/rulePerformance.test.js
+// Unit tests for per-rule performance: buckets, decision contribution, outcomes, trend, spikes
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createStore, setStore } from '../src/lib/store.js';
+import { buildRulePerformance, computeTrend, findSpikes } from '../src/lib/rulePerformance.js';
+import { runFraudCheckAndPersist } from '../src/lib/fraudEngineWrapper.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { createApp } from '../src/index.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const base = Date.UTC(2026, 9, 1);
+const at = ms => new Date(base + ms).toISOString();
+
+// Four days of ten transactions; big-review triggers on 1, 1, 4 and 4 of them. On day 2 the
+// first trigger predates deciding_rule_id, on day 3 the first trigger was decided by other-rule.
+const triggersPerDay = [1, 1, 4, 4];
+const transactions = triggersPerDay.flatMap((count, day) => Array.from({ length: 10 }, (_, idx) => {
+  const txn_id = `perf_${day}_${idx}`;
+  const timestamp = at(day * DAY + idx * HOUR);
+
+  if (idx >= count) {
+    return { txn_id, user_id: 'u1', timestamp, risk_decision: 'allow', triggered_rule_ids: [], fraud_engine_output: { risk_decision: 'allow', deciding_rule_id: null } };
+  }
+  if (day === 3 && idx === 0) {
+    return { txn_id, user_id: 'u1', timestamp, risk_decision: 'block', triggered_rule_ids: ['big-review', 'other-rule'], fraud_engine_output: { risk_decision: 'block', deciding_rule_id: 'other-rule' } };
+  }
+  if (day === 2 && idx === 0) {
+    return { txn_id, user_id: 'u1', timestamp, risk_decision: 'review', triggered_rule_ids: ['big-review'], fraud_engine_output: { risk_decision: 'review' } };
+  }
+  return { txn_id, user_id: 'u1', timestamp, risk_decision: 'review', triggered_rule_ids: ['big-review'], fraud_engine_output: { risk_decision: 'review', deciding_rule_id: 'big-review' } };
+}));
+
+transactions[1].fraud_engine_output.shadow = { rules: [{ rule_id: 'shadow-rule', matched: true }] };
+
+const label = (txn_id, outcome, is_fraud) => ({ txn_id, outcome, is_fraud, source: 'analyst', labeled_at: at(5 * DAY) });
+
+const store = createStore({
+  backend: 'local',
+  file: null,
+  seed: {
+    atd_fraud_rules: [
+      { id: 'big-review', rule_name: 'big-review', decision: 'review', conditions: [{ field: 'amount', op: '>', value: 500 }] },
+      { id: 'other-rule', rule_name: 'other-rule', decision: 'block', conditions: [{ field: 'amount', op: '>', value: 5000 }] },
+      { id: 'shadow-rule', rule_name: 'shadow-rule', decision: 'block', lifecycle: 'shadow', conditions: [{ field: 'amount', op: '>', value: 1 }] }
+    ],
+    atd_transactions: transactions,
+    atd_transaction_labels: [
+      label('perf_3_0', 'chargeback', true),
+      label('perf_2_1', 'chargeback', true),
+      label('perf_2_2', 'analyst_cleared', false),
+      label('perf_0_5', 'chargeback', true)
+    ],
+    atd_rule_versions: [
+      { rule_id: 'big-review', version: 1, change_type: 'created', created_by: 'alice', created_at: at(-10 * DAY) },
+      { rule_id: 'big-review', version: 2, change_type: 'updated', created_by: 'bob', created_at: at(2 * DAY + HOUR) }
+    ]
+  }
+});
+const app = createApp({ store });
+
+// Keep request logs out of the runner's stdout channel
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+const range = `since=${at(0)}&until=${at(4 * DAY - 1)}`;
+
+// ========================================
+// SECTION 1: Trend and spikes
+// ========================================
+
+test('trend: recent half of the window against the earlier half', () => {
+  const bucket = (evaluated, triggered) => ({ evaluated, triggered });
+
+  assert.deepEqual(computeTrend([bucket(10, 1), bucket(10, 1), bucket(10, 4), bucket(10, 4)]), {
+    previous_rate: 10,
+    recent_rate: 40,
+    change_pct: 300,
+    direction: 'up'
+  });
+  assert.equal(computeTrend([bucket(10, 4), bucket(10, 4), bucket(10, 2), bucket(10, 2)]).direction, 'down');
+  assert.equal(computeTrend([bucket(10, 4), bucket(10, 4), bucket(10, 4), bucket(10, 5)]).direction, 'flat');
+
+  // Too few triggers to call a trend
+  const sparse = computeTrend([bucket(10, 0), bucket(10, 0), bucket(10, 1), bucket(10, 1)]);
+  assert.deepEqual([sparse.direction, sparse.change_pct], ['flat', null]);
+});
+
+test('spikes: buckets far above the window mean', () => {
+  const buckets = Array.from({ length: 20 }, (_, idx) => ({
+    start: at(idx * HOUR),
+    evaluated: 100,
+    triggered: idx === 12 ? 30 : 1,
+    trigger_rate: idx === 12 ? 30 : 1
+  }));
+
+  assert.deepEqual(findSpikes(buckets), [{ start: at(12 * HOUR), triggered: 30, trigger_rate: 30 }]);
+  assert.deepEqual(findSpikes(buckets.slice(0, 12)), []);
+});
+
+// ========================================
+// SECTION 2: API
+// ========================================
+
+test('api: buckets, contribution, decisions, outcomes and changes of a rule', async () => {
+  const res = await request(app).get(`/api/rules/big-review/performance?${range}`);
+  assert.equal(res.status, 200);
+
+  const perf = res.body;
+  assert.equal(perf.rule.name, 'big-review');
+  assert.equal(perf.window.bucket, 'day');
+  assert.deepEqual(perf.totals, { evaluated: 40, triggered: 10, trigger_rate: 25 });
+
+  assert.deepEqual(perf.buckets.map(b => [b.evaluated, b.triggered, b.deciding]), [[10, 1, 1], [10, 1, 1], [10, 4, 3], [10, 4, 3]]);
+  assert.equal(perf.buckets[0].start, at(0));
+
+  assert.deepEqual(perf.contribution, {
+    triggered: 10,
+    deciding: 8,
+    redundant: 1,
+    unattributed: 1,
+    sole_trigger: 9,
+    shadow_matched: 0,
+    deciding_rate: 88.89,
+    redundant_rate: 11.11
+  });
+  assert.deepEqual(perf.decisions, { allow: 0, review: 9, block: 1 });
+
+  assert.equal(perf.outcomes.labeled, 3);
+  assert.deepEqual(perf.outcomes.by_outcome, { chargeback: 2, analyst_cleared: 1 });
+  assert.equal(perf.outcomes.precision, 66.67);
+  assert.equal(perf.outcomes.recall, 66.67);
+
+  assert.equal(perf.trend.direction, 'up');
+  assert.deepEqual(perf.spikes, []);
+  assert.deepEqual(perf.changes.map(c => [c.version, c.change_type, c.changed_by]), [[2, 'updated', 'bob']]);
+  assert.equal(perf.truncated, false);
+});
+
+test('api: shadow matches, hourly buckets and invalid requests', async () => {
+  const shadow = await request(app).get(`/api/rules/shadow-rule/performance?${range}`);
+  assert.equal(shadow.body.contribution.shadow_matched, 1);
+  assert.equal(shadow.body.contribution.triggered, 0);
+  assert.equal(shadow.body.rule.lifecycle, 'shadow');
+
+  const hourly = await request(app).get(`/api/rules/big-review/performance?since=${at(0)}&until=${at(DAY - 1)}`);
+  assert.equal(hourly.body.window.bucket, 'hour');
+  assert.equal(hourly.body.buckets.length, 24);
+  assert.equal(hourly.body.buckets[0].triggered, 1);
+
+  assert.equal((await request(app).get('/api/rules/nope/performance')).status, 404);
+
+  const bucket = await request(app).get('/api/rules/big-review/performance?bucket=week');
+  assert.equal(bucket.status, 400);
+  assert.equal(bucket.body.field, 'bucket');
+
+  const tooMany = await request(app).get('/api/rules/big-review/performance?hours=720&bucket=hour');
+  assert.equal(tooMany.status, 400);
+
+  assert.equal((await request(app).get('/api/rules/big-review/performance?hours=-1')).status, 400);
+});
+
+// ========================================
+// SECTION 3: Short-circuit strategies
+// ========================================
+
+test('first_match: matches behind the deciding rule count as redundant', async () => {
+  const otherRule = { id: 'other-rule', rule_name: 'other-rule', decision: 'block', priority: 10, conditions: [{ field: 'amount', op: '>', value: 5000 }] };
+  const bigReview = { id: 'big-review', rule_name: 'big-review', decision: 'review', priority: 20, conditions: [{ field: 'amount', op: '>', value: 500 }] };
+  const firstMatch = createStore({
+    backend: 'local',
+    file: null,
+    seed: { atd_rulesets: [{ name: 'default', decision_strategy: 'first_match' }], atd_fraud_rules: [otherRule, bigReview] }
+  });
+  const now = Date.now();
+
+  setStore(firstMatch);
+  try {
+    await notifyRulesChanged({ reason: 'test' });
+    for (const [idx, amount] of [6000, 6000, 6000, 1000].entries()) {
+      await runFraudCheckAndPersist({ txn_id: `first_${idx}`, user_id: 'u1', agent_id: 'a1', amount, currency: 'USD', timestamp: new Date(now - (idx + 1) * 60 * 1000).toISOString() });
+    }
+
+    const perf = await buildRulePerformance(bigReview, { since: new Date(now - HOUR), until: new Date(now), bucket: 'hour' });
+    assert.equal(perf.incomplete_transactions, 0);
+    assert.deepEqual(
+      [perf.contribution.triggered, perf.contribution.deciding, perf.contribution.redundant, perf.contribution.sole_trigger],
+      [4, 1, 3, 1]
+    );
+    assert.equal(perf.contribution.deciding_rate, 25);
+    assert.deepEqual(perf.decisions, { allow: 0, review: 1, block: 3 });
+  } finally {
+    setStore(store);
+  }
+});
@@ -0,0 +1,283 @@
+// tests/ruleVersions.test.js
+// Unit tests for rule version history, version diffs and two-person rollback
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createStore } from '../src/lib/store.js';
+import { diffRuleVersions, hashRule } from '../src/lib/ruleVersions.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { createApp } from '../src/index.js';
+
+const highValue = {
+  id: 'high-value',
+  rule_name: 'high-value',
+  decision: 'review',
+  category: 'amount',
+  priority: 20,
+  conditions: [
+    { field: 'amount', op: '>', value: 1000 },
+    { field: 'currency', op: '==', value: 'USD' }
+  ]
+};
+
+// Rule edited from review (v1) to block (v2)
+function editedRuleStore(v1Conditions = highValue.conditions) {
+  const v1 = { rule_name: 'high-value', decision: 'review', category: 'amount', priority: 20, conditions: v1Conditions };
+  const v2 = { ...v1, decision: 'block' };
+  const version = (n, snapshot, change_type) => ({
+    id: `ver-${n}`,
+    rule_id: 'high-value',
+    version: n,
+    change_type,
+    rule_snapshot: snapshot,
+    rule_fingerprint: hashRule(snapshot),
+    created_by: 'alice@example.com'
+  });
+
+  return createStore({
+    backend: 'local',
+    file: null,
+    seed: {
+      atd_fraud_rules: [{ ...highValue, decision: 'block' }],
+      atd_rule_versions: [version(1, v1, 'created'), version(2, v2, 'updated')]
+    }
+  });
+}
+
+const txn = (amount = 2000) => ({ user_id: 'u1', agent_id: 'a1', amount, currency: 'USD', timestamp: new Date().toISOString() });
+
+// ========================================
+// SECTION 1: Diff
+// ========================================
+
+test('diff: decision change and edited, added and removed conditions', () => {
+  const next = {
+    ...highValue,
+    decision: 'block',
+    conditions: [
+      { field: 'hour', op: '<', value: 6 },
+      { field: 'amount', op: '>', value: 5000 }
+    ]
+  };
+
+  const diff = diffRuleVersions(highValue, next);
+
+  assert.equal(diff.identical, false);
+  assert.deepEqual(diff.decision, { from: 'review', to: 'block' });
+  assert.deepEqual(diff.conditions.changed, [{
+    field: 'amount',
+    negated: false,
+    path: 'conditions[1]',
+    from: { field: 'amount', op: '>', value: 1000 },
+    to: { field: 'amount', op: '>', value: 5000 }
+  }]);
+  assert.deepEqual(diff.conditions.added, [{ field: 'hour', op: '<', value: 6, path: 'conditions[0]', negated: false }]);
+  assert.deepEqual(diff.conditions.removed, [{ field: 'currency', op: '==', value: 'USD', path: 'conditions[1]', negated: false }]);
+  assert.equal(diff.conditions.structure_changed, false);
+  assert.deepEqual(diff.fields, {});
+});
+
+test('diff: reordered and regrouped conditions', () => {
+  const reordered = { ...highValue, conditions: [...highValue.conditions].reverse() };
+  assert.equal(diffRuleVersions(highValue, reordered).identical, true);
+
+  const grouped = { ...highValue, priority: 5, conditions: [{ any: highValue.conditions }] };
+  const diff = diffRuleVersions(highValue, grouped);
+
+  assert.equal(diff.identical, false);
+  assert.equal(diff.conditions.structure_changed, true);
+  assert.equal(diff.conditions.changed.length, 0);
+  assert.deepEqual(diff.fields, { priority: { from: 20, to: 5 } });
+});
+
+// ========================================
+// SECTION 2: API
+// ========================================
+
+test('api: edits are versioned and can be diffed', async () => {
+  const store = createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: [highValue] } });
+  const app = createApp({ store });
+  await notifyRulesChanged({ reason: 'test' });
+
+  const empty = await request(app).get('/api/rules/high-value/versions');
+  assert.deepEqual(empty.body.versions, []);
+
+  await request(app).post('/api/rules').send({
+    ...highValue,
+    decision: 'block',
+    conditions: [{ field: 'amount', op: '>', value: 5000 }],
+    updated_by: 'alice@example.com'
+  });
+
+  const history = await request(app).get('/api/rules/high-value/versions');
+  assert.equal(history.status, 200);
+  assert.equal(history.body.current_version, 2);
+  assert.deepEqual(history.body.versions.map(v => v.change_type), ['updated', 'created']);
+  assert.equal(history.body.versions[0].created_by, 'alice@example.com');
+
+  const diff = await request(app).get('/api/rules/high-value/versions/diff?from=1');
+  assert.equal(diff.status, 200);
+  assert.equal(diff.body.to, 2);
+  assert.deepEqual(diff.body.diff.decision, { from: 'review', to: 'block' });
+  assert.equal(diff.body.diff.conditions.changed[0].to.value, 5000);
+  assert.equal(diff.body.diff.conditions.removed[0].field, 'currency');
+
+  const invalid = await request(app).get('/api/rules/high-value/versions/diff?from=abc');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.field, 'from');
+
+  const missing = await request(app).get('/api/rules/high-value/versions/diff?from=1&to=9');
+  assert.equal(missing.status, 404);
+});
+
+test('api: rollback needs a second analyst, restores the version and is audited', async () => {
+  const store = editedRuleStore();
+  const app = createApp({ store });
+  await notifyRulesChanged({ reason: 'test' });
+
+  const requested = await request(app).post('/api/rules/high-value/rollback').send({
+    target_version: 1,
+    requested_by: 'alice@example.com',
+    reason: 'Blocking caused too many false positives'
+  });
+  assert.equal(requested.status, 201);
+  assert.equal(requested.body.status, 'pending');
+  assert.equal(requested.body.from_version, 2);
+  assert.deepEqual(requested.body.diff.decision, { from: 'block', to: 'review' });
+
+  const before = await request(app).post('/api/eval').send(txn());
+  assert.equal(before.body.risk_decision, 'block');
+
+  const approvePath = `/api/rules/high-value/rollback/${requested.body.rollback_id}/approve`;
+  const approval = { approval_notes: 'Confirmed the FP spike in the report', acknowledge_impact: true };
+
+  const self = await request(app).post(approvePath).send({ ...approval, approver: 'alice@example.com' });
+  assert.equal(self.status, 403);
+  assert.equal(self.body.code, 'TWO_PERSON_RULE_VIOLATION');
+  assert.equal(store.snapshot().atd_fraud_rules[0].decision, 'block');
+
+  const approved = await request(app).post(approvePath).send({ ...approval, approver: 'bob@example.com' });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.version, 3);
+  assert.equal(approved.body.restored_version, 1);
+
+  const after = await request(app).post('/api/eval').send(txn());
+  assert.equal(after.body.risk_decision, 'review');
+
+  const [latest] = store.snapshot().atd_rule_versions.filter(v => v.version === 3);
+  assert.equal(latest.change_type, 'rolled_back');
+  assert.equal(latest.created_by, 'alice@example.com');
+  assert.equal(latest.approved_by, 'bob@example.com');
+  assert.deepEqual(latest.diff.changes.decision, { from: 'block', to: 'review' });
+
+  const actions = store.snapshot().audits.map(a => a.action);
+  assert.deepEqual(actions, ['request_rollback', 'rollback_rule_rejected_two_person', 'rollback_rule']);
+
+  const again = await request(app).post(approvePath).send({ ...approval, approver: 'bob@example.com' });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, 'ALREADY_APPROVED');
+});
+
+test('api: rollback requests are validated and go stale when the rule moves on', async () => {
+  const store = createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: [highValue] } });
+  const app = createApp({ store });
+  await notifyRulesChanged({ reason: 'test' });
+
+  const body = { target_version: 1, requested_by: 'alice@example.com', reason: 'Back to the reviewed version' };
+
+  const noHistory = await request(app).post('/api/rules/high-value/rollback').send(body);
+  assert.equal(noHistory.status, 404);
+  assert.equal(noHistory.body.code, 'VERSION_NOT_FOUND');
+
+  await request(app).post('/api/rules').send({ ...highValue, decision: 'block' });
+
+  const invalid = await request(app).post('/api/rules/high-value/rollback').send({ ...body, target_version: 0 });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.field, 'target_version');
+
+  const missingRule = await request(app).post('/api/rules/nope/rollback').send(body);
+  assert.equal(missingRule.status, 404);
+
+  const current = await request(app).post('/api/rules/high-value/rollback').send({ ...body, target_version: 2 });
+  assert.equal(current.status, 409);
+  assert.equal(current.body.code, 'NO_CHANGES');
+
+  const requested = await request(app).post('/api/rules/high-value/rollback').send(body);
+  await request(app).post('/api/rules').send({ ...highValue, decision: 'allow' });
+
+  const stale = await request(app)
+    .post(`/api/rules/high-value/rollback/${requested.body.rollback_id}/approve`)
+    .send({ approver: 'bob@example.com', approval_notes: 'Looks right to me', acknowledge_impact: true });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.code, 'STALE_ROLLBACK');
+
+  const rejected = await request(app)
+    .post(`/api/rules/high-value/rollback/${requested.body.rollback_id}/reject`)
+    .send({ reviewer: 'bob@example.com', rejection_notes: 'Superseded by the allow change' });
+  assert.equal(rejected.status, 200);
+  assert.equal(store.snapshot().atd_rule_rollbacks[0].status, 'rejected');
+});
+
+test('api: concurrent rollback approvals restore the rule once', async (t) => {
+  const store = editedRuleStore();
+  const app = createApp({ store });
+  await notifyRulesChanged({ reason: 'test' });
+
+  const requested = await request(app).post('/api/rules/high-value/rollback').send({
+    target_version: 1,
+    requested_by: 'alice@example.com',
+    reason: 'Blocking caused too many false positives'
+  });
+
+  // Both approvals read the request while it is still pending
+  const from = store.from;
+  let reads = 0;
+  let release;
+  const bothRead = new Promise(resolve => { release = resolve; });
+  t.mock.method(store, 'from', (name) => {
+    const query = from(name);
+    if (name !== 'atd_rule_rollbacks' || reads === 2) return query;
+    if (++reads === 2) release();
+    const then = query.then.bind(query);
+    query.then = (onFulfilled, onRejected) => bothRead.then(() => then(onFulfilled, onRejected));
+    return query;
+  });
+
+  const approvePath = `/api/rules/high-value/rollback/${requested.body.rollback_id}/approve`;
+  const approval = { approval_notes: 'Confirmed the FP spike in the report', acknowledge_impact: true };
+  const results = await Promise.all([
+    request(app).post(approvePath).send({ ...approval, approver: 'bob@example.com' }),
+    request(app).post(approvePath).send({ ...approval, approver: 'carol@example.com' })
+  ]);
+
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  assert.equal(store.snapshot().atd_rule_versions.filter(v => v.change_type === 'rolled_back').length, 1);
+  assert.equal(store.snapshot().atd_rule_rollbacks[0].applied_version, 3);
+});
+
+test('api: rollback to a version that no longer validates or lints is refused', async () => {
+  const approval = { approver: 'bob@example.com', approval_notes: 'Confirmed the FP spike in the report', acknowledge_impact: true };
+  const cases = [
+    [[{ field: 'retired_feature', op: '>', value: 1 }], 'INVALID_RULE'],
+    [[{ field: 'amount', op: '>', value: 5000 }, { field: 'amount', op: '<', value: 100 }], 'LINT_ERRORS']
+  ];
+
+  for (const [conditions, code] of cases) {
+    const store = editedRuleStore(conditions);
+    const app = createApp({ store });
+    await notifyRulesChanged({ reason: 'test' });
+
+    const requested = await request(app).post('/api/rules/high-value/rollback').send({
+      target_version: 1,
+      requested_by: 'alice@example.com',
+      reason: 'Back to the reviewed version'
+    });
+    const res = await request(app).post(`/api/rules/high-value/rollback/${requested.body.rollback_id}/approve`).send(approval);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, code);
+    assert.equal(store.snapshot().atd_fraud_rules[0].decision, 'block');
+    assert.equal(store.snapshot().atd_rule_rollbacks[0].status, 'pending');
+  }
+});
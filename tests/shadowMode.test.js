@@ -0,0 +1,157 @@
+// tests/shadowMode.test.js
+// Unit tests for shadow rules and the shadow comparison report
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createStore, setStore } from '../src/lib/store.js';
+import { evaluateTransaction } from '../src/lib/ruleEngine.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { createApp } from '../src/index.js';
+import { createMockOpenAI } from './doubles/openai.mock.js';
+
+const reviewHighValue = {
+  id: 'review-high-value',
+  rule_name: 'review-high-value',
+  decision: 'review',
+  priority: 20,
+  conditions: [{ field: 'amount', op: '>', value: 1000 }]
+};
+
+const shadowBlock = {
+  id: 'shadow-block',
+  rule_name: 'shadow-block',
+  decision: 'block',
+  priority: 10,
+  lifecycle: 'shadow',
+  conditions: [{ field: 'amount', op: '>', value: 4000 }]
+};
+
+const txn = (amount = 5000) => ({ user_id: 'u1', agent_id: 'a1', amount, currency: 'USD', timestamp: new Date().toISOString() });
+
+async function useRules(rules) {
+  const store = setStore(createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: rules } }));
+  await notifyRulesChanged({ reason: 'test' });
+  return store;
+}
+
+// ========================================
+// SECTION 1: Evaluation
+// ========================================
+
+test('shadow: matching shadow rule is recorded but not enforced', async () => {
+  await useRules([reviewHighValue, shadowBlock]);
+
+  const result = await evaluateTransaction(txn());
+
+  assert.equal(result.risk_decision, 'review');
+  assert.deepEqual(result.triggered_rule_ids, ['review-high-value']);
+  assert.equal(result.shadow.decision, 'block');
+  assert.equal(result.shadow.changed, true);
+  assert.deepEqual(result.shadow.rules, [
+    { rule_id: 'shadow-block', rule: 'shadow-block', reason: 'shadow', matched: true, decision: 'block', changed: true }
+  ]);
+});
+
+test('shadow: non-matching shadow rule keeps the live decision', async () => {
+  await useRules([reviewHighValue, shadowBlock]);
+
+  const result = await evaluateTransaction(txn(2000));
+
+  assert.equal(result.risk_decision, 'review');
+  assert.equal(result.shadow.changed, false);
+  assert.equal(result.shadow.rules[0].matched, false);
+  assert.equal(result.shadow.rules[0].decision, 'review');
+});
+
+test('shadow: matches that the strategy would ignore do not count as changes', async () => {
+  await useRules([
+    { ...reviewHighValue, priority: 1 },
+    { ...shadowBlock, priority: 50 }
+  ]);
+
+  const result = await evaluateTransaction(txn(), { strategy: 'first_match' });
+
+  assert.equal(result.shadow.rules[0].matched, true);
+  assert.equal(result.shadow.rules[0].changed, false);
+});
+
+test('shadow: rulesets without shadow rules omit the shadow block', async () => {
+  await useRules([reviewHighValue]);
+  const result = await evaluateTransaction(txn());
+  assert.equal(result.shadow, undefined);
+});
+
+// ========================================
+// SECTION 2: Report, Promotion and Apply
+// ========================================
+
+test('report: counts decision changes per shadow rule, then promote', async () => {
+  const store = createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: [reviewHighValue, shadowBlock] } });
+  const app = createApp({ store });
+  await notifyRulesChanged({ reason: 'test' });
+
+  for (const amount of [5000, 4500, 2000, 100]) {
+    await request(app).post('/api/eval').send(txn(amount));
+  }
+
+  const res = await request(app).get('/rules/shadow/report?hours=1');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.transactions_with_shadow, 4);
+  assert.equal(res.body.combined.changed, 2);
+  assert.equal(res.body.combined.change_rate, 50);
+
+  const [rule] = res.body.rules;
+  assert.equal(rule.rule_id, 'shadow-block');
+  assert.equal(rule.in_shadow, true);
+  assert.equal(rule.matched, 2);
+  assert.equal(rule.would_change, 2);
+  assert.deepEqual(rule.transitions, { 'review->block': 2 });
+  assert.equal(rule.examples.length, 2);
+
+  const invalid = await request(app).get('/rules/shadow/report?hours=-5');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'INVALID_INPUT');
+
+  // Promotion: the shadow rule starts deciding
+  const promote = await request(app).post('/rules/shadow-block/promote').send({ promoted_by: 'bob@example.com' });
+  assert.equal(promote.status, 200);
+
+  const after = await request(app).post('/api/eval').send(txn());
+  assert.equal(after.body.risk_decision, 'block');
+  assert.equal(after.body.fraud_engine_output.shadow, undefined);
+
+  const again = await request(app).post('/rules/shadow-block/promote').send({});
+  assert.equal(again.status, 409);
+
+  const missing = await request(app).post('/rules/nope/promote').send({});
+  assert.equal(missing.status, 404);
+});
+
+test('apply: suggestions land in shadow by default', async () => {
+  // Impact analysis needs a sample to run against
+  const sample = { ...txn(2500), txn_id: 't1', fraud_engine_output: { risk_decision: 'allow' } };
+  const store = createStore({ backend: 'local', file: null, seed: { atd_transactions: [sample] } });
+  const app = createApp({ store, llm: createMockOpenAI() });
+
+  const suggestion = await request(app)
+    .post('/api/rules/suggest')
+    .send({ instruction: 'Review transactions over $1000', actor: 'alice@example.com' });
+
+  const applyBody = {
+    suggestion_id: suggestion.body.suggestion_id,
+    approver: 'bob@example.com',
+    approval_notes: 'Reviewed impact offline',
+    expected_impact: 'One extra review in sample',
+    acknowledge_impact: true
+  };
+
+  const invalid = await request(app).post('/api/rules/apply').send({ ...applyBody, lifecycle: 'live' });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.field, 'lifecycle');
+
+  const applied = await request(app).post('/api/rules/apply').send(applyBody);
+  assert.equal(applied.status, 200);
+  assert.equal(applied.body.lifecycle, 'shadow');
+  assert.equal(store.snapshot().atd_fraud_rules[0].lifecycle, 'shadow');
+});
@@ -0,0 +1,156 @@
+// tests/urlOperators.test.js
+// Unit tests for matches_regex (ReDoS-safe regexes) and the seller_url operators
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore, setStore } from '../src/lib/store.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { interpretConditions, compileConditions, evaluateRule } from '../src/lib/conditionEvaluator.js';
+import { urlHost } from '../src/lib/operators.js';
+import { checkPattern, compileSafeRegex, MAX_SUBJECT_LENGTH } from '../src/lib/safeRegex.js';
+import { RuleValidator } from '../src/lib/ruleValidator.js';
+import { validateRuleStructure } from '../src/lib/ruleSchema.js';
+import { dryRunRule } from '../src/lib/dryRunEngine.js';
+
+const txn = { user_id: 'u1', amount: 120, seller_name: 'Amaz0n Deals', seller_url: 'https://www.Amaz0n-deals.shop/cart?id=1' };
+
+const ruleForm = conditions => ({
+  ruleset_name: 'seller-url-rule',
+  description: 'Rule on the seller website',
+  decision: 'review',
+  conditions
+});
+
+const validate = conditions => new RuleValidator().validate(ruleForm(conditions));
+
+// Polynomial (not exponential) backtracking: passes the static check, needs the time limit
+const slowPattern = '^\\d*\\d*\\d*\\d*\\d*\\d*x$';
+
+// ========================================
+// SECTION 1: Evaluation
+// ========================================
+
+test('evaluate: URL operators compare the host, case-insensitively', () => {
+  const check = (op, value, url) => interpretConditions([{ field: 'seller_url', op, value }], { ...txn, seller_url: url });
+
+  assert.equal(check('url_host_equals', 'WWW.amaz0n-deals.shop', txn.seller_url), true);
+  assert.equal(check('domain_in', ['amaz0n-deals.shop'], txn.seller_url), true);
+  assert.equal(check('domain_in', ['https://Amazon.com/'], 'smile.amazon.com'), true);
+  assert.equal(check('domain_in', ['amazon.com'], 'https://notamazon.com'), false);
+  assert.equal(check('domain_in', ['amazon.com'], 'https://amazon.com.evil.io/login'), false);
+  assert.equal(check('tld_in', ['.shop', 'zip'], txn.seller_url), true);
+  assert.equal(check('tld_in', ['com'], 'https://amazon.com./'), true);
+
+  // An unparseable URL has no host and matches none of them
+  assert.equal(check('domain_in', ['amazon.com'], 'http://amazon .com'), false);
+  assert.equal(urlHost('not a url'), null);
+  assert.equal(urlHost('Example.COM:8080/path'), 'example.com');
+});
+
+test('evaluate: compiled and interpreted URL and regex conditions agree', () => {
+  const conditions = [
+    [{ field: 'seller_url', op: 'domain_in', value: ['amaz0n-deals.shop', 'walmart.com'] }],
+    [{ field: 'seller_url', op: 'tld_in', value: ['shop'] }],
+    [{ field: 'seller_url', op: 'url_host_equals', value: 'walmart.com' }],
+    [{ field: 'seller_name', op: 'matches_regex', value: '/amaz[o0]n/i' }],
+    [{ not: { field: 'seller_url', op: 'matches_regex', value: '^https://' } }]
+  ];
+  const txns = [txn, { ...txn, seller_url: 'http://walmart.com', seller_name: 'Walmart' }, { ...txn, seller_url: '%%' }, { ...txn, seller_url: null }];
+
+  for (const tree of conditions) {
+    const predicate = compileConditions(tree);
+    for (const t of txns) {
+      assert.equal(predicate(t), interpretConditions(tree, t), JSON.stringify({ tree, t }));
+    }
+  }
+});
+
+test('evaluate: a regex that runs too long is cut off and the condition is unknown', () => {
+  const rule = {
+    id: 'slow-regex',
+    decision: 'block',
+    on_missing: 'review',
+    conditions: [{ field: 'seller_name', op: 'matches_regex', value: slowPattern }]
+  };
+  const stalling = { ...txn, seller_name: '1'.repeat(2000) };
+
+  const started = Date.now();
+  assert.equal(compileConditions(rule.conditions)(stalling), null);
+  assert.equal(evaluateRule(rule, stalling, {}), 'review');
+  assert.ok(Date.now() - started < 1000);
+
+  assert.equal(compileConditions(rule.conditions)({ ...txn, seller_name: '12x' }), true);
+  assert.equal(compileSafeRegex('x')('y'.repeat(MAX_SUBJECT_LENGTH + 1)), null);
+});
+
+test('evaluate: a catastrophic pattern that skipped validation is never run', () => {
+  const conditions = [{ field: 'seller_name', op: 'matches_regex', value: '^(a+)+$' }];
+  const attack = { ...txn, seller_name: 'a'.repeat(40) + '!' };
+
+  assert.equal(compileSafeRegex('^(a+)+$'), null);
+  assert.equal(compileConditions(conditions)(attack), null);
+  assert.equal(interpretConditions(conditions, attack), null);
+});
+
+// ========================================
+// SECTION 2: Validation
+// ========================================
+
+test('validate: patterns that can backtrack catastrophically are rejected', () => {
+  for (const pattern of ['^(a+)+$', '(a|aa)*b', '((ab)*c)+', '(?:[a-z]+\\.)+com', '(\\w+)\\1', '(?<=x)y', '/x/g', '[a-', 'a'.repeat(300)]) {
+    assert.equal(checkPattern(pattern).valid, false, pattern);
+  }
+  for (const pattern of ['^https://[a-z0-9-]+\\.shop/', '/paypa1|amaz0n/i', '(www\\.)?example\\.com', '[(a+)+]+', 'a{2,5}(b?)*']) {
+    assert.equal(checkPattern(pattern).valid, true, pattern);
+  }
+
+  const result = validate([{ field: 'seller_url', op: 'matches_regex', value: '^(https?://)*(a+)+$' }]);
+  assert.ok(result.errors.some(e => e.includes('catastrophic backtracking')));
+  assert.ok(validateRuleStructure(ruleForm([{ field: 'seller_name', op: 'matches_regex', value: '(a|aa)+' }])).errors
+    .some(e => e.includes('catastrophic backtracking')));
+});
+
+test('validate: URL operators only apply to URL fields and need valid domains', () => {
+  const valid = validate([
+    { field: 'seller_url', op: 'domain_in', value: ['amazon.com', 'walmart.com'] },
+    { field: 'seller_url', op: 'tld_in', value: ['zip', '.xyz'] },
+    { field: 'seller_name', op: 'matches_regex', value: '/amaz[o0]n/i' }
+  ]);
+  assert.equal(valid.valid, true, valid.errors.join('; '));
+
+  assert.ok(validate([{ field: 'seller_name', op: 'domain_in', value: ['amazon.com'] }]).errors
+    .some(e => e.includes('Operator "domain_in" not valid for field "seller_name"')));
+  assert.ok(validate([{ field: 'seller_url', op: 'domain_in', value: ['amazon .com'] }]).errors
+    .some(e => e.includes('"amazon .com" is not a valid domain')));
+  assert.ok(validate([{ field: 'seller_url', op: 'tld_in', value: ['co.uk'] }]).errors
+    .some(e => e.includes('not a valid top-level domain')));
+  assert.ok(validate([{ field: 'seller_url', op: 'tld_in', value: 'zip' }]).errors
+    .some(e => e.includes('requires an array value')));
+  assert.ok(validate([{ field: 'seller_url', op: 'matches_regex', value: { field: 'seller_name' } }]).errors
+    .some(e => e.includes('cannot compare against a field or expression')));
+});
+
+// ========================================
+// SECTION 3: Dry-run
+// ========================================
+
+test('dry-run: URL rules are evaluated against the projected seller_url', async () => {
+  const now = Date.now();
+  const history = ['https://www.amazon.com/dp/1', 'https://amaz0n-deals.shop/cart', 'https://walmart.com'].map((seller_url, idx) => ({
+    txn_id: `url_${idx}`,
+    user_id: `u${idx}`,
+    amount: 50,
+    seller_url,
+    timestamp: new Date(now - (idx + 1) * 60 * 1000).toISOString()
+  }));
+  setStore(createStore({ backend: 'local', file: null, seed: { atd_transactions: history } }));
+  await notifyRulesChanged({ reason: 'test' });
+
+  const result = await dryRunRule({
+    ...ruleForm([{ field: 'seller_url', op: 'tld_in', value: ['shop'] }]),
+    decision: 'block'
+  }, 100);
+
+  assert.equal(result.sample_size, 3);
+  assert.equal(result.matches, 1);
+});
@@ -0,0 +1,159 @@
+// tests/valueExpressions.test.js
+// Unit tests for field references and arithmetic expressions as condition values
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore, setStore } from '../src/lib/store.js';
+import { evaluateTransaction } from '../src/lib/ruleEngine.js';
+import { notifyRulesChanged } from '../src/lib/ruleEvents.js';
+import { interpretConditions, compileConditions, traceConditions } from '../src/lib/conditionEvaluator.js';
+import { evaluateValueExpression, describeValueExpression, expressionFields } from '../src/lib/valueExpressions.js';
+import { RuleValidator } from '../src/lib/ruleValidator.js';
+import { validateRuleStructure } from '../src/lib/ruleSchema.js';
+import { policyGate } from '../src/lib/policyGate.js';
+
+const slowCheckout = { field: 'checkout_time_seconds', op: '<', value: { mul: [{ field: 'delegation_duration_hours' }, 60] } };
+const outlier = { field: 'amount', op: '>', value: { mul: [3, { field: 'user_amount_median_24h' }] } };
+
+const txn = {
+  user_id: 'u1',
+  agent_id: 'openai',
+  amount: 2500,
+  user_amount_median_24h: 400,
+  checkout_time_seconds: 30,
+  delegation_duration_hours: 2
+};
+
+const ruleForm = conditions => ({
+  ruleset_name: 'expression-rule',
+  description: 'Rule comparing fields with each other',
+  decision: 'review',
+  conditions
+});
+
+const validate = conditions => new RuleValidator().validate(ruleForm(conditions));
+
+// ========================================
+// SECTION 1: Evaluation
+// ========================================
+
+test('evaluate: field references and arithmetic compare against the transaction', () => {
+  assert.equal(interpretConditions([outlier], txn), true);
+  assert.equal(interpretConditions([outlier], { ...txn, amount: 1200 }), false);
+  assert.equal(interpretConditions([slowCheckout], txn), true);
+  assert.equal(interpretConditions([slowCheckout], { ...txn, checkout_time_seconds: 180 }), false);
+  assert.equal(interpretConditions([{ field: 'agent_id', op: '==', value: { field: 'partner' } }], { ...txn, partner: 'openai' }), true);
+});
+
+test('evaluate: compiled and interpreted evaluation agree', () => {
+  const conditions = [
+    [outlier],
+    [slowCheckout],
+    [{ field: 'amount', op: '<=', value: { add: [{ field: 'user_amount_median_24h' }, 100, { sub: [{ field: 'amount' }, 2000] }] } }],
+    [{ any: [outlier, { not: slowCheckout }] }]
+  ];
+  const txns = [txn, { ...txn, amount: 100 }, { ...txn, user_amount_median_24h: null }, { ...txn, delegation_duration_hours: 0 }];
+
+  for (const tree of conditions) {
+    const predicate = compileConditions(tree);
+    for (const t of txns) {
+      assert.equal(predicate(t), interpretConditions(tree, t), JSON.stringify({ tree, t }));
+    }
+  }
+});
+
+test('evaluate: an expression that cannot be computed makes the condition unknown', () => {
+  const { user_amount_median_24h, ...noHistory } = txn;
+  assert.equal(interpretConditions([outlier], noHistory), null);
+  assert.equal(compileConditions([outlier])(noHistory), null);
+
+  const ratio = { field: 'amount', op: '>', value: { div: [{ field: 'amount' }, { field: 'user_amount_median_24h' }] } };
+  assert.equal(interpretConditions([ratio], { ...txn, user_amount_median_24h: 0 }), null);
+  assert.equal(evaluateValueExpression({ add: [1, { field: 'agent_id' }] }, txn), null);
+
+  // A literal null value is still a literal
+  assert.equal(interpretConditions([{ field: 'amount', op: '==', value: null }], txn), false);
+});
+
+test('evaluate: trace shows the expression and the value it produced', () => {
+  const { nodes: [entry] } = traceConditions([outlier], txn);
+  assert.equal(entry.expression, '3 * user_amount_median_24h');
+  assert.equal(entry.compared_to, 1200);
+  assert.equal(entry.passed, true);
+
+  assert.equal(describeValueExpression({ div: [{ sub: [{ field: 'amount' }, 10] }, 2] }), '(amount - 10) / 2');
+  assert.deepEqual(expressionFields(slowCheckout.value), ['delegation_duration_hours']);
+});
+
+// ========================================
+// SECTION 2: Validation
+// ========================================
+
+test('validate: expressions over compatible fields are accepted', () => {
+  const result = validate([outlier, slowCheckout, { field: 'agent_id', op: '!=', value: { field: 'partner' } }]);
+  assert.equal(result.valid, true, result.errors.join('; '));
+  assert.equal(validateRuleStructure(ruleForm([outlier])).valid, true);
+});
+
+test('validate: both sides of an expression must have compatible types', () => {
+  assert.ok(validate([{ field: 'amount', op: '>', value: { field: 'device' } }]).errors
+    .some(e => e.includes('Cannot compare "amount" (number) with device (enum)')));
+  assert.ok(validate([{ field: 'device', op: '==', value: { add: [{ field: 'amount' }, 1] } }]).errors
+    .some(e => e.includes('Cannot compare')));
+  assert.ok(validate([{ field: 'amount', op: '>', value: { mul: [2, { field: 'device' }] } }]).errors
+    .some(e => e.includes('needs numeric operands')));
+});
+
+test('validate: malformed expressions are rejected', () => {
+  const errorsFor = value => validate([{ field: 'amount', op: '>', value }]).errors;
+
+  assert.ok(errorsFor({ field: 'no_such_field' }).some(e => e.includes('Unknown field "no_such_field"')));
+  assert.ok(errorsFor({ sub: [1, 2, 3] }).some(e => e.includes('exactly 2 operands')));
+  assert.ok(errorsFor({ add: [1] }).some(e => e.includes('at least 2 operands')));
+  assert.ok(errorsFor({ div: [{ field: 'amount' }, 0] }).some(e => e.includes('division by zero')));
+  assert.ok(errorsFor({ add: [1, { add: [1, { add: [1, { add: [1, 2] }] }] }] }).some(e => e.includes('nested')));
+  assert.ok(validate([{ field: 'agent_id', op: 'in', value: { field: 'partner' } }]).errors
+    .some(e => e.includes('cannot compare against a field or expression')));
+  assert.ok(validateRuleStructure(ruleForm([{ field: 'amount', op: '>', value: { max: [1, 2] } }])).errors.length > 0);
+});
+
+test('validate: self comparisons and disjoint enums are warned about', () => {
+  const self = validate([{ field: 'amount', op: '>', value: { field: 'amount' } }]);
+  assert.equal(self.valid, true);
+  assert.ok(self.warnings.some(w => w.includes('compared with itself')));
+
+  const disjoint = validate([{ field: 'device', op: '==', value: { field: 'currency' } }]);
+  assert.equal(disjoint.valid, true);
+  assert.ok(disjoint.warnings.some(w => w.includes('share no values')));
+});
+
+test('policy gate: fields referenced inside expressions are checked', () => {
+  const violations = policyGate({
+    ruleset: { rules: [{ conditions: [{ field: 'partner', op: '!=', value: { field: 'seller_name' } }] }] }
+  });
+
+  assert.ok(violations.some(v => v.type === 'pii_field' && v.field === 'seller_name'));
+});
+
+// ========================================
+// SECTION 3: Engine
+// ========================================
+
+test('engine: amount is compared with the median of the user\'s earlier purchases', async () => {
+  const rule = { id: 'amount-outlier', rule_name: 'amount-outlier', decision: 'review', on_missing: 'fail', conditions: [outlier] };
+  const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+  const history = [300, 400, 500].map((amount, idx) => ({
+    txn_id: `hist_${idx}`, user_id: 'u1', amount, currency: 'USD', timestamp: minutesAgo(60 * (idx + 1))
+  }));
+
+  setStore(createStore({ backend: 'local', file: null, seed: { atd_fraud_rules: [rule], atd_transactions: history } }));
+  await notifyRulesChanged({ reason: 'test' });
+
+  const hit = await evaluateTransaction({ ...txn, timestamp: new Date().toISOString() }, { explain: true });
+  assert.equal(hit.risk_decision, 'review');
+  assert.deepEqual(hit.triggered_rule_ids, ['amount-outlier']);
+  assert.equal(hit.trace.rules[0].conditions[0].compared_to, 1200);
+
+  const firstPurchase = await evaluateTransaction({ ...txn, user_id: 'u2', timestamp: new Date().toISOString() });
+  assert.equal(firstPurchase.risk_decision, 'allow');
+});